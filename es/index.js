@@ -6,8 +6,8 @@
 // Imports
 import methods from '../index.js';
 
-const {serialize, serializeEntries, split, splitAsync} = methods;
+const {serialize, serializeEntries, split, splitAsync, runtime, asset} = methods;
 
 // Exports
 
-export {serialize, serializeEntries, split, splitAsync};
+export {serialize, serializeEntries, split, splitAsync, runtime, asset};
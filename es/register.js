@@ -8,6 +8,9 @@ import register from '../lib/register/index.js';
 
 const {revert} = register;
 
+// Instrument native ES modules loaded after this
+register.registerEsm();
+
 // Exports
 
 export default register;
@@ -43,7 +43,7 @@ const {argv} = yargs
 	.command(
 		'$0',
 		'livepack <input path(s)..> -o <output dir path> [options]',
-		() => {},
+		_yargs => _yargs.demandOption('output'),
 		(_argv) => {
 			const {input} = _argv;
 			if (input === undefined) {
@@ -53,6 +53,42 @@ const {argv} = yargs
 			}
 		}
 	)
+	.command(
+		'serve',
+		'livepack serve <input path(s)..> [options] - serve app locally, rebuilding on changes',
+		_yargs => _yargs.option('port', {
+			alias: 'p',
+			description: 'Port to serve on',
+			type: 'number',
+			default: 5000
+		}).option('host', {
+			description: 'Host to serve on (use `0.0.0.0` to make server accessible from other machines)',
+			type: 'string',
+			default: 'localhost'
+		}),
+		(_argv) => {
+			const {input} = _argv;
+			if (input === undefined) {
+				const inputs = _argv._.slice(1);
+				assert(inputs.length > 0, 'Must specify input file');
+				_argv.input = inputs;
+			}
+			_argv.serve = true;
+		}
+	)
+	.command(
+		'why <query>',
+		'livepack why <query> -o <output dir path> - show why a value is included in output',
+		_yargs => _yargs
+			.positional('query', {
+				description: 'Function/object name, `file:line`, or package name',
+				type: 'string'
+			})
+			.demandOption('output'),
+		(_argv) => {
+			_argv.why = true;
+		}
+	)
 	.alias('help', 'h')
 	.alias('version', 'v')
 	.option('input', {
@@ -65,16 +101,24 @@ const {argv} = yargs
 	.option('output', {
 		alias: 'o',
 		description: 'Output directory path',
-		demandOption: true,
 		type: 'string'
 	})
 	.option('format', {
 		alias: 'f',
 		description: 'Output format',
 		type: 'string',
-		choices: ['esm', 'cjs'],
+		choices: ['esm', 'cjs', 'iife', 'umd'],
 		default: 'esm'
 	})
+	.option('global-name', {
+		description: 'Global var name to assign output to (`iife` or `umd` format)',
+		type: 'string'
+	})
+	.option('named-exports', {
+		description: 'Output entry point objects as named exports (`esm` format)',
+		type: 'boolean',
+		default: false
+	})
 	.option('ext', {
 		description: 'JS file extension',
 		type: 'string',
@@ -99,6 +143,11 @@ const {argv} = yargs
 		type: 'boolean',
 		description: 'Keep comments in output'
 	})
+	.option('error-stacks', {
+		type: 'boolean',
+		description: 'Retain stack traces of Errors (may contain absolute paths)',
+		default: false
+	})
 	.option('entry-chunk-name', {
 		type: 'string',
 		description: 'Template for entry point chunk names'
@@ -122,6 +171,23 @@ const {argv} = yargs
 			throw new Error("--source-maps option should have no value or 'inline'");
 		}
 	})
+	.option('paths', {
+		description: 'Output `__filename` / `__dirname` / `import.meta.url` as absolute or relative to output',
+		type: 'string',
+		choices: ['absolute', 'relative'],
+		default: 'absolute'
+	})
+	.option('target', {
+		description: 'Environment output will run in',
+		type: 'string',
+		choices: ['node', 'browser'],
+		default: 'node'
+	})
+	.option('runtime-globals', {
+		description: 'Globals which only exist when output runs e.g. `window`',
+		type: 'array',
+		string: true
+	})
 	.option('exec', {
 		description: 'Output executable script',
 		type: 'boolean',
@@ -137,6 +203,11 @@ const {argv} = yargs
 		type: 'boolean',
 		default: false
 	})
+	.option('ts', {
+		description: 'TypeScript source',
+		type: 'boolean',
+		default: false
+	})
 	.option('stats', {
 		description: 'Output stats file',
 		defaultDescription: 'false',
@@ -147,6 +218,34 @@ const {argv} = yargs
 			throw new Error('--stats option should have no value or string for name of stats file');
 		}
 	})
+	.option('report', {
+		description: 'Output HTML report of output size',
+		defaultDescription: 'false',
+		type: 'string',
+		coerce(val) {
+			if (val === '') return true;
+			if (isString(val) || isBoolean(val) || val === undefined) return val;
+			throw new Error('--report option should have no value or string for name of report file');
+		}
+	})
+	.option('watch', {
+		alias: 'w',
+		description: 'Watch files and rebuild on changes',
+		type: 'boolean',
+		default: false
+	})
+	.option('watch-child', {
+		// Used internally in watch mode to flag build is running in child process
+		type: 'boolean',
+		default: false,
+		hidden: true
+	})
+	.option('in-memory', {
+		// Used internally by `serve` command to flag output should be returned to parent, not written
+		type: 'boolean',
+		default: false,
+		hidden: true
+	})
 	.option('cache', {
 		description: 'Enable instrumentation cache',
 		type: 'boolean',
@@ -162,12 +261,38 @@ const {argv} = yargs
 // The following is all after yargs option parsing, rather than at top of file,
 // to avoid slow response for `livepack --help` or a command with missing/invalid options.
 
+// In `serve` command and watch mode, builds run in child processes.
+// So nothing more to do in this process.
+if (argv.serve) {
+	assert(argv.format === 'esm', '`serve` command only supports ESM output format');
+
+	// Remove `serve` command from args, and use current dir as output dir if not specified
+	const args = process.argv.slice(2);
+	args.splice(args.indexOf('serve'), 1);
+	if (argv.output === undefined) args.push('--output', process.cwd());
+
+	require('./serve.js')(__filename, args, argv.port, argv.host); // eslint-disable-line global-require
+	return;
+}
+
+// `why` command only reads stats file from a previous build
+if (argv.why) {
+	require('./why.js')(pathResolve(argv.output), argv.stats, argv.query); // eslint-disable-line global-require
+	return;
+}
+
+if (argv.watch) {
+	require('./watch.js').watch(__filename, process.argv.slice(2), pathResolve(argv.output)); // eslint-disable-line global-require
+	return;
+}
+
 // Catalog globals etc
 require('./init/index.js');
 
 // Import dependencies required for serialize
-const {writeFile, mkdir} = require('fs/promises'),
+const {readFile, writeFile, mkdir} = require('fs/promises'),
 	{serializeEntries} = require('./serialize/index.js'),
+	{hashFileContent} = require('./serialize/filenames.js'),
 	{DEFAULT_OUTPUT_FILENAME} = require('./shared/constants.js');
 
 // Switch back to global module cache
@@ -179,11 +304,38 @@ const register = require('./register/index.js');
 register({
 	esm: argv.esm,
 	jsx: argv.jsx,
+	ts: argv.ts,
+	target: argv.target,
+	runtimeGlobals: argv.runtimeGlobals,
 	cache: argv.cache
 });
 
 // Serialize
 (async () => {
+	if (!argv.watchChild) {
+		await build();
+		return;
+	}
+
+	// Running in child process in watch mode.
+	// Report output and files loaded to parent process, so it can watch them.
+	// Report even if build fails, so parent can watch for files changing to fix the error.
+	let output;
+	try {
+		output = await build();
+	} catch (err) {
+		console.error(err); // eslint-disable-line no-console
+		process.exitCode = 1;
+	}
+	process.send({output, loadedFiles: register.getLoadedFiles()}, () => process.disconnect());
+})();
+
+/**
+ * Load inputs, serialize, and write output files.
+ * @returns {Object} - Object of form `{filenames, changedFilenames}`
+ *   (or `{files}` if `--in-memory` option)
+ */
+async function build() {
 	// Determine output path
 	const outPath = pathResolve(argv.output);
 
@@ -230,7 +382,8 @@ register({
 				throw err;
 			}
 
-			if (entry && entry.__esModule) entry = entry.default;
+			// Use default export of ES modules, unless outputting all exports as named exports
+			if (entry && entry.__esModule && !argv.namedExports) entry = entry.default;
 
 			// Await Promise value
 			entry = await entry;
@@ -242,25 +395,56 @@ register({
 	// Serialize
 	const files = serializeEntries(entries, {
 		format: argv.format,
+		globalName: argv.globalName,
+		namedExports: argv.namedExports,
 		ext: argv.ext,
 		mapExt: argv.mapExt,
 		exec: argv.exec,
 		minify: argv.minify,
 		mangle: argv.mangle,
 		comments: argv.comments,
+		errorStacks: argv.errorStacks,
 		entryChunkName: argv.entryChunkName,
 		splitChunkName: argv.splitChunkName,
 		commonChunkName: argv.commonChunkName,
 		sourceMaps: argv.sourceMaps || false,
 		stats: argv.stats,
-		outputDir: argv.sourceMaps ? outPath : undefined,
+		report: argv.report,
+		paths: argv.paths,
+		target: argv.target,
+		outputDir: argv.sourceMaps || argv.paths === 'relative' ? outPath : undefined,
 		debug: argv.debug
 	});
 
-	// Output files
+	// In `serve` command, output is kept in memory
+	if (argv.inMemory) return {files};
+
+	// Output files.
+	// In watch mode, only write files which have changed.
+	const changedFilenames = [];
 	for (const {filename, content} of files) {
 		const path = pathJoin(outPath, filename);
+		if (argv.watchChild && await isUnchanged(path, content)) continue;
 		await mkdir(dirname(path), {recursive: true});
 		await writeFile(path, content);
+		changedFilenames.push(filename);
 	}
-})();
+
+	return {filenames: files.map(file => file.filename), changedFilenames};
+}
+
+/**
+ * Determine if file on disc has same content as new content.
+ * @param {string} path - File path
+ * @param {string|Buffer} content - New file content
+ * @returns {boolean} - `true` if file exists and its content's hash matches hash of new content
+ */
+async function isUnchanged(path, content) {
+	let existingContent;
+	try {
+		existingContent = await readFile(path);
+	} catch {
+		return false;
+	}
+	return hashFileContent(existingContent) === hashFileContent(content);
+}
@@ -21,7 +21,7 @@ const createTracker = require('./tracker.js'),
 	{
 		INTERNAL_VAR_NAMES_PREFIX, TRACKER_VAR_NAME_BODY, GET_SCOPE_ID_VAR_NAME_BODY
 	} = require('../shared/constants.js'),
-	specialFunctions = require('../shared/internal.js').functions,
+	{functions: specialFunctions, runtimeGlobals} = require('../shared/internal.js'),
 	assertBug = require('../shared/assertBug.js');
 
 // Constants
@@ -237,7 +237,7 @@ function compile(
 	let ast;
 	try {
 		ast = parseImpl(
-			code, filename, false, false, allowNewTarget, allowSuper, false, isStrict, false, undefined
+			code, filename, false, false, allowNewTarget, allowSuper, false, false, isStrict, false, undefined
 		).ast;
 	} catch {
 		return {code, shouldThrow: true, internalPrefixNum: externalPrefixNum, tempVars};
@@ -249,13 +249,14 @@ function compile(
 	// Var name prefix will be kept same as in host file if possible,
 	// to avoid wrapping in a function unless impossible to avoid.
 	// Details of vars which can be obtained from external scopes is passed in.
+	// `typeof x` is instrumented for runtime globals which are currently defined.
 	state = {
 		nextBlockId: blockIdCounter.nextBlockId,
 		isStrict,
 		internalVarsPrefixNum: externalPrefixNum,
 		...state
 	};
-	modifyAst(ast, filename, false, isStrict, undefined, state);
+	modifyAst(ast, filename, false, false, isStrict, undefined, [...runtimeGlobals.keys()], state);
 
 	// Update next block ID for file
 	blockIdCounter.nextBlockId = state.nextBlockId;
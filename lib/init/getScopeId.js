@@ -5,7 +5,11 @@
 
 'use strict';
 
-const {defineProperty, defineProperties, getOwnPropertyDescriptors} = Object;
+// Imports
+const {privateClasses, privateClassMethods} = require('../shared/internal.js');
+
+const {defineProperty, defineProperties, getOwnPropertyDescriptors} = Object,
+	{ownKeys} = Reflect;
 
 // Exports
 
@@ -21,9 +25,29 @@ function getScopeId() {
 
 let nextScopeId = 1;
 
+const instanceScopeIds = new WeakMap();
+
 // Add additional static methods
+getScopeId.forInstance = getScopeIdForInstance;
 getScopeId.toRest = toRest;
 getScopeId.renameRequireAlias = renameRequireAlias;
+getScopeId.registerPrivates = registerPrivates;
+
+/**
+ * Get scope ID for class instance.
+ * Used for scope of `this` in class prototype properties, which differs for each instance.
+ * Same object always gets same scope ID.
+ * @param {Object} instance - Class instance
+ * @returns {number} - Scope ID
+ */
+function getScopeIdForInstance(instance) {
+	let scopeId = instanceScopeIds.get(instance);
+	if (scopeId === undefined) {
+		scopeId = getScopeId();
+		instanceScopeIds.set(instance, scopeId);
+	}
+	return scopeId;
+}
 
 /**
  * Convert object to array.
@@ -43,3 +67,50 @@ function toRest(obj) {
 function renameRequireAlias(req) {
 	return defineProperty(req, 'name', {value: 'require'});
 }
+
+/**
+ * Register class which has private members.
+ * Called from a static block which instrumentation inserts at start of class body.
+ *
+ * Records functions to get values of private fields from instances and from the class itself,
+ * and the class's methods as they were originally defined, so serializer can recreate
+ * the methods inside class definition.
+ *
+ * @param {Function} klass - Class
+ * @param {Function|null} getInstancePrivates - Function which takes an object and returns object
+ *   containing values of its private fields, or `undefined` if object is not an instance of the class.
+ *   `null` if class has no private instance members.
+ * @param {Function|null} getStaticPrivates - Function which returns object containing values
+ *   of class's static private fields. `null` if class has no static private fields.
+ * @returns {undefined}
+ */
+function registerPrivates(klass, getInstancePrivates, getStaticPrivates) {
+	const proto = klass.prototype,
+		details = {klass, getInstancePrivates, getStaticPrivates, staticMethods: null, protoMethods: null};
+	details.staticMethods = getMethods(klass, true, ['length', 'name', 'prototype']);
+	details.protoMethods = getMethods(proto, false, ['constructor']);
+	privateClasses.set(klass, details);
+	privateClasses.set(proto, details);
+
+	/**
+	 * Get descriptors of methods, and record each method function.
+	 * @param {Object} obj - Class or class prototype
+	 * @param {boolean} isStatic - `true` if is class
+	 * @param {Array<string>} skipKeys - Keys to skip
+	 * @returns {Map} - Map of descriptors, keyed by property key
+	 */
+	function getMethods(obj, isStatic, skipKeys) {
+		const descriptors = getOwnPropertyDescriptors(obj),
+			methods = new Map();
+		for (const key of ownKeys(descriptors)) {
+			if (skipKeys.includes(key)) continue;
+			const descriptor = descriptors[key];
+			methods.set(key, descriptor);
+			for (const kind of ['value', 'get', 'set']) {
+				const method = descriptor[kind];
+				if (method) privateClassMethods.set(method, {details, isStatic, key, kind});
+			}
+		}
+		return methods;
+	}
+}
@@ -12,11 +12,12 @@ const Module = require('module');
 const {isPrimitive} = require('../shared/functions.js'),
 	{GLOBAL, MODULE, VALUE, GETTER, SETTER, PROTO, SPECIAL} = require('../shared/constants.js'),
 	{URLSymbols, URLContext} = require('../shared/globals.js'),
-	getCallSite = require('../runtime/getCallSite.js');
+	getCallSite = require('../runtime/getCallSite.js'),
+	{PromiseOriginal} = require('./promises.js');
 
 // Exports
 
-module.exports = {populateGlobals, catalogBuiltInModule};
+module.exports = {populateGlobals, catalogBuiltInModule, catalogExternalModules};
 
 const {getPrototypeOf} = Object,
 	CallSite = getCallSite();
@@ -91,6 +92,12 @@ function catalogGlobals(globals) {
 		addToQueue(global[key], GLOBAL, null, key, false, queue);
 	}
 
+	// `Promise` is shimmed with a subclass (see `./promises.js`).
+	// Catalog original `Promise` as `Promise` too, so its prototype's methods (which are inherited
+	// by the shim) are output as e.g. `Promise.prototype.then`, rather than accessed via prototype chain.
+	// Added after shim so shim's static methods are cataloged as properties of the shim.
+	if (Promise !== PromiseOriginal) addToQueue(PromiseOriginal, GLOBAL, null, 'Promise', false, queue);
+
 	process.emitWarning = emitWarning;
 
 	addToQueue(process, GLOBAL, null, 'process', false, queue);
@@ -109,6 +116,25 @@ function catalogBuiltInModule(name, exports, globals) {
 	processOne(exports, MODULE, null, name, false, globals);
 }
 
+/**
+ * Catalog modules of external packages e.g. `require('lodash')`, `require('lodash/upperFirst')`.
+ * All modules are cataloged together, so shortest route to any value is found.
+ * Getters are not shimmed or preloaded, to avoid side effects in package code.
+ * Values which are globals are not cataloged, as `globals` takes priority over `externals`.
+ *
+ * @param {Array<Object>} modules - Array of modules, of form `{specifier, exports}`
+ * @param {Map} externals - Map to add entries to
+ * @param {Map} globals - Map of globals
+ * @returns {undefined}
+ */
+function catalogExternalModules(modules, externals, globals) {
+	const queue = new Map();
+	for (const {specifier, exports} of modules) {
+		addToQueue(exports, MODULE, null, specifier, true, queue);
+	}
+	processQueue(queue, externals, globals);
+}
+
 /**
  * Catalog a few special objects which are not accessible via Node's API
  * but can be accessed and used in code.
@@ -156,9 +182,10 @@ function catalogSpecials(globals) {
  *
  * @param {Map} queue - Queue of values to process
  * @param {Map} globals - Map of globals
+ * @param {Map} [excludes] - Map of values to skip
  * @returns {undefined}
  */
-function processQueue(queue, globals) {
+function processQueue(queue, globals, excludes) {
 	while (true) { // eslint-disable-line no-constant-condition
 		const nextPriorityQueue = new Map();
 
@@ -166,7 +193,7 @@ function processQueue(queue, globals) {
 			const nextLevelQueue = new Map();
 
 			for (const [val, props] of queue.entries()) {
-				catalogValue(val, props, nextLevelQueue, nextPriorityQueue, globals);
+				catalogValue(val, props, nextLevelQueue, nextPriorityQueue, globals, excludes);
 			}
 
 			if (nextLevelQueue.size === 0) break;
@@ -199,11 +226,13 @@ function processOne(val, type, parent, key, noPreload, globals) {
  * @param {Map} nextLevelQueue - Queue for values on next level down i.e. `a` -> `a.b`
  * @param {Map} nextPriorityQueue - Queue for values which are accessed via `__proto__` or getter/setters
  * @param {Map} globals - Map of globals
+ * @param {Map} [excludes] - Map of values to skip
  * @returns {undefined}
  */
-function catalogValue(val, props, nextLevelQueue, nextPriorityQueue, globals) {
+function catalogValue(val, props, nextLevelQueue, nextPriorityQueue, globals, excludes) {
 	if (isPrimitive(val)) return;
 	if (globals.has(val)) return;
+	if (excludes && excludes.has(val)) return;
 	if (val instanceof Module) return; // To prevent `Module._cache` being cataloged
 
 	// Save to globals, discarding the `noPreload` property
@@ -2,7 +2,8 @@
  * livepack module
  * Init.
  * Catalog globals + built-in modules.
- * Shim `Function.prototype.bind`, `WeakMap`, `WeakSet`, `Symbol`.
+ * Shim `Function.prototype.bind`, `WeakMap`, `WeakSet`, `FinalizationRegistry`, `Proxy`, `Symbol`.
+ * Capture settlement of Promises.
  * ------------------*/
 
 'use strict';
@@ -25,16 +26,18 @@ const {globals, functions: specialFunctions} = internal;
  * Additional methods which are universal are attached to `livepack_getScopeId`.
  *
  * @param {string} filename - File path
- * @param {Function} require - `require` function from file
+ * @param {Function} [require] - `require` function from file (`undefined` if native ES module)
  * @param {number} nextBlockId - Next block ID
  * @param {number} prefixNum - Internal vars prefix num
  * @returns {Array<Function>} - Array containing tracker and `getScopeId` functions
  */
 module.exports = (filename, require, nextBlockId, prefixNum) => {
-	// Record `require`
-	specialFunctions.set(require, {type: 'require', path: filename});
-	specialFunctions.set(require.resolve, {type: 'require', path: filename});
-	specialFunctions.set(require.resolve.paths, {type: 'require', path: filename});
+	// Record `require` (native ES modules have no `require`)
+	if (require) {
+		specialFunctions.set(require, {type: 'require', path: filename});
+		specialFunctions.set(require.resolve, {type: 'require', path: filename});
+		specialFunctions.set(require.resolve.paths, {type: 'require', path: filename});
+	}
 
 	// Create local tracker function with additional properties and methods specific to the file
 	const blockIdCounter = {nextBlockId};
@@ -47,8 +50,10 @@ module.exports = (filename, require, nextBlockId, prefixNum) => {
 // Imports
 // These imports are after export to avoid circular requires in Jest tests
 const captureFunctions = require('./functions.js'),
-	{shimWeakSet, shimWeakMap} = require('./weak.js'),
-	{populateGlobals} = require('./globals.js'),
+	{shimWeakSet, shimWeakMap, shimFinalizationRegistry} = require('./weak.js'),
+	{shimPromise} = require('./promises.js'),
+	shimProxy = require('./proxies.js'),
+	{populateGlobals, catalogExternalModules} = require('./globals.js'),
 	patchModule = require('./module.js');
 
 // Init internal vars
@@ -56,4 +61,8 @@ captureFunctions(specialFunctions);
 patchModule();
 internal.getWeakSetEntries = shimWeakSet();
 internal.getWeakMapEntries = shimWeakMap();
+internal.getFinalizationRegistryDetails = shimFinalizationRegistry();
+internal.getPromiseState = shimPromise();
+internal.getProxyDetails = shimProxy(specialFunctions);
 populateGlobals(globals);
+internal.catalogExternalModules = catalogExternalModules;
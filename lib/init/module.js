@@ -11,7 +11,8 @@ const Module = require('module');
 // Imports
 const {catalogBuiltInModule} = require('./globals.js'),
 	{usingInternalModuleCache} = require('../shared/moduleCache.js'),
-	{globals, functions: specialFunctions} = require('../shared/internal.js'),
+	{isBareSpecifier} = require('../shared/functions.js'),
+	{globals, functions: specialFunctions, packageModules} = require('../shared/internal.js'),
 	{COMMON_JS_MODULE} = require('../shared/constants.js');
 
 // Exports
@@ -19,6 +20,8 @@ const {catalogBuiltInModule} = require('./globals.js'),
 // `require('module')` has already been catalogued
 const builtinModulesUncataloged = new Set(Module.builtinModules.filter(name => name !== 'module'));
 
+let requireOriginal;
+
 module.exports = function patchModule() {
 	// Patch `createRequire` to wrap `require` functions
 	// same as `require` functions created by CommonJS loader
@@ -28,12 +31,13 @@ module.exports = function patchModule() {
 		return createWrappedRequire(require, filename);
 	};
 
-	// Patch `Module.prototype.require` to catalog NodeJS built-in modules when `require()`-ed
-	// in user code
-	const requireOriginal = Module.prototype.require;
+	// Patch `Module.prototype.require` to catalog NodeJS built-in modules and record packages
+	// when `require()`-ed in user code
+	requireOriginal = Module.prototype.require;
 	Module.prototype.require = function(id) {
 		const exports = requireOriginal.call(this, id);
 		catalogIfBuiltInModule(id, exports);
+		recordIfPackageModule(id, exports, () => Module._resolveFilename(id, this));
 		return exports;
 	};
 	Module.prototype.require.main = requireOriginal.main;
@@ -60,6 +64,7 @@ function createWrappedRequire(require, filename) {
 	const wrappedRequire = function(path) {
 		const exports = require(path); // eslint-disable-line import/no-dynamic-require
 		catalogIfBuiltInModule(path, exports);
+		recordIfPackageModule(path, exports, () => require.resolve(path));
 		return exports;
 	};
 	Object.defineProperties(wrappedRequire, Object.getOwnPropertyDescriptors(require));
@@ -86,6 +91,10 @@ function catalogIfBuiltInModule(path, exports) {
 	if (path.slice(0, 5) === 'node:') path = path.slice(5);
 	if (!builtinModulesUncataloged.has(path)) return;
 
+	// Don't catalog if `require()` did not load the built-in module
+	// (e.g. module mapped to `false` in `browser` field of `package.json` with `target: 'browser'`)
+	if (exports !== requireOriginal.call(module, path)) return;
+
 	builtinModulesUncataloged.delete(path);
 
 	if (path === 'util') patchUtilModule(exports);
@@ -93,6 +102,27 @@ function catalogIfBuiltInModule(path, exports) {
 	catalogBuiltInModule(path, exports, globals);
 }
 
+/**
+ * If module is from a package (i.e. `require()`-ed with a bare specifier e.g. 'lodash/upperFirst'),
+ * record its exports, so it can be cataloged if package is specified in `externals` option.
+ * Modules are recorded by resolved file path, as same specifier can resolve to different files
+ * depending on where it's `require()`-ed from (e.g. nested `node_modules` with different versions
+ * of a package).
+ * @param {string} path - Path `require()` called with
+ * @param {Object} exports - Result of calling `require()`
+ * @param {Function} resolve - Function to resolve `path` to file path
+ * @returns {undefined}
+ */
+function recordIfPackageModule(path, exports, resolve) {
+	// Don't record if module loaded within Livepack's internals
+	if (usingInternalModuleCache()) return;
+
+	if (!isBareSpecifier(path) || Module.builtinModules.includes(path)) return;
+
+	const filename = resolve();
+	if (!packageModules.has(filename)) packageModules.set(filename, {specifier: path, exports});
+}
+
 /**
  * Patch `util.promisify` and `util.debuglog` functions to record functions they return.
  * @param {Object} util - `util` module `exports` object
@@ -0,0 +1,162 @@
+/* --------------------
+ * livepack module
+ * Shim `Promise` to capture settlement state
+ * ------------------*/
+
+'use strict';
+
+// Exports
+
+const PromiseOriginal = Promise,
+	{queueMicrotask} = globalThis;
+
+module.exports = {shimPromise, PromiseOriginal};
+
+/**
+ * Shim `Promise` with subclass which records settlement state of Promises,
+ * so resolved value / rejection reason can be serialized.
+ *
+ * The `resolve` and `reject` functions passed to executor are wrapped, and record settlement state
+ * synchronously when they're called. If resolved with a thenable (e.g. another Promise), it's
+ * followed by calling its `.then()` method in a microtask, as the native `resolve` function does,
+ * but with wrapped `resolve` and `reject` functions, so eventual settlement state is recorded too.
+ *
+ * `Promise.resolve()`, `Promise.all()` etc, and `.then()`, `.catch()` and `.finally()` all construct
+ * Promises via the shim (as it's the species constructor), so are captured too.
+ * No handlers are attached to Promises, so unhandled rejection behavior is unaltered.
+ *
+ * Promises created by the original `Promise` constructor (e.g. those returned by async functions,
+ * or by NodeJS internals) are not captured.
+ *
+ * @returns {Function} - Function which returns settlement state of a Promise
+ */
+function shimPromise() {
+	let getPromiseState;
+
+	Promise = class Promise extends PromiseOriginal { // eslint-disable-line no-global-assign
+		// Object of form `{promise, state}`.
+		// `state` is `null` if pending, or object of form `{isRejected, value}` if settled.
+		#settlement;
+
+		constructor(executor) {
+			// Leave native to throw error
+			if (typeof executor !== 'function') {
+				super(executor);
+				return;
+			}
+
+			// `promise` is not available until executor has run, so state is held in `settlement`
+			const settlement = {promise: undefined, state: null};
+			super((resolveOriginal, rejectOriginal) => {
+				const [resolve, reject] = createResolvingFunctions(settlement, resolveOriginal, rejectOriginal);
+				try {
+					executor(resolve, reject);
+				} catch (err) {
+					reject(err);
+				}
+			});
+
+			settlement.promise = this;
+			this.#settlement = settlement;
+		}
+
+		// Promises created by original `Promise` (e.g. by async functions) are instances of `Promise` too
+		static [Symbol.hasInstance](value) {
+			return this === Promise
+				? value instanceof PromiseOriginal
+				: Function.prototype[Symbol.hasInstance].call(this, value);
+		}
+
+		static {
+			getPromiseState = promise => (#settlement in promise ? promise.#settlement.state : undefined);
+		}
+	};
+
+	// Copy static methods + `Symbol.species` getter to shim, so they're own properties,
+	// as they are on native `Promise`
+	for (const key of Reflect.ownKeys(PromiseOriginal)) {
+		if (!Object.hasOwn(Promise, key)) {
+			Object.defineProperty(Promise, key, Object.getOwnPropertyDescriptor(PromiseOriginal, key));
+		}
+	}
+
+	/**
+	 * Get settlement state of Promise.
+	 * @param {Promise} promise - Promise
+	 * @returns {Object|null|undefined} - Object of form `{isRejected, value}` if settled,
+	 *   `null` if pending, or `undefined` if not created via shim so state is unknown
+	 */
+	return getPromiseState;
+}
+
+/**
+ * Create `resolve` and `reject` functions which record settlement state, and then call
+ * native `resolve` / `reject` functions.
+ * @param {Object} settlement - Settlement object of form `{promise, state}`
+ * @param {Function} resolveOriginal - Native `resolve` function
+ * @param {Function} rejectOriginal - Native `reject` function
+ * @returns {Array<Function>} - Array of `resolve` and `reject` functions
+ */
+function createResolvingFunctions(settlement, resolveOriginal, rejectOriginal) {
+	let isResolved = false;
+
+	const reject = (reason) => {
+		if (isResolved) return;
+		isResolved = true;
+		rejectPromise(settlement, reason, rejectOriginal);
+	};
+
+	const resolve = (value) => {
+		if (isResolved) return;
+		isResolved = true;
+
+		if (value === settlement.promise) {
+			rejectPromise(
+				settlement, new TypeError('Chaining cycle detected for promise #<Promise>'), rejectOriginal
+			);
+			return;
+		}
+
+		if (value !== null && (typeof value === 'object' || typeof value === 'function')) {
+			let then;
+			try {
+				then = value.then;
+			} catch (err) {
+				rejectPromise(settlement, err, rejectOriginal);
+				return;
+			}
+
+			if (typeof then === 'function') {
+				// Follow thenable. Promise remains pending until thenable settles.
+				queueMicrotask(() => {
+					const [resolveInner, rejectInner] = createResolvingFunctions(
+						settlement, resolveOriginal, rejectOriginal
+					);
+					try {
+						then.call(value, resolveInner, rejectInner);
+					} catch (err) {
+						rejectInner(err);
+					}
+				});
+				return;
+			}
+		}
+
+		settlement.state = {isRejected: false, value};
+		resolveOriginal(value);
+	};
+
+	return [resolve, reject];
+}
+
+/**
+ * Reject Promise and record settlement state.
+ * @param {Object} settlement - Settlement object of form `{promise, state}`
+ * @param {*} reason - Rejection reason
+ * @param {Function} rejectOriginal - Native `reject` function
+ * @returns {undefined}
+ */
+function rejectPromise(settlement, reason, rejectOriginal) {
+	settlement.state = {isRejected: true, value: reason};
+	rejectOriginal(reason);
+}
@@ -0,0 +1,97 @@
+/* --------------------
+ * livepack module
+ * Shim `Proxy` to capture targets and handlers
+ * ------------------*/
+
+'use strict';
+
+// Exports
+
+/**
+ * Shim `Proxy` and `Proxy.revocable()` to record target and handler of all Proxies created.
+ *
+ * `Proxy` is replaced with a Proxy wrapping the original, with a `construct` trap.
+ * This retains all other behavior of the original e.g. throwing if called without `new`,
+ * having no `prototype` property.
+ *
+ * Details of each Proxy are stored in a WeakMap, so they do not prevent Proxies being garbage collected.
+ * When a revocable Proxy is revoked, references to its target and handler are released.
+ *
+ * Revoke functions returned by `Proxy.revocable()` are recorded as special functions,
+ * so they can be serialized.
+ *
+ * @param {Object} functions - Special functions map
+ * @returns {Function} - Function which returns details of a Proxy
+ */
+module.exports = function shimProxy(functions) {
+	const ProxyOriginal = Proxy,
+		revocableOriginal = Proxy.revocable,
+		proxies = new WeakMap();
+
+	// eslint-disable-next-line no-global-assign
+	Proxy = new ProxyOriginal(ProxyOriginal, {
+		construct(target, args, newTarget) {
+			const proxy = Reflect.construct(target, args, newTarget);
+			proxies.set(proxy, createDetails(args[0], args[1]));
+			return proxy;
+		}
+	});
+
+	const {revocable} = { // Use object method to prevent `.revocable()` having prototype, like native
+		revocable(target, handler) {
+			const res = revocableOriginal.call(ProxyOriginal, target, handler),
+				revokeOriginal = res.revoke,
+				details = createDetails(target, handler);
+
+			const revoke = () => {
+				if (!details.isRevoked) {
+					details.isRevoked = true;
+					details.target = undefined;
+					details.handler = undefined;
+				}
+				revokeOriginal();
+			};
+			Object.defineProperty(revoke, 'name', {value: ''}); // Native revoke functions are anonymous
+
+			details.revoke = revoke;
+			proxies.set(res.proxy, details);
+			functions.set(revoke, {type: 'revokeProxy', details});
+
+			res.revoke = revoke;
+			return res;
+		}
+	};
+
+	Object.defineProperty(ProxyOriginal, 'revocable', {
+		value: revocable,
+		writable: true,
+		enumerable: false,
+		configurable: true
+	});
+
+	/**
+	 * Get details of Proxy.
+	 * @param {*} val - Value
+	 * @returns {Object|undefined} - Proxy details object if `val` is a Proxy, otherwise `undefined`
+	 */
+	return function getProxyDetails(val) {
+		return proxies.get(val);
+	};
+};
+
+/**
+ * Create Proxy details object.
+ * `revoke` is added later for revocable Proxies.
+ * @param {Object|Function} target - Proxy target
+ * @param {Object} handler - Proxy handler
+ * @returns {Object} - Proxy details object
+ */
+function createDetails(target, handler) {
+	return {
+		target,
+		handler,
+		isFunction: typeof target === 'function',
+		revoke: undefined,
+		isRevoked: false
+	};
+}
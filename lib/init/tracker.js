@@ -11,7 +11,8 @@ module.exports = createTracker;
 
 // Imports
 const addEvalFunctionsToTracker = require('./eval.js'),
-	{tracker} = require('../shared/tracker.js');
+	{tracker} = require('../shared/tracker.js'),
+	{runtimeGlobals} = require('../shared/internal.js');
 
 // Exports
 
@@ -25,5 +26,21 @@ const addEvalFunctionsToTracker = require('./eval.js'),
 function createTracker(filename, blockIdCounter, prefixNum) {
 	const localTracker = (getFnInfo, getScopes) => tracker(getFnInfo, getScopes);
 	addEvalFunctionsToTracker(localTracker, filename, blockIdCounter, prefixNum);
+	localTracker.typeofGlobal = typeofGlobal;
 	return localTracker;
 }
+
+/**
+ * Get result of `typeof x` where `x` is a global var, if `x` is a runtime global.
+ * Instrumentation replaces `typeof x` with `livepack_tracker.typeofGlobal('x') ?? typeof x`,
+ * so `typeof` does not trigger runtime global's getter, which throws.
+ * @param {string} name - Global var name
+ * @returns {string|undefined} - 'undefined' if is runtime global, otherwise `undefined`
+ */
+function typeofGlobal(name) {
+	const descriptor = runtimeGlobals.get(name);
+	if (descriptor && Object.getOwnPropertyDescriptor(globalThis, name)?.get === descriptor.get) {
+		return 'undefined';
+	}
+	return undefined;
+}
@@ -1,6 +1,6 @@
 /* --------------------
  * livepack module
- * Shim `WeakMap` + `WeakSet` to capture entries
+ * Shim `WeakMap`, `WeakSet` + `FinalizationRegistry` to capture entries
  * ------------------*/
 
 /* global WeakRef, FinalizationRegistry */
@@ -9,9 +9,11 @@
 
 // Exports
 
-module.exports = {shimWeakSet, shimWeakMap};
+module.exports = {shimWeakSet, shimWeakMap, shimFinalizationRegistry};
 
-const WeakMapOriginal = WeakMap;
+const WeakMapOriginal = WeakMap,
+	WeakRefOriginal = WeakRef,
+	FinalizationRegistryOriginal = FinalizationRegistry;
 
 /**
  * Shim `WeakSet` with implementation which allow getting entries for serializing.
@@ -30,7 +32,7 @@ function shimWeakSet() {
 		// Mapping from entries to `WeakRef`s to those entries
 		#mapping = new WeakMapOriginal();
 		// FinalizationRegistry to delete `WeakRef`s from `#refs` when entries are garbage collected
-		#finalizationRegistry = new FinalizationRegistry(ref => this.#refs.delete(ref));
+		#finalizationRegistry = new FinalizationRegistryOriginal(ref => this.#refs.delete(ref));
 
 		constructor(iterable = undefined) { // `= undefined` so `WeakSet.length === 0`
 			if (iterable != null) {
@@ -57,7 +59,7 @@ function shimWeakSet() {
 
 		add(element) {
 			if (!this.#mapping.has(element)) {
-				const ref = new WeakRef(element);
+				const ref = new WeakRefOriginal(element);
 				this.#mapping.set(element, ref);
 				this.#refs.add(ref);
 				this.#finalizationRegistry.register(element, ref, ref);
@@ -102,7 +104,7 @@ function shimWeakMap() {
 		// Mapping from keys to objects containing `WeakRef` to key, and value
 		#mapping = new WeakMapOriginal();
 		// FinalizationRegistry to delete `WeakRef`s from `#refs` when entries are garbage collected
-		#finalizationRegistry = new FinalizationRegistry(ref => this.#refs.delete(ref));
+		#finalizationRegistry = new FinalizationRegistryOriginal(ref => this.#refs.delete(ref));
 
 		constructor(iterable = undefined) { // `= undefined` so `WeakMap.length === 0`
 			if (iterable != null) {
@@ -132,7 +134,7 @@ function shimWeakMap() {
 		set(key, value) {
 			const entry = this.#mapping.get(key);
 			if (!entry) {
-				const ref = new WeakRef(key);
+				const ref = new WeakRefOriginal(key);
 				this.#mapping.set(key, {ref, value});
 				this.#refs.add(ref);
 				this.#finalizationRegistry.register(key, ref, ref);
@@ -165,3 +167,116 @@ function shimWeakMap() {
 
 	return getWeakMapEntries;
 }
+
+/**
+ * Shim `FinalizationRegistry` with implementation which allow getting cleanup callback and entries
+ * for serializing.
+ * Uses `WeakRef` to avoid holding strong references to targets and unregister tokens,
+ * and allows them to be garbage collected.
+ * Registration, unregistration and calling cleanup callback are delegated to a native
+ * `FinalizationRegistry`, so behavior is same as native.
+ *
+ * @returns {Function} - Function which returns cleanup callback and entries of a `FinalizationRegistry`
+ */
+function shimFinalizationRegistry() {
+	let getFinalizationRegistryDetails;
+
+	FinalizationRegistry = class FinalizationRegistry { // eslint-disable-line no-global-assign
+		// Cleanup callback
+		#callback;
+		// Set of entries. Each entry is object of form `{targetRef, heldValue, tokenRef}`.
+		#entries = new Set();
+		// Mapping from unregister tokens to Sets of entries registered with that token
+		#tokens = new WeakMapOriginal();
+		// Native FinalizationRegistry which all calls are delegated to
+		#registry;
+
+		constructor(cleanupCallback) {
+			if (typeof cleanupCallback !== 'function') {
+				throw new TypeError('FinalizationRegistry: cleanup must be callable');
+			}
+
+			this.#registry = new FinalizationRegistryOriginal((entry) => {
+				this.#deleteEntry(entry);
+				cleanupCallback(entry.heldValue);
+			});
+			this.#callback = cleanupCallback;
+		}
+
+		register(target, heldValue, unregisterToken = undefined) { // `= undefined` so `.length === 2`
+			// Native `.register()` cannot perform this check, as it receives entry object as held value
+			if (target === heldValue) {
+				throw new TypeError('FinalizationRegistry.prototype.register: target and holdings must not be same');
+			}
+
+			const entry = {
+				targetRef: null,
+				heldValue,
+				tokenRef: unregisterToken === undefined ? null : new WeakRefOriginal(unregisterToken)
+			};
+			// Native `.register()` validates arguments and throws if invalid
+			this.#registry.register(target, entry, unregisterToken);
+			entry.targetRef = new WeakRefOriginal(target);
+
+			this.#entries.add(entry);
+			if (unregisterToken !== undefined) {
+				const tokenEntries = this.#tokens.get(unregisterToken);
+				if (tokenEntries) {
+					tokenEntries.add(entry);
+				} else {
+					this.#tokens.set(unregisterToken, new Set([entry]));
+				}
+			}
+		}
+
+		unregister(unregisterToken) {
+			// Native `.unregister()` validates token and throws if invalid
+			const isRemoved = this.#registry.unregister(unregisterToken);
+
+			const tokenEntries = this.#tokens.get(unregisterToken);
+			if (tokenEntries) {
+				for (const entry of tokenEntries) {
+					this.#entries.delete(entry);
+				}
+				this.#tokens.delete(unregisterToken);
+			}
+
+			return isRemoved;
+		}
+
+		#deleteEntry(entry) {
+			this.#entries.delete(entry);
+
+			const token = entry.tokenRef?.deref();
+			if (token !== undefined) {
+				const tokenEntries = this.#tokens.get(token);
+				if (tokenEntries) {
+					tokenEntries.delete(entry);
+					if (tokenEntries.size === 0) this.#tokens.delete(token);
+				}
+			}
+		}
+
+		static {
+			getFinalizationRegistryDetails = (registry) => {
+				const entries = [];
+				for (const {targetRef, heldValue, tokenRef} of registry.#entries) {
+					const target = targetRef.deref();
+					if (target === undefined) continue;
+					const token = tokenRef ? tokenRef.deref() : undefined;
+					// If token has been garbage collected, entry can no longer be unregistered
+					entries.push({target, heldValue, token});
+				}
+				return {callback: registry.#callback, entries};
+			};
+		}
+	};
+
+	// eslint-disable-next-line no-extend-native
+	Object.defineProperty(
+		FinalizationRegistry.prototype, Symbol.toStringTag,
+		{value: 'FinalizationRegistry', configurable: true}
+	);
+
+	return getFinalizationRegistryDetails;
+}
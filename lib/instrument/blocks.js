@@ -137,6 +137,7 @@ function createBindingWithoutNameCheck(block, varName, props) {
 		isVar: !!props.isVar,
 		isFrozenName: !!props.isFrozenName,
 		argNames: props.argNames,
+		pathType: undefined, // Set if const initialized with `__filename` / `__dirname` / `import.meta.url`
 		trails: [] // Trails of usages within same function as binding, where var not frozen
 	};
 	block.bindings.set(varName, binding);
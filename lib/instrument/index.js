@@ -23,6 +23,7 @@ module.exports = {parse, instrumentCode, instrumentAst};
  * @param {string} [options.filename] - File path - compulsory unless `sourceMaps` option is `false`
  * @param {string} [options.sourceType] - 'module', 'commonjs', 'script' ('script' is default)
  * @param {boolean} [options.jsx] - `true` if source contains JSX syntax
+ * @param {boolean} [options.ts] - `true` if source is TypeScript
  * @param {boolean} [options.isStrict] - `true` if strict mode (default `sourceType === 'module'`)
  * @param {boolean} [options.sourceMaps] - `false` to not create source maps (default `true`)
  * @param {Object} [options.inputSourceMap] - Input source map
@@ -34,12 +35,13 @@ module.exports = {parse, instrumentCode, instrumentAst};
 function parse(code, options) {
 	assert(isString(code), 'code must be a string');
 	const {
-		filename, isEsm, isCommonJs, isJsx, isStrict, sourceMaps, inputSourceMap
+		filename, isEsm, isCommonJs, isJsx, isTs, isStrict, sourceMaps, inputSourceMap
 	} = conformParseOptions(options, false);
 	assert(!sourceMaps || filename, 'options.filename must be provided when source maps enabled');
 
 	return parseImpl(
-		code, filename, isEsm, isCommonJs, isCommonJs, false, isJsx, isStrict, sourceMaps, inputSourceMap
+		code, filename, isEsm, isCommonJs, isCommonJs, false, isJsx, isTs, isStrict, sourceMaps,
+		inputSourceMap
 	);
 }
 
@@ -50,6 +52,7 @@ function parse(code, options) {
  * @param {string} options.filename - File path
  * @param {string} [options.sourceType] - 'module', 'commonjs', 'script' ('script' is default)
  * @param {boolean} [options.jsx] - `true` if source contains JSX syntax
+ * @param {boolean} [options.ts] - `true` if source is TypeScript
  * @param {boolean} [options.isStrict] - `true` if strict mode (default `sourceType === 'module'`)
  * @param {boolean} [options.sourceMaps] - `false` to not create source maps (default `true`)
  * @param {Object} [options.inputSourceMap] - Input source map
@@ -61,11 +64,11 @@ function parse(code, options) {
 function instrumentCode(code, options) {
 	assert(isString(code), 'code must be a string');
 	const {
-		filename, isEsm, isCommonJs, isJsx, isStrict, sourceMaps, inputSourceMap
+		filename, isEsm, isCommonJs, isJsx, isTs, isStrict, sourceMaps, inputSourceMap
 	} = conformParseOptions(options, true);
 
 	return instrumentCodeImpl(
-		code, filename, isEsm, isCommonJs, isJsx, isStrict, sourceMaps, inputSourceMap, true
+		code, filename, isEsm, isCommonJs, isJsx, isTs, isStrict, sourceMaps, inputSourceMap, true
 	);
 }
 
@@ -76,6 +79,7 @@ function instrumentCode(code, options) {
  * @param {string} options.filename - File path
  * @param {string} [options.sourceType] - 'module', 'commonjs', 'script' ('script' is default)
  * @param {boolean} [options.jsx] - `true` if source contains JSX syntax
+ * @param {boolean} [options.ts] - `true` if source is TypeScript
  * @param {boolean} [options.isStrict] - `true` if strict mode (default `sourceType === 'module'`)
  * @param {boolean} [options.sources] - Sources object mapping file path to file content
  * @returns {Object} - Transformed AST
@@ -86,6 +90,7 @@ function instrumentAst(ast, options) {
 	const filename = conformFilename(options, true),
 		{isEsm, isCommonJs} = conformSourceType(options),
 		isJsx = conformBool(options, 'jsx', false),
+		isTs = conformBool(options, 'ts', false),
 		isStrict = conformBool(options, 'isStrict', isEsm);
 	let {sources} = options;
 	if (sources == null) {
@@ -94,7 +99,7 @@ function instrumentAst(ast, options) {
 		assert(isObject(sources), 'options.sources must be an object if provided');
 	}
 
-	return instrumentAstImpl(ast, filename, isEsm, isCommonJs, isJsx, isStrict, sources);
+	return instrumentAstImpl(ast, filename, isEsm, isCommonJs, isJsx, isTs, isStrict, sources);
 }
 
 /**
@@ -106,6 +111,7 @@ function instrumentAst(ast, options) {
  *   {boolean} .isEsm
  *   {boolean} .isCommonJs
  *   {boolean} .isJsx
+ *   {boolean} .isTs
  *   {boolean} .isStrict
  *   {boolean} .sourceMaps
  *   {Object|undefined} .inputSourceMap
@@ -115,10 +121,11 @@ function conformParseOptions(options, isFilenameRequired) {
 	const filename = conformFilename(options, isFilenameRequired),
 		{isEsm, isCommonJs} = conformSourceType(options),
 		isJsx = conformBool(options, 'jsx', false),
+		isTs = conformBool(options, 'ts', false),
 		isStrict = conformBool(options, 'isStrict', isEsm),
 		sourceMaps = conformBool(options, 'sourceMaps', true),
 		inputSourceMap = conformInputSourceMap(options, sourceMaps);
-	return {filename, isStrict, isEsm, isCommonJs, isJsx, sourceMaps, inputSourceMap};
+	return {filename, isStrict, isEsm, isCommonJs, isJsx, isTs, sourceMaps, inputSourceMap};
 }
 
 /**
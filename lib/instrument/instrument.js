@@ -22,7 +22,8 @@ module.exports = {
 };
 
 let babelTransformFromAstSync, babelLoadOptions,
-	babelPluginModulesToCommonJs, babelPluginTransformJsx, babelPluginDynamicImportToRequire;
+	babelPluginModulesToCommonJs, babelPluginTransformJsx, babelPluginDynamicImportToRequire,
+	babelPluginTransformTypeScript;
 const babelOptionsCache = {};
 
 /**
@@ -36,6 +37,7 @@ const babelOptionsCache = {};
  * @param {boolean} allowSuper - `true` if `super` can be used outside a function
  *   (direct `eval()` within a method)
  * @param {boolean} isJsx - `true` if source contains JSX syntax
+ * @param {boolean} isTs - `true` if source is TypeScript
  * @param {boolean} isStrict - `true` if strict mode
  * @param {boolean} sourceMaps - `true` if source maps enabled
  * @param {Object} [inputSourceMap] - Source map object (optional)
@@ -46,7 +48,7 @@ const babelOptionsCache = {};
  * @throws {Error} - If parsing error
  */
 function parseImpl(
-	code, filename, isEsm, isCommonJs, allowNewTarget, allowSuper, isJsx, isStrict,
+	code, filename, isEsm, isCommonJs, allowNewTarget, allowSuper, isJsx, isTs, isStrict,
 	sourceMaps, inputSourceMap
 ) {
 	// Parse code to AST
@@ -56,7 +58,7 @@ function parseImpl(
 		allowReturnOutsideFunction: isCommonJs,
 		allowNewTargetOutsideFunction: allowNewTarget,
 		allowSuperOutsideMethod: allowSuper,
-		plugins: ['v8intrinsic', ...(isJsx ? ['jsx'] : [])]
+		plugins: ['v8intrinsic', ...(isJsx ? ['jsx'] : []), ...(isTs ? ['typescript'] : [])]
 	});
 
 	// Parse source map comment if present, and remove source map comments from AST.
@@ -87,25 +89,33 @@ function parseImpl(
  * @param {boolean} isEsm - `true` if is ES Module
  * @param {boolean} isCommonJs - `true` if is CommonJS
  * @param {boolean} isJsx - `true` if source contains JSX syntax
+ * @param {boolean} isTs - `true` if source is TypeScript
  * @param {boolean} isStrict - `true` if strict mode
  * @param {boolean} sourceMaps - `true` if source maps enabled
  * @param {Object} [inputSourceMap] - Source map object (optional)
  * @param {boolean} retainLines - `true` to retain original line numbers
+ * @param {boolean} [isNativeEsm=false] - `true` to leave ESM `import` / `export` statements in place,
+ *   rather than transforming ESM to CommonJS (for loading as native ES module)
+ * @param {Array<string>} [runtimeGlobals] - Names of runtime globals (see `runtimeGlobals` option)
  * @returns {Object} - Object with properties:
  *   {string} .code - Transformed code
  *   {Object|null} .map - Source map object (if `sourceMaps` option set)
  *   {Array<Object>|undefined} .rawMappings - Source map raw mappings array (if `sourceMaps` option set)
  */
 function instrumentCodeImpl(
-	code, filename, isEsm, isCommonJs, isJsx, isStrict, sourceMaps, inputSourceMap, retainLines
+	code, filename, isEsm, isCommonJs, isJsx, isTs, isStrict, sourceMaps, inputSourceMap, retainLines,
+	isNativeEsm, runtimeGlobals
 ) {
 	// Parse code to AST
 	let {ast, sources} = parseImpl( // eslint-disable-line prefer-const
-		code, filename, isEsm, isCommonJs, isCommonJs, false, isJsx, isStrict, sourceMaps, inputSourceMap
+		code, filename, isEsm, isCommonJs, isCommonJs, false, isJsx, isTs, isStrict, sourceMaps,
+		inputSourceMap
 	);
 
 	// Instrument AST
-	ast = instrumentAstImpl(ast, filename, isEsm, isCommonJs, isJsx, isStrict, sources);
+	ast = instrumentAstImpl(
+		ast, filename, isEsm, isCommonJs, isJsx, isTs, isStrict, sources, isNativeEsm, runtimeGlobals
+	);
 
 	// Generate output code
 	return generate(
@@ -122,16 +132,22 @@ function instrumentCodeImpl(
  * @param {boolean} isEsm - `true` if source contains ESM syntax
  * @param {boolean} isCommonJs - `true` if is CommonJS file
  * @param {boolean} isJsx - `true` if source contains JSX syntax
+ * @param {boolean} isTs - `true` if source is TypeScript
  * @param {boolean} isStrict - `true` if is strict mode code
  * @param {Object} [sources] - Sources object mapping file path to file content
+ * @param {boolean} [isNativeEsm=false] - `true` to leave ESM `import` / `export` statements in place
+ * @param {Array<string>} [runtimeGlobals] - Names of runtime globals (see `runtimeGlobals` option)
  * @returns {Object} - Transformed AST
  */
-function instrumentAstImpl(ast, filename, isEsm, isCommonJs, isJsx, isStrict, sources) {
-	// Transform ESM and JSX
-	if (isEsm || isJsx) ast = babelTransform(ast, isEsm, isJsx);
+function instrumentAstImpl(
+	ast, filename, isEsm, isCommonJs, isJsx, isTs, isStrict, sources, isNativeEsm, runtimeGlobals
+) {
+	// Transform ESM, JSX and TypeScript
+	const isEsmToCommonJs = isEsm && !isNativeEsm;
+	if (isEsmToCommonJs || isJsx || isTs) ast = babelTransform(ast, isEsmToCommonJs, isJsx, isTs);
 
 	// Add instrumentation to AST
-	modifyAst(ast, filename, isCommonJs, isStrict, sources);
+	modifyAst(ast, filename, !!isNativeEsm, isCommonJs, isStrict, sources, runtimeGlobals);
 
 	// Return AST
 	return ast;
@@ -139,13 +155,16 @@ function instrumentAstImpl(ast, filename, isEsm, isCommonJs, isJsx, isStrict, so
 
 /**
  * Transform AST with `@babel/plugin-transform-modules-commonjs` / `@babel/plugin-transform-react-jsx`
- * plugins if source is ESM/JSX.
+ * / `@babel/plugin-transform-typescript` plugins if source is ESM/JSX/TypeScript.
+ * TypeScript plugin removes type annotations and type-only imports,
+ * and converts `enum`s and `namespace`s to plain JS.
  * @param {Object} ast - AST
  * @param {boolean} isEsm - `true` if source contains ESM syntax
  * @param {boolean} isJsx - `true` if source contains JSX syntax
+ * @param {boolean} isTs - `true` if source is TypeScript
  * @returns {Object} - Transformed AST
  */
-function babelTransform(ast, isEsm, isJsx) {
+function babelTransform(ast, isEsm, isJsx, isTs) {
 	/* eslint-disable global-require */
 	if (!babelTransformFromAstSync) {
 		const babel = require('@babel/core');
@@ -153,10 +172,15 @@ function babelTransform(ast, isEsm, isJsx) {
 		babelLoadOptions = babel.loadOptions;
 	}
 
-	const optionsCacheKey = JSON.stringify({isEsm, isJsx});
+	const optionsCacheKey = JSON.stringify({isEsm, isJsx, isTs});
 	let options = babelOptionsCache[optionsCacheKey];
 	if (!options) {
 		const plugins = [];
+		if (isTs) {
+			// Must run before ESM transform, so imports only used as types are removed
+			babelPluginTransformTypeScript ||= require('@babel/plugin-transform-typescript').default;
+			plugins.push([babelPluginTransformTypeScript, {isTSX: isJsx, allowDeclareFields: true}]);
+		}
 		if (isEsm) {
 			if (!babelPluginModulesToCommonJs) {
 				babelPluginModulesToCommonJs = require('@babel/plugin-transform-modules-commonjs').default;
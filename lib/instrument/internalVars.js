@@ -11,13 +11,14 @@ const t = require('@babel/types');
 // Imports
 const {createBlockId} = require('./blocks.js'),
 	{
-		INTERNAL_VAR_NAMES_PREFIX, TRACKER_VAR_NAME_BODY, GET_SCOPE_ID_VAR_NAME_BODY,
+		INTERNAL_VAR_NAMES_PREFIX, TRACKER_VAR_NAME_BODY, GET_SCOPE_ID_VAR_NAME_BODY, INIT_VAR_NAME_BODY,
 		SCOPE_ID_VAR_NAME_BODY, TEMP_VAR_NAME_BODY, FN_INFO_VAR_NAME_BODY
 	} = require('../shared/constants.js');
 
 // Constants
 const TRACKER_VAR_NAME = `${INTERNAL_VAR_NAMES_PREFIX}_${TRACKER_VAR_NAME_BODY}`,
 	GET_SCOPE_ID_VAR_NAME = `${INTERNAL_VAR_NAMES_PREFIX}_${GET_SCOPE_ID_VAR_NAME_BODY}`,
+	INIT_VAR_NAME = `${INTERNAL_VAR_NAMES_PREFIX}_${INIT_VAR_NAME_BODY}`,
 	SCOPE_ID_VAR_NAME = `${INTERNAL_VAR_NAMES_PREFIX}_${SCOPE_ID_VAR_NAME_BODY}_`,
 	TEMP_VAR_NAME = `${INTERNAL_VAR_NAMES_PREFIX}_${TEMP_VAR_NAME_BODY}_`,
 	FN_INFO_VAR_NAME = `${INTERNAL_VAR_NAMES_PREFIX}_${FN_INFO_VAR_NAME_BODY}_`;
@@ -27,6 +28,7 @@ const TRACKER_VAR_NAME = `${INTERNAL_VAR_NAMES_PREFIX}_${TRACKER_VAR_NAME_BODY}`
 module.exports = {
 	createTrackerVarNode,
 	createGetScopeIdVarNode,
+	createInitVarNode,
 	createScopeIdVarNode,
 	createTempVarNode,
 	createFnInfoVarNode,
@@ -46,6 +48,10 @@ function createGetScopeIdVarNode(state) {
 	return createInternalVarNode(GET_SCOPE_ID_VAR_NAME, state);
 }
 
+function createInitVarNode(state) {
+	return createInternalVarNode(INIT_VAR_NAME, state);
+}
+
 function createScopeIdVarNode(blockId, state) {
 	return createInternalVarNode(`${SCOPE_ID_VAR_NAME}${blockId}`, state);
 }
@@ -7,6 +7,7 @@
 
 // Modules
 const {join: pathJoin, parse: pathParse} = require('path'),
+	{pathToFileURL} = require('url'),
 	{ensureStatementsHoisted} = require('@babel/helper-module-transforms'),
 	t = require('@babel/types');
 
@@ -21,8 +22,10 @@ const Program = require('./visitors/program.js'),
 	} = require('./blocks.js'),
 	{insertBlockVarsIntoBlockStatement} = require('./tracking.js'),
 	{
-		createTrackerVarNode, createGetScopeIdVarNode, createFnInfoVarNode, renameInternalVars
+		createTrackerVarNode, createGetScopeIdVarNode, createInitVarNode, createFnInfoVarNode,
+		renameInternalVars
 	} = require('./internalVars.js'),
+	{instrumentTypeofRuntimeGlobals} = require('./visitors/unary.js'),
 	{visitKey} = require('./visit.js'),
 	{hasUseStrictDirective, stringLiteralWithSingleQuotes} = require('./utils.js'),
 	{getProp} = require('../shared/functions.js');
@@ -49,6 +52,7 @@ module.exports = modifyAst;
  *   - Bindings are created for sloppy-mode function declarations which are hoisted
  *     (where they are bound can only be determined once all other bindings are known).
  *   - Call the queue which was created in 1st pass, which adds the instrumentation code.
+ *   - Replace `typeof x` where `x` is a runtime global (see `runtimeGlobals` option).
  *   - Add call to `init()` at top of file.
  *   - Insert function info functions.
  *
@@ -57,23 +61,28 @@ module.exports = modifyAst;
  *
  * @param {Object} ast - AST
  * @param {string} filename - File path
+ * @param {boolean} isEsm - `true` if is native ES module
+ *   (i.e. ESM which has not been transformed to CommonJS)
  * @param {boolean} isCommonJs - `true` if is CommonJS file
  * @param {boolean} isStrict - `true` if is strict mode code
  * @param {Object} [sources] - Sources object mapping file path to file content
+ * @param {Array<string>} [runtimeGlobals] - Names of runtime globals (see `runtimeGlobals` option)
  * @param {Object} [evalState] - State from eval outer context
  * @returns {Object} - Transformed AST
  */
-function modifyAst(ast, filename, isCommonJs, isStrict, sources, evalState) {
+function modifyAst(ast, filename, isEsm, isCommonJs, isStrict, sources, runtimeGlobals, evalState) {
 	// Init state object
 	const secondPassQueue = [];
 	const state = {
 		filename,
 		filenameEscaped: escapeFilename(filename),
+		isEsm,
 		nextBlockId: TOP_BLOCK_ID,
 		currentBlock: undefined,
 		currentThisBlock: undefined,
 		currentSuperBlock: undefined,
 		currentHoistBlock: undefined,
+		currentPrivateScope: undefined,
 		fileBlock: undefined,
 		programBlock: undefined,
 		currentFunction: undefined,
@@ -90,6 +99,8 @@ function modifyAst(ast, filename, isCommonJs, isStrict, sources, evalState) {
 		requireAliasTempVarNode: undefined,
 		functions: [],
 		fileContainsFunctionsOrEval: false,
+		runtimeGlobals: runtimeGlobals?.length > 0 ? new Set(runtimeGlobals) : undefined,
+		typeofRuntimeGlobals: [],
 		secondPass: (fn, ...params) => secondPassQueue.push({fn, params})
 	};
 
@@ -202,7 +213,17 @@ function modifySecondPass(ast, secondPassQueue, isEvalCode, sources, state) {
 		insertFunctionInfoFunctions(programNode, isEvalCode, sources, state);
 	}
 
-	if (!isEvalCode) insertImportStatement(programNode, state);
+	// Instrument `typeof` of runtime globals, even if file contains no functions or `eval`.
+	// Done after hoisting sloppy function declarations, as they may shadow globals.
+	instrumentTypeofRuntimeGlobals(state);
+
+	if (!isEvalCode) {
+		if (state.isEsm) {
+			insertEsmImportStatement(programNode, state);
+		} else {
+			insertImportStatement(programNode, state);
+		}
+	}
 
 	renameInternalVars(state);
 }
@@ -260,6 +281,50 @@ function insertImportStatement(programNode, state) {
 	programNode.body.unshift(statementNode);
 }
 
+/**
+ * Insert `import` statement at top of file (above `scopeId` definition)
+ * to inject Livepack's internal functions into native ES module.
+ * ESM has no `require`, so none is passed to `init()`.
+ *
+ * NB: `import` statements are hoisted, so this runs after all modules imported by this file
+ * have been evaluated. Functions in this file must not be called by another module before this
+ * file is evaluated (only possible with circular imports and hoisted function declarations).
+ *
+ * @param {Object} programNode - Program AST node
+ * @param {Object} state - State object
+ * @returns {undefined}
+ */
+function insertEsmImportStatement(programNode, state) {
+	// ```
+	// import livepack_init from 'file:///path/to/app/node_modules/livepack/lib/init/index.js';
+	// const [livepack_tracker, livepack_getScopeId]
+	//   = livepack_init('/path/to/app/file.js', undefined, 100, 0);
+	// ```
+	const initVarNode = createInitVarNode(state);
+	programNode.body.unshift(
+		t.importDeclaration(
+			[t.importDefaultSpecifier(initVarNode)],
+			t.stringLiteral(pathToFileURL(INIT_PATH).href)
+		),
+		t.variableDeclaration(
+			'const', [
+				t.variableDeclarator(
+					t.arrayPattern([state.trackerVarNode, state.getScopeIdVarNode]),
+					t.callExpression(
+						initVarNode,
+						[
+							t.stringLiteral(state.filename),
+							t.identifier('undefined'),
+							t.numericLiteral(state.nextBlockId),
+							t.numericLiteral(state.internalVarsPrefixNum)
+						]
+					)
+				)
+			]
+		)
+	);
+}
+
 /**
  * Insert function info functions.
  * @param {Object} programNode - Program AST node
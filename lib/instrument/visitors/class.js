@@ -8,7 +8,8 @@
 // Export
 module.exports = {
 	ClassDeclaration,
-	ClassExpression
+	ClassExpression,
+	PrivateName
 };
 
 // Modules
@@ -29,7 +30,7 @@ const {
 	} = require('../blocks.js'),
 	{insertTrackerCodeIntoFunction} = require('../tracking.js'),
 	{visitKey, visitKeyMaybe, visitKeyContainer} = require('../visit.js'),
-	{createTempVarNode} = require('../internalVars.js'),
+	{createGetScopeIdVarNode, createTempVarNode} = require('../internalVars.js'),
 	{FN_TYPE_CLASS} = require('../../shared/constants.js');
 
 // Exports
@@ -127,7 +128,13 @@ function visitClass(classNode, parent, key, className, state) {
 	const methodIndexes = [],
 		protoPropertyIndexes = [],
 		staticPropertyOrBlockIndexes = [],
-		computedKeys = [];
+		computedKeys = [],
+		privates = {
+			names: new Set(),
+			brandName: undefined,
+			instanceFieldNames: [],
+			staticFieldNames: []
+		};
 	let constructorIndex, constructorNode;
 	const memberNodes = classNode.body.body;
 	memberNodes.forEach((memberNode, index) => {
@@ -141,8 +148,7 @@ function visitClass(classNode, parent, key, className, state) {
 				methodIndexes.push(index);
 			}
 		} else if (type === 'ClassPrivateMethod') {
-			// TODO: Will be missed out when serializing.
-			// Flag the class that it has private methods so serialization can throw error?
+			recordPrivateMember(memberNode, false, privates);
 			methodIndexes.push(index);
 		} else if (type === 'ClassProperty') {
 			if (memberNode.computed) computedKeys.push({memberNode, index});
@@ -152,8 +158,7 @@ function visitClass(classNode, parent, key, className, state) {
 				protoPropertyIndexes.push(index);
 			}
 		} else if (type === 'ClassPrivateProperty') {
-			// TODO: Will be missed out when serializing instances of this class.
-			// Flag the class that it has private properties so serialization can throw error?
+			recordPrivateMember(memberNode, true, privates);
 			if (memberNode.static) {
 				staticPropertyOrBlockIndexes.push(index);
 			} else {
@@ -169,6 +174,11 @@ function visitClass(classNode, parent, key, className, state) {
 	// Enter `super` block
 	state.currentBlock = state.currentSuperBlock = superBlock;
 
+	// If class has private members, enter private names scope
+	const hasPrivates = privates.names.size !== 0,
+		parentPrivateScope = state.currentPrivateScope;
+	if (hasPrivates) state.currentPrivateScope = {fn, names: privates.names, parent: parentPrivateScope};
+
 	// Create blocks for constructor params and body
 	const constructorParamsBlock = createAndEnterBlock(className, false, state),
 		constructorBodyBlock = createBlock(className, true, state);
@@ -195,22 +205,47 @@ function visitClass(classNode, parent, key, className, state) {
 
 		// Visit prototype properties
 		if (protoPropertyIndexes.length !== 0) {
-			// Create and enter block for `this` in the context of prototype properties
-			// TODO: This should be a vars block and all prototype methods should be wrapped
-			// in closures. See https://github.com/overlookmotel/livepack/issues/305
+			// Create and enter block for `this` in the context of prototype properties.
+			// `this` is different for each instance of the class, so this block needs a different scope ID
+			// for each instance. There's nowhere to declare a scope ID var which is evaluated once
+			// per instance, so scope ID is instead obtained from the instance itself
+			// with `livepack_getScopeId.forInstance(this)`.
+			// This is evaluated within tracker calls of functions in prototype properties
+			// (and `eval()` calls), where `this` is always the instance, because the only functions
+			// which can access this block's bindings (`this` and `new.target`) are arrow functions.
+			// See https://github.com/overlookmotel/livepack/issues/305
 			state.currentBlock = superBlock;
-			protoThisBlock = createAndEnterBlock(className, false, state);
+			protoThisBlock = createAndEnterBlock(className, true, state);
+			protoThisBlock.scopeIdVarNode = t.callExpression(
+				t.memberExpression(createGetScopeIdVarNode(state), t.identifier('forInstance')),
+				[t.thisExpression()]
+			);
 			createThisBinding(protoThisBlock);
 			createNewTargetBinding(protoThisBlock);
 			state.currentThisBlock = protoThisBlock;
 
+			// Create and enter block for contents of prototype properties.
+			// Blocks within prototype properties (e.g. function name blocks) use same scope ID
+			// as the block class is defined in, as functions which reference them may not be arrow functions,
+			// so scope ID from `livepack_getScopeId.forInstance(this)` would be incorrect.
+			createAndEnterBlock(className, false, state).varsBlock = superBlock.varsBlock;
+
+			// If class does not extend a super class, prototype properties will be evaluated
+			// before class constructor, so tracker needs to go in 1st proto property.
+			// Skip properties whose values are anonymous functions, as wrapping them in
+			// `(livepack_tracker(...), ...)` would prevent them being named after the property.
+			// Creating a function has no side effects, so tracker can go in a later property instead
+			// (or in class constructor if all properties are anonymous functions).
+			// NB: Must be determined before visiting properties, as functions are removed from AST
+			// until 2nd pass.
+			if (!classNode.superClass) {
+				propForTrackerNode = protoPropertyIndexes.map(index => memberNodes[index])
+					.find(propNode => !isAnonymousFunction(propNode.value));
+			}
+
 			for (const index of protoPropertyIndexes) {
 				visitKey(memberNodes, index, ClassPropertyMaybePrivate, state);
 			}
-
-			// If class does not extend a super class, prototype properties will be evaluated
-			// before class constructor, so tracker needs to go in 1st proto property
-			if (!classNode.superClass) propForTrackerNode = memberNodes[protoPropertyIndexes[0]];
 		}
 
 		// Exit function
@@ -236,20 +271,33 @@ function visitClass(classNode, parent, key, className, state) {
 		}
 	}
 
-	// Visit methods
+	// Visit methods.
+	// If class has private members, methods are visited as within class, so they're included
+	// in class's AST. Methods which access private members cannot be defined outside the class.
 	if (methodIndexes.length !== 0) {
 		state.currentBlock = superBlock;
+		if (hasPrivates) {
+			state.currentFunction = fn;
+			state.trail = ['body', 'body'];
+		}
+
 		// NB: `state.currentThisBlock` is not relevant for methods as they create their own `this` block.
 		// `ClassMethodMaybePrivate` visitor sets `state.currentSuperIsProto` for each method.
 		for (const index of methodIndexes) {
 			visitKey(memberNodes, index, ClassMethodMaybePrivate, state);
 		}
+
+		if (hasPrivates) {
+			state.currentFunction = parentFunction;
+			state.trail = externalTrail;
+		}
 	}
 
-	// Exit `super` and `this` blocks
+	// Exit `super` and `this` blocks, and private names scope
 	state.currentThisBlock = parentThisBlock;
 	state.currentSuperBlock = parentSuperBlock;
 	state.currentSuperIsProto = parentSuperIsProto;
+	state.currentPrivateScope = parentPrivateScope;
 
 	// Visit computed keys
 	// TODO: Pass values of computed prototype property keys to serializer so it can recreate them
@@ -288,10 +336,41 @@ function visitClass(classNode, parent, key, className, state) {
 	state.secondPass(
 		instrumentClass,
 		classNode, fn, parent, key, constructorNode, propForTrackerNode,
-		constructorParamsBlock, constructorBodyBlock, superBlock, state
+		constructorParamsBlock, constructorBodyBlock, superBlock, hasPrivates ? privates : undefined, state
 	);
 }
 
+/**
+ * Determine if node is an anonymous function or arrow function.
+ * NB: Anonymous classes are not included, as evaluating a class may have side effects.
+ * @param {Object} [node] - AST node
+ * @returns {boolean} - `true` if is an anonymous function
+ */
+function isAnonymousFunction(node) {
+	return !!node && (
+		node.type === 'ArrowFunctionExpression' || (node.type === 'FunctionExpression' && !node.id)
+	);
+}
+
+/**
+ * Record private class member.
+ * @param {Object} memberNode - Class private property or private method AST node
+ * @param {boolean} isField - `true` if is private property
+ * @param {Object} privates - Private members object
+ * @returns {undefined}
+ */
+function recordPrivateMember(memberNode, isField, privates) {
+	const {name} = memberNode.key.id;
+	privates.names.add(name);
+
+	if (memberNode.static) {
+		if (isField) privates.staticFieldNames.push(name);
+	} else {
+		if (!privates.brandName) privates.brandName = name;
+		if (isField) privates.instanceFieldNames.push(name);
+	}
+}
+
 /**
  * Visit class constructor.
  * @param {Object} node - Class constructor AST node
@@ -385,6 +464,31 @@ function StaticBlock(node, state) {
 	state.currentHoistBlock = parentHoistBlock;
 }
 
+/**
+ * Visitor for private name.
+ * Flag all functions between this one and the class which defines the private member
+ * as accessing private members of an enclosing class.
+ * Such functions cannot be serialized on their own, only as part of that class.
+ * @param {Object} node - Private name AST node
+ * @param {Object} state - State object
+ * @returns {undefined}
+ */
+function PrivateName(node, state) {
+	const {name} = node.id;
+	let privateScope = state.currentPrivateScope;
+	while (privateScope && !privateScope.names.has(name)) {
+		privateScope = privateScope.parent;
+	}
+	if (!privateScope) return;
+
+	const classFnId = privateScope.fn.id;
+	let fn = state.currentFunction;
+	while (fn && fn.id > classFnId) {
+		fn.accessesOuterPrivates = true;
+		fn = fn.parent;
+	}
+}
+
 /**
  * Serialize class AST to JSON.
  * Remove 'use strict' directives from constructor if present.
@@ -422,12 +526,13 @@ function serializeClassAst(classNode, constructorNode, constructorIndex) {
  * @param {Object} constructorParamsBlock - Constructor params block object
  * @param {Object} constructorBodyBlock - Constructor body block object
  * @param {Object} superBlock - `super` target block object
+ * @param {Object} [privates] - Private members object (`undefined` if class has no private members)
  * @param {Object} state - State object
  * @returns {undefined}
  */
 function instrumentClass(
 	classNode, fn, parent, key, constructorNode, propForTrackerNode,
-	constructorParamsBlock, constructorBodyBlock, superBlock, state
+	constructorParamsBlock, constructorBodyBlock, superBlock, privates, state
 ) {
 	// Create tracker
 	let trackerNode = createTrackerCall(fn, state);
@@ -462,14 +567,15 @@ function instrumentClass(
 		);
 	}
 
+	// Insert `static {}` block to register class with private members
+	if (privates) classNode.body.body.unshift(createRegisterPrivatesBlock(privates, state));
+
 	// Restore to original place in AST
 	parent[key] = classNode;
 
 	// Insert tracking comment
 	const commentHolderNode = classNode.id || classNode.superClass || classNode.body;
 	insertTrackerComment(fn.id, FN_TYPE_CLASS, commentHolderNode, 'leading', state);
-
-	// TODO: Handle prototype properties
 }
 
 /**
@@ -496,3 +602,71 @@ function createClassConstructor(fn, state) {
 
 	return t.classMethod('constructor', t.identifier('constructor'), paramNodes, bodyNode);
 }
+
+/**
+ * Create static block to register class with private members.
+ * Registration includes functions to get values of private fields from instances and from the class,
+ * so they can be serialized.
+ *
+ * `static {
+ *   livepack_getScopeId.registerPrivates(
+ *     this,
+ *     livepack_temp_5 => #x in livepack_temp_5
+ *       ? {x: livepack_temp_5.#x, y: livepack_temp_5.#y}
+ *       : void 0,
+ *     () => ({s: this.#s})
+ *   );
+ * }`
+ *
+ * @param {Object} privates - Private members object
+ * @param {Object} state - State object
+ * @returns {Object} - Static block AST node
+ */
+function createRegisterPrivatesBlock(privates, state) {
+	const {brandName, staticFieldNames} = privates;
+
+	let getInstancePrivatesNode;
+	if (brandName) {
+		const objVarNode = createTempVarNode(state);
+		getInstancePrivatesNode = t.arrowFunctionExpression(
+			[objVarNode],
+			t.conditionalExpression(
+				t.binaryExpression('in', t.privateName(t.identifier(brandName)), objVarNode),
+				createPrivatesObjectNode(privates.instanceFieldNames, objVarNode),
+				t.unaryExpression('void', t.numericLiteral(0))
+			)
+		);
+	} else {
+		getInstancePrivatesNode = t.nullLiteral();
+	}
+
+	const getStaticPrivatesNode = staticFieldNames.length !== 0
+		? t.arrowFunctionExpression([], createPrivatesObjectNode(staticFieldNames, t.thisExpression()))
+		: t.nullLiteral();
+
+	return t.staticBlock([
+		t.expressionStatement(
+			t.callExpression(
+				t.memberExpression(state.getScopeIdVarNode, t.identifier('registerPrivates')),
+				[t.thisExpression(), getInstancePrivatesNode, getStaticPrivatesNode]
+			)
+		)
+	]);
+}
+
+/**
+ * Create object expression containing values of private fields.
+ * e.g. `{x: obj.#x, y: obj.#y}`
+ * @param {Array<string>} names - Private field names
+ * @param {Object} objNode - AST node for object to get private fields from
+ * @returns {Object} - Object expression AST node
+ */
+function createPrivatesObjectNode(names, objNode) {
+	return t.objectExpression(
+		names.map(name => t.objectProperty(
+			name === '__proto__' ? t.stringLiteral(name) : t.identifier(name),
+			t.memberExpression(objNode, t.privateName(t.identifier(name))),
+			name === '__proto__'
+		))
+	);
+}
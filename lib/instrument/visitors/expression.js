@@ -13,10 +13,10 @@ const {IdentifierReadOnly, ThisExpression, NewTargetExpression} = require('./ide
 	{AssigneeAssignOnly, AssigneeReadAndAssign} = require('./assignee.js'),
 	{Super} = require('./super.js'),
 	{ArrowFunctionExpression, FunctionExpression} = require('./function.js'),
-	{ClassExpression} = require('./class.js'),
+	{ClassExpression, PrivateName} = require('./class.js'),
 	ObjectExpression = require('./object.js'),
 	MemberExpression = require('./memberExpression.js'),
-	UnaryOrSpreadOrAwaitExpression = require('./unary.js'),
+	{UnaryExpression, UnaryExpressionOrStatement: SpreadOrAwaitExpression} = require('./unary.js'),
 	{ImportExpression} = require('./module.js'),
 	{
 		visitKey, visitKeyMaybe, visitKeyContainer, visitKeyContainerWithEmptyMembers
@@ -42,13 +42,14 @@ function Expression(node, state, parent, key) {
 		case 'ArrowFunctionExpression': return ArrowFunctionExpression(node, state, parent, key);
 		case 'FunctionExpression': return FunctionExpression(node, state, parent, key);
 		case 'ClassExpression': return ClassExpression(node, state, parent, key);
+		case 'PrivateName': return PrivateName(node, state); // Keep as 2 params
 		case 'AssignmentExpression': return AssignmentExpression(node, state);
 		case 'LogicalExpression':
 		case 'BinaryExpression': return LogicalOrBinaryExpression(node, state);
 		case 'ConditionalExpression': return ConditionalExpression(node, state);
-		case 'UnaryExpression':
+		case 'UnaryExpression': return UnaryExpression(node, state, parent, key);
 		case 'SpreadElement':
-		case 'AwaitExpression': return UnaryOrSpreadOrAwaitExpression(node, state); // Keep as 2 params
+		case 'AwaitExpression': return SpreadOrAwaitExpression(node, state); // Keep as 2 params
 		case 'YieldExpression': return YieldExpression(node, state);
 		case 'UpdateExpression': return UpdateExpression(node, state);
 		case 'SequenceExpression': return SequenceExpression(node, state);
@@ -462,6 +462,7 @@ function createFunction(id, node, isStrict, state) {
 		superIsProto: false,
 		containsEval: false,
 		containsImport: false,
+		accessesOuterPrivates: false,
 		hasSuperClass: false,
 		firstComplexParamIndex: undefined
 	};
@@ -784,6 +785,7 @@ function createFunctionInfoFunction(fn, state) {
 						isReadFrom: varProps.isReadFrom || undefined,
 						isAssignedTo: varProps.isAssignedTo || undefined,
 						isFrozenInternalName: varProps.binding.isFrozenName || undefined,
+						pathType: varProps.binding.pathType,
 						trails: varProps.trails
 					}
 				];
@@ -793,6 +795,7 @@ function createFunctionInfoFunction(fn, state) {
 		superIsProto: fn.superIsProto || undefined,
 		containsEval: fn.containsEval || undefined,
 		containsImport: fn.containsImport || undefined,
+		accessesOuterPrivates: fn.accessesOuterPrivates || undefined,
 		argNames,
 		internalVars: Object.fromEntries(internalVars),
 		reservedVarNames: reservedVarNames.size !== 0 ? [...reservedVarNames] : undefined,
@@ -22,5 +22,7 @@ const Expression = require('./expression.js'),
  */
 function MemberExpression(node, state) {
 	visitKey(node, 'object', Expression, state);
-	if (node.computed) visitKey(node, 'property', Expression, state);
+	if (node.computed || node.property.type === 'PrivateName') {
+		visitKey(node, 'property', Expression, state);
+	}
 }
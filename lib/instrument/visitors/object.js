@@ -15,7 +15,7 @@ const t = require('@babel/types');
 const Expression = require('./expression.js'),
 	{withStrictModeState} = require('./function.js'),
 	{visitMethod, getMethodName} = require('./method.js'),
-	SpreadElement = require('./unary.js'),
+	{UnaryExpressionOrStatement: SpreadElement} = require('./unary.js'),
 	{getSuperVarNode} = require('./super.js'),
 	{createAndEnterBlock} = require('../blocks.js'),
 	{visitKey, visitContainer} = require('../visit.js');
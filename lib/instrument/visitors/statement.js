@@ -18,7 +18,7 @@ const VariableDeclaration = require('./variableDeclaration.js'),
 	{ForStatement, ForXStatement, WhileStatement, DoWhileStatement} = require('./loop.js'),
 	SwitchStatement = require('./switch.js'),
 	TryStatement = require('./try.js'),
-	ThrowStatement = require('./unary.js'),
+	{UnaryExpressionOrStatement: ThrowStatement} = require('./unary.js'),
 	{visitKey, visitKeyMaybe} = require('../visit.js');
 
 // Exports
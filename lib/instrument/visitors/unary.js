@@ -6,16 +6,46 @@
 'use strict';
 
 // Export
-module.exports = UnaryExpressionOrStatement;
+module.exports = {
+	UnaryExpression,
+	UnaryExpressionOrStatement,
+	instrumentTypeofRuntimeGlobals
+};
+
+// Modules
+const t = require('@babel/types');
 
 // Imports
 const Expression = require('./expression.js'),
-	{visitKey} = require('../visit.js');
+	{visitKey} = require('../visit.js'),
+	{copyLocAndComments} = require('../utils.js');
 
 // Exports
 
 /**
- * Visitor for unary expression.
+ * Visitor for unary expression e.g. `!x`, `typeof x`.
+ * @param {Object} node - Unary expression AST node
+ * @param {Object} state - State object
+ * @param {Object|Array} parent - Parent AST node/container
+ * @param {string|number} key - Node's key on parent AST node/container
+ * @returns {undefined}
+ */
+function UnaryExpression(node, state, parent, key) {
+	UnaryExpressionOrStatement(node, state);
+
+	// If `typeof x` where `x` is declared as a runtime global, record it to be instrumented in 2nd pass
+	// if `x` is not shadowed by a local binding.
+	// Not added to 2nd pass queue, as that is only run if file contains functions or `eval`.
+	if (
+		node.operator === 'typeof' && node.argument.type === 'Identifier'
+		&& state.runtimeGlobals?.has(node.argument.name)
+	) {
+		state.typeofRuntimeGlobals.push({node, block: state.currentBlock, parent, key});
+	}
+}
+
+/**
+ * Visitor for unary expression or statement.
  * Used for `UnaryExpression`, `SpreadElement`, `AwaitExpression`, `ThrowStatement`.
  * @param {Object} node - Unary expression AST node
  * @param {Object} state - State object
@@ -24,3 +54,48 @@ const Expression = require('./expression.js'),
 function UnaryExpressionOrStatement(node, state) {
 	visitKey(node, 'argument', Expression, state);
 }
+
+/**
+ * Instrument `typeof x` expressions where `x` is a runtime global (see `runtimeGlobals` option)
+ * and is not shadowed by a local binding.
+ * Replace `typeof x` with `livepack_tracker.typeofGlobal('x') ?? typeof x`.
+ * `typeofGlobal()` returns 'undefined' if runtime global is defined,
+ * so `typeof x` doesn't trigger the getter which throws on access at build time.
+ * Otherwise it returns `undefined`, and `typeof x` is evaluated as usual.
+ * @param {Object} state - State object
+ * @returns {undefined}
+ */
+function instrumentTypeofRuntimeGlobals(state) {
+	for (const {node, block, parent, key} of state.typeofRuntimeGlobals) {
+		instrumentTypeofRuntimeGlobal(node, node.argument.name, block, parent, key, state);
+	}
+}
+
+/**
+ * Instrument `typeof x` where `x` is a runtime global, unless `x` is shadowed by a local binding.
+ * @param {Object} node - `typeof` unary expression AST node
+ * @param {string} varName - Var name
+ * @param {Object} block - Block object for block expression is in
+ * @param {Object|Array} parent - Parent AST node/container
+ * @param {string|number} key - Node's key on parent AST node/container
+ * @param {Object} state - State object
+ * @returns {undefined}
+ */
+function instrumentTypeofRuntimeGlobal(node, varName, block, parent, key, state) {
+	// Don't alter if var is not global
+	do {
+		if (block.bindings.has(varName)) return;
+	} while (block = block.parent); // eslint-disable-line no-cond-assign
+
+	parent[key] = copyLocAndComments(
+		t.logicalExpression(
+			'??',
+			t.callExpression(
+				t.memberExpression(state.trackerVarNode, t.identifier('typeofGlobal')),
+				[t.stringLiteral(varName)]
+			),
+			node
+		),
+		node
+	);
+}
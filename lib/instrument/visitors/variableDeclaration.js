@@ -16,7 +16,7 @@ const Expression = require('./expression.js'),
 // Exports
 
 // Create declarator visitors
-const ConstDeclarator = createVariableDeclaratorVisitor(AssigneeConst),
+const ConstDeclarator = createVariableDeclaratorVisitor(AssigneeConst, true),
 	LetDeclarator = createVariableDeclaratorVisitor(AssigneeLet),
 	VarDeclarator = createVariableDeclaratorVisitor(AssigneeVar);
 
@@ -42,11 +42,64 @@ function VariableDeclaration(node, state) {
  * Each uses the appropriate `Assignee` visitor for `id` clause.
  * These in turn create the correct binding type.
  * @param {Function} Assignee - Assignee visitor
+ * @param {boolean} [isConst=false] - `true` if is `const` declaration
  * @returns {Function} - VariableDeclarator visitor
  */
-function createVariableDeclaratorVisitor(Assignee) {
+function createVariableDeclaratorVisitor(Assignee, isConst) {
 	return function VariableDeclarator(node, state) {
 		visitKey(node, 'id', Assignee, state);
 		visitKeyMaybe(node, 'init', Expression, state);
+
+		if (isConst) recordPathBinding(node, state);
 	};
 }
+
+/**
+ * If `const` declaration is initialized with `__filename`, `__dirname` or `import.meta.url`,
+ * tag the binding with the type of path it holds, so `paths: 'relative'` option can output
+ * its value relative to output file.
+ * e.g. `const dir = __dirname;`
+ * Only `const` bindings are tagged, as value of other bindings could be changed later.
+ * Check that `__filename` / `__dirname` are not shadowed by local bindings happens in 2nd pass,
+ * once all bindings have been created.
+ *
+ * @param {Object} node - Variable declarator AST node
+ * @param {Object} state - State object
+ * @returns {undefined}
+ */
+function recordPathBinding(node, state) {
+	const {id: idNode, init: initNode} = node;
+	if (idNode.type !== 'Identifier' || !initNode) return;
+
+	const block = state.currentBlock;
+	if (initNode.type === 'Identifier') {
+		const varName = initNode.name;
+		if (varName === '__filename' || varName === '__dirname') {
+			state.secondPass(
+				tagPathBinding, block.bindings.get(idNode.name), block, varName, varName.slice(2)
+			);
+		}
+	} else if (
+		state.isEsm && initNode.type === 'MemberExpression' && !initNode.computed
+		&& initNode.object.type === 'MetaProperty' && initNode.object.meta.name === 'import'
+		&& initNode.property.name === 'url'
+	) {
+		block.bindings.get(idNode.name).pathType = 'url';
+	}
+}
+
+/**
+ * Tag binding with path type, if var it's initialized with is not shadowed by a local binding.
+ * @param {Object} binding - Binding object
+ * @param {Object} block - Block object which binding is in
+ * @param {string} varName - Var name of initializer (`__filename` or `__dirname`)
+ * @param {string} pathType - Path type (`filename` or `dirname`)
+ * @returns {undefined}
+ */
+function tagPathBinding(binding, block, varName, pathType) {
+	do {
+		if (block.bindings.has(varName)) return;
+	} while ((block = block.parent)); // eslint-disable-line no-cond-assign
+
+	binding.pathType = pathType;
+}
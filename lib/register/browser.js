@@ -0,0 +1,295 @@
+/* --------------------
+ * livepack module
+ * Patch `require()` resolution to resolve modules as a browser bundler would.
+ * Uses `browser` field in `package.json` and `exports` conditions.
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const {readFileSync} = require('fs'),
+	{dirname, join: pathJoin, sep: pathSep} = require('path'),
+	assert = require('simple-invariant');
+
+// Imports
+const {Module, usingInternalModuleCache} = require('../shared/moduleCache.js'),
+	{isBareSpecifier, isBuiltInModule} = require('../shared/functions.js');
+
+// Constants
+const EMPTY_MODULE_PATH = pathJoin(__dirname, 'empty.js');
+
+// Exports
+
+module.exports = patchResolve;
+
+/**
+ * Patch `Module._resolveFilename()` to resolve modules for browser.
+ *
+ * - `exports` field is resolved with conditions `browser`, `import` (or `require` if not ESM)
+ *   and `default`.
+ * - `browser` field as a string replaces `main`.
+ * - `browser` field as an object remaps files and modules within the package.
+ *   Mapping to `false` resolves to an empty module.
+ *
+ * Requests which can't be resolved this way fall back to NodeJS's usual resolution.
+ *
+ * @param {boolean} isEsm - `true` if ESM source (so use `import` condition rather than `require`)
+ * @returns {Function} - Function to revert patch
+ */
+function patchResolve(isEsm) {
+	const conditions = new Set(['browser', isEsm ? 'import' : 'require', 'default']),
+		packages = new Map(); // Keyed by dir path
+
+	const resolveOriginal = Module._resolveFilename;
+	const resolveOrig = (request, parent, isMain, options) => resolveOriginal.call(
+		Module, request, parent, isMain, options
+	);
+
+	const resolve = function(request, parent, isMain, options) {
+		// Don't alter resolution within Livepack's internals, or if no parent (entry point)
+		if (usingInternalModuleCache() || !parent?.filename) {
+			return resolveOrig(request, parent, isMain, options);
+		}
+
+		// Remap modules according to `browser` field of package making the request.
+		// This includes NodeJS built-in modules e.g. `"fs": false`.
+		const parentPkg = getPackage(dirname(parent.filename), packages);
+		if (parentPkg && isBareSpecifier(request)) {
+			const mapped = getBrowserMap(parentPkg, resolveOrig, parent).modules.get(request);
+			if (mapped === false) return EMPTY_MODULE_PATH;
+			if (mapped !== undefined) return mapped;
+		}
+
+		if (isBuiltInModule(request)) return resolveOrig(request, parent, isMain, options);
+
+		// Resolve bare specifiers with `exports` conditions
+		let filename;
+		if (isBareSpecifier(request)) {
+			filename = resolvePackage(request, parent, conditions, packages);
+		}
+		if (filename === undefined) filename = resolveOrig(request, parent, isMain, options);
+
+		// Remap files according to `browser` field of package containing the file
+		const pkg = getPackage(dirname(filename), packages);
+		if (pkg) {
+			const mapped = getBrowserMap(pkg, resolveOrig, parent).files.get(filename);
+			if (mapped === false) return EMPTY_MODULE_PATH;
+			if (mapped !== undefined) return mapped;
+		}
+
+		return filename;
+	};
+	Module._resolveFilename = resolve;
+
+	// Return function to revert patch
+	return () => {
+		assert(
+			Module._resolveFilename === resolve,
+			'Resolver has been patched. Revert patch before calling `revert()`.'
+		);
+		Module._resolveFilename = resolveOriginal;
+	};
+}
+
+/**
+ * Resolve bare specifier to file path, using package's `exports` field.
+ * @param {string} request - Bare specifier e.g. 'axios', 'lodash/upperFirst'
+ * @param {Object} parent - Parent module
+ * @param {Set<string>} conditions - Conditions to match in `exports`
+ * @param {Map} packages - Packages cache
+ * @returns {string|undefined} - File path (or `undefined` if not resolved)
+ * @throws {Error} - If subpath is explicitly excluded by `exports` field
+ */
+function resolvePackage(request, parent, conditions, packages) {
+	const match = request.match(/^((?:@[^/]+\/)?[^/]+)(\/.*)?$/);
+	if (!match) return undefined;
+	const [, packageName, subpath] = match;
+
+	// Find package dir
+	let pkg;
+	for (const nodeModulesPath of Module._nodeModulePaths(dirname(parent.filename))) {
+		pkg = getPackage(pathJoin(nodeModulesPath, packageName), packages, true);
+		if (pkg) break;
+	}
+	if (!pkg) return undefined;
+
+	const {dir, json: {exports}} = pkg;
+	if (exports == null) return undefined;
+
+	const exportsSubpath = subpath ? `.${subpath}` : '.',
+		target = resolveExports(exports, exportsSubpath, conditions);
+	if (target === null) {
+		// Explicitly excluded. Throw same error as NodeJS would.
+		const pkgJsonPath = pathJoin(dir, 'package.json');
+		const err = new Error(
+			exportsSubpath === '.'
+				? `No "exports" main defined in ${pkgJsonPath}`
+				: `Package subpath '${exportsSubpath}' is not defined by "exports" in ${pkgJsonPath}`
+		);
+		err.code = 'ERR_PACKAGE_PATH_NOT_EXPORTED';
+		throw err;
+	}
+	return target ? pathJoin(dir, target) : undefined;
+}
+
+/**
+ * Resolve subpath with `exports` field.
+ * @param {*} exports - Value of `exports` field
+ * @param {string} subpath - Subpath e.g. '.', './upperFirst'
+ * @param {Set<string>} conditions - Conditions to match
+ * @returns {string|null|undefined} - Target path relative to package dir
+ *   (or `null` if explicitly excluded, `undefined` if no match)
+ */
+function resolveExports(exports, subpath, conditions) {
+	// `exports` can be shorthand for `{'.': exports}`
+	if (
+		typeof exports === 'string' || Array.isArray(exports)
+		|| !Object.keys(exports).some(key => key.startsWith('.'))
+	) exports = {'.': exports};
+
+	if (Object.hasOwn(exports, subpath)) return resolveExportsTarget(exports[subpath], '', conditions);
+
+	// Patterns e.g. `./*` - longest prefix takes priority
+	const patterns = Object.keys(exports).filter(key => key.includes('*'))
+		.sort((key1, key2) => key2.indexOf('*') - key1.indexOf('*'));
+	for (const pattern of patterns) {
+		const starIndex = pattern.indexOf('*'),
+			prefix = pattern.slice(0, starIndex),
+			suffix = pattern.slice(starIndex + 1);
+		if (
+			subpath.length >= pattern.length - 1
+			&& subpath.startsWith(prefix) && subpath.endsWith(suffix)
+		) {
+			const patternMatch = subpath.slice(prefix.length, subpath.length - suffix.length);
+			return resolveExportsTarget(exports[pattern], patternMatch, conditions);
+		}
+	}
+
+	return undefined;
+}
+
+/**
+ * Resolve target of `exports` entry.
+ * Conditions objects are matched in order of their keys (not order of `conditions`).
+ * @param {*} target - Target
+ * @param {string} patternMatch - String to substitute for `*` in target
+ * @param {Set<string>} conditions - Conditions to match
+ * @returns {string|null|undefined} - Target path (or `null` if excluded, `undefined` if no match)
+ */
+function resolveExportsTarget(target, patternMatch, conditions) {
+	if (typeof target === 'string') return target.replace(/\*/g, patternMatch);
+	if (target === null) return null;
+
+	if (Array.isArray(target)) {
+		for (const targetItem of target) {
+			const resolved = resolveExportsTarget(targetItem, patternMatch, conditions);
+			if (resolved) return resolved;
+		}
+		return undefined;
+	}
+
+	if (typeof target === 'object') {
+		for (const [condition, conditionTarget] of Object.entries(target)) {
+			if (!conditions.has(condition)) continue;
+			const resolved = resolveExportsTarget(conditionTarget, patternMatch, conditions);
+			if (resolved !== undefined) return resolved;
+		}
+	}
+
+	return undefined;
+}
+
+/**
+ * Get `browser` field mappings for package.
+ * Keys starting with `.` or `/` are files, which are resolved to full paths.
+ * Other keys are module names.
+ * Result is cached on package object.
+ * @param {Object} pkg - Package object
+ * @param {Function} resolveOrig - Original resolve function
+ * @param {Object} parent - Parent module
+ * @returns {Object} - Object of form `{files: Map, modules: Map}`.
+ *   Values are full file path of replacement, or `false` for empty module.
+ */
+function getBrowserMap(pkg, resolveOrig, parent) {
+	if (pkg.browserMap) return pkg.browserMap;
+
+	const files = new Map(),
+		modules = new Map();
+	const {dir, json: {main, browser}} = pkg;
+	const resolveInPackage = path => resolveOrig(pathJoin(dir, path), parent, false);
+
+	if (typeof browser === 'string') {
+		// Replacement for `main` also applies to requests for the main file by path
+		try {
+			files.set(resolveInPackage(main || '.'), resolveInPackage(browser));
+		} catch {} // eslint-disable-line no-empty
+	} else if (browser && typeof browser === 'object') {
+		const pkgModule = {id: dir, filename: pathJoin(dir, 'package.json'), paths: Module._nodeModulePaths(dir)};
+
+		for (const [key, value] of Object.entries(browser)) {
+			let replacement;
+			if (value === false) {
+				replacement = false;
+			} else if (typeof value === 'string') {
+				replacement = isBareSpecifier(value)
+					? resolveOrig(value, pkgModule, false)
+					: resolveInPackage(value);
+			} else {
+				continue;
+			}
+
+			if (isBareSpecifier(key)) {
+				modules.set(key, replacement);
+			} else {
+				let filename;
+				try {
+					filename = resolveInPackage(key);
+				} catch {
+					continue;
+				}
+				files.set(filename, replacement);
+			}
+		}
+	}
+
+	pkg.browserMap = {files, modules};
+	return pkg.browserMap;
+}
+
+/**
+ * Get package object for a dir.
+ * If `isExact` is `false`, finds nearest `package.json` in dir or its ancestors.
+ * Results are cached.
+ * @param {string} dir - Dir path
+ * @param {Map} packages - Packages cache
+ * @param {boolean} [isExact=false] - `true` to only look in `dir`
+ * @returns {Object|null} - Object of form `{dir, json}` (or `null` if none found)
+ */
+function getPackage(dir, packages, isExact) {
+	let pkg = packages.get(dir);
+	if (pkg !== undefined) {
+		if (isExact && pkg && pkg.dir !== dir) return null;
+		return pkg;
+	}
+
+	let json;
+	try {
+		json = JSON.parse(readFileSync(pathJoin(dir, 'package.json'), 'utf8'));
+	} catch {
+		json = null;
+	}
+
+	if (json) {
+		pkg = {dir, json, browserMap: undefined};
+	} else if (isExact) {
+		return null;
+	} else {
+		const parentDir = dirname(dir);
+		pkg = parentDir === dir || dir.endsWith(`${pathSep}node_modules`)
+			? null
+			: getPackage(parentDir, packages, false);
+	}
+
+	packages.set(dir, pkg);
+	return pkg;
+}
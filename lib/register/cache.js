@@ -23,7 +23,7 @@ const cacheDirPath = findCacheDir({name: 'livepack'})
 const cachePath = pathJoin(cacheDirPath, `register-${livepackVersion}.json`);
 
 let cache, cacheContent,
-	isDirty = false,
+	dirtyKeys = new Set(),
 	isAwaitingSave = false;
 
 /**
@@ -57,16 +57,12 @@ function createCache() {
 	cacheContent = loadCache();
 
 	// If failed to load, create new cache
-	if (!cacheContent) {
-		cacheContent = {};
-		isDirty = true;
-		saveCacheOnNextTick();
-	}
+	if (!cacheContent) cacheContent = {};
 
 	// Create cache object
 	cache = {
-		getKey(filename, esm, jsx) {
-			return JSON.stringify({filename, esm, jsx});
+		getKey(filename, esm, jsx, ts, runtimeGlobals, nativeEsm) {
+			return JSON.stringify({filename, esm, jsx, ts, runtimeGlobals, nativeEsm});
 		},
 
 		get(key, lastMod) {
@@ -77,7 +73,7 @@ function createCache() {
 
 		save(key, lastMod, code, map) {
 			cacheContent[key] = {lastMod, code, map};
-			isDirty = true;
+			dirtyKeys.add(key);
 			saveCacheOnNextTick();
 		}
 	};
@@ -109,14 +105,23 @@ function saveCacheOnNextTick() {
 
 /**
  * Save cache content to disc.
+ * Cache is shared between `require()` hook in main thread and ESM loader in loader hooks thread,
+ * so entries saved by the other thread since cache was loaded are merged in, rather than overwritten.
  * Fail silently if cannot write cache.
  * @returns {undefined}
  */
 function saveCache() {
 	if (isAwaitingSave) isAwaitingSave = false;
-	if (!isDirty) return;
+	if (dirtyKeys.size === 0) return;
 
-	isDirty = false;
+	const savedContent = loadCache();
+	if (savedContent) {
+		for (const key of dirtyKeys) {
+			savedContent[key] = cacheContent[key];
+		}
+		cacheContent = savedContent;
+	}
+	dirtyKeys = new Set();
 
 	let contentStr;
 	try {
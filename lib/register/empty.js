@@ -0,0 +1,12 @@
+/* --------------------
+ * livepack module
+ * Empty module.
+ * Modules mapped to `false` in `browser` field of `package.json` resolve to this file
+ * when registering with `target: 'browser'`.
+ * ------------------*/
+
+'use strict';
+
+// Exports
+
+module.exports = {};
@@ -0,0 +1,116 @@
+/* --------------------
+ * livepack module
+ * ESM loader hooks.
+ * Instrument native ES modules to insert tracking code.
+ * Registered with `module.register()` by `registerEsm()`, and run in loader hooks thread.
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const {fileURLToPath, pathToFileURL} = require('url'),
+	pathJoin = require('path').join,
+	{statSync} = require('fs');
+
+// Imports
+const {instrumentCodeImpl} = require('../instrument/instrument.js'),
+	{openCache, closeCache} = require('./cache.js');
+
+// Constants
+const LIVEPACK_DIR_URLS = ['../../lib/', '../../es/'].map(path => pathToFileURL(pathJoin(__dirname, path)).href),
+	DEBUG = !!process.env.LIVEPACK_DEBUG_INSTRUMENT;
+
+// Exports
+
+module.exports = {initialize, load};
+
+// Port to send source maps and paths of loaded files back to main thread
+let port;
+
+// Instrumentation cache (same cache as used by `require()` hook)
+let cache;
+
+/**
+ * Initialize hooks.
+ * Main thread sends a message with `useCache` property if `register()` is called again
+ * with different `cache` option.
+ * @param {Object} data - Data passed to `module.register()`
+ * @param {Object} data.port - `MessagePort` to send details of loaded files to main thread
+ * @param {boolean} data.useCache - `true` if instrumentation cache is enabled
+ * @returns {undefined}
+ */
+function initialize(data) {
+	port = data.port;
+	setUseCache(data.useCache);
+	port.on('message', ({useCache}) => setUseCache(useCache));
+	port.unref();
+}
+
+/**
+ * Enable or disable instrumentation cache.
+ * @param {boolean} useCache - `true` to enable cache
+ * @returns {undefined}
+ */
+function setUseCache(useCache) {
+	if (useCache) {
+		cache = openCache();
+	} else {
+		closeCache();
+		cache = undefined;
+	}
+}
+
+/**
+ * Load hook.
+ * Instrument ES modules. ESM is not transformed to CommonJS, so `import` / `export` statements
+ * and live bindings are preserved.
+ * CommonJS files are left to `require()` hook in main thread.
+ * @param {string} url - URL of file
+ * @param {Object} context - Context object
+ * @param {Function} nextLoad - Next load hook
+ * @returns {Object} - Load result object
+ */
+async function load(url, context, nextLoad) {
+	const result = await nextLoad(url, context);
+	if (
+		result.format !== 'module' || !url.startsWith('file:')
+		|| LIVEPACK_DIR_URLS.some(dirUrl => url.startsWith(dirUrl))
+	) return result;
+
+	const filename = fileURLToPath(url);
+
+	// Get from cache
+	let cacheKey, lastMod, cached;
+	if (cache) {
+		cacheKey = cache.getKey(filename, true, false, false, undefined, true);
+		lastMod = +statSync(filename).mtime;
+		cached = cache.get(cacheKey, lastMod);
+	}
+
+	let code, map;
+	if (cached) {
+		({code, map} = cached);
+	} else {
+		({code, map} = instrumentCodeImpl(
+			Buffer.from(result.source).toString(), filename, true, false, false, false, true, true, undefined,
+			!DEBUG, true
+		));
+
+		if (DEBUG) {
+			/* eslint-disable no-console */
+			console.log('----------------------------------------');
+			console.log('TRANSFORMED:', filename);
+			console.log('----------------------------------------');
+			console.log(code);
+			console.log('');
+			/* eslint-enable no-console */
+		}
+
+		// Save result to cache
+		if (cache) cache.save(cacheKey, lastMod, code, map);
+	}
+
+	port.postMessage({filename, map});
+
+	return {...result, source: code};
+}
@@ -19,16 +19,21 @@ require('../init/index.js');
 
 // Modules
 const {readFileSync, statSync} = require('fs'),
-	pathJoin = require('path').join,
+	{join: pathJoin, extname} = require('path'),
+	{pathToFileURL} = require('url'),
+	{MessageChannel} = require('worker_threads'),
+	{register: registerHooks} = require('module'),
 	{addHook} = require('pirates'),
 	installSourceMapSupport = require('source-map-support').install,
 	EXTS = require('@babel/core').DEFAULT_EXTENSIONS,
 	assert = require('simple-invariant'),
-	{isObject, isBoolean} = require('is-it-type');
+	{isObject, isArray, isBoolean, isFullString} = require('is-it-type');
 
 // Imports
 const {instrumentCodeImpl} = require('../instrument/instrument.js'),
 	{openCache, closeCache} = require('./cache.js'),
+	patchResolve = require('./browser.js'),
+	defineRuntimeGlobals = require('./runtimeGlobals.js'),
 	maps = require('./maps.js');
 
 // Load Livepack module public entry point so it, and all modules/packages
@@ -51,15 +56,25 @@ for (const path of exposePaths) {
 exposeModule(require.resolve('source-map-support'));
 
 // Constants
-const DEBUG = !!process.env.LIVEPACK_DEBUG_INSTRUMENT;
+const DEBUG = !!process.env.LIVEPACK_DEBUG_INSTRUMENT,
+	TS_EXTS = ['.ts', '.tsx', '.mts', '.cts'],
+	ESM_LOADER_OPTIONS_ERROR = '`esm`, `jsx` and `ts` options are not supported with ESM loader';
 
 // Exports
 
 module.exports = register;
 register.revert = revert;
+register.getLoadedFiles = getLoadedFiles;
+register.registerEsm = registerEsm;
+
+// Paths of files which have been loaded through the hook
+const loadedFiles = new Set();
 
 // Run `register()` with default options
-let reverter;
+let reverter,
+	isUsingCache = false,
+	isUsingSyntaxOptions = false,
+	esmPort = null;
 register();
 
 /**
@@ -67,8 +82,15 @@ register();
  * @param {Object} [options] - Options object
  * @param {boolean} [options.esm=false] - If `true`, adds Babel plugin to transform ESM to CJS
  * @param {boolean} [options.jsx=false] - If `true`, adds Babel plugin to transform JSX
+ * @param {boolean} [options.ts=false] - If `true`, transforms TypeScript files
+ *   (`.ts`, `.tsx`, `.mts` and `.cts` extensions)
+ * @param {string} [options.target='node'] - If `'browser'`, resolves `require()` using `browser` field
+ *   in `package.json` and `browser` condition in `exports` field
+ * @param {Array<string>} [options.runtimeGlobals] - Names of globals which only exist when output
+ *   runs (e.g. `['window', 'document']`). Accessing them at build time throws an error.
  * @param {boolean} [options.cache=true] - If `false`, disables Babel register's cache
  * @returns {undefined}
+ * @throws {Error} - If invalid options, or `esm`, `jsx` or `ts` options used with ESM loader registered
  */
 function register(options) {
 	// Conform options
@@ -80,8 +102,15 @@ function register(options) {
 
 	const esm = conformBoolOption(options, 'esm', false),
 		jsx = conformBoolOption(options, 'jsx', false),
+		ts = conformBoolOption(options, 'ts', false),
+		target = conformTargetOption(options),
+		runtimeGlobals = conformRuntimeGlobalsOption(options),
 		useCache = conformBoolOption(options, 'cache', true);
 
+	// ESM loader instruments native ES modules as they are, so cannot apply these options
+	assert(!esmPort || !(esm || jsx || ts), ESM_LOADER_OPTIONS_ERROR);
+	isUsingSyntaxOptions = esm || jsx || ts;
+
 	// Revert previous hooks
 	revertWithoutCacheClose();
 
@@ -93,18 +122,39 @@ function register(options) {
 		closeCache();
 	}
 
+	// Inform ESM loader if cache option has changed
+	if (esmPort && useCache !== isUsingCache) esmPort.postMessage({useCache});
+	isUsingCache = useCache;
+
 	// Patch loader for ESM
 	const patchLoaderRevert = esm ? patchLoader() : null;
 
+	// Patch resolver for browser
+	const patchResolveRevert = target === 'browser' ? patchResolve(esm) : null;
+
+	// Define runtime globals
+	const runtimeGlobalsRevert = runtimeGlobals.length > 0 ? defineRuntimeGlobals(runtimeGlobals) : null;
+
 	// Add pirates hook to transform code
 	const piratesRevert = addHook((code, filename) => {
 		// Skip if this file is `require`-ed during process of instrumenting code
 		if (usingInternalModuleCache()) return code;
 
+		loadedFiles.add(filename);
+
+		// Determine how to transform file.
+		// TypeScript files are always treated as modules and transformed to CommonJS
+		// (as TypeScript compiler does), regardless of `esm` option.
+		// Only `.tsx` files can contain JSX, as `<T>x` type assertions clash with JSX syntax.
+		const ext = extname(filename),
+			isTs = ts && TS_EXTS.includes(ext),
+			isEsm = isTs || esm,
+			isJsx = isTs ? ext === '.tsx' : jsx;
+
 		// Get from cache
 		let cacheKey, lastMod, cached;
 		if (cache) {
-			cacheKey = cache.getKey(filename, esm, jsx);
+			cacheKey = cache.getKey(filename, isEsm, isJsx, isTs, runtimeGlobals, false);
 			lastMod = +statSync(filename).mtime;
 			cached = cache.get(cacheKey, lastMod);
 		}
@@ -117,7 +167,10 @@ function register(options) {
 			// or Babel are not themselves instrumented.
 			useInternalModuleCache();
 			try {
-				({code, map} = instrumentCodeImpl(code, filename, esm, !esm, jsx, esm, true, undefined, !DEBUG));
+				({code, map} = instrumentCodeImpl(
+					code, filename, isEsm, !isEsm, isJsx, isTs, isEsm, true, undefined, !DEBUG, false,
+					runtimeGlobals
+				));
 			} finally {
 				useGlobalModuleCache();
 			}
@@ -144,16 +197,49 @@ function register(options) {
 		return code;
 	}, {
 		ignoreNodeModules: false,
-		exts: EXTS
+		exts: ts ? [...EXTS, ...TS_EXTS] : EXTS
 	});
 
 	// Store function to revert hooks
 	reverter = () => {
 		piratesRevert();
 		if (patchLoaderRevert) patchLoaderRevert();
+		if (patchResolveRevert) patchResolveRevert();
+		if (runtimeGlobalsRevert) runtimeGlobalsRevert();
 	};
 }
 
+/**
+ * Register ESM loader hooks to instrument native ES modules.
+ * Unlike `register()`, ES modules are not transformed to CommonJS, so live bindings,
+ * top-level `await` etc work as normal.
+ * Hooks run in a separate thread. Source maps and paths of loaded files are sent back
+ * to this thread.
+ * Hooks cannot be deregistered, so `revert()` does not affect them. No-op if called more than once.
+ * Hooks use same instrumentation cache as `require()` hook.
+ * @returns {undefined}
+ * @throws {Error} - If NodeJS version does not support hooks, or `esm`, `jsx` or `ts` options in use
+ */
+function registerEsm() {
+	assert(registerHooks, 'Instrumenting ES modules requires NodeJS v20.6.0 or later');
+	assert(!isUsingSyntaxOptions, ESM_LOADER_OPTIONS_ERROR);
+	registerEsm = () => {}; // eslint-disable-line no-func-assign
+
+	const {port1, port2} = new MessageChannel();
+	esmPort = port1;
+	port1.on('message', ({filename, map}) => {
+		loadedFiles.add(filename);
+		maps[filename] = map;
+		initSourceMapSupport();
+	});
+	port1.unref();
+
+	registerHooks(
+		pathToFileURL(pathJoin(__dirname, 'esm.js')),
+		{data: {port: port2, useCache: isUsingCache}, transferList: [port2]}
+	);
+}
+
 /**
  * Conform an option to boolean.
  * @param {Object} options - Options object
@@ -168,6 +254,36 @@ function conformBoolOption(options, optionName, defaultValue) {
 	return value;
 }
 
+/**
+ * Conform `target` option.
+ * @param {Object} options - Options object
+ * @returns {string} - Target (`'node'` or `'browser'`)
+ */
+function conformTargetOption(options) {
+	const {target} = options;
+	if (target == null) return 'node';
+	assert(
+		target === 'node' || target === 'browser',
+		"options.target must be 'node' or 'browser' if provided"
+	);
+	return target;
+}
+
+/**
+ * Conform `runtimeGlobals` option.
+ * @param {Object} options - Options object
+ * @returns {Array<string>} - Global var names
+ */
+function conformRuntimeGlobalsOption(options) {
+	const {runtimeGlobals} = options;
+	if (runtimeGlobals == null) return [];
+	assert(
+		isArray(runtimeGlobals) && runtimeGlobals.every(isFullString),
+		'options.runtimeGlobals must be an array of strings if provided'
+	);
+	return runtimeGlobals;
+}
+
 /**
  * Patch `Module._extensions['.js']` to allow loading ESM from dir
  * with `package.json` including `{"type": "module"}`.
@@ -229,6 +345,14 @@ function initSourceMapSupport() {
 	}
 }
 
+/**
+ * Get paths of all files which have been loaded through the hook.
+ * @returns {Array<string>} - Array of file paths
+ */
+function getLoadedFiles() {
+	return [...loadedFiles];
+}
+
 /**
  * Revert register hooks and close cache.
  * @returns {undefined}
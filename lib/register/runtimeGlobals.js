@@ -0,0 +1,62 @@
+/* --------------------
+ * livepack module
+ * Define runtime globals.
+ * Globals which exist only when output code runs (e.g. `window` in browser) throw a clear error
+ * if accessed at build time, rather than being `undefined`.
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const assert = require('simple-invariant');
+
+// Imports
+const {runtimeGlobals} = require('../shared/internal.js');
+
+// Exports
+
+module.exports = defineRuntimeGlobals;
+
+/**
+ * Define getters + setters on global object for runtime globals which throw an error if accessed.
+ * Globals which already exist in NodeJS (e.g. `fetch`) are left as they are, as they're catalogued
+ * as globals, and so are serialized as a reference to the global anyway.
+ *
+ * References to these globals within functions are not affected, so functions which access them
+ * can be serialized, as long as they're not called at build time.
+ *
+ * `typeof` does not trigger the getter. Instrumentation replaces `typeof x` where `x` is a declared
+ * runtime global with `livepack_tracker.typeofGlobal('x') ?? typeof x`,
+ * so e.g. `typeof window` is 'undefined'.
+ *
+ * @param {Array<string>} names - Global var names
+ * @returns {Function} - Function to remove globals
+ */
+function defineRuntimeGlobals(names) {
+	const descriptors = new Map(); // Keyed by global name
+	for (const name of names) {
+		if (name in globalThis || descriptors.has(name)) continue;
+
+		const throwError = () => {
+			throw new Error(
+				`Cannot access runtime global '${name}' at build time. It's only available when output code runs.`
+			);
+		};
+		const descriptor = {get: throwError, set: throwError, enumerable: false, configurable: true};
+		Object.defineProperty(globalThis, name, descriptor);
+		descriptors.set(name, descriptor);
+		runtimeGlobals.set(name, descriptor);
+	}
+
+	// Return function to remove globals
+	return () => {
+		for (const [name, descriptor] of descriptors) {
+			assert(
+				Object.getOwnPropertyDescriptor(globalThis, name)?.get === descriptor.get,
+				`Global '${name}' has been altered. Restore it before calling \`revert()\`.`
+			);
+			delete globalThis[name];
+			runtimeGlobals.delete(name);
+		}
+	};
+}
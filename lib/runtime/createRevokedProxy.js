@@ -0,0 +1,14 @@
+/* --------------------
+ * livepack module
+ * `createRevokedProxy()` runtime function
+ * ------------------*/
+
+/* eslint-disable strict */
+
+// Exports
+
+module.exports = (isFunction) => {
+	const revocable = Proxy.revocable(isFunction ? () => {} : {}, {});
+	revocable.revoke();
+	return revocable;
+};
@@ -0,0 +1,158 @@
+/* --------------------
+ * livepack module
+ * `asset` function, and asset methods
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const {readFileSync} = require('fs'),
+	pathModule = require('path'),
+	urlModule = require('url'),
+	assert = require('simple-invariant'),
+	{isFullString} = require('is-it-type'),
+	t = require('@babel/types');
+
+// Imports
+const {assets} = require('../shared/internal.js'),
+	{createDependency} = require('./records.js'),
+	{hashFileContent} = require('./filenames.js');
+
+// Exports
+
+module.exports = {
+	asset,
+	// `methods` is merged into `Serializer` class prototype
+	methods: {
+		initAssets,
+		serializeAsset,
+		setAssetPaths,
+		outputAssetFiles
+	}
+};
+
+const {dirname: posixDirname, relative: posixRelative} = pathModule.posix;
+
+/**
+ * Register a file as an asset.
+ * Returns a file URL for the file, which can be used with `fs` methods e.g. `fs.readFileSync(url)`.
+ * When serialized, the file is copied into output, and the URL is rewritten to point to the copy,
+ * relative to the output file which references it.
+ * @param {string} path - File path (relative paths are resolved relative to current working directory)
+ * @returns {URL} - File URL
+ */
+function asset(path) {
+	assert(isFullString(path), '`path` argument to `asset` must be a non-empty string');
+
+	path = pathModule.resolve(path);
+	const url = urlModule.pathToFileURL(path);
+	assets.set(url, path);
+	return url;
+}
+
+/*
+ * Methods to merge into `Serializer` class prototype
+ */
+
+/* eslint-disable no-invalid-this */
+function initAssets() {
+	this.assets = new Map(); // Keyed by file path
+}
+
+/**
+ * Serialize asset URL.
+ * Output is `require('url').pathToFileURL(__dirname + '/name.hash.ext')` for CommonJS,
+ * or `new URL('./name.hash.ext', import.meta.url)` for ESM.
+ * Path in output is a placeholder at this stage. It's set by `setAssetPaths()` once it's known
+ * which output file the URL is in.
+ * @param {string} path - Path of asset file
+ * @param {Object} record - Record for asset URL
+ * @returns {Object} - Node for asset URL
+ * @throws {Error} - If output format is `iife` or `umd`, or `files` option is not set
+ */
+function serializeAsset(path, record) {
+	// Location of output file cannot be determined in a script
+	const {format} = this.options;
+	if (format === 'iife' || format === 'umd') throw new Error(`Cannot serialize assets in '${format}' format`);
+
+	// Asset is output as a separate file, so output cannot be a single string of JS
+	if (!this.options.files) {
+		throw new Error('Cannot serialize URLs created by `asset()` without `files` option, as asset is output as a separate file');
+	}
+
+	// Read file + create filename for output
+	let assetProps = this.assets.get(path);
+	if (!assetProps) {
+		const content = readFileSync(path),
+			ext = pathModule.extname(path),
+			name = pathModule.basename(path, ext);
+		assetProps = {
+			filename: `${name}.${hashFileContent(content)}${ext}`,
+			content,
+			refs: [] // Objects of form `{record, pathNode}`
+		};
+		this.assets.set(path, assetProps);
+	}
+
+	const pathNode = t.stringLiteral(assetProps.filename);
+	assetProps.refs.push({record, pathNode});
+
+	if (format === 'esm') {
+		// `new URL('./name.hash.ext', import.meta.url)`
+		const urlCtorRecord = this.serializeValue(URL);
+		const node = t.newExpression(urlCtorRecord.varNode, [
+			pathNode,
+			t.memberExpression(t.metaProperty(t.identifier('import'), t.identifier('meta')), t.identifier('url'))
+		]);
+		createDependency(record, urlCtorRecord, node, 'callee');
+		return node;
+	}
+
+	// `require('url').pathToFileURL(__dirname + '/name.hash.ext')`
+	const urlModuleRecord = this.serializeBuiltInModule(urlModule, 'url');
+	const node = t.callExpression(
+		t.memberExpression(urlModuleRecord.varNode, t.identifier('pathToFileURL')),
+		[t.binaryExpression('+', t.identifier('__dirname'), pathNode)]
+	);
+	createDependency(record, urlModuleRecord, node.callee, 'object');
+	return node;
+}
+
+/**
+ * Set paths of asset URLs in an output, relative to the output file.
+ * Assets are output in root of output directory.
+ * @param {Object} output - Output object
+ * @returns {undefined}
+ */
+function setAssetPaths(output) {
+	const isEsm = this.options.format === 'esm',
+		fromDir = posixDirname(`/${output.filename}`);
+	for (const {filename, refs} of this.assets.values()) {
+		for (const {record, pathNode} of refs) {
+			// If only 1 output, `record.output` is not set
+			if (record.output && record.output !== output) continue;
+
+			let path = posixRelative(fromDir, `/${filename}`);
+			if (isEsm) {
+				if (path.slice(0, 3) !== '../') path = `./${path}`;
+			} else {
+				path = `/${path}`;
+			}
+			pathNode.value = path;
+		}
+	}
+}
+
+/**
+ * Create file objects for assets.
+ * @returns {Array<Object>} - Array of file objects
+ */
+function outputAssetFiles() {
+	return [...this.assets.values()].map(({filename, content}) => ({
+		type: 'asset',
+		name: null,
+		filename,
+		content
+	}));
+}
+/* eslint-enable no-invalid-this */
@@ -3,16 +3,17 @@
  * Serialize buffers
  * ------------------*/
 
-/* eslint-disable no-bitwise */
-
 'use strict';
 
 // Modules
-const t = require('@babel/types');
+const {isSharedArrayBuffer} = require('util').types,
+	t = require('@babel/types');
 
 // Imports
-const {createDependency, createAssignment} = require('./records.js'),
-	{isNumberKey} = require('./utils.js');
+const {serializePrimitive} = require('./primitives.js'),
+	{createDependency, createAssignment} = require('./records.js'),
+	{isNumberKey, recordIsCircular, addPendingDependency, deleteFirst} = require('./utils.js'),
+	{isPrimitive} = require('../shared/functions.js');
 
 // Exports
 
@@ -20,9 +21,13 @@ const bufferToString = Buffer.prototype.toString,
 	TypedArrayPrototype = Object.getPrototypeOf(Uint8Array.prototype),
 	typedArrayBufferGetter = Object.getOwnPropertyDescriptor(TypedArrayPrototype, 'buffer').get,
 	typedArrayLengthGetter = Object.getOwnPropertyDescriptor(TypedArrayPrototype, 'byteLength').get,
-	typedArrayOffsetGetter = Object.getOwnPropertyDescriptor(TypedArrayPrototype, 'byteOffset').get;
-
-const bitsRegex = /^(Ui|I)nt(\d+)Array$/;
+	typedArrayOffsetGetter = Object.getOwnPropertyDescriptor(TypedArrayPrototype, 'byteOffset').get,
+	arrayBufferLengthGetter = Object.getOwnPropertyDescriptor(ArrayBuffer.prototype, 'byteLength').get,
+	sharedArrayBufferLengthGetter = Object.getOwnPropertyDescriptor(SharedArrayBuffer.prototype, 'byteLength')
+		.get,
+	dataViewBufferGetter = Object.getOwnPropertyDescriptor(DataView.prototype, 'buffer').get,
+	dataViewLengthGetter = Object.getOwnPropertyDescriptor(DataView.prototype, 'byteLength').get,
+	dataViewOffsetGetter = Object.getOwnPropertyDescriptor(DataView.prototype, 'byteOffset').get;
 
 module.exports = {
 	serializeBuffer(buf, type, record) {
@@ -39,61 +44,177 @@ module.exports = {
 			createDependency(record, bufferFromRecord, node, 'callee');
 			defaultProto = Buffer.prototype;
 		} else {
-			// `new Uint16Array([...])`
-			const match = type.match(bitsRegex),
-				isSigned = match[1] === 'I',
-				bytesPerChar = match[2] / 8;
+			// `new Uint16Array(buffer, 2, 4)`
+			const ctor = global[type],
+				ctorRecord = this.serializeValue(ctor);
+			node = this.serializeTypedArrayView(buf, type, ctor, ctorRecord, record);
+			createDependency(record, ctorRecord, node, 'callee');
+			defaultProto = ctor.prototype;
+		}
 
-			const maxByteValue = 256 ** bytesPerChar,
-				signedMaxByteValue = maxByteValue / 2;
+		// Wrap in properties.
+		// NB: No need to check for non-standard descriptors on elements
+		// as buffers are created with all properties non-configurable.
+		// All numerical keys can be skipped, even ones above max safe integer key as Buffers
+		// only allow writing to numerical keys within bounds of buffer length.
+		return this.wrapWithProperties(buf, record, node, defaultProto, undefined, isNumberKey);
+	},
 
-			// Convert to Buffer
-			const offset = typedArrayOffsetGetter.call(buf),
-				len = typedArrayLengthGetter.call(buf);
-			const buffer = Buffer.from(typedArrayBufferGetter.call(buf).slice(offset, offset + len));
+	/**
+	 * Create node for a TypedArray (other than a Buffer) as a view over its underlying buffer.
+	 * Output is `new Uint16Array(buffer)`, or `new Uint16Array(buffer, 2, 4)` if the TypedArray
+	 * does not cover the whole of the buffer.
+	 *
+	 * The underlying buffer is serialized as its own record, so multiple views over the same buffer
+	 * share the buffer in the output too.
+	 * If it turns out that the TypedArray is the only reference to its buffer, it's converted
+	 * to `new Uint16Array([1,2,3])` later in `inlineBufferViews()`.
+	 *
+	 * NB: Node's Buffers are not handled here as small Buffers are slices of a shared pool,
+	 * which should not be output in full.
+	 *
+	 * @param {Object} buf - TypedArray
+	 * @param {string} type - Type of TypedArray e.g. 'Float32Array'
+	 * @param {Function} ctor - TypedArray constructor
+	 * @param {Object} ctorRecord - Record for TypedArray constructor
+	 * @param {Object} record - Record for TypedArray
+	 * @returns {Object} - AST node
+	 */
+	serializeTypedArrayView(buf, type, ctor, ctorRecord, record) {
+		const buffer = typedArrayBufferGetter.call(buf),
+			offset = typedArrayOffsetGetter.call(buf),
+			len = typedArrayLengthGetter.call(buf),
+			isShared = isSharedArrayBuffer(buffer),
+			bufferLen = getBufferLength(buffer, isShared);
 
-			const byteNodes = [];
-			let allZeros = true;
-			for (let pos = 0; pos < buffer.length; pos += bytesPerChar) {
-				let byte = 0,
-					byteMultiplier = 1;
-				for (let byteNum = 0; byteNum < bytesPerChar; byteNum++) {
-					byte += buffer[pos + byteNum] * byteMultiplier;
-					byteMultiplier <<= 8;
-				}
+		const bufferRecord = this.serializeValue(buffer, `${record.varNode.name}Buffer`, '<buffer>');
 
-				if (isSigned && byte >= signedMaxByteValue) byte -= maxByteValue;
+		// If buffer references the TypedArray (e.g. as a property) and is serialized first,
+		// TypedArray can't be defined before it, so references to TypedArray from within buffer
+		// are set later in assignments
+		if (recordIsCircular(bufferRecord)) addPendingDependency(record, bufferRecord);
 
-				if (byte === 0) {
-					byteNodes.push(null);
-				} else {
-					byteNodes.push(t.numericLiteral(byte));
-					allZeros = false;
-				}
+		const argNodes = [bufferRecord.varNode];
+		createDependency(record, bufferRecord, argNodes, 0);
+
+		const node = t.newExpression(ctorRecord.varNode, argNodes);
+		if (offset + len !== bufferLen) {
+			argNodes.push(t.numericLiteral(offset), t.numericLiteral(len / ctor.BYTES_PER_ELEMENT));
+		} else if (offset !== 0) {
+			argNodes.push(t.numericLiteral(offset));
+		} else if (!isShared) {
+			// View covers whole buffer - record as candidate for inlining buffer
+			this.bufferViews.push({buf, type, ctor, record, node, buffer, bufferRecord});
+		}
+
+		return node;
+	},
+
+	/**
+	 * Convert TypedArrays which are the only reference to their underlying buffer from
+	 * `new Uint16Array(buffer)` to `new Uint16Array([1,2,3])`, and delete the buffer's record.
+	 * Called after all values have been serialized, when it's known what references each buffer.
+	 * @returns {undefined}
+	 */
+	inlineBufferViews() {
+		for (const {buf, type, ctor, record, node, buffer, bufferRecord} of this.bufferViews) {
+			// Skip if buffer is referenced elsewhere, or has been altered
+			if (
+				bufferRecord.dependents.length !== 1
+				|| Reflect.ownKeys(buffer).length !== 0
+				|| Object.getPrototypeOf(buffer) !== ArrayBuffer.prototype
+			) continue;
+
+			// Skip float TypedArrays which cannot be reproduced exactly from values
+			const isFloat = type.startsWith('Float');
+			if (isFloat && hasNonStandardNaNs(buf, ctor)) continue;
+
+			// Delete buffer record
+			deleteFirst(record.dependencies, dependency => dependency.record === bufferRecord);
+			bufferRecord.dependents.length = 0;
+			this.deleteDependencies(bufferRecord);
+			this.records.delete(buffer);
+
+			// Replace arguments with elements
+			node.arguments = this.serializeTypedArrayElements(
+				copyTypedArray(buf, ctor), type.startsWith('Big'), isFloat, record
+			);
+		}
+	},
+
+	/**
+	 * Create argument nodes for TypedArray constructor to create TypedArray with specified elements.
+	 *
+	 * Output is `[1,,3]`, `[1.5,0,NaN]`, `[1n,0n]`.
+	 * If all elements are zero, output is `3` (number of elements).
+	 * For integer TypedArrays, zeros are output as holes, which are converted to 0 when array is created.
+	 * This doesn't work for float or BigInt TypedArrays, so zeros are output for them.
+	 *
+	 * @param {Object} arr - TypedArray
+	 * @param {boolean} isBigInt - `true` if is a BigInt TypedArray
+	 * @param {boolean} isFloat - `true` if is a float TypedArray
+	 * @param {Object} record - Record for TypedArray
+	 * @returns {Array<Object>} - Argument nodes
+	 */
+	serializeTypedArrayElements(arr, isBigInt, isFloat, record) {
+		const numElements = arr.length;
+
+		// Check all elements are +0
+		let allZeros = true;
+		for (let index = 0; index < numElements; index++) {
+			if (isBigInt ? arr[index] !== 0n : !Object.is(arr[index], 0)) {
+				allZeros = false;
+				break;
 			}
+		}
 
-			const ctor = global[type],
-				ctorRecord = this.serializeValue(ctor);
-			if (allZeros) {
-				node = t.newExpression(
-					ctorRecord.varNode,
-					len > 0 ? [t.numericLiteral(len / bytesPerChar)] : []
-				);
+		if (allZeros) return numElements > 0 ? [t.numericLiteral(numElements)] : [];
+
+		const elementNodes = [];
+		for (let index = 0; index < numElements; index++) {
+			const val = arr[index];
+			if (isPrimitive(val)) {
+				elementNodes[index] = val === 0 && !isFloat && !isBigInt
+					? null
+					: serializePrimitive(val);
 			} else {
-				node = t.newExpression(ctorRecord.varNode, [t.arrayExpression(byteNodes)]);
+				// `NaN`, `Infinity` or `-Infinity`
+				const valRecord = this.serializeValue(val);
+				elementNodes[index] = valRecord.varNode;
+				createDependency(record, valRecord, elementNodes, index);
 			}
+		}
 
-			createDependency(record, ctorRecord, node, 'callee');
+		return [t.arrayExpression(elementNodes)];
+	},
 
-			defaultProto = ctor.prototype;
+	serializeDataView(view, record) {
+		// `new DataView(buffer, 4, 8)`
+		const buffer = dataViewBufferGetter.call(view),
+			offset = dataViewOffsetGetter.call(view),
+			len = dataViewLengthGetter.call(view),
+			bufferLen = getBufferLength(buffer, isSharedArrayBuffer(buffer));
+
+		const bufferRecord = this.serializeValue(buffer, `${record.varNode.name}Buffer`, '<buffer>');
+
+		// If buffer references the DataView (e.g. as a property) and is serialized first,
+		// DataView can't be defined before it, so references to DataView from within buffer
+		// are set later in assignments
+		if (recordIsCircular(bufferRecord)) addPendingDependency(record, bufferRecord);
+
+		const argNodes = [bufferRecord.varNode];
+		createDependency(record, bufferRecord, argNodes, 0);
+		if (offset + len !== bufferLen) {
+			argNodes.push(t.numericLiteral(offset), t.numericLiteral(len));
+		} else if (offset !== 0) {
+			argNodes.push(t.numericLiteral(offset));
 		}
 
-		// Wrap in properties.
-		// NB: No need to check for non-standard descriptors on elements
-		// as buffers are created with all properties non-configurable.
-		// All numerical keys can be skipped, even ones above max safe integer key as Buffers
-		// only allow writing to numerical keys within bounds of buffer length.
-		return this.wrapWithProperties(buf, record, node, defaultProto, undefined, isNumberKey);
+		const dataViewRecord = this.serializeValue(DataView);
+		const node = t.newExpression(dataViewRecord.varNode, argNodes);
+		createDependency(record, dataViewRecord, node, 'callee');
+
+		return this.wrapWithProperties(view, record, node, DataView.prototype);
 	},
 
 	serializeArrayBuffer(buf, record) {
@@ -110,10 +231,14 @@ module.exports = {
 			);
 			createDependency(record, arrayBufferRecord, node, 'callee');
 		} else {
-			// `new Uint8Array(...).buffer`
-			const uintRecord = this.serializeValue(uint, `${record.varNode.name}Buffer`, '<uint>');
-			node = t.memberExpression(uintRecord.varNode, t.identifier('buffer'));
-			createDependency(record, uintRecord, node, 'object');
+			// `new Uint8Array([...]).buffer`
+			const uintRecord = this.serializeValue(Uint8Array),
+				uintNode = t.newExpression(
+					uintRecord.varNode,
+					this.serializeTypedArrayElements(uint, false, false, record)
+				);
+			node = t.memberExpression(uintNode, t.identifier('buffer'));
+			createDependency(record, uintRecord, uintNode, 'callee');
 		}
 
 		// Wrap in properties
@@ -170,3 +295,52 @@ module.exports = {
 		return this.wrapWithProperties(buf, record, node, SharedArrayBuffer.prototype);
 	}
 };
+
+/**
+ * Get byte length of `ArrayBuffer` or `SharedArrayBuffer`.
+ * @param {ArrayBuffer|SharedArrayBuffer} buffer - Buffer
+ * @param {boolean} isShared - `true` if is a `SharedArrayBuffer`
+ * @returns {number} - Byte length
+ */
+function getBufferLength(buffer, isShared) {
+	return isShared ? sharedArrayBufferLengthGetter.call(buffer) : arrayBufferLengthGetter.call(buffer);
+}
+
+/**
+ * Copy TypedArray, so elements can be read without side effects.
+ * @param {Object} buf - TypedArray
+ * @param {Function} ctor - TypedArray constructor
+ * @returns {Object} - TypedArray
+ */
+function copyTypedArray(buf, ctor) {
+	const len = typedArrayLengthGetter.call(buf),
+		arrayBuffer = new ArrayBuffer(len);
+	new Uint8Array(arrayBuffer).set(
+		new Uint8Array(typedArrayBufferGetter.call(buf), typedArrayOffsetGetter.call(buf), len)
+	);
+	return new ctor(arrayBuffer); // eslint-disable-line new-cap
+}
+
+/**
+ * Determine if float TypedArray contains any NaNs with non-standard bit patterns.
+ * @param {Object} arr - Float TypedArray
+ * @param {Function} ctor - TypedArray constructor
+ * @returns {boolean} - `true` if contains non-standard NaNs
+ */
+function hasNonStandardNaNs(arr, ctor) {
+	arr = copyTypedArray(arr, ctor);
+	const numElements = arr.length,
+		standardArr = new ctor(numElements); // eslint-disable-line new-cap
+	let hasNaNs = false;
+	for (let index = 0; index < numElements; index++) {
+		const val = arr[index];
+		if (Number.isNaN(val)) {
+			standardArr[index] = NaN;
+			hasNaNs = true;
+		} else {
+			standardArr[index] = val;
+		}
+	}
+
+	return hasNaNs && !Buffer.from(standardArr.buffer).equals(Buffer.from(arr.buffer));
+}
@@ -12,6 +12,7 @@ module.exports = {
 	DEFAULT_COMMON_CHUNK_NAME: 'common',
 	DEFAULT_SPLIT_CHUNK_NAME: 'split',
 	DEFAULT_STATS_FILENAME: 'livepack-stats.json',
+	DEFAULT_REPORT_FILENAME: 'report.html',
 	HASH_LENGTH: 8,
 	HASH_PLACEHOLDER_CHAR: '%',
 
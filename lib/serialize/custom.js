@@ -0,0 +1,107 @@
+/* --------------------
+ * livepack module
+ * Serialize values with custom serialization method
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const {isFunction, isArray} = require('is-it-type'),
+	t = require('@babel/types');
+
+// Imports
+const {createDependency} = require('./records.js'),
+	{recordIsCircular, addPendingDependency, dependsOnRecord} = require('./utils.js');
+
+// Exports
+
+const SERIALIZE_SYMBOL = Symbol.for('livepack.serialize');
+
+module.exports = {
+	/**
+	 * Get custom serialization method for an object, if it has one.
+	 * Method is a method keyed by `Symbol.for('livepack.serialize')` (may be inherited).
+	 * @param {Object} val - Object
+	 * @returns {Function|undefined} - Method, or `undefined` if none
+	 */
+	getCustomSerializeMethod(val) {
+		const method = val[SERIALIZE_SYMBOL];
+		return isFunction(method) ? method : undefined;
+	},
+
+	/**
+	 * Serialize object using its custom serialization method.
+	 *
+	 * Method is called with the object as `this`, and can return either:
+	 *   - A factory description `{fn, args}` (a plain object with `fn` property which is a function)
+	 *     - output is `fn(...args)`
+	 *   - Any other value - value is serialized in place of the object
+	 *
+	 * @param {Object} val - Object
+	 * @param {Function} method - Custom serialization method
+	 * @param {Object} record - Record for object
+	 * @returns {Object} - Node for object
+	 * @throws {Error} - If object is its own replacement, or is passed directly to factory
+	 */
+	serializeCustom(val, method, record) {
+		const res = method.call(val),
+			varName = record.varNode.name;
+
+		if (isFactoryDescription(res)) {
+			// `fn(...args)`
+			const fnRecord = this.serializeValue(res.fn, `${varName}Factory`, '<custom serialize factory>');
+			const args = res.args || [];
+			const argRecords = args.map(
+				(arg, index) => this.serializeValue(arg, `${varName}Args_${index}`, `<custom serialize arg ${index}>`)
+			);
+
+			// If factory or an arg references the object and is serialized first, object can't be defined
+			// before it, so references to object from within them are set later in assignments.
+			// Object itself can't be passed to the factory which creates it.
+			for (const depRecord of [fnRecord, ...argRecords]) {
+				if (!recordIsCircular(depRecord)) continue;
+				if (dependsOnRecord(depRecord, record)) {
+					throw new Error('Cannot serialize objects whose custom serialization factory references the object');
+				}
+				addPendingDependency(record, depRecord);
+			}
+
+			const node = t.callExpression(fnRecord.varNode, argRecords.map(argRecord => argRecord.varNode));
+			createDependency(record, fnRecord, node, 'callee');
+			argRecords.forEach((argRecord, index) => {
+				createDependency(record, argRecord, node.arguments, index);
+			});
+			return node;
+		}
+
+		// Replacement value
+		const replacementRecord = this.serializeValue(res, varName, '<custom serialize replacement>');
+
+		// If replacement references the object and is serialized first, object can't be defined
+		// before it, so references to object from within replacement are set later in assignments.
+		// Object can't be its own replacement.
+		if (recordIsCircular(replacementRecord)) {
+			if (dependsOnRecord(replacementRecord, record)) {
+				throw new Error('Cannot serialize objects whose custom serialization replacement references the object');
+			}
+			addPendingDependency(record, replacementRecord);
+		}
+
+		// Record's node is replacement's var node.
+		// If replacement is only used here, it will be inlined in output, replacing `record.node`.
+		createDependency(record, replacementRecord, record, 'node');
+		return replacementRecord.varNode;
+	}
+};
+
+/**
+ * Determine if value is a factory description i.e. plain object of form `{fn, args}`.
+ * @param {*} val - Value
+ * @returns {boolean} - `true` if is factory description
+ */
+function isFactoryDescription(val) {
+	return val !== null && typeof val === 'object'
+		&& Object.getPrototypeOf(val) === Object.prototype
+		&& isFunction(val.fn)
+		&& (val.args === undefined || isArray(val.args));
+}
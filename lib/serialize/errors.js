@@ -0,0 +1,157 @@
+/* --------------------
+ * livepack module
+ * Serialize Errors
+ * ------------------*/
+
+/* global AggregateError */
+
+'use strict';
+
+// Modules
+const {isString} = require('is-it-type'),
+	t = require('@babel/types');
+
+// Imports
+const {createDependency, createAssignment} = require('./records.js'),
+	{recordIsCircular} = require('./utils.js');
+
+// Exports
+
+const errorCtors = new Map(
+	[Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError, AggregateError]
+		.map(ctor => [ctor.prototype, ctor])
+);
+
+// Placeholder for default value of `errors` property of `AggregateError`s,
+// and of non-string `stack` property.
+// Never matches actual value, so property is always assigned.
+const PLACEHOLDER = {};
+
+module.exports = {
+	/**
+	 * Serialize Error.
+	 * Output is `new Error('message')` (or `new TypeError(...)`, `new AggregateError(...)` etc).
+	 * Other properties and prototype are added with `wrapWithProperties()`.
+	 *
+	 * `errors` property of `AggregateError`s is assigned after construction, rather than passed
+	 * to constructor, as the constructor creates a new array from the iterable it's given,
+	 * and the original array may be referenced elsewhere.
+	 *
+	 * `stack` property is retained if `errorStacks` option is set, otherwise the Error is given
+	 * a new stack trace when it's created at runtime.
+	 * If `stack` property is not a string (i.e. has been altered), it's always retained,
+	 * and is serialized like any other property.
+	 *
+	 * @param {Error} err - Error
+	 * @param {Object} record - Record for Error
+	 * @returns {Object} - Node for Error
+	 */
+	serializeError(err, record) {
+		const ctor = getErrorConstructor(err),
+			isAggregate = ctor === AggregateError,
+			varName = record.varNode.name;
+
+		const argNodes = [],
+			defaultProps = [];
+		function addArg(valRecord, index) {
+			argNodes[index] = valRecord.varNode;
+			createDependency(record, valRecord, argNodes, index);
+		}
+
+		// Message
+		const messageDescriptor = Object.getOwnPropertyDescriptor(err, 'message');
+		const messageIndex = isAggregate ? 1 : 0;
+		if (messageDescriptor && isString(messageDescriptor.value)) {
+			const message = messageDescriptor.value;
+			argNodes[messageIndex] = t.stringLiteral(message);
+			defaultProps.push(createDefaultProp('message', message));
+		}
+
+		// Cause
+		const causeDescriptor = Object.getOwnPropertyDescriptor(err, 'cause');
+		if (causeDescriptor && 'value' in causeDescriptor) {
+			const {value: cause} = causeDescriptor,
+				causeRecord = this.serializeValue(cause, `${varName}Cause`, '.cause');
+			if (!recordIsCircular(causeRecord)) {
+				if (!argNodes[messageIndex]) addArg(this.serializeValue(undefined), messageIndex);
+
+				const optionsNode = t.objectExpression([
+					t.objectProperty(t.identifier('cause'), causeRecord.varNode)
+				]);
+				argNodes[messageIndex + 1] = optionsNode;
+				createDependency(record, causeRecord, optionsNode.properties[0], 'value');
+				defaultProps.push(createDefaultProp('cause', cause));
+			}
+		}
+
+		// Errors (`AggregateError` only)
+		if (isAggregate) {
+			argNodes[0] = t.arrayExpression([]);
+			defaultProps.push(createDefaultProp('errors', PLACEHOLDER));
+		}
+
+		// Fill any holes in arguments with `undefined`
+		for (let index = 0; index < argNodes.length; index++) {
+			if (!argNodes[index]) addArg(this.serializeValue(undefined), index);
+		}
+
+		// `new Error(...)`
+		const ctorRecord = this.serializeValue(ctor);
+		let node = t.newExpression(ctorRecord.varNode, argNodes);
+		createDependency(record, ctorRecord, node, 'callee');
+
+		// Stack
+		let shouldSkipStack = true;
+		if (Object.getOwnPropertyDescriptor(err, 'stack')) {
+			const {stack} = err;
+			if (!isString(stack)) {
+				// Serialize as normal property. `stack` is first property created by Error constructor.
+				defaultProps.unshift(createDefaultProp('stack', PLACEHOLDER));
+				shouldSkipStack = false;
+			} else if (this.options.errorStacks) {
+				// `Object.assign(new Error(...), {stack: '...'})`
+				const objectAssignRecord = this.serializeValue(Object.assign);
+				node = t.callExpression(
+					objectAssignRecord.varNode,
+					[node, t.objectExpression([t.objectProperty(t.identifier('stack'), t.stringLiteral(stack))])]
+				);
+				createDependency(record, objectAssignRecord, node, 'callee');
+			}
+		} else {
+			// `delete err.stack`
+			const memberNode = t.memberExpression(record.varNode, t.identifier('stack'));
+			createAssignment(record, t.unaryExpression('delete', memberNode), memberNode, 'object');
+		}
+
+		return this.wrapWithProperties(
+			err, record, node, ctor.prototype, defaultProps, key => key === 'stack' && shouldSkipStack
+		);
+	}
+};
+
+/**
+ * Get native Error constructor which Error is an instance of.
+ * e.g. for `class MyError extends TypeError {}`, `new MyError()` returns `TypeError`.
+ * If no native Error prototype in prototype chain, returns `Error`.
+ * @param {Error} err - Error
+ * @returns {Function} - Native Error constructor
+ */
+function getErrorConstructor(err) {
+	let proto = err;
+	while (true) { // eslint-disable-line no-constant-condition
+		proto = Object.getPrototypeOf(proto);
+		if (proto === null) return Error;
+		const ctor = errorCtors.get(proto);
+		if (ctor) return ctor;
+	}
+}
+
+/**
+ * Create default prop for property created by Error constructor.
+ * @param {string} name - Property name
+ * @param {*} value - Property value
+ * @returns {Object} - Default prop object
+ */
+function createDefaultProp(name, value) {
+	return {name, value, writable: true, enumerable: false, configurable: true};
+}
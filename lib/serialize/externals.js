@@ -0,0 +1,32 @@
+/* --------------------
+ * livepack module
+ * Externals
+ * ------------------*/
+
+'use strict';
+
+// Imports
+const {globals, packageModules, catalogExternalModules} = require('../shared/internal.js'),
+	{getPackageName} = require('./utils.js');
+
+// Exports
+
+module.exports = {
+	/**
+	 * Catalog values exported by packages specified in `externals` option.
+	 * Only modules of those packages which have been `require()`-ed are cataloged.
+	 * Values which are cataloged are output as e.g. `require('pkg').a.b`, rather than inlined.
+	 * @returns {undefined}
+	 */
+	initExternals() {
+		const externals = new Map(); // Keyed by value
+		this.externals = externals;
+
+		const isExternal = this.options.externals;
+		if (!isExternal) return;
+
+		const modules = [...packageModules.values()]
+			.filter(({specifier}) => isExternal(getPackageName(specifier)));
+		if (modules.length > 0) catalogExternalModules(modules, externals, globals);
+	}
+};
@@ -8,7 +8,6 @@
 // Modules
 const util = require('util'),
 	traverse = require('@babel/traverse').default,
-	typeOf = require('native-type-of'),
 	assert = require('simple-invariant'),
 	upperFirst = require('lodash/upperFirst'),
 	{isString} = require('is-it-type'),
@@ -16,7 +15,7 @@ const util = require('util'),
 
 // Imports
 const {activateTracker, getTrackerResult, trackerError} = require('../shared/tracker.js'),
-	specialFunctions = require('../shared/internal.js').functions,
+	{functions: specialFunctions, privateClassMethods} = require('../shared/internal.js'),
 	{
 		TRACKER_COMMENT_PREFIX,
 		FN_TYPE_FUNCTION, FN_TYPE_ASYNC_FUNCTION, FN_TYPE_GENERATOR_FUNCTION,
@@ -26,7 +25,7 @@ const {activateTracker, getTrackerResult, trackerError} = require('../shared/tra
 		createRecord, createFile, createBlock, updateBlockParent, createScope, updateScopeParent,
 		createDependency, createAssignment
 	} = require('./records.js'),
-	{recordIsCircular, deleteFirst} = require('./utils.js'),
+	{getType, recordIsCircular, deleteFirst} = require('./utils.js'),
 	assertBug = require('../shared/assertBug.js');
 
 // Exports
@@ -58,6 +57,13 @@ module.exports = {
 		const specialInfo = specialFunctions.get(fn);
 		if (specialInfo) return this.serializeSpecialFunction(fn, specialInfo, record);
 
+		// Handle methods of classes with private members
+		const privateMethodInfo = privateClassMethods.get(fn);
+		if (privateMethodInfo) {
+			const node = this.serializePrivateClassMethod(fn, privateMethodInfo, record);
+			if (node) return node;
+		}
+
 		// Get function code + info from tracker comment
 		const js = functionToString.call(fn);
 		const commentMatch = js.match(trackerCommentRegex);
@@ -182,15 +188,18 @@ module.exports = {
 
 			// Add values to scope
 			const {values: scopeValues, record: scopeRecord} = scope;
-			Object.entries(vars).forEach(([varName, {isReadFrom}], varIndex) => {
+			Object.entries(vars).forEach(([varName, {isReadFrom, pathType}], varIndex) => {
 				if (!isReadFrom) return;
 
 				let scopeValue = scopeValues[varName];
 				if (!scopeValue) {
-					const val = values[varIndex];
-					const valRecord = this.serializeValue(
-						val, varName, `<scope var '${varName}' in function '${fn.name}' (ID ${fnId}) at ${filename}>`
-					);
+					const val = values[varIndex],
+						trace = `<scope var '${varName}' in function '${fn.name}' (ID ${fnId}) at ${filename}>`;
+					// Vars initialized with `__filename` / `__dirname` / `import.meta.url` may be output
+					// relative to output file
+					const valRecord = pathType
+						? this.serializePathVar(val, pathType, filename, varName, trace)
+						: this.serializeValue(val, varName, trace);
 
 					// Re-check for existence in `scopeValues` in case value contains another function
 					// in this scope which references this same value. In that case, `scopeValues` may have
@@ -254,11 +263,26 @@ module.exports = {
 		// Record scope on record
 		record.scope = scope;
 
-		// Return node with placeholder for function definition - definition will be added later
-		return this.wrapFunctionWithProperties(
+		// If class has private members, get default props for methods defined in class body
+		const {classPrivates} = fnDef;
+		const methodDefaultProps = classPrivates ? this.initPrivateClass(fn, record, fnDef) : undefined;
+
+		// Create node with placeholder for function definition - definition will be added later
+		const node = this.wrapFunctionWithProperties(
 			fn, record, t.identifier('x'), fnDef.name, fnDef.numParams,
-			isClass, fnDef.isClassWithSuperClass, isAsync, isGenerator, fnDef.isArrow, fnDef.isMethod
+			isClass, fnDef.isClassWithSuperClass, isAsync, isGenerator, fnDef.isArrow, fnDef.isMethod,
+			methodDefaultProps
 		);
+
+		// Set values of class's static private fields.
+		// Class is complete at this point, so set record's node first. This allows values of static
+		// private fields to be instances of the class, which reference the class in their definitions.
+		if (classPrivates) {
+			record.node = node;
+			this.serializeClassStaticPrivates(fn, record);
+		}
+
+		return node;
 	},
 
 	/**
@@ -338,6 +362,7 @@ module.exports = {
 		if (type === 'callbackify') return this.serializeCallbackifyFunction(info, record);
 		if (type === 'debuglog') return this.serializeDebuglogFunction(info, record);
 		if (type === 'splitAsync') return this.serializeSplitAsyncFunction(info, record);
+		if (type === 'revokeProxy') return this.serializeRevokeProxyFunction(fn, info, record);
 		assertBug(false, `Unexpected special function type '${type}'`);
 	},
 
@@ -550,7 +575,7 @@ module.exports = {
 
 	wrapFunctionWithProperties(
 		fn, record, node, name, numParams,
-		isClass, isClassWithSuperClass, isAsync, isGenerator, isArrowOrBound, isMethod
+		isClass, isClassWithSuperClass, isAsync, isGenerator, isArrowOrBound, isMethod, methodDefaultProps
 	) {
 		// Set default `length` + `name` properties based on function definition
 		const defaultProps = [
@@ -587,7 +612,7 @@ module.exports = {
 			} else {
 				// Prototype should be an object (not an Array, Set etc)
 				// and should have constructor - check constructor refers back to function
-				if (typeOf(proto) === 'Object') { // eslint-disable-line no-lonely-if
+				if (getType(proto) === 'Object') { // eslint-disable-line no-lonely-if
 					const ctorDescriptor = Object.getOwnPropertyDescriptor(proto, 'constructor');
 					if (ctorDescriptor) {
 						const ctor = ctorDescriptor.value;
@@ -605,6 +630,9 @@ module.exports = {
 			};
 		}
 
+		// Add static methods defined in class body (only for classes with private members)
+		if (methodDefaultProps) defaultProps.push(...methodDefaultProps.staticProps);
+
 		// Flag prototype as prototype
 		if (proto) this.prototypes.set(proto, protoValue ? record : null);
 
@@ -624,27 +652,36 @@ module.exports = {
 			// Classes with super class are defined with `extends null`
 			const defaultProtoProto = isClassWithSuperClass ? null : Object.prototype;
 
+			// Prototype methods defined in class body (only for classes with private members)
+			const protoDefaultProps = [
+				{name: 'constructor', value: fn, writable: true, enumerable: false, configurable: true}
+			];
+			if (methodDefaultProps) protoDefaultProps.push(...methodDefaultProps.protoProps);
+
 			let protoIsAltered = false;
 			const propNames = Object.getOwnPropertyNames(proto);
-			if (propNames.length !== 1 || Object.getOwnPropertySymbols(proto).length !== 0) {
-				protoIsAltered = true;
-			} else if (propNames[0] !== 'constructor') {
+			if (
+				propNames.length !== protoDefaultProps.length
+				|| Object.getOwnPropertySymbols(proto).length !== 0
+			) {
 				protoIsAltered = true;
 			} else if (Object.getPrototypeOf(proto) !== defaultProtoProto) {
 				protoIsAltered = true;
 			} else {
-				const ctorDescriptor = Object.getOwnPropertyDescriptor(proto, 'constructor');
-				if (!ctorDescriptor.writable || ctorDescriptor.enumerable || !ctorDescriptor.configurable) {
-					protoIsAltered = true;
-				}
+				protoIsAltered = propNames.some((propName, index) => {
+					const defaultProp = protoDefaultProps[index];
+					if (propName !== defaultProp.name) return true;
+					const descriptor = Object.getOwnPropertyDescriptor(proto, propName);
+					return Object.keys(descriptor)
+						.some(modifier => descriptor[modifier] !== defaultProp[modifier]);
+				});
 			}
 
 			if (protoIsAltered) {
 				const protoRecord = this.serializeValue(proto, this.getPrototypeVarName(record), '.prototype');
 				this.withTrace(
 					() => this.serializeProperties(
-						proto, protoRecord, null, defaultProtoProto,
-						[{name: 'constructor', value: fn, writable: true, enumerable: false, configurable: true}],
+						proto, protoRecord, null, defaultProtoProto, protoDefaultProps,
 						undefined, undefined, true
 					),
 					'.prototype'
@@ -7,16 +7,19 @@
 
 // Modules
 const assert = require('simple-invariant'),
-	{isObject, isFunction, isBoolean, isString, isFullString} = require('is-it-type');
+	{isValidIdentifier} = require('@babel/types'),
+	{isObject, isArray, isFunction, isBoolean, isString, isFullString} = require('is-it-type');
 
 // Imports
 const Serializer = require('./serializer.js'),
 	{split, splitAsync} = require('./split.js'),
-	{DEFAULT_STATS_FILENAME, HASH_PLACEHOLDER_CHAR} = require('./constants.js'),
+	{runtime} = require('./placeholders.js'),
+	{asset} = require('./assets.js'),
+	{DEFAULT_STATS_FILENAME, DEFAULT_REPORT_FILENAME, HASH_PLACEHOLDER_CHAR} = require('./constants.js'),
 	{DEFAULT_OUTPUT_FILENAME} = require('../shared/constants.js');
 
 // Constants
-const FORMATS = ['js', 'cjs', 'esm'],
+const FORMATS = ['js', 'cjs', 'esm', 'iife', 'umd'],
 	FORMAT_ALIASES = {commonjs: 'cjs', mjs: 'esm'};
 
 // Exports
@@ -25,7 +28,9 @@ module.exports = {
 	serialize,
 	serializeEntries,
 	split,
-	splitAsync
+	splitAsync,
+	runtime,
+	asset
 };
 
 /**
@@ -67,16 +72,22 @@ function serializeImpl(entries, options) {
 /**
  * Conform options.
  * @param {Object} [options] - Options object
- * @param {string} [options.format='js'] - Output format - 'js' / 'esm' / 'cjs'
+ * @param {string} [options.format='js'] - Output format - 'js' / 'esm' / 'cjs' / 'iife' / 'umd'
+ * @param {string} [options.globalName] - Name of global var to assign export to
+ *   (required for `iife` format unless `exec` option is `true`, and for `umd` format)
  * @param {string} [options.ext='js'] - JS file extension
  * @param {string} [options.mapExt='map'] - Source map file extension
  * @param {boolean} [options.exec=false] - If true, export will be called
+ * @param {boolean} [options.namedExports=false] - If true, entry points which are plain objects
+ *   or module namespace objects are output with each property as a named export,
+ *   and common chunks use named exports (`esm` format only)
  * @param {boolean} [options.minify=true] - If false, JS is not minified (defaults to true)
  * @param {boolean} [options.mangle] - If false, vars left with original names, rather than shortening
  *   (default inherits `options.minify`)
  * @param {boolean} [options.comments] - If true, comments are left in JS
  *   (default inherits `!options.minify`)
  * @param {boolean} [options.files] - If true, output array of files, each of form `{filename, content}`
+ * @param {boolean} [options.errorStacks=false] - If true, `stack` property of Errors is retained
  * @param {boolean} [options.strictEnv] - If true, entry points output will be created to run in strict
  *   mode. If false, to run in sloppy mode. Default is false for `js` format.
  *   Only false is valid for `cjs` format, only true is valid for `esm` format.
@@ -87,9 +98,19 @@ function serializeImpl(entries, options) {
  *   as separate files. If 'inline', will make source maps inline.
  * @param {string} [options.outputDir=null] - If provided, source maps will use paths relative
  *   to this directory
+ * @param {string} [options.paths='absolute'] - 'relative' to output values of `__filename` / `__dirname`
+ *   / `import.meta.url` captured in `const` vars as relative to output file
+ *   (`outputDir` option must be provided)
+ * @param {string} [options.target='node'] - 'browser' to refuse to output NodeJS built-in modules
  * @param {boolean|string} [options.stats=null] - Stats file filename (or `true` for default)
+ * @param {boolean|string} [options.report=null] - HTML report filename (or `true` for default)
  * @param {Function} [options.shouldPrintComment=null] - If provided, function is called with text of
  *   every comment encountered in source. If function returns true, the comment is retained in output.
+ * @param {Function} [options.replacer=null] - If provided, function is called with every value
+ *   encountered and trace path to it. Value returned is serialized in place of the original value.
+ * @param {Array<string>|Function} [options.externals=null] - Packages to output as `require()`/`import`
+ *   rather than inlining. Either array of package names, or function which is called with package name
+ *   and returns `true` if package is external.
  * @param {boolean} [options.debug=false] - If `true`, prints debug info to stderr
  * @param {boolean} filesDefault - Default value for `files` option
  * @returns {Object} - Options object
@@ -125,6 +146,34 @@ function conformOptions(options, filesDefault) {
 	const conformBool = conformBoolOption.bind(null, options);
 	conformBool('exec', false);
 	assert(!options.exec || format !== 'js', "options.exec cannot be true if options.format is 'js'");
+	assert(!options.exec || format !== 'umd', "options.exec cannot be true if options.format is 'umd'");
+
+	// Get `globalName` option
+	const {globalName} = options;
+	if (globalName == null) {
+		assert(
+			format !== 'umd' && (format !== 'iife' || options.exec),
+			`options.globalName must be provided if options.format is '${format}'`
+		);
+		options.globalName = null;
+	} else {
+		assert(
+			isString(globalName) && isValidIdentifier(globalName),
+			'options.globalName must be a valid JS identifier if provided'
+		);
+		assert(
+			format === 'iife' || format === 'umd',
+			"options.globalName can only be provided if options.format is 'iife' or 'umd'"
+		);
+		assert(!options.exec, 'options.globalName cannot be provided if options.exec is true');
+	}
+
+	// Get `namedExports` option
+	conformBool('namedExports', false);
+	if (options.namedExports) {
+		assert(format === 'esm', "options.namedExports can only be true if options.format is 'esm'");
+		assert(!options.exec, 'options.namedExports cannot be true if options.exec is true');
+	}
 
 	// Get `ext` + `mapExt` options
 	const {ext, mapExt} = options;
@@ -142,11 +191,12 @@ function conformOptions(options, filesDefault) {
 		assert(!/[/\\]/.test(mapExt), 'options.mapExt must not contain slashes');
 	}
 
-	// Conform `minify`, `mangle`, `comments`, `files`, `debug` options
+	// Conform `minify`, `mangle`, `comments`, `files`, `errorStacks`, `debug` options
 	conformBool('minify', true);
 	conformBool('mangle', options.minify); // Mangling defaults to enabled if minifying enabled
 	conformBool('comments', !options.minify); // Comments defaults to disabled if minifying enabled
 	conformBool('files', filesDefault);
+	conformBool('errorStacks', false);
 	conformBool('debug', false);
 
 	// Conform and validate `strictEnv` option
@@ -192,6 +242,39 @@ function conformOptions(options, filesDefault) {
 		options.outputDir = null;
 	}
 
+	// Conform `target` option
+	const {target} = options;
+	if (target == null) {
+		options.target = 'node';
+	} else {
+		assert(
+			target === 'node' || target === 'browser',
+			"options.target must be 'node' or 'browser' if provided"
+		);
+	}
+
+	// Conform `paths` option
+	const {paths} = options;
+	if (paths == null) {
+		options.paths = 'absolute';
+	} else {
+		assert(
+			paths === 'absolute' || paths === 'relative',
+			"options.paths must be 'absolute' or 'relative' if provided"
+		);
+		if (paths === 'relative') {
+			assert(
+				format === 'cjs' || format === 'esm',
+				`options.paths cannot be 'relative' if options.format is '${format}'`
+			);
+			assert(options.outputDir, "options.outputDir must be provided if options.paths is 'relative'");
+			assert(
+				options.target !== 'browser',
+				"options.paths cannot be 'relative' if options.target is 'browser'"
+			);
+		}
+	}
+
 	// Conform `stats` options
 	const {stats} = options;
 	if (stats == null || stats === false) {
@@ -202,6 +285,16 @@ function conformOptions(options, filesDefault) {
 		assert(isString(stats), 'options.stats must be a boolean or string if provided');
 	}
 
+	// Conform `report` option
+	const {report} = options;
+	if (report == null || report === false) {
+		options.report = null;
+	} else if (report === true) {
+		options.report = DEFAULT_REPORT_FILENAME;
+	} else {
+		assert(isString(report), 'options.report must be a boolean or string if provided');
+	}
+
 	// Conform `shouldPrintComment` option
 	const {shouldPrintComment} = options;
 	if (shouldPrintComment != null) {
@@ -210,6 +303,31 @@ function conformOptions(options, filesDefault) {
 		options.shouldPrintComment = null;
 	}
 
+	// Conform `replacer` option
+	const {replacer} = options;
+	if (replacer != null) {
+		assert(isFunction(replacer), 'options.replacer must be a function if provided');
+	} else {
+		options.replacer = null;
+	}
+
+	// Conform `externals` option to a function
+	const {externals} = options;
+	if (externals == null) {
+		options.externals = null;
+	} else if (isArray(externals)) {
+		assert(
+			externals.every(isFullString),
+			'options.externals must be an array of strings or a function if provided'
+		);
+		options.externals = externals.length > 0 ? name => externals.includes(name) : null;
+	} else {
+		assert(
+			isFunction(externals),
+			'options.externals must be an array of strings or a function if provided'
+		);
+	}
+
 	return options;
 }
 
@@ -27,6 +27,10 @@ const DEFAULT_MODIFIERS = {writable: true, enumerable: true, configurable: true}
 
 module.exports = {
 	serializeObject(obj, record) {
+		// If instance of class with private members, create with private members and add properties
+		const privates = this.serializeInstancePrivates(obj, record);
+		if (privates) return this.wrapWithProperties(obj, record, privates.node, privates.defaultProto);
+
 		// Serialize properties
 		return this.serializeProperties(
 			obj, record, null, Object.prototype, undefined, undefined, undefined, false
@@ -65,11 +69,9 @@ module.exports = {
 		const deletedPropNames = new Set();
 		function deleteDefaultProps(nextKey) {
 			while (nextDefaultProp && nextDefaultProp.name !== nextKey) {
-				// NB: Default prop keys are always valid identifiers
-				const key = nextDefaultProp.name;
-				const memberNode = isIntegerKey(key)
-					? t.memberExpression(record.varNode, t.numericLiteral(+key), true)
-					: t.memberExpression(record.varNode, t.identifier(key));
+				const key = nextDefaultProp.name,
+					keyNode = createKeyNode(key);
+				const memberNode = t.memberExpression(record.varNode, keyNode, !t.isIdentifier(keyNode));
 				const assignmentNode = t.unaryExpression('delete', memberNode);
 				createAssignment(record, assignmentNode, memberNode, 'object', true);
 
@@ -329,20 +331,22 @@ module.exports = {
 			traceKey = isSymbol(key) ? `[${key.toString()}]` : `.${key}`;
 		let isCircular = forceAssign,
 			needsDescriptor = forceDescriptor || (defaultProp ? !defaultProp.writable : false);
+		// NB: Default props are getter/setter pairs if they have no `value` property
+		const defaultIsAccessor = !!defaultProp && !('value' in defaultProp);
 		if (hasValue) {
-			if (descriptor.value !== defaultProp?.value) {
+			if (defaultIsAccessor || descriptor.value !== defaultProp?.value) {
 				const valRecord = this.serializeValue(descriptor.value, varName, traceKey);
 				if (recordIsCircular(valRecord)) isCircular = true;
 				records.value = valRecord;
 			}
 		} else {
 			const {get: getter, set: setter} = descriptor;
-			if (getter || !setter) {
+			if (defaultIsAccessor ? getter !== defaultProp.get : getter || !setter) {
 				const getterRecord = this.serializeValue(getter, `${varName}Getter`, `<getter> ${traceKey}`);
 				if (recordIsCircular(getterRecord)) isCircular = true;
 				records.get = getterRecord;
 			}
-			if (setter) {
+			if (defaultIsAccessor ? setter !== defaultProp.set : setter) {
 				const setterRecord = this.serializeValue(setter, `${varName}Setter`, `<setter> ${traceKey}`);
 				if (recordIsCircular(setterRecord)) isCircular = true;
 				records.set = setterRecord;
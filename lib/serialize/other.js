@@ -3,13 +3,17 @@
  * Serialize other built-ins
  * ------------------*/
 
+/* global WeakRef, FinalizationRegistry */
+
 'use strict';
 
 // Modules
 const t = require('@babel/types');
 
 // Imports
-const {createDependency} = require('./records.js'),
+const {createDependency, createAssignment} = require('./records.js'),
+	{recordIsCircular, addPendingDependency} = require('./utils.js'),
+	{getPromiseState, getFinalizationRegistryDetails} = require('../shared/internal.js'),
 	{URLContextSymbol, URLQuerySymbol} = require('../shared/globals.js');
 
 // Exports
@@ -18,7 +22,8 @@ const regexSourceGetter = Object.getOwnPropertyDescriptors(RegExp.prototype).sou
 	regexFlagsGetter = Object.getOwnPropertyDescriptors(RegExp.prototype).flags.get,
 	dateGetTime = Date.prototype.getTime,
 	URLToString = URL.prototype.toString,
-	URLSearchParamsToString = URLSearchParams.prototype.toString;
+	URLSearchParamsToString = URLSearchParams.prototype.toString,
+	weakRefDeref = WeakRef.prototype.deref;
 
 const urlShouldSkipKey = URLContextSymbol
 	? key => key === URLContextSymbol || key === URLQuerySymbol
@@ -85,11 +90,103 @@ module.exports = {
 		);
 	},
 
-	serializeWeakRef() {
-		throw new Error('Cannot serialize WeakRefs');
+	serializePromise(promise, record) {
+		// Settlement state is captured by `lib/init/promises.js`
+		const state = getPromiseState(promise);
+		if (state === undefined) {
+			throw new Error(
+				'Cannot serialize Promises created by async functions or NodeJS internals. '
+				+ 'Wrap in `Promise.resolve()` to make them serializable once settled.'
+			);
+		}
+		if (!state) throw new Error('Cannot serialize pending Promises');
+
+		// `Promise.resolve(...)` / `Promise.reject(...)`.
+		// If value is `undefined`, output `Promise.resolve()` / `Promise.reject()`.
+		const {isRejected, value} = state;
+		const methodRecord = this.serializeValue(isRejected ? Promise.reject : Promise.resolve);
+		const node = t.callExpression(methodRecord.varNode, []);
+		createDependency(record, methodRecord, node, 'callee');
+
+		if (value !== undefined) {
+			const valueRecord = this.serializeValue(
+				value, `${record.varNode.name}${isRejected ? 'Reason' : 'Value'}`,
+				isRejected ? '<Promise reason>' : '<Promise value>'
+			);
+
+			// If value references the Promise and is serialized first, Promise can't be defined before it,
+			// so references to Promise from within value are set later in assignments
+			if (recordIsCircular(valueRecord)) addPendingDependency(record, valueRecord);
+
+			node.arguments[0] = valueRecord.varNode;
+			createDependency(record, valueRecord, node.arguments, 0);
+		}
+
+		return this.wrapWithProperties(promise, record, node, Promise.prototype);
 	},
 
-	serializeFinalizationRegistry() {
-		throw new Error('Cannot serialize FinalizationRegistrys');
+	serializeWeakRef(ref, record) {
+		// `new WeakRef(target)`
+		const target = weakRefDeref.call(ref);
+		if (target === undefined) throw new Error('Cannot serialize WeakRefs whose target has been garbage collected');
+
+		const targetRecord = this.serializeValue(target, `${record.varNode.name}Target`, '<WeakRef target>');
+
+		// If target references the WeakRef and is serialized first, WeakRef can't be defined before it,
+		// so references to WeakRef from within target are set later in assignments
+		if (recordIsCircular(targetRecord)) addPendingDependency(record, targetRecord);
+
+		const ctorRecord = this.serializeValue(WeakRef);
+		const node = t.newExpression(ctorRecord.varNode, [targetRecord.varNode]);
+		createDependency(record, ctorRecord, node, 'callee');
+		createDependency(record, targetRecord, node.arguments, 0);
+
+		return this.wrapWithProperties(ref, record, node, WeakRef.prototype);
+	},
+
+	serializeFinalizationRegistry(registry, record) {
+		// Cleanup callback and entries are captured by `lib/init/weak.js`
+		const {callback, entries} = getFinalizationRegistryDetails(registry),
+			{varNode} = record,
+			varName = varNode.name;
+
+		// `new FinalizationRegistry(callback)`
+		const callbackRecord = this.serializeValue(callback, `${varName}Callback`, '<FinalizationRegistry callback>');
+
+		// If callback references the registry and is serialized first, registry can't be defined
+		// before it, so references to registry from within callback are set later in assignments
+		if (recordIsCircular(callbackRecord)) addPendingDependency(record, callbackRecord);
+
+		const ctorRecord = this.serializeValue(FinalizationRegistry);
+		const node = t.newExpression(ctorRecord.varNode, [callbackRecord.varNode]);
+		createDependency(record, ctorRecord, node, 'callee');
+		createDependency(record, callbackRecord, node.arguments, 0);
+
+		// `registry.register(target, heldValue, token)`
+		// Entries are always added with assignments, as they can't be passed to constructor
+		entries.forEach(({target, heldValue, token}, index) => {
+			const argRecords = [
+				this.serializeValue(target, `${varName}Targets_${index}`, `<FinalizationRegistry target ${index}>`),
+				this.serializeValue(
+					heldValue, `${varName}HeldValues_${index}`, `<FinalizationRegistry held value ${index}>`
+				)
+			];
+			if (token !== undefined) {
+				argRecords.push(
+					this.serializeValue(token, `${varName}Tokens_${index}`, `<FinalizationRegistry token ${index}>`)
+				);
+			}
+
+			const argNodes = argRecords.map(argRecord => argRecord.varNode);
+			const memberNode = t.memberExpression(varNode, t.identifier('register'));
+			const assignment = createAssignment(
+				record, t.callExpression(memberNode, argNodes), memberNode, 'object'
+			);
+			argRecords.forEach((argRecord, argIndex) => {
+				createDependency(assignment, argRecord, argNodes, argIndex);
+			});
+		});
+
+		return this.wrapWithProperties(registry, record, node, FinalizationRegistry.prototype);
 	}
 };
@@ -18,6 +18,7 @@ const {createRecord, createDependency} = require('./records.js'),
 	{getOutputTypeName, hashFileContent} = require('./filenames.js'),
 	{addStrictDirectiveToFunctionMaybeWrapped, addStrictDirectiveToBlock} = require('./strict.js'),
 	{toJsIdentifier, setAddFrom} = require('./utils.js'),
+	{isReservedVarName} = require('../shared/functions.js'),
 	{HASH_LENGTH, HASH_PLACEHOLDER_CHAR, ENTRY_POINT} = require('./constants.js');
 
 // Constants
@@ -27,7 +28,7 @@ const uniformHashPlaceholder = HASH_PLACEHOLDER_CHAR.repeat(HASH_LENGTH),
 
 // Exports
 
-const {StringLiteral: printStingLiteral, Program: printProgram} = Printer.prototype;
+const {StringLiteral: printStingLiteral, Program: printProgram, print} = Printer.prototype;
 
 module.exports = {
 	/**
@@ -40,9 +41,19 @@ module.exports = {
 			numFilesPerOutput = options.sourceMaps === true ? 2 : 1;
 		const files = new Array(entryPointOutputs.length * numFilesPerOutput);
 
-		const incompleteOutputs = new Map(); // Keyed by output
+		const incompleteOutputs = new Map(), // Keyed by output
+			outputs = [];
+
+		// Scripts cannot import other files, so code splitting is not possible
+		const isScriptFormat = options.format === 'iife' || options.format === 'umd';
+
+		// Measure size of functions in output for stats file / report
+		const isStatsRequired = !!(options.stats || options.report);
+		if (isStatsRequired) this.initFunctionSizes();
 
 		const finalizeOutput = (output, js, map) => {
+			outputs.push(output);
+
 			// Generate files objects
 			const outputFiles = this.generateOutputFiles(output, js, map);
 
@@ -72,6 +83,10 @@ module.exports = {
 				output.awaiting = new Set([output]);
 			}
 
+			if (isScriptFormat && output.dependencies.size > 0) {
+				throw new Error(`Cannot split output into multiple files in '${options.format}' format`);
+			}
+
 			const awaiting = new Set(),
 				filenamePositionsMap = new Map(); // Keyed by output
 			for (const [dependencyOutput, {importRecords, importFnRecords}] of output.dependencies.entries()) {
@@ -105,6 +120,18 @@ module.exports = {
 							[], t.callExpression(t.import(), [relativePathStrNode])
 						);
 					}
+				} else if (options.namedExports) {
+					// Multiple named exports.
+					// Create import statement (e.g. `import {a as x, b as y} from './xxx.js'`).
+					// All values imported from the output share the same import statement.
+					const exportNames = this.getOutputExportNames(dependencyOutput),
+						importNode = t.importDeclaration([], relativePathStrNode);
+					for (const [exportIndex, importValueRecord] of Object.entries(importRecords)) {
+						importNode.specifiers.push(
+							t.importSpecifier(importValueRecord.varNode, t.identifier(exportNames[exportIndex]))
+						);
+						importValueRecord.node = importNode;
+					}
 				} else {
 					// Multiple exports.
 					// Create import statement (e.g. `import importedVar from './xxx.js'`).
@@ -136,6 +163,13 @@ module.exports = {
 			let exportRecord;
 			if (exports.length === 1) {
 				exportRecord = exports[0];
+			} else if (options.namedExports) {
+				const exportNames = this.getOutputExportNames(output);
+				exportRecord = this.createNamedExportsRecord(
+					output.name || exportNames.join('_'),
+					exports.map((record, exportIndex) => [exportNames[exportIndex], record])
+				);
+				exportRecord.output = output;
 			} else {
 				exportRecord = createRecord(output.name || exports.map(record => record.varNode.name).join('_'));
 				const arrayNodes = [];
@@ -234,12 +268,58 @@ module.exports = {
 			processOutput(output);
 		}
 
-		// Output stats file
-		if (options.stats) files.push(this.outputStatsFile(files));
+		// Output asset files
+		files.push(...this.outputAssetFiles());
+
+		// Output stats file and report
+		if (isStatsRequired) {
+			const stats = this.getStats(files, outputs);
+			if (options.stats) files.push(this.outputStatsFile(stats));
+			if (options.report) files.push(this.outputReportFile(stats));
+		}
 
 		return files;
 	},
 
+	/**
+	 * Create record for object of values to be output as named exports.
+	 * @param {string} name - Var name
+	 * @param {Array<Array>} namedExports - Array of `[exportName, record]` pairs
+	 * @returns {Object} - Record
+	 */
+	createNamedExportsRecord(name, namedExports) {
+		const record = createRecord(name),
+			propNodes = [];
+		for (const [exportName, valRecord] of namedExports) {
+			const propNode = t.objectProperty(t.identifier(exportName), valRecord.varNode);
+			propNodes.push(propNode);
+			createDependency(record, valRecord, propNode, 'value');
+		}
+		record.node = t.objectExpression(propNodes);
+		this.namedExportsRecords.add(record);
+		return record;
+	},
+
+	/**
+	 * Get names of exports for an output with multiple exports, when using named exports.
+	 * Names are determined on first call and cached, as outputs importing from this output
+	 * may be processed before it.
+	 * @param {Object} output - Output object
+	 * @returns {Array<string>} - Export names, in same order as `output.exports`
+	 */
+	getOutputExportNames(output) {
+		let {exportNames} = output;
+		if (!exportNames) {
+			const transformName = this.createVarNameTransform(new Set()),
+				{mangle} = this.options;
+			exportNames = output.exports.map(
+				record => transformName(mangle ? null : toJsIdentifier(record.varNode.name))
+			);
+			output.exportNames = exportNames;
+		}
+		return exportNames;
+	},
+
 	generateOutputJsAndSourceMap(output, record) {
 		// Get format
 		const {options} = this;
@@ -251,12 +331,16 @@ module.exports = {
 			strictEnv = format === 'esm';
 		}
 
+		// Set paths of assets, and `__filename` / `__dirname` values, relative to this output file
+		this.setAssetPaths(output);
+		if (options.paths === 'relative') this.setRelativePaths(output);
+
 		// Compile file as AST
 		const node = this.outputAst(record, output, format, strictEnv);
 
 		// Compile to JS
 		const {sourceMaps} = options;
-		let {js, map} = this.generateJs(node, sourceMaps); // eslint-disable-line prefer-const
+		let {js, map} = this.generateJs(node, sourceMaps, output); // eslint-disable-line prefer-const
 
 		if (sourceMaps) {
 			// Convert source map paths to relative if `outputDir` option provided
@@ -284,9 +368,10 @@ module.exports = {
 	 *
 	 * @param {Object} node - AST node for program
 	 * @param {boolean} sourceMaps - `true` if source maps enabled
+	 * @param {Object} [output] - Output object (if generating JS for an output file)
 	 * @returns {string} - Javascript code
 	 */
-	generateJs(node, sourceMaps) {
+	generateJs(node, sourceMaps, output) {
 		const {options} = this,
 			{minify} = options;
 		const generator = new CodeGenerator(
@@ -310,6 +395,22 @@ module.exports = {
 			if (strNode[STRING_POSITIONS]) strNode[STRING_POSITIONS].push([startPos, this._buf._str.length]);
 		};
 
+		// Shim printer's `print` method to measure size of function definitions (for stats file / report)
+		const {fnSizes} = this;
+		if (fnSizes && output) {
+			printer.print = function(printNode, ...args) {
+				const fnSizeProps = fnSizes.get(printNode);
+				if (!fnSizeProps) {
+					print.call(this, printNode, ...args);
+				} else {
+					const startPos = getPrintedLength(this);
+					print.call(this, printNode, ...args);
+					fnSizeProps.output = output;
+					fnSizeProps.size += getPrintedLength(this) - startPos;
+				}
+			};
+		}
+
 		if (minify) {
 			// Patch printer to remove final semi-colon if not required
 			// TODO: Remove this if https://github.com/babel/babel/issues/14160 is resolved
@@ -371,7 +472,7 @@ module.exports = {
 			exportNode = t.expressionStatement(t.callExpression(record.varNode, []));
 			exportTarget = exportNode.expression;
 			exportKey = 'callee';
-		} else if (format === 'js') {
+		} else if (format === 'js' || format === 'iife' || format === 'umd') {
 			exportNode = t.returnStatement(record.varNode);
 			exportTarget = exportNode;
 			exportKey = 'argument';
@@ -420,6 +521,26 @@ module.exports = {
 			addTopLevelUseStrictDirective = false;
 		}
 
+		// Create var name transform.
+		// If outputting named exports and mangling var names, reserve export names which can be used
+		// as var names, so they can be declared directly e.g. `export const x = ...`.
+		// Without mangling, var names are chosen to match export names where possible anyway.
+		const isNamedExports = format === 'esm' && this.namedExportsRecords.has(record),
+			reservedNames = new Set(this.globalVarNames),
+			{mangle} = this.options;
+		let exportVarNames;
+		if (isNamedExports && mangle) {
+			exportVarNames = new Set();
+			for (const propNode of record.node.properties) {
+				const exportName = propNode.key.name;
+				if (!reservedNames.has(exportName) && !isReservedVarName(exportName)) {
+					exportVarNames.add(exportName);
+				}
+			}
+			setAddFrom(reservedNames, exportVarNames);
+		}
+		const transformVarName = this.createVarNameTransform(reservedNames);
+
 		// Compile as set of statements
 		const {dependents} = record;
 		let statementNodes;
@@ -429,8 +550,16 @@ module.exports = {
 		} else {
 			// Non-primitive
 			dependents.push({node: exportTarget, key: exportKey});
-			statementNodes = this.outputMain(record, strictEnv, modifyStrictRecords);
-			statementNodes.push(exportNode);
+			statementNodes = this.outputMain(record, strictEnv, modifyStrictRecords, output, transformVarName);
+			if (isNamedExports) {
+				// Convert `export default {x: ...}` to named exports
+				const varNodes = new Set(record.dependencies.map(dependency => dependency.record.varNode));
+				statementNodes.push(...createNamedExportNodes(
+					exportNode.declaration.properties, varNodes, exportVarNames, transformVarName, mangle
+				));
+			} else {
+				statementNodes.push(exportNode);
+			}
 		}
 
 		// Compile node to generate code from
@@ -447,6 +576,24 @@ module.exports = {
 			return t.callExpression(t.arrowFunctionExpression([], blockNode), []);
 		}
 
+		if (format === 'iife' || format === 'umd') {
+			// Output as function which returns export, wrapped in code which assigns result to global var
+			let bodyNode;
+			if (statementNodes.length === 1 && !addTopLevelUseStrictDirective) {
+				bodyNode = exportNode.argument;
+			} else {
+				bodyNode = t.blockStatement(statementNodes);
+				if (addTopLevelUseStrictDirective) addStrictDirectiveToBlock(bodyNode);
+			}
+
+			const {globalName} = this.options;
+			return t.program([
+				format === 'iife'
+					? createIifeNode(globalName, bodyNode)
+					: createUmdNode(globalName, t.arrowFunctionExpression([], bodyNode))
+			]);
+		}
+
 		if (format === 'exec') {
 			// Output as function expression to be immediately executed.
 			// If export is a function (as opposed to a var), unwrap contents of function body.
@@ -470,6 +617,15 @@ module.exports = {
 			}
 		}
 
+		// Wrap in IIFE for `iife` format, so vars don't leak into global scope
+		if (this.options.format === 'iife') {
+			const blockNode = t.blockStatement(statementNodes);
+			if (addTopLevelUseStrictDirective) addStrictDirectiveToBlock(blockNode);
+			return t.program([
+				t.expressionStatement(t.callExpression(t.arrowFunctionExpression([], blockNode), []))
+			]);
+		}
+
 		// Output as program
 		const programNode = t.program(statementNodes);
 		if (addTopLevelUseStrictDirective) addStrictDirectiveToBlock(programNode);
@@ -482,11 +638,12 @@ module.exports = {
 	 * @param {boolean} strictEnv - `true` if code will run in strict mode environment
 	 * @param {Set<Object>} modifyStrictRecords - Set of function records that need strict/sloppy status
 	 *   to be altered
+	 * @param {Object} output - Output object
+	 * @param {Function} transformVarName - Var name transform function
 	 * @returns {Array<Object>} - Program statements (Babel nodes)
 	 */
-	outputMain(record, strictEnv, modifyStrictRecords) {
+	outputMain(record, strictEnv, modifyStrictRecords, output, transformVarName) {
 		// Trace dependencies and create vars for each
-		const transformVarName = this.createVarNameTransform(new Set(this.globalVarNames));
 		const varNodes = [],
 			statementNodes = [],
 			importNodes = [],
@@ -520,7 +677,7 @@ module.exports = {
 			if (modifyStrictRecords.has(valRecord)) {
 				if (strictEnv) {
 					// Sloppy function - wrap in `(0, eval())` to escape into sloppy mode
-					node = this.wrapInIndirectEval(node, false);
+					node = this.wrapInIndirectEval(node, false, output);
 				} else {
 					// Strict function - add 'use strict' directive
 					node = addStrictDirectiveToFunctionMaybeWrapped(node);
@@ -579,7 +736,8 @@ module.exports = {
 					}
 
 					varNodes.push(t.variableDeclarator(varNode, node));
-				} else {
+				} else if (!importNodes.includes(node)) {
+					// NB: Values imported from an output with named exports share an import statement
 					importNodes.push(node);
 				}
 			}
@@ -622,32 +780,20 @@ module.exports = {
 		return statementNodes;
 	},
 
-	wrapInIndirectEval(node, isStrict) {
+	wrapInIndirectEval(node, isStrict, output) {
 		const {js} = this.generateJs(
 			t.program(
 				[t.expressionStatement(node)],
 				isStrict ? [t.directive(t.directiveLiteral('use strict'))] : []
 			),
-			false
+			false,
+			output
 		);
 
 		return t.callExpression(
 			t.sequenceExpression([t.numericLiteral(0), t.identifier('eval')]),
 			[t.stringLiteral(js)]
 		);
-	},
-
-	outputStatsFile(files) {
-		const stats = {
-			files: files.map(file => ({type: file.type, name: file.name, filename: file.filename}))
-		};
-
-		return {
-			type: 'stats',
-			name: null,
-			filename: this.options.stats,
-			content: JSON.stringify(stats)
-		};
 	}
 };
 
@@ -691,6 +837,137 @@ function replaceNode(node, replacementNode) {
 	return Object.assign(node, replacementNode);
 }
 
+/**
+ * Create named export statements from properties of exported object.
+ * e.g. `{x: {}, y: y$0, default: () => {}}` ->
+ * `const default$0 = () => {}; export const x = {}; export {y$0 as y, default$0 as default};`
+ * @param {Array<Object>} propNodes - Object property Babel nodes
+ * @param {Set<Object>} varNodes - Set of identifier nodes for values which are vars
+ * @param {Set<string>} [exportVarNames] - Set of export names reserved for use as var names
+ *   (only provided if mangling var names)
+ * @param {Function} transformVarName - Var name transform function
+ * @param {boolean} mangle - `true` if mangling var names
+ * @returns {Array<Object>} - Statement Babel nodes
+ */
+function createNamedExportNodes(propNodes, varNodes, exportVarNames, transformVarName, mangle) {
+	const varDeclaratorNodes = [],
+		exportDeclaratorNodes = [],
+		specifierNodes = [];
+	for (const propNode of propNodes) {
+		const exportName = propNode.key.name;
+		let valueNode;
+		if (t.isObjectMethod(propNode)) {
+			// `{x() {}}` -> `{x() {}}.x`
+			valueNode = t.memberExpression(t.objectExpression([propNode]), t.identifier(exportName));
+		} else {
+			valueNode = propNode.value;
+			if (varNodes.has(valueNode)) {
+				// Value is already a var - export it
+				specifierNodes.push(t.exportSpecifier(valueNode, t.identifier(exportName)));
+				continue;
+			}
+		}
+
+		// Declare var with export name if possible
+		const varName = exportVarNames?.has(exportName)
+			? exportName
+			: transformVarName(mangle ? null : toJsIdentifier(exportName));
+		const varNode = t.identifier(varName);
+		if (varName === exportName) {
+			exportDeclaratorNodes.push(t.variableDeclarator(varNode, valueNode));
+		} else {
+			varDeclaratorNodes.push(t.variableDeclarator(varNode, valueNode));
+			specifierNodes.push(t.exportSpecifier(varNode, t.identifier(exportName)));
+		}
+	}
+
+	const statementNodes = [];
+	if (varDeclaratorNodes.length > 0) {
+		statementNodes.push(t.variableDeclaration('const', varDeclaratorNodes));
+	}
+	if (exportDeclaratorNodes.length > 0) {
+		statementNodes.push(
+			t.exportNamedDeclaration(t.variableDeclaration('const', exportDeclaratorNodes), [])
+		);
+	}
+	if (specifierNodes.length > 0) statementNodes.push(t.exportNamedDeclaration(null, specifierNodes));
+	return statementNodes;
+}
+
+/**
+ * Create IIFE which assigns value to global var.
+ * e.g. `var globalName = (() => { ...; return value; })();`
+ * If body is an expression, IIFE is omitted e.g. `var globalName = value;`.
+ * @param {string} globalName - Global var name
+ * @param {Object} bodyNode - Block statement or expression Babel node
+ * @returns {Object} - Variable declaration Babel node
+ */
+function createIifeNode(globalName, bodyNode) {
+	return t.variableDeclaration('var', [
+		t.variableDeclarator(
+			t.identifier(globalName),
+			t.isBlockStatement(bodyNode)
+				? t.callExpression(t.arrowFunctionExpression([], bodyNode), [])
+				: bodyNode
+		)
+	]);
+}
+
+/**
+ * Create UMD wrapper, which exports result of calling factory function as AMD module,
+ * CommonJS module, or assigns it to global var.
+ * ```
+ * (function(root, factory) {
+ *   if (typeof define === 'function' && define.amd) define([], factory);
+ *   else if (typeof module === 'object' && module.exports) module.exports = factory();
+ *   else root.globalName = factory();
+ * })(typeof self !== 'undefined' ? self : this, factoryNode);
+ * ```
+ * @param {string} globalName - Global var name
+ * @param {Object} factoryNode - Factory function Babel node
+ * @returns {Object} - Expression statement Babel node
+ */
+function createUmdNode(globalName, factoryNode) {
+	const typeOf = name => t.unaryExpression('typeof', t.identifier(name)),
+		member = (objName, propName) => t.memberExpression(t.identifier(objName), t.identifier(propName)),
+		assignFactoryResult = leftNode => t.expressionStatement(
+			t.assignmentExpression('=', leftNode, t.callExpression(t.identifier('factory'), []))
+		);
+
+	const wrapperNode = t.functionExpression(
+		null,
+		[t.identifier('root'), t.identifier('factory')],
+		t.blockStatement([
+			t.ifStatement(
+				t.logicalExpression(
+					'&&', t.binaryExpression('===', typeOf('define'), t.stringLiteral('function')), member('define', 'amd')
+				),
+				t.expressionStatement(
+					t.callExpression(t.identifier('define'), [t.arrayExpression([]), t.identifier('factory')])
+				),
+				t.ifStatement(
+					t.logicalExpression(
+						'&&', t.binaryExpression('===', typeOf('module'), t.stringLiteral('object')), member('module', 'exports')
+					),
+					assignFactoryResult(member('module', 'exports')),
+					assignFactoryResult(member('root', globalName))
+				)
+			)
+		])
+	);
+
+	return t.expressionStatement(
+		t.callExpression(wrapperNode, [
+			t.conditionalExpression(
+				t.binaryExpression('!==', typeOf('self'), t.stringLiteral('undefined')),
+				t.identifier('self'),
+				t.thisExpression()
+			),
+			factoryNode
+		])
+	);
+}
+
 /**
  * Get relative `require()` path between 2 files.
  * @param {string} fromPath - Path of file requiring
@@ -730,3 +1007,14 @@ function replacePlaceholders(js, positions, hash) {
 	}
 	return js;
 }
+
+/**
+ * Get length of code printed so far by Babel printer.
+ * Babel's buffer moves content from `_str` to `_buf` periodically, so length is sum of the two.
+ * @param {Object} printer - Babel `Printer` object
+ * @returns {number} - Length of printed code
+ */
+function getPrintedLength(printer) {
+	const buf = printer._buf;
+	return buf._buf.length + buf._str.length;
+}
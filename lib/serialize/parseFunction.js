@@ -52,6 +52,7 @@ const RUNTIME_DIR_PATH = pathJoin(__dirname, '../runtime/');
  *   {number} .numParams - `.length` of created function
  *   {boolean} .isClass - `true` if is class
  *   {boolean} .isClassWithSuperClass - `true` if is class with super class (`extends ...`)
+ *   {Object|undefined} .classPrivates - Details of private members if class has private members
  *   {boolean} .isAsync - `true` if is async function
  *   {boolean} .isGenerator - `true` if is generator
  *   {boolean} .isArrow - `true` if is arrow function
@@ -61,6 +62,7 @@ const RUNTIME_DIR_PATH = pathJoin(__dirname, '../runtime/');
  *   {boolean} .containsEval - `true` if contains direct `eval()`
  *   {Array<string>|undefined} .argNames - Array of `arguments` var names
  * @throws {Error} - If function contains `import`
+ * @throws {Error} - If function accesses private members of a class it's not part of
  */
 module.exports = function parseFunction(
 	fn, fnId, getFunctionInfo, isClass, isAsync, isGenerator, filename
@@ -71,9 +73,17 @@ module.exports = function parseFunction(
 
 	// Throw error if function contains `import()`
 	if (fnInfo.containsImport) {
-		const fnName = Object.getOwnPropertyDescriptor(fn, 'name')?.value,
-			fnDesc = (isString(fnName) && fnName !== '') ? `function '${fnName}'` : 'anonymous function';
-		throw new Error(`Cannot serialize function containing \`import\` (${fnDesc} in '${filename}')`);
+		throw new Error(
+			`Cannot serialize function containing \`import\` (${getFunctionDescription(fn)} in '${filename}')`
+		);
+	}
+
+	// Throw error if function accesses private members of a class which encloses it
+	if (fnInfo.accessesOuterPrivates) {
+		throw new Error(
+			'Cannot serialize function which accesses private class members outside of its class '
+			+ `(${getFunctionDescription(fn)} in '${filename}')`
+		);
 	}
 
 	// Assemble scope definitions
@@ -84,7 +94,11 @@ module.exports = function parseFunction(
 			blockName,
 			vars: mapValues(vars, (varProps, varName) => {
 				externalVars[varName] = [];
-				return {isReadFrom: !!varProps.isReadFrom, isAssignedTo: !!varProps.isAssignedTo};
+				return {
+					isReadFrom: !!varProps.isReadFrom,
+					isAssignedTo: !!varProps.isAssignedTo,
+					pathType: varProps.pathType
+				};
 			})
 		});
 	}
@@ -161,7 +175,8 @@ module.exports = function parseFunction(
 	// Conform function/class, get function name
 	let isMethod = false,
 		paramNodes = node.params,
-		name;
+		name,
+		classPrivates;
 	const {type} = node,
 		isArrow = type === 'ArrowFunctionExpression',
 		containsEval = !!fnInfo.containsEval,
@@ -250,17 +265,30 @@ module.exports = function parseFunction(
 				// as they're automatically strict.
 				isStrict = null;
 
-				// Remove all members except constructor and prototype properties
+				// Remove all members except constructor and prototype properties.
+				// If class has private members, methods are retained too (except those with computed keys),
+				// as they may access private members, so cannot be defined outside the class.
+				// Static private properties are retained without their initializers,
+				// as their values are set later.
 				let constructorNode;
-				const classBodyNode = node.body;
-				classBodyNode.body = classBodyNode.body.filter((memberNode) => {
-					if (!memberNode) return false;
+				const classBodyNode = node.body,
+					memberNodes = classBodyNode.body.filter(Boolean);
+				classPrivates = getClassPrivates(memberNodes);
+				classBodyNode.body = memberNodes.filter((memberNode) => {
 					const memberType = memberNode.type;
 					if (memberType === 'ClassMethod') {
-						constructorNode = memberNode;
-						return true;
+						if (memberNode.kind === 'constructor') {
+							constructorNode = memberNode;
+							return true;
+						}
+						return !memberNode.computed;
 					}
+					if (memberType === 'ClassPrivateMethod') return true;
 					if (memberType === 'StaticBlock') return false;
+					if (memberType === 'ClassPrivateProperty') {
+						if (memberNode.static) memberNode.value = null;
+						return true;
+					}
 					return !memberNode.static;
 				});
 				paramNodes = constructorNode ? constructorNode.params : [];
@@ -295,11 +323,7 @@ module.exports = function parseFunction(
 	}
 
 	// Determine what value of `fn.length` will be
-	let numParams = 0;
-	for (const {type: paramNodeType} of paramNodes) {
-		if (paramNodeType === 'RestElement' || paramNodeType === 'AssignmentPattern') break;
-		numParams++;
-	}
+	const numParams = getNumParams(paramNodes);
 
 	// Return function definition object
 	return {
@@ -313,6 +337,7 @@ module.exports = function parseFunction(
 		numParams,
 		isClass,
 		isClassWithSuperClass,
+		classPrivates,
 		isAsync,
 		isGenerator,
 		isArrow,
@@ -323,6 +348,95 @@ module.exports = function parseFunction(
 	};
 };
 
+/**
+ * Get description of function for error messages.
+ * @param {Function} fn - Function
+ * @returns {string} - Description e.g. `function 'foo'`
+ */
+function getFunctionDescription(fn) {
+	const fnName = Object.getOwnPropertyDescriptor(fn, 'name')?.value;
+	return (isString(fnName) && fnName !== '') ? `function '${fnName}'` : 'anonymous function';
+}
+
+/**
+ * Get details of class's private members.
+ * Methods are only present in class AST if class has private members,
+ * so also record keys of methods defined in class body (excluding computed keys).
+ * @param {Array<Object>} memberNodes - Class member AST nodes
+ * @returns {Object|undefined} - Private members object with properties:
+ *   {string} [.brandName] - Name of 1st non-static private member
+ *   {Array<string>} .instanceFieldNames - Names of private instance fields
+ *   {Array<string>} .staticFieldNames - Names of private static fields
+ *   {Map<string,Object>} .protoMethodDefs - Definitions of prototype methods, keyed by key
+ *   {Map<string,Object>} .staticMethodDefs - Definitions of static methods, keyed by key
+ *     Definitions are objects with optional properties `value`, `get`, `set`,
+ *     each of form `{numParams, isAsync, isGenerator}`
+ *   {boolean} .isRestorerInjected - `false` (set to `true` when restorer is added to class AST)
+ *   or `undefined` if class has no private members
+ */
+function getClassPrivates(memberNodes) {
+	const classPrivates = {
+		brandName: undefined,
+		instanceFieldNames: [],
+		staticFieldNames: [],
+		protoMethodDefs: new Map(),
+		staticMethodDefs: new Map(),
+		isRestorerInjected: false
+	};
+
+	let hasPrivates = false;
+	for (const memberNode of memberNodes) {
+		const {type} = memberNode;
+		if (type === 'ClassMethod') {
+			if (memberNode.kind !== 'constructor' && !memberNode.computed) {
+				const keyNode = memberNode.key,
+					{kind} = memberNode;
+				const key = keyNode.type === 'Identifier' ? keyNode.name : `${keyNode.value}`;
+				const methodDefs = memberNode.static
+					? classPrivates.staticMethodDefs
+					: classPrivates.protoMethodDefs;
+				let methodDef = methodDefs.get(key);
+				if (!methodDef || kind === 'method') {
+					methodDef = {};
+					methodDefs.set(key, methodDef);
+				} else {
+					delete methodDef.value;
+				}
+				methodDef[kind === 'method' ? 'value' : kind] = {
+					numParams: getNumParams(memberNode.params),
+					isAsync: memberNode.async,
+					isGenerator: memberNode.generator
+				};
+			}
+		} else if (type === 'ClassPrivateMethod' || type === 'ClassPrivateProperty') {
+			hasPrivates = true;
+			const {name} = memberNode.key.id;
+			if (memberNode.static) {
+				if (type === 'ClassPrivateProperty') classPrivates.staticFieldNames.push(name);
+			} else {
+				if (!classPrivates.brandName) classPrivates.brandName = name;
+				if (type === 'ClassPrivateProperty') classPrivates.instanceFieldNames.push(name);
+			}
+		}
+	}
+
+	return hasPrivates ? classPrivates : undefined;
+}
+
+/**
+ * Get value of `fn.length` for a function with given params.
+ * @param {Array<Object>} paramNodes - Function param AST nodes
+ * @returns {number} - Number of params
+ */
+function getNumParams(paramNodes) {
+	let numParams = 0;
+	for (const {type: paramNodeType} of paramNodes) {
+		if (paramNodeType === 'RestElement' || paramNodeType === 'AssignmentPattern') break;
+		numParams++;
+	}
+	return numParams;
+}
+
 /**
  * Remove 'use strict' directive from function.
  * @param {Object} fnNode - Function AST node
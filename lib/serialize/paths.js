@@ -0,0 +1,161 @@
+/* --------------------
+ * livepack module
+ * Methods for outputting `__filename` / `__dirname` / `import.meta.url` relative to output file
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const pathModule = require('path'),
+	urlModule = require('url'),
+	t = require('@babel/types');
+
+// Imports
+const {createRecord, createDependency} = require('./records.js');
+
+// Exports
+
+module.exports = {
+	initPaths,
+	serializePathVar,
+	serializeRelativePath,
+	setRelativePaths
+};
+
+const {join: posixJoin, relative: posixRelative} = pathModule.posix;
+
+/* eslint-disable no-invalid-this */
+function initPaths() {
+	this.relativePathRefs = []; // Objects of form `{record, path, pathNode}`
+}
+
+/**
+ * Serialize value of a scope var which was initialized with `__filename`, `__dirname`
+ * or `import.meta.url` (tagged by instrumentation as `pathType`).
+ * If `paths` option is 'relative', and var still holds that value, output as path relative to output
+ * file. Otherwise, serialize value as usual.
+ * @param {*} val - Value
+ * @param {string} pathType - 'filename', 'dirname' or 'url'
+ * @param {string} filename - Path of file var is defined in
+ * @param {string} name - Var name
+ * @param {string} trace - Trace
+ * @returns {Object} - Record
+ */
+function serializePathVar(val, pathType, filename, name, trace) {
+	if (this.options.paths === 'relative') {
+		if (pathType === 'filename') {
+			if (val === filename) return this.serializeRelativePath(val, filename, false, name);
+		} else if (pathType === 'dirname') {
+			if (val === pathModule.dirname(filename)) return this.serializeRelativePath(val, val, false, name);
+		} else if (val === urlModule.pathToFileURL(filename).href) {
+			return this.serializeRelativePath(val, filename, true, name);
+		}
+	}
+
+	return this.serializeValue(val, name, trace);
+}
+
+/**
+ * Serialize path as path relative to output file.
+ * Output is `require('path').join(__dirname, '../src/index.js')` for CommonJS,
+ * or `pathModule.join(pathModule.dirname(urlModule.fileURLToPath(import.meta.url)), '../src/index.js')`
+ * for ESM.
+ * If `isUrl` is true, output is instead `require('url').pathToFileURL(<path as above>).href`
+ * for CommonJS, or `new URL('../src/index.js', import.meta.url).href` for ESM.
+ * Relative path in output is a placeholder at this stage. It's set by `setRelativePaths()`
+ * once it's known which output file the path is in.
+ * @param {string} val - Value (path or file URL)
+ * @param {string} path - Path
+ * @param {boolean} isUrl - `true` if value is a file URL
+ * @param {string} name - Var name
+ * @returns {Object} - Record
+ */
+function serializeRelativePath(val, path, isUrl, name) {
+	const {records} = this;
+	let record = records.get(val);
+	if (record) return record;
+
+	record = createRecord(name, val);
+	records.set(val, record);
+
+	const pathNode = t.stringLiteral('');
+	this.relativePathRefs.push({record, path, pathNode});
+
+	const isEsm = this.options.format === 'esm';
+	let node;
+	if (isUrl && isEsm) {
+		// `new URL('../src/index.js', import.meta.url).href`
+		const urlRecord = this.serializeValue(URL);
+		node = t.memberExpression(
+			t.newExpression(urlRecord.varNode, [pathNode, createImportMetaUrlNode()]),
+			t.identifier('href')
+		);
+		createDependency(record, urlRecord, node.object, 'callee');
+	} else {
+		const pathModuleRecord = this.serializeBuiltInModule(pathModule, 'path');
+		let dirNode;
+		if (isEsm) {
+			// `pathModule.dirname(urlModule.fileURLToPath(import.meta.url))`
+			const urlModuleRecord = this.serializeBuiltInModule(urlModule, 'url');
+			dirNode = t.callExpression(
+				t.memberExpression(pathModuleRecord.varNode, t.identifier('dirname')),
+				[
+					t.callExpression(
+						t.memberExpression(urlModuleRecord.varNode, t.identifier('fileURLToPath')),
+						[createImportMetaUrlNode()]
+					)
+				]
+			);
+			createDependency(record, pathModuleRecord, dirNode.callee, 'object');
+			createDependency(record, urlModuleRecord, dirNode.arguments[0].callee, 'object');
+		} else {
+			dirNode = t.identifier('__dirname');
+		}
+
+		// `pathModule.join(dir, '../src/index.js')`
+		node = t.callExpression(
+			t.memberExpression(pathModuleRecord.varNode, t.identifier('join')),
+			[dirNode, pathNode]
+		);
+		createDependency(record, pathModuleRecord, node.callee, 'object');
+
+		if (isUrl) {
+			// `urlModule.pathToFileURL(pathModule.join(__dirname, '../src/index.js')).href`
+			const urlModuleRecord = this.serializeBuiltInModule(urlModule, 'url');
+			node = t.memberExpression(
+				t.callExpression(
+					t.memberExpression(urlModuleRecord.varNode, t.identifier('pathToFileURL')),
+					[node]
+				),
+				t.identifier('href')
+			);
+			createDependency(record, urlModuleRecord, node.object.callee, 'object');
+		}
+	}
+
+	record.node = node;
+	return record;
+}
+
+/**
+ * Set relative paths in an output, relative to the output file.
+ * @param {Object} output - Output object
+ * @returns {undefined}
+ */
+function setRelativePaths(output) {
+	const fromDir = posixJoin(this.options.outputDir, output.filename, '..');
+	for (const {record, path, pathNode} of this.relativePathRefs) {
+		// If only 1 output, `record.output` is not set
+		if (record.output && record.output !== output) continue;
+		pathNode.value = posixRelative(fromDir, path);
+	}
+}
+/* eslint-enable no-invalid-this */
+
+/**
+ * Create AST node for `import.meta.url`.
+ * @returns {Object} - AST node
+ */
+function createImportMetaUrlNode() {
+	return t.memberExpression(t.metaProperty(t.identifier('import'), t.identifier('meta')), t.identifier('url'));
+}
@@ -0,0 +1,67 @@
+/* --------------------
+ * livepack module
+ * `runtime` function, and runtime placeholder methods
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const assert = require('simple-invariant'),
+	{isFunction} = require('is-it-type'),
+	t = require('@babel/types');
+
+// Imports
+const {runtimePlaceholders} = require('../shared/internal.js'),
+	{createDependency} = require('./records.js'),
+	{recordIsCircular, addPendingDependency} = require('./utils.js');
+
+// Exports
+
+module.exports = {
+	runtime,
+	// `methods` is merged into `Serializer` class prototype
+	methods: {
+		serializeRuntimePlaceholder
+	}
+};
+
+/**
+ * Create a placeholder for a value which is evaluated at runtime, rather than serialized.
+ * Wherever the placeholder is referenced, output contains result of calling `fn()`.
+ * `fn()` is called once when output code runs, and result is shared by all references to placeholder.
+ * @param {Function} fn - Function which returns value at runtime
+ * @returns {Object} - Placeholder object
+ */
+function runtime(fn) {
+	assert(isFunction(fn), '`fn` argument to `runtime` must be a function');
+
+	const placeholder = Object.freeze(Object.create(null));
+	runtimePlaceholders.set(placeholder, fn);
+	return placeholder;
+}
+
+/*
+ * Methods to merge into `Serializer` class prototype
+ */
+
+/* eslint-disable no-invalid-this */
+/**
+ * Serialize runtime placeholder.
+ * Output is `fn()`.
+ * @param {Function} fn - Function to call at runtime
+ * @param {Object} record - Record for placeholder
+ * @returns {Object} - Node for placeholder
+ */
+function serializeRuntimePlaceholder(fn, record) {
+	const fnRecord = this.serializeValue(fn, `${record.varNode.name}Fn`, '<runtime function>');
+
+	// If function references the placeholder and is serialized first (e.g. placeholder is a property
+	// of the function), placeholder can't be defined before it, so references to placeholder from within
+	// function are set later in assignments
+	if (recordIsCircular(fnRecord)) addPendingDependency(record, fnRecord);
+
+	const node = t.callExpression(fnRecord.varNode, []);
+	createDependency(record, fnRecord, node, 'callee');
+	return node;
+}
+/* eslint-enable no-invalid-this */
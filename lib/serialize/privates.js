@@ -0,0 +1,542 @@
+/* --------------------
+ * livepack module
+ * Serialize classes with private members, and their instances
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const {isSymbol} = require('is-it-type'),
+	t = require('@babel/types');
+
+// Imports
+const {createDependency, createAssignment} = require('./records.js'),
+	{createKeyNode, recordIsCircular, addPendingDependency} = require('./utils.js'),
+	{privateClasses} = require('../shared/internal.js');
+
+// Constants
+const RESTORER_KEY = 'livepack_privates',
+	RESTORING_FLAG_NAME = 'livepack_restoring';
+
+// Exports
+
+module.exports = {
+	/**
+	 * Init class with private members.
+	 * Record class's details, and get default props for methods defined in class body.
+	 * Methods of classes with private members are defined inline in class definition,
+	 * as they may access private members.
+	 * @param {Function} klass - Class
+	 * @param {Object} record - Record for class
+	 * @param {Object} fnDef - Function definition object for class
+	 * @returns {Object} - Object with properties:
+	 *   {Array<Object>} .staticProps - Default props for static methods
+	 *   {Array<Object>} .protoProps - Default props for prototype methods
+	 */
+	initPrivateClass(klass, record, fnDef) {
+		const details = privateClasses.get(klass),
+			{classPrivates} = fnDef;
+		this.privateClasses.set(klass, {details, fnDef, record, deleteAssignment: undefined});
+
+		return {
+			staticProps: getMethodDefaultProps(details.staticMethods, classPrivates.staticMethodDefs),
+			protoProps: getMethodDefaultProps(details.protoMethods, classPrivates.protoMethodDefs)
+		};
+	},
+
+	/**
+	 * Serialize method of a class with private members.
+	 * Methods are defined inline in class definition, so output is `Klass.prototype.method`,
+	 * `Klass.method` (static methods), or `Object.getOwnPropertyDescriptor(Klass.prototype, 'x').get`
+	 * (getters and setters).
+	 * Returns `undefined` if method is not defined in class definition (because it has a computed key),
+	 * or it's been moved, in which case it needs to be serialized as a standalone function.
+	 *
+	 * @param {Function} fn - Method function
+	 * @param {Object} info - Method info object (from `lib/init/getScopeId.js`)
+	 * @param {Object} info.details - Class details object
+	 * @param {boolean} info.isStatic - `true` if is static method
+	 * @param {string|symbol} info.key - Property key
+	 * @param {string} info.kind - 'value', 'get' or 'set'
+	 * @param {Object} record - Record for method
+	 * @returns {Object|undefined} - Node for method, or `undefined` if not defined in class definition
+	 */
+	serializePrivateClassMethod(fn, {details, isStatic, key, kind}, record) {
+		const {klass} = details,
+			classRecord = this.serializeValue(klass, 'constructor', '<class>');
+		if (isSymbol(key)) return undefined;
+		const {classPrivates} = this.privateClasses.get(klass).fnDef;
+		const methodDef = (isStatic ? classPrivates.staticMethodDefs : classPrivates.protoMethodDefs)
+			.get(key)?.[kind];
+		if (!methodDef) return undefined;
+
+		const target = isStatic ? klass : klass.prototype;
+		if (Object.getOwnPropertyDescriptor(target, key)?.[kind] !== fn) return undefined;
+
+		// If class is still being serialized (e.g. method is value of a static property of the class),
+		// references to method from within class are set later in assignments
+		if (recordIsCircular(classRecord)) addPendingDependency(record, classRecord);
+
+		// `Klass` or `Klass.prototype`
+		let targetNode, targetParentNode, targetKey;
+		if (isStatic) {
+			targetNode = classRecord.varNode;
+		} else {
+			targetNode = t.memberExpression(classRecord.varNode, t.identifier('prototype'));
+			targetParentNode = targetNode;
+			targetKey = 'object';
+		}
+
+		let node;
+		if (kind === 'value') {
+			// `Klass.prototype.method`
+			const keyNode = createKeyNode(key);
+			node = t.memberExpression(targetNode, keyNode, !t.isIdentifier(keyNode));
+			if (isStatic) {
+				targetParentNode = node;
+				targetKey = 'object';
+			}
+		} else {
+			// `Object.getOwnPropertyDescriptor(Klass.prototype, 'x').get`
+			const getDescriptorRecord = this.serializeValue(Object.getOwnPropertyDescriptor);
+			const callNode = t.callExpression(getDescriptorRecord.varNode, [targetNode, t.stringLiteral(key)]);
+			node = t.memberExpression(callNode, t.identifier(kind));
+			createDependency(record, getDescriptorRecord, callNode, 'callee');
+			if (isStatic) {
+				targetParentNode = callNode.arguments;
+				targetKey = 0;
+			}
+		}
+		createDependency(record, classRecord, targetParentNode, targetKey);
+
+		// Add additional properties, and alterations to default properties e.g. `name`
+		return this.wrapFunctionWithProperties(
+			fn, record, node, kind === 'value' ? key : `${kind} ${key}`, methodDef.numParams,
+			false, false, methodDef.isAsync, methodDef.isGenerator, false, true
+		);
+	},
+
+	/**
+	 * Serialize values of class's static private fields.
+	 * Values are set with an assignment `Klass.livepack_privates(Klass, {x: 1})`.
+	 * Static private fields with value `undefined` are skipped, as that's their initial value
+	 * (initializers are removed from class definition).
+	 *
+	 * If restorer has already been added to class definition by another instance of the class,
+	 * it needs to be deleted from this one too.
+	 *
+	 * @param {Function} klass - Class
+	 * @param {Object} record - Record for class
+	 * @returns {undefined}
+	 */
+	serializeClassStaticPrivates(klass, record) {
+		const classState = this.privateClasses.get(klass),
+			{getStaticPrivates} = classState.details;
+		if (getStaticPrivates) {
+			const {props} = this.serializePrivateValues(getStaticPrivates(), true);
+			if (props.length !== 0) {
+				// `Klass.livepack_privates(Klass, {x: 1})`
+				const assignment = createAssignment(record, null);
+				assignment.node = this.createPrivatesRestorerCall(klass, record.varNode, props, assignment);
+				createDependency(assignment, record, assignment.node.arguments, 0);
+			}
+		}
+
+		if (!classState.deleteAssignment && classState.fnDef.classPrivates.isRestorerInjected) {
+			createRestorerDeletion(classState);
+		}
+	},
+
+	/**
+	 * Serialize private members of object, if it's an instance of a class with private members.
+	 *
+	 * Output is `Klass.livepack_privates(null, {x: 1, y: 2})` for instances of a base class.
+	 * For instances of a class with a super class, object is created first and then private members
+	 * are added to it: `Klass.livepack_privates(Object.create(Klass.prototype), {x: 1})`.
+	 * Where several classes in prototype chain have private members, the calls are nested
+	 * e.g. `Child.livepack_privates(Parent.livepack_privates(null, {x: 1}), {y: 2})`.
+	 * Values which are circular references are set later in an assignment.
+	 *
+	 * @param {Object} obj - Object
+	 * @param {Object} record - Record for object
+	 * @returns {Object|undefined} - Object with properties:
+	 *   {Object} .node - Node for object
+	 *   {Object|null} .defaultProto - Prototype object will be created with
+	 *   or `undefined` if object has no private members
+	 */
+	serializeInstancePrivates(obj, record) {
+		// Get classes in prototype chain which object has private members of, from base class upwards
+		const levels = [];
+		let proto = obj;
+		while (true) { // eslint-disable-line no-constant-condition
+			proto = Object.getPrototypeOf(proto);
+			if (proto === null) break;
+			const details = privateClasses.get(proto);
+			if (details?.getInstancePrivates) {
+				const values = details.getInstancePrivates(obj);
+				if (values) levels.unshift({klass: details.klass, values});
+			}
+		}
+		if (levels.length === 0) return undefined;
+
+		// Create object and add private members
+		const circularLevels = [];
+		let node, defaultProto;
+		levels.forEach(({klass, values}, index) => {
+			const classRecord = this.serializeValue(klass, 'constructor', '<class>');
+
+			// Object has to be created by calling the class, so can't be defined before class is.
+			// If class is still being serialized (e.g. object is value of a static property of the class),
+			// references to object from within class are set later in assignments.
+			if (recordIsCircular(classRecord)) addPendingDependency(record, classRecord);
+
+			let targetNode;
+			if (index !== 0) {
+				targetNode = node;
+			} else if (this.privateClasses.get(klass).fnDef.isClassWithSuperClass) {
+				// Class with super class - create object with `Object.create()` and add private members to it
+				defaultProto = Object.getPrototypeOf(obj);
+				const protoRecord = this.serializeValue(defaultProto, 'prototype', '<prototypeOf>');
+
+				if (recordIsCircular(protoRecord)) addPendingDependency(record, protoRecord);
+
+				const objectCreateRecord = this.serializeValue(Object.create);
+				targetNode = t.callExpression(objectCreateRecord.varNode, [protoRecord.varNode]);
+				createDependency(record, objectCreateRecord, targetNode, 'callee');
+				createDependency(record, protoRecord, targetNode.arguments, 0);
+			} else {
+				// Base class - object is created by constructing the class
+				defaultProto = klass.prototype;
+				targetNode = t.nullLiteral();
+			}
+
+			const {props, circularProps} = this.serializePrivateValues(values, false);
+			node = this.createPrivatesRestorerCall(klass, targetNode, props, record);
+			if (circularProps.length !== 0) circularLevels.push({klass, props: circularProps});
+		});
+
+		// Set circular values in assignments.
+		// `Klass.livepack_privates(obj, {x: obj})`
+		// Assignments are attached to class record, so they're output before restorer is deleted.
+		for (const {klass, props} of circularLevels) {
+			const assignment = createAssignment(this.privateClasses.get(klass).record, null);
+			assignment.node = this.createPrivatesRestorerCall(klass, record.varNode, props, assignment);
+			createDependency(assignment, record, assignment.node.arguments, 0);
+		}
+
+		return {node, defaultProto};
+	},
+
+	/**
+	 * Serialize values of private fields.
+	 * @param {Object} values - Values of private fields, keyed by name
+	 * @param {boolean} isStatic - `true` if static private fields
+	 * @returns {Object} - Object with properties:
+	 *   {Array<Object>} .props - Props which are not circular references
+	 *   {Array<Object>} .circularProps - Props which are circular references
+	 */
+	serializePrivateValues(values, isStatic) {
+		const props = [],
+			circularProps = [];
+		for (const [name, value] of Object.entries(values)) {
+			if (isStatic && value === undefined) continue;
+			const valRecord = this.serializeValue(value, name, `.#${name}`);
+			(recordIsCircular(valRecord) ? circularProps : props).push({name, valRecord});
+		}
+		return {props, circularProps};
+	},
+
+	/**
+	 * Create call to private members restorer.
+	 * `Klass.livepack_privates(target, {x: 1, y: 2})`
+	 * @param {Function} klass - Class
+	 * @param {Object} targetNode - Node for first argument
+	 * @param {Array<Object>} props - Props
+	 * @param {Object} record - Record or assignment to add dependencies to
+	 * @returns {Object} - Call expression node
+	 */
+	createPrivatesRestorerCall(klass, targetNode, props, record) {
+		const classRecord = this.usePrivatesRestorer(klass, record);
+
+		const calleeNode = t.memberExpression(classRecord.varNode, t.identifier(RESTORER_KEY));
+		createDependency(record, classRecord, calleeNode, 'object');
+
+		const valuesNode = t.objectExpression(
+			props.map(({name, valRecord}) => {
+				const isProto = name === '__proto__';
+				const propNode = t.objectProperty(
+					isProto ? t.stringLiteral(name) : t.identifier(name), valRecord.varNode, isProto
+				);
+				createDependency(record, valRecord, propNode, 'value');
+				return propNode;
+			})
+		);
+
+		return t.callExpression(calleeNode, [targetNode, valuesNode]);
+	},
+
+	/**
+	 * Add private members restorer to class definition, if not already added.
+	 * Ensure restorer is removed from class after `user` has used it.
+	 * @param {Function} klass - Class
+	 * @param {Object} user - Record or assignment which uses restorer
+	 * @returns {Object} - Record for class
+	 */
+	usePrivatesRestorer(klass, user) {
+		const classState = this.privateClasses.get(klass);
+		if (!classState.deleteAssignment) {
+			const {fnDef} = classState,
+				{classPrivates} = fnDef;
+			if (!classPrivates.isRestorerInjected) {
+				injectRestorer(fnDef.node, classPrivates, fnDef.isClassWithSuperClass);
+				if (fnDef.isClassWithSuperClass) fnDef.globalVarNames.add('Object');
+				classPrivates.isRestorerInjected = true;
+
+				// Add deletion of restorer to all instances of the class serialized so far.
+				// NB: Classes which are still being serialized have deletion added
+				// in `serializeClassStaticPrivates()`, so it comes after setting static private fields.
+				for (const otherClassState of this.privateClasses.values()) {
+					if (
+						otherClassState.fnDef === fnDef && !otherClassState.deleteAssignment
+						&& !recordIsCircular(otherClassState.record)
+					) {
+						createRestorerDeletion(otherClassState);
+					}
+				}
+			}
+		}
+
+		const {record, deleteAssignment} = classState;
+		if (deleteAssignment) {
+			// Move deletion to after any assignments on class which use restorer
+			const {assignments} = record;
+			assignments.splice(assignments.indexOf(deleteAssignment), 1);
+			assignments.push(deleteAssignment);
+
+			// Record user as dependency of deletion, so deletion happens last.
+			// This also ensures user is defined as a var, rather than inlined into a statement
+			// which could be output after the deletion (e.g. `return Klass.livepack_privates(...)`).
+			if (user !== record && user.record !== record) {
+				createDependency(deleteAssignment, user, [user.varNode], 0);
+			}
+		}
+
+		return record;
+	}
+};
+
+/**
+ * Create assignment to delete private members restorer from class.
+ * `delete Klass.livepack_privates`
+ * @param {Object} classState - Class state object
+ * @returns {undefined}
+ */
+function createRestorerDeletion(classState) {
+	const {record} = classState,
+		memberNode = t.memberExpression(record.varNode, t.identifier(RESTORER_KEY));
+	classState.deleteAssignment = createAssignment(
+		record, t.unaryExpression('delete', memberNode), memberNode, 'object'
+	);
+}
+
+/**
+ * Get default props for methods defined in class body.
+ * @param {Map} descriptors - Map of original descriptors, keyed by property key
+ * @param {Map<string,Object>} methodDefs - Definitions of methods defined in class body, keyed by key
+ * @returns {Array<Object>} - Default props
+ */
+function getMethodDefaultProps(descriptors, methodDefs) {
+	const defaultProps = [];
+	for (const [key, descriptor] of descriptors) {
+		if (methodDefs.has(key)) defaultProps.push({name: key, ...descriptor});
+	}
+	return defaultProps;
+}
+
+/**
+ * Add private members restorer to class definition.
+ *
+ * Restorer is a temporary static method, which is deleted after it's been used:
+ *
+ * ```
+ * static livepack_privates(o, v) {
+ *   if (o === this) {
+ *     // Set static private fields
+ *     if ('s' in v) this.#s = v.s;
+ *     return o;
+ *   }
+ *
+ *   // Base class: Create instance
+ *   if (o === null) o = new this();
+ *
+ *   // Class with super class: Add private members to existing object.
+ *   // Super class is temporarily replaced with a function which returns the object,
+ *   // so constructing the class adds private members to the object.
+ *   if (!(#x in o)) {
+ *     const p = Object.getPrototypeOf(this);
+ *     Object.setPrototypeOf(this, function() { return o; });
+ *     try { new this(); } finally { Object.setPrototypeOf(this, p); }
+ *   }
+ *
+ *   // Set instance private fields
+ *   if ('x' in v) o.#x = v.x;
+ *   return o;
+ * }
+ * ```
+ *
+ * If class has a constructor, a static private field `#livepack_restoring` is also added,
+ * which is set to `true` while restorer constructs the class.
+ * Constructor is prefixed with a check which skips the constructor body when it's set.
+ *
+ * @param {Object} classNode - Class AST node
+ * @param {Object} classPrivates - Class private members object
+ * @param {boolean} isDerived - `true` if class has a super class
+ * @returns {undefined}
+ */
+function injectRestorer(classNode, classPrivates, isDerived) {
+	const memberNodes = classNode.body.body,
+		objNode = t.identifier('o'),
+		valuesNode = t.identifier('v'),
+		statementNodes = [];
+
+	// Static private fields
+	// (no need for `if (o === this)` check if class has no instance private members)
+	const {staticFieldNames, brandName} = classPrivates;
+	if (!brandName) {
+		statementNodes.push(...createSetPrivatesNodes(staticFieldNames, objNode, valuesNode));
+	} else if (staticFieldNames.length !== 0) {
+		statementNodes.push(t.ifStatement(
+			t.binaryExpression('===', objNode, t.thisExpression()),
+			t.blockStatement([
+				...createSetPrivatesNodes(staticFieldNames, t.thisExpression(), valuesNode),
+				t.returnStatement(objNode)
+			])
+		));
+	}
+
+	if (brandName) {
+		// Add guard to constructor
+		const constructorNode = memberNodes.find(
+			memberNode => memberNode.type === 'ClassMethod' && memberNode.kind === 'constructor'
+		);
+		let setFlagNode, unsetFlagNode;
+		if (constructorNode) {
+			// `static #livepack_restoring;`
+			memberNodes.push(
+				t.classPrivateProperty(createPrivateNameNode(RESTORING_FLAG_NAME), null, null, true)
+			);
+
+			// `if (#livepack_restoring in new.target && new.target.#livepack_restoring) return;`
+			// (`return super();` in class with super class)
+			const createNewTargetNode = () => t.metaProperty(t.identifier('new'), t.identifier('target'));
+			constructorNode.body.body.unshift(t.ifStatement(
+				t.logicalExpression(
+					'&&',
+					t.binaryExpression('in', createPrivateNameNode(RESTORING_FLAG_NAME), createNewTargetNode()),
+					t.memberExpression(createNewTargetNode(), createPrivateNameNode(RESTORING_FLAG_NAME))
+				),
+				t.returnStatement(isDerived ? t.callExpression(t.super(), []) : null)
+			));
+
+			// `this.#livepack_restoring = true` / `this.#livepack_restoring = false`
+			const createSetFlagNode = value => t.expressionStatement(t.assignmentExpression(
+				'=',
+				t.memberExpression(t.thisExpression(), createPrivateNameNode(RESTORING_FLAG_NAME)),
+				t.booleanLiteral(value)
+			));
+			setFlagNode = createSetFlagNode(true);
+			unsetFlagNode = createSetFlagNode(false);
+		}
+
+		// Construct class
+		const constructNode = t.newExpression(t.thisExpression(), []);
+		if (!isDerived) {
+			// `if (o === null) o = new this();`
+			const createNode = t.expressionStatement(t.assignmentExpression('=', objNode, constructNode));
+			statementNodes.push(t.ifStatement(
+				t.binaryExpression('===', objNode, t.nullLiteral()),
+				setFlagNode
+					? t.blockStatement([setFlagNode, t.tryStatement(
+						t.blockStatement([createNode]), null, t.blockStatement([unsetFlagNode])
+					)])
+					: createNode
+			));
+		} else {
+			// `if (!(#x in o)) { ... }`
+			const superClassNode = t.identifier('p');
+			const createObjectMethodCallNode = (methodName, argNodes) => t.expressionStatement(
+				t.callExpression(t.memberExpression(t.identifier('Object'), t.identifier(methodName)), argNodes)
+			);
+			statementNodes.push(t.ifStatement(
+				t.unaryExpression('!', t.binaryExpression('in', createPrivateNameNode(brandName), objNode)),
+				t.blockStatement([
+					t.variableDeclaration('const', [
+						t.variableDeclarator(
+							superClassNode,
+							t.callExpression(
+								t.memberExpression(t.identifier('Object'), t.identifier('getPrototypeOf')),
+								[t.thisExpression()]
+							)
+						)
+					]),
+					createObjectMethodCallNode('setPrototypeOf', [
+						t.thisExpression(),
+						t.functionExpression(null, [], t.blockStatement([t.returnStatement(objNode)]))
+					]),
+					...(setFlagNode ? [setFlagNode] : []),
+					t.tryStatement(
+						t.blockStatement([t.expressionStatement(constructNode)]),
+						null,
+						t.blockStatement([
+							...(unsetFlagNode ? [unsetFlagNode] : []),
+							createObjectMethodCallNode('setPrototypeOf', [t.thisExpression(), superClassNode])
+						])
+					)
+				])
+			));
+		}
+
+		// Set instance private fields
+		statementNodes.push(
+			...createSetPrivatesNodes(classPrivates.instanceFieldNames, objNode, valuesNode)
+		);
+	}
+
+	statementNodes.push(t.returnStatement(objNode));
+
+	memberNodes.push(t.classMethod(
+		'method', t.identifier(RESTORER_KEY), [objNode, valuesNode], t.blockStatement(statementNodes),
+		false, true
+	));
+}
+
+/**
+ * Create statements to set private fields.
+ * `if ('x' in v) o.#x = v.x;`
+ * @param {Array<string>} names - Private field names
+ * @param {Object} objNode - Node for object to set private fields on
+ * @param {Object} valuesNode - Node for values object
+ * @returns {Array<Object>} - Statement nodes
+ */
+function createSetPrivatesNodes(names, objNode, valuesNode) {
+	return names.map((name) => {
+		const isProto = name === '__proto__';
+		return t.ifStatement(
+			t.binaryExpression('in', t.stringLiteral(name), valuesNode),
+			t.expressionStatement(t.assignmentExpression(
+				'=',
+				t.memberExpression(objNode, createPrivateNameNode(name)),
+				t.memberExpression(valuesNode, isProto ? t.stringLiteral(name) : t.identifier(name), isProto)
+			))
+		);
+	});
+}
+
+/**
+ * Create private name node.
+ * @param {string} name - Name
+ * @returns {Object} - Private name node
+ */
+function createPrivateNameNode(name) {
+	return t.privateName(t.identifier(name));
+}
@@ -0,0 +1,156 @@
+/* --------------------
+ * livepack module
+ * Serialize Proxies
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const t = require('@babel/types');
+
+// Imports
+const {createRecord, createDependency} = require('./records.js'),
+	{recordIsCircular, addPendingDependency, dependsOnRecord} = require('./utils.js');
+
+// Exports
+
+module.exports = {
+	/**
+	 * Serialize Proxy.
+	 * Output is `new Proxy(target, handler)`, or `revocable.proxy` for revocable Proxies.
+	 * @param {Object} proxy - Proxy
+	 * @param {Object} details - Proxy details object (from `lib/init/proxies.js`)
+	 * @param {Object} record - Record for Proxy
+	 * @returns {Object} - Node for Proxy
+	 * @throws {Error} - If target or handler cannot be defined before the Proxy
+	 */
+	serializeProxy(proxy, details, record) {
+		if (details.revoke) {
+			// `revocable.proxy`
+			const revocableRecord = this.serializeProxyRevocable(details, record);
+			addRevocableDependency(record, revocableRecord);
+			const node = t.memberExpression(revocableRecord.varNode, t.identifier('proxy'));
+			createDependency(record, revocableRecord, node, 'object');
+			return node;
+		}
+
+		// `new Proxy(target, handler)`
+		const proxyRecord = this.serializeValue(Proxy),
+			node = t.newExpression(proxyRecord.varNode, []);
+		createDependency(record, proxyRecord, node, 'callee');
+		this.serializeProxyArgs(details, record, node.arguments);
+		return node;
+	},
+
+	/**
+	 * Serialize revoke function returned by `Proxy.revocable()`.
+	 * Output is `revocable.revoke`.
+	 * @param {Function} fn - Revoke function
+	 * @param {Object} info - Special function details
+	 * @param {Object} info.details - Proxy details object
+	 * @param {Object} record - Record for revoke function
+	 * @returns {Object} - Node for revoke function
+	 * @throws {Error} - If target or handler cannot be defined before the revoke function
+	 */
+	serializeRevokeProxyFunction(fn, {details}, record) {
+		const revocableRecord = this.serializeProxyRevocable(details, record);
+		addRevocableDependency(record, revocableRecord);
+		const node = t.memberExpression(revocableRecord.varNode, t.identifier('revoke'));
+		createDependency(record, revocableRecord, node, 'object');
+
+		// Revoke functions are anonymous arrow-like functions with no params
+		// fn, record, node, name, numParams, isClass, isAsync, isGenerator, isArrowOrBound, isMethod
+		return this.wrapFunctionWithProperties(
+			fn, record, node, '', 0, false, false, false, false, true, false
+		);
+	},
+
+	/**
+	 * Serialize object returned by `Proxy.revocable()`.
+	 * Output is `Proxy.revocable(target, handler)`.
+	 * If Proxy has been revoked, output is `createRevokedProxy()`, as target and handler are not retained.
+	 *
+	 * Record is shared between the Proxy and its revoke function, so if both are serialized,
+	 * they're both created from the same call.
+	 * NB: Record is not added to `this.records` as the object returned by `Proxy.revocable()` is not
+	 * serialized itself - only its `proxy` and `revoke` properties.
+	 *
+	 * @param {Object} details - Proxy details object
+	 * @param {Object} record - Record for Proxy or revoke function
+	 * @returns {Object} - Record for revocable object
+	 * @throws {Error} - If target or handler cannot be defined before the Proxy
+	 */
+	serializeProxyRevocable(details, record) {
+		const {proxyRevocableRecords} = this;
+		let revocableRecord = proxyRevocableRecords.get(details);
+		if (revocableRecord) return revocableRecord;
+
+		revocableRecord = createRecord(`${record.varNode.name}Revocable`);
+		proxyRevocableRecords.set(details, revocableRecord);
+
+		let node;
+		if (details.isRevoked) {
+			// `createRevokedProxy()` / `createRevokedProxy(true)`
+			const createRevokedProxyRecord = this.serializeRuntime('createRevokedProxy');
+			node = t.callExpression(
+				createRevokedProxyRecord.varNode,
+				details.isFunction ? [t.booleanLiteral(true)] : []
+			);
+			createDependency(revocableRecord, createRevokedProxyRecord, node, 'callee');
+		} else {
+			// `Proxy.revocable(target, handler)`
+			const revocableFnRecord = this.serializeValue(Proxy.revocable);
+			node = t.callExpression(revocableFnRecord.varNode, []);
+			createDependency(revocableRecord, revocableFnRecord, node, 'callee');
+			this.serializeProxyArgs(details, revocableRecord, node.arguments);
+		}
+
+		revocableRecord.node = node;
+		return revocableRecord;
+	},
+
+	/**
+	 * Serialize target and handler of Proxy and add to arguments nodes.
+	 * @param {Object} details - Proxy details object
+	 * @param {Object} record - Record to add dependencies to
+	 * @param {Array<Object>} argNodes - Arguments nodes array
+	 * @returns {undefined}
+	 * @throws {Error} - If target or handler cannot be defined before the Proxy
+	 */
+	serializeProxyArgs(details, record, argNodes) {
+		const varName = record.varNode.name,
+			targetRecord = this.serializeValue(details.target, `${varName}Target`, '<Proxy target>'),
+			handlerRecord = this.serializeValue(details.handler, `${varName}Handler`, '<Proxy handler>');
+
+		// If target or handler references the Proxy and is serialized first, Proxy can't be defined
+		// before it, so references to Proxy from within target / handler are set later in assignments
+		for (const argRecord of [targetRecord, handlerRecord]) {
+			if (!recordIsCircular(argRecord)) continue;
+			if (dependsOnRecord(argRecord, record)) {
+				throw new Error('Cannot serialize Proxies where target or handler cannot be defined before the Proxy');
+			}
+			addPendingDependency(record, argRecord);
+		}
+
+		argNodes.push(targetRecord.varNode, handlerRecord.varNode);
+		createDependency(record, targetRecord, argNodes, 0);
+		createDependency(record, handlerRecord, argNodes, 1);
+	}
+};
+
+/**
+ * If revocable object is not defined yet (target or handler references the Proxy or revoke function),
+ * record a pending dependency on it, so references to the Proxy / revoke function from within
+ * target / handler are set later in assignments.
+ * @param {Object} record - Record for Proxy or revoke function
+ * @param {Object} revocableRecord - Record for revocable object
+ * @returns {undefined}
+ * @throws {Error} - If target or handler cannot be defined before the Proxy / revoke function
+ */
+function addRevocableDependency(record, revocableRecord) {
+	if (!recordIsCircular(revocableRecord)) return;
+	if (dependsOnRecord(revocableRecord, record)) {
+		throw new Error('Cannot serialize Proxies where target or handler cannot be defined before the Proxy');
+	}
+	addPendingDependency(record, revocableRecord);
+}
@@ -39,6 +39,7 @@ function createRecord(name, val) {
 		dependencies: [],
 		dependents: [],
 		assignments: undefined,
+		pendingDependencies: undefined,
 		scope: undefined,
 		prototypeOf: undefined,
 		output: undefined,
@@ -0,0 +1,210 @@
+/* --------------------
+ * livepack module
+ * Methods for finding chains of references from entry points to values, for stats file
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const {isFunction} = require('is-it-type');
+
+// Imports
+const {globals} = require('../shared/internal.js'),
+	{getPackageName} = require('./utils.js'),
+	{ENTRY_POINT, ASYNC_SPLIT_POINT} = require('./constants.js'),
+	{GLOBAL, MODULE, VALUE} = require('../shared/constants.js');
+
+// Exports
+
+module.exports = {
+	/**
+	 * Find shortest chain of references from an entry point to every function and object in output,
+	 * and record them in `this.valueStats` for output in stats file.
+	 *
+	 * Must be called after serialization of all entry points + split points, and before
+	 * `processBlocks()`, which alters dependencies between functions and values in their scopes.
+	 * At this stage, functions do not depend on the values in their scopes via dependencies,
+	 * so these links are found from the scope objects in each function's scope chain.
+	 *
+	 * Graph is traversed breadth-first from all entry points simultaneously, so the chain found
+	 * for each value is shortest from any entry point. Async split points are treated as referenced
+	 * from the import functions which import them.
+	 *
+	 * Each chain is an array of labels e.g. `['index root', 'handler', '[closure] db', 'lodash.merge']`.
+	 *
+	 * @param {Array<Object>} pointOutputs - Outputs for all entry points + split points
+	 * @returns {undefined}
+	 */
+	findReferenceChains(pointOutputs) {
+		// Init queue with entry points, and map import functions to split points they import
+		const links = new Map(), // Keyed by record, values of form `{record, label, parent}`
+			splitRoots = new Map(), // Keyed by import function record
+			queue = [];
+		function addLink(record, label, parent) {
+			if (!record.dependents || links.has(record)) return;
+			const link = {record, label, parent};
+			links.set(record, link);
+			queue.push(link);
+		}
+
+		for (const output of pointOutputs) {
+			const {type, record} = output;
+			if (type === ENTRY_POINT) {
+				addLink(record, `${output.name} root`, null);
+			} else if (type === ASYNC_SPLIT_POINT) {
+				const label = `${output.name || record.varNode.name} split point root`;
+				for (const importFnRecord of output.importFnRecords) {
+					let roots = splitRoots.get(importFnRecord);
+					if (!roots) {
+						roots = [];
+						splitRoots.set(importFnRecord, roots);
+					}
+					roots.push({record, label});
+				}
+			}
+		}
+
+		// Traverse graph
+		for (let index = 0; index < queue.length; index++) {
+			const link = queue[index],
+				{record} = link;
+			for (const dependency of record.dependencies) {
+				addLink(dependency.record, undefined, link);
+			}
+
+			if (record.assignments) {
+				for (const assignment of record.assignments) {
+					for (const dependency of assignment.dependencies) {
+						addLink(dependency.record, undefined, link);
+					}
+				}
+			}
+
+			// Values in function's scopes
+			let {scope} = record;
+			while (scope) {
+				for (const [varName, {record: valRecord}] of Object.entries(scope.values)) {
+					addLink(valRecord, `[closure] ${varName}`, link);
+				}
+				scope = scope.parent;
+			}
+
+			const roots = splitRoots.get(record);
+			if (roots) {
+				for (const root of roots) {
+					addLink(root.record, root.label, link);
+				}
+			}
+		}
+
+		// Get locations of functions
+		const fnLocations = new Map(); // Keyed by record
+		for (const [filename, {functions}] of Object.entries(this.files)) {
+			for (const fnDef of functions.values()) {
+				const location = this.getFunctionLocation(fnDef, filename);
+				for (const fnRecord of fnDef.scopes.values()) {
+					fnLocations.set(fnRecord, location);
+				}
+			}
+		}
+
+		// Compile stats for all functions and objects
+		const {externals} = this,
+			valueStats = [];
+		for (const [val, record] of this.records) {
+			if (!isFunction(val) && (typeof val !== 'object' || val === null)) continue;
+			if (globals.has(val)) continue;
+
+			const link = links.get(record);
+			if (!link) continue;
+
+			const externalProps = externals.get(val);
+			let type, location;
+			if (externalProps) {
+				type = 'external';
+				const packageName = getExternalPackageName(externalProps, externals);
+				location = {filename: null, line: null, package: packageName};
+			} else {
+				type = isFunction(val) ? 'function' : 'object';
+				location = fnLocations.get(record) || {filename: null, line: null, package: null};
+			}
+
+			valueStats.push({
+				type,
+				name: this.getReferenceLabel(record),
+				...location,
+				chain: this.getReferenceChain(link)
+			});
+		}
+
+		this.valueStats = valueStats;
+	},
+
+	/**
+	 * Get chain of labels from entry point to value.
+	 * Records used internally by serializer (which have no value) are skipped.
+	 * @param {Object} link - Link object for value
+	 * @returns {Array<string>} - Array of labels
+	 */
+	getReferenceChain(link) {
+		const chain = [];
+		do {
+			const label = link.label || this.getReferenceLabel(link.record);
+			if (label) chain.unshift(label);
+			link = link.parent;
+		} while (link);
+		return chain;
+	},
+
+	/**
+	 * Get label for a value.
+	 * Globals and values exported by external packages are labelled with their path
+	 * e.g. `Object.assign`, `lodash.merge`.
+	 * Functions are labelled with their name, other values with their var name.
+	 * @param {Object} record - Record
+	 * @returns {string|null} - Label (`null` if record is used internally by serializer)
+	 */
+	getReferenceLabel(record) {
+		const {val} = record;
+		if (val === undefined) return null;
+
+		const globalProps = globals.get(val) || this.externals.get(val);
+		if (globalProps) {
+			const path = this.getGlobalPath(globalProps);
+			if (path) return path;
+		} else if (isFunction(val) && val.name) {
+			return val.name;
+		}
+
+		return record.varNode.name;
+	},
+
+	/**
+	 * Get path of global or external value e.g. `Object.assign`, `lodash.merge`.
+	 * @param {Object} globalProps - Global props object
+	 * @returns {string|undefined} - Path (`undefined` if cannot be expressed as a path)
+	 */
+	getGlobalPath(globalProps) {
+		const {type, parent, key} = globalProps;
+		if (type === GLOBAL || type === MODULE) return key;
+		if (type !== VALUE) return undefined;
+
+		const parentProps = globals.get(parent) || this.externals.get(parent);
+		if (!parentProps) return undefined;
+		const parentPath = this.getGlobalPath(parentProps);
+		return parentPath ? `${parentPath}.${key}` : undefined;
+	}
+};
+
+/**
+ * Get package name of value exported by external package.
+ * @param {Object} externalProps - External props object
+ * @param {Map} externals - Map of externals
+ * @returns {string} - Package name
+ */
+function getExternalPackageName(externalProps, externals) {
+	while (externalProps.type !== MODULE) {
+		externalProps = externals.get(externalProps.parent);
+	}
+	return getPackageName(externalProps.key);
+}
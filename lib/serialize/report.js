@@ -0,0 +1,189 @@
+/* --------------------
+ * livepack module
+ * HTML report methods
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const {relative: pathRelative, sep: pathSep} = require('path');
+
+// Imports
+const renderReport = require('./reportClient.js');
+
+// Constants
+const CSS = `
+body { margin: 0; padding: 16px; font: 13px/1.4 sans-serif; color: #222; }
+h1 { font-size: 20px; margin: 0 0 12px; }
+h2 { font-size: 16px; margin: 24px 0 8px; }
+.toolbar { display: flex; gap: 12px; align-items: center; margin-bottom: 8px; }
+.toolbar input { flex: 0 0 300px; padding: 4px 6px; font: inherit; }
+.breadcrumb span { cursor: pointer; color: #06c; }
+.breadcrumb span:last-child { cursor: default; color: inherit; font-weight: bold; }
+.treemap { position: relative; height: 70vh; min-height: 300px; }
+.node { position: absolute; box-sizing: border-box; overflow: hidden; border: 1px solid rgba(0, 0, 0, 0.3);
+	cursor: pointer; }
+.node > .label { padding: 1px 3px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;
+	font-size: 11px; pointer-events: none; }
+.searching .node { opacity: 0.35; }
+.searching .node.match, .searching .node.contains-match { opacity: 1; }
+.node.match { outline: 2px solid #d00; outline-offset: -2px; }
+table { border-collapse: collapse; }
+td, th { text-align: left; padding: 2px 12px 2px 0; vertical-align: top; }
+td.size, th.size { text-align: right; }
+`;
+
+// Exports
+
+module.exports = {
+	/**
+	 * Create HTML report file.
+	 * Report is a self-contained HTML page (no external assets) showing a treemap of output size
+	 * broken down by chunk -> package -> source file -> function, and which code is shared
+	 * between entry points in common chunks.
+	 * @param {Object} stats - Stats object
+	 * @returns {Object} - File object for report
+	 */
+	outputReportFile(stats) {
+		return {
+			type: 'report',
+			name: null,
+			filename: this.options.report,
+			content: createHtml(getReportData(stats))
+		};
+	}
+};
+
+/**
+ * Convert stats to tree of nodes for report.
+ * Each node is of form `{name, size, title, children}`.
+ * Root node's children are JS files output. Each has children for packages (or `(app)` for code
+ * not from a package), which have children for source files, which have children for functions.
+ * Size of code in output files which isn't part of a function is represented as an `(other)` node.
+ *
+ * @param {Object} stats - Stats object
+ * @returns {Object} - Report data object of form `{root, shared}`
+ */
+function getReportData(stats) {
+	const cwd = process.cwd();
+
+	const chunkNodes = [],
+		shared = [];
+	for (const file of stats.files) {
+		// Skip files which aren't JS (source maps, assets)
+		if (!file.entryPoints) continue;
+
+		const {filename} = file,
+			fnStats = stats.functions.filter(fn => fn.output === filename);
+
+		const packageNodes = new Map(); // Keyed by package name
+		let fnsSize = 0;
+		for (const fn of fnStats) {
+			const packageName = fn.package || '(app)';
+			let packageNode = packageNodes.get(packageName);
+			if (!packageNode) {
+				packageNode = {
+					name: packageName, title: packageName, size: 0, children: [], fileNodes: new Map()
+				};
+				packageNodes.set(packageName, packageNode);
+			}
+
+			let fileNode = packageNode.fileNodes.get(fn.filename);
+			if (!fileNode) {
+				const path = fn.package ? getPathInPackage(fn.filename) : pathRelative(cwd, fn.filename);
+				fileNode = {name: path, title: fn.filename, size: 0, children: []};
+				packageNode.fileNodes.set(fn.filename, fileNode);
+				packageNode.children.push(fileNode);
+			}
+
+			const fnName = fn.name || '(anonymous)';
+			fileNode.children.push({
+				name: fnName,
+				title: `${fnName} (${fileNode.name}${fn.line === null ? '' : `:${fn.line}`})`,
+				size: fn.size
+			});
+			fileNode.size += fn.size;
+			packageNode.size += fn.size;
+			fnsSize += fn.size;
+		}
+
+		const children = [...packageNodes.values()].map(({fileNodes, ...packageNode}) => packageNode);
+
+		// Code outside functions (e.g. object definitions, imports/exports) and functions not measured
+		// (e.g. in blocks containing `eval()`)
+		const otherSize = file.size.raw - fnsSize;
+		if (otherSize > 0) children.push({name: '(other)', title: `(other) in ${filename}`, size: otherSize});
+
+		chunkNodes.push({
+			name: filename,
+			title: `${filename} (${file.type})`,
+			size: file.size.raw,
+			gzipSize: file.size.gzip,
+			brotliSize: file.size.brotli,
+			children
+		});
+
+		// Record common chunks which are shared between multiple entry points
+		if (file.entryPoints.length > 1) {
+			shared.push({
+				filename,
+				entryPoints: file.entryPoints,
+				size: file.size.raw,
+				functions: fnStats
+					.map(fn => ({
+						name: fn.name || '(anonymous)',
+						filename: fn.package ? `${fn.package}/${getPathInPackage(fn.filename)}` : pathRelative(cwd, fn.filename),
+						size: fn.size
+					}))
+					.sort((fn1, fn2) => fn2.size - fn1.size)
+			});
+		}
+	}
+
+	return {
+		root: {
+			name: 'All files',
+			title: 'All files',
+			size: chunkNodes.reduce((total, node) => total + node.size, 0),
+			children: chunkNodes
+		},
+		shared
+	};
+}
+
+/**
+ * Get path of file within package.
+ * e.g. '/app/node_modules/lodash/merge.js' -> 'merge.js'
+ * @param {string} path - File path
+ * @returns {string} - Path within package
+ */
+function getPathInPackage(path) {
+	const parts = path.split(pathSep);
+	let index = parts.lastIndexOf('node_modules') + 1;
+	if (parts[index][0] === '@') index++;
+	return parts.slice(index + 1).join('/');
+}
+
+/**
+ * Create HTML for report.
+ * Data is embedded as JSON, and report is rendered in browser by `renderReport()`.
+ * @param {Object} data - Report data
+ * @returns {string} - HTML
+ */
+function createHtml(data) {
+	// Escape `<` so data cannot close `<script>` tag
+	const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+	return `<!DOCTYPE html>
+<html>
+	<head>
+		<meta charset="utf-8">
+		<title>Livepack report</title>
+		<style>${CSS}</style>
+	</head>
+	<body>
+		<script>(${renderReport})(${json});</script>
+	</body>
+</html>
+`;
+}
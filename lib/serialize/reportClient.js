@@ -0,0 +1,248 @@
+/* --------------------
+ * livepack module
+ * HTML report client-side renderer
+ * ------------------*/
+
+/* eslint-env browser */
+/* eslint-disable strict */
+
+// Exports
+
+/**
+ * Render report in browser.
+ * This function is converted to a string and embedded in report HTML, so must be self-contained
+ * (no references to anything outside the function).
+ *
+ * Treemap is rendered as nested absolutely-positioned `<div>`s, using squarified layout.
+ * Clicking a node zooms in to it. Breadcrumb at top allows zooming back out.
+ *
+ * @param {Object} data - Report data object of form `{root, shared}`
+ * @returns {undefined}
+ */
+module.exports = function renderReport(data) {
+	const {root, shared} = data,
+		MIN_LABEL_HEIGHT = 16,
+		MIN_SIZE = 3,
+		COLORS = ['#8dd3c7', '#ffffb3', '#bebada', '#fb8072', '#80b1d3', '#fdb462', '#b3de69', '#fccde5'];
+
+	// Link nodes to parents + assign colors by chunk
+	(function linkNodes(node, parent, color) {
+		node.parent = parent;
+		node.color = color;
+		if (node.children) {
+			node.children.sort((node1, node2) => node2.size - node1.size);
+			node.children.forEach((child, index) => {
+				linkNodes(child, node, parent ? color : COLORS[index % COLORS.length]);
+			});
+		}
+	}(root, null, '#ddd'));
+
+	// Create page
+	const {body} = document;
+	body.appendChild(createElement('h1', null, 'Livepack report'));
+
+	const toolbar = body.appendChild(createElement('div', 'toolbar')),
+		searchInput = toolbar.appendChild(createElement('input')),
+		searchCount = toolbar.appendChild(createElement('span'));
+	searchInput.type = 'search';
+	searchInput.placeholder = 'Search functions, files and packages';
+
+	const breadcrumb = body.appendChild(createElement('div', 'breadcrumb')),
+		treemap = body.appendChild(createElement('div', 'treemap'));
+
+	let currentNode = root,
+		query = '';
+
+	searchInput.addEventListener('input', () => {
+		query = searchInput.value.trim().toLowerCase();
+		render();
+	});
+	window.addEventListener('resize', () => render());
+
+	renderShared();
+	render();
+
+	function render() {
+		// Breadcrumb
+		breadcrumb.textContent = '';
+		const path = [];
+		for (let node = currentNode; node; node = node.parent) {
+			path.unshift(node);
+		}
+		path.forEach((node, index) => {
+			if (index > 0) breadcrumb.appendChild(document.createTextNode(' > '));
+			const span = breadcrumb.appendChild(createElement('span', null, node.name));
+			span.title = `${node.title} - ${formatSize(node.size)}`;
+			span.addEventListener('click', () => zoom(node));
+		});
+
+		// Search
+		let matchCount = 0;
+		if (query) {
+			(function markMatches(node) {
+				node.isMatch = node.name.toLowerCase().includes(query)
+					|| node.title.toLowerCase().includes(query);
+				if (node.isMatch && !node.children) matchCount++;
+				node.containsMatch = false;
+				if (node.children) {
+					for (const child of node.children) {
+						markMatches(child);
+						if (child.isMatch || child.containsMatch) node.containsMatch = true;
+					}
+				}
+			}(root));
+		}
+		searchCount.textContent = query ? `${matchCount} function${matchCount === 1 ? '' : 's'} matched` : '';
+		treemap.classList.toggle('searching', !!query);
+
+		// Treemap
+		treemap.textContent = '';
+		renderChildren(currentNode, treemap, treemap.clientWidth, treemap.clientHeight);
+	}
+
+	function zoom(node) {
+		currentNode = node;
+		render();
+	}
+
+	function renderChildren(node, container, width, height) {
+		const children = (node.children || []).filter(child => child.size > 0);
+		if (children.length === 0 || width < MIN_SIZE || height < MIN_SIZE) return;
+
+		const rects = squarify(children, {x: 0, y: 0, width, height}, node.size);
+		children.forEach((child, index) => {
+			const rect = rects[index];
+			if (rect.width < MIN_SIZE || rect.height < MIN_SIZE) return;
+
+			const el = container.appendChild(createElement('div', 'node'));
+			Object.assign(el.style, {
+				left: `${rect.x}px`,
+				top: `${rect.y}px`,
+				width: `${rect.width}px`,
+				height: `${rect.height}px`,
+				background: child.color
+			});
+			el.title = `${child.title}\n${formatSize(child.size)}${
+				child.gzipSize === undefined
+					? ''
+					: ` (gzip ${formatSize(child.gzipSize)}, brotli ${formatSize(child.brotliSize)})`
+			}`;
+			if (query) {
+				if (child.isMatch) el.classList.add('match');
+				if (child.containsMatch) el.classList.add('contains-match');
+			}
+			el.addEventListener('click', (event) => {
+				event.stopPropagation();
+				if (child.children) zoom(child);
+			});
+
+			if (rect.height >= MIN_LABEL_HEIGHT) {
+				el.appendChild(createElement('div', 'label', `${child.name} (${formatSize(child.size)})`));
+				// Border of 1px on each side
+				renderChildren(child, el, rect.width - 2, rect.height - MIN_LABEL_HEIGHT - 2);
+			}
+		});
+	}
+
+	/**
+	 * Lay out nodes in rectangle using squarified treemap algorithm.
+	 * Nodes must be sorted by size, largest first.
+	 * @param {Array<Object>} nodes - Nodes
+	 * @param {Object} rect - Rectangle `{x, y, width, height}`
+	 * @param {number} totalSize - Total size represented by rectangle
+	 * @returns {Array<Object>} - Rectangle for each node
+	 */
+	function squarify(nodes, rect, totalSize) {
+		const rects = [],
+			sum = nodes.reduce((total, node) => total + node.size, 0),
+			scale = (rect.width * rect.height) / Math.max(sum, totalSize);
+		let {x, y, width, height} = rect,
+			row = [];
+
+		for (let index = 0; index < nodes.length; index++) {
+			const area = nodes[index].size * scale,
+				side = Math.min(width, height);
+			if (row.length === 0 || worstRatio(row, side) >= worstRatio([...row, area], side)) {
+				row.push(area);
+				continue;
+			}
+			layoutRow();
+			index--;
+		}
+		if (row.length > 0) layoutRow();
+		return rects;
+
+		function layoutRow() {
+			const rowArea = row.reduce((total, area) => total + area, 0);
+			if (width >= height) {
+				// Lay out row as column on left
+				const rowWidth = height > 0 ? rowArea / height : 0;
+				let rowY = y;
+				for (const area of row) {
+					const rowHeight = rowWidth > 0 ? area / rowWidth : 0;
+					rects.push({x, y: rowY, width: rowWidth, height: rowHeight});
+					rowY += rowHeight;
+				}
+				x += rowWidth;
+				width -= rowWidth;
+			} else {
+				// Lay out row along top
+				const rowHeight = width > 0 ? rowArea / width : 0;
+				let rowX = x;
+				for (const area of row) {
+					const rowWidth = rowHeight > 0 ? area / rowHeight : 0;
+					rects.push({x: rowX, y, width: rowWidth, height: rowHeight});
+					rowX += rowWidth;
+				}
+				y += rowHeight;
+				height -= rowHeight;
+			}
+			row = [];
+		}
+	}
+
+	function worstRatio(areas, side) {
+		const total = areas.reduce((sum, area) => sum + area, 0),
+			max = Math.max(...areas),
+			min = Math.min(...areas),
+			sideSquared = side * side,
+			totalSquared = total * total;
+		return Math.max((sideSquared * max) / totalSquared, totalSquared / (sideSquared * min));
+	}
+
+	function renderShared() {
+		if (shared.length === 0) return;
+
+		body.appendChild(createElement('h2', null, 'Code shared between entry points'));
+		for (const chunk of shared) {
+			body.appendChild(createElement(
+				'h3', null,
+				`${chunk.filename} (${formatSize(chunk.size)}) - used by ${chunk.entryPoints.join(', ')}`
+			));
+
+			const table = body.appendChild(createElement('table')),
+				headRow = table.appendChild(createElement('tr'));
+			headRow.appendChild(createElement('th', null, 'Function'));
+			headRow.appendChild(createElement('th', null, 'File'));
+			headRow.appendChild(createElement('th', 'size', 'Size'));
+			for (const fn of chunk.functions) {
+				const row = table.appendChild(createElement('tr'));
+				row.appendChild(createElement('td', null, fn.name));
+				row.appendChild(createElement('td', null, fn.filename));
+				row.appendChild(createElement('td', 'size', formatSize(fn.size)));
+			}
+		}
+	}
+
+	function createElement(tagName, className, text) {
+		const el = document.createElement(tagName);
+		if (className) el.className = className;
+		if (text !== undefined) el.textContent = text;
+		return el;
+	}
+
+	function formatSize(size) {
+		if (size < 1024) return `${size} B`;
+		return `${(size / 1024).toFixed(size < 10240 ? 2 : 1)} KiB`;
+	}
+};
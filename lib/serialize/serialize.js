@@ -5,6 +5,10 @@
 
 'use strict';
 
+// Modules
+const {isModuleNamespaceObject} = require('util').types,
+	{isValidIdentifier} = require('@babel/types');
+
 // Imports
 const {splitPoints} = require('../shared/internal.js'),
 	{createRecord} = require('./records.js'),
@@ -37,6 +41,13 @@ module.exports = {
 		} = this.serializeEntryPointsAndSplitPoints(entryPoints, outputNames, getNameIfUnique);
 		if (pointOutputs.length === 0) return [];
 
+		// Inline buffers of TypedArrays which are not referenced elsewhere
+		this.inlineBufferViews();
+
+		// Find chains of references to values for stats file.
+		// Must be done before `processBlocks()`, which alters dependencies of functions.
+		if (this.options.stats) this.findReferenceChains(pointOutputs);
+
 		// Create scopes and functions
 		this.processBlocks();
 
@@ -89,7 +100,7 @@ module.exports = {
 		const entryPointOutputs = [],
 			entryAndAsyncSplitPointOutputs = [];
 		for (const [name, val] of Object.entries(entryPoints)) {
-			const record = this.serializeValue(val, name, `<${name} root>`);
+			const record = this.serializeEntryPoint(val, name);
 			const output = createEntryOutput(ENTRY_POINT, name, record, undefined);
 			entryPointOutputs.push(output);
 			entryAndAsyncSplitPointOutputs.push(output);
@@ -140,6 +151,32 @@ module.exports = {
 		return {pointOutputs, entryPointOutputs, entryAndAsyncSplitPointOutputs};
 	},
 
+	/**
+	 * Serialize entry point value.
+	 * If `namedExports` option is set and value is a plain object or module namespace object,
+	 * returns a record for an object of its properties, which is output as named exports.
+	 * @param {*} val - Entry point value
+	 * @param {string} name - Entry point name
+	 * @returns {Object} - Record
+	 */
+	serializeEntryPoint(val, name) {
+		const trace = `<${name} root>`;
+		if (!this.options.namedExports) return this.serializeValue(val, name, trace);
+
+		return this.withTrace(() => {
+			const {replacer} = this.options;
+			if (replacer) val = replacer(val, this.getTracePath());
+
+			const keys = getNamedExportKeys(val);
+			if (!keys) return this.serializeValueInner(val, name, true);
+
+			return this.createNamedExportsRecord(
+				name,
+				keys.map(key => [key, this.serializeValue(val[key], key, `.${key}`)])
+			);
+		}, trace);
+	},
+
 	/**
 	 * Split into outputs.
 	 *
@@ -471,7 +508,7 @@ module.exports = {
 		// Ensure all entry + split points have valid outputs, and rename common outputs
 		// which export only a entry/split point's record to point's name
 		const {options} = this,
-			entryPointsCanBeImported = !options.exec && options.format !== 'js';
+			entryPointsCanBeImported = !options.exec && (options.format === 'cjs' || options.format === 'esm');
 		for (const pointOutput of pointOutputs) {
 			const {record} = pointOutput;
 			pointOutput.record = undefined;
@@ -527,6 +564,26 @@ module.exports = {
 	}
 };
 
+/**
+ * Get keys of properties to output as named exports.
+ * Only plain objects and module namespace objects can be output as named exports,
+ * and only if all their enumerable string keys are valid export names.
+ * @param {*} val - Entry point value
+ * @returns {Array<string>|null} - Array of keys (or `null` if cannot be output as named exports)
+ */
+function getNamedExportKeys(val) {
+	if (!val || typeof val !== 'object') return null;
+
+	if (!isModuleNamespaceObject(val)) {
+		const proto = Object.getPrototypeOf(val);
+		if (proto !== Object.prototype && proto !== null) return null;
+	}
+
+	const keys = Object.keys(val);
+	if (!keys.every(key => isValidIdentifier(key, false))) return null;
+	return keys;
+}
+
 /**
  * Visit record's dependents and call callback function on each.
  * @param {Object} record - Record
@@ -598,6 +655,7 @@ function createOutput(id, type, index, name, record, requestedName) {
 		record,
 		importFnRecords: undefined,
 		exports: [],
+		exportNames: undefined,
 		dependencies: new Map(), // Keyed by output
 		filename: undefined,
 		strictFnRecords: new Set(),
@@ -18,9 +18,20 @@ const serializeMethods = require('./serialize.js'),
 	bufferMethods = require('./buffers.js'),
 	boxedMethods = require('./boxed.js'),
 	otherMethods = require('./other.js'),
+	errorMethods = require('./errors.js'),
+	proxyMethods = require('./proxies.js'),
+	privateMethods = require('./privates.js'),
+	customMethods = require('./custom.js'),
+	externalMethods = require('./externals.js'),
 	blockMethods = require('./blocks.js'),
 	splitMethods = require('./split.js').methods,
+	placeholderMethods = require('./placeholders.js').methods,
+	assetMethods = require('./assets.js').methods,
+	pathMethods = require('./paths.js'),
 	traceMethods = require('./trace.js'),
+	referenceMethods = require('./references.js'),
+	statsMethods = require('./stats.js'),
+	reportMethods = require('./report.js'),
 	serializeArguments = require('./arguments.js'),
 	parseFunction = require('./parseFunction.js'),
 	serializeRuntime = require('./runtime.js'),
@@ -42,6 +53,10 @@ class Serializer {
 		this.globalVarNames = options.format === 'esm' ? [] : [...COMMON_JS_VAR_NAMES];
 
 		this.prototypes = new Map(); // Keyed by prototype object
+		this.proxyRevocableRecords = new Map(); // Keyed by Proxy details object
+		this.bufferViews = [];
+		this.privateClasses = new Map(); // Keyed by class
+		this.namedExportsRecords = new Set();
 
 		this.sourceFiles = Object.create(null); // Keyed by file path
 		this.filesHaveSourcesFor = new Set();
@@ -50,8 +65,13 @@ class Serializer {
 		this.initFilenames();
 		this.initSplits();
 		this.initTrace();
+		this.initExternals();
+		this.initAssets();
+		this.initPaths();
 
 		this.evalRecord = undefined;
+		this.valueStats = undefined;
+		this.fnSizes = undefined;
 	}
 }
 
@@ -69,9 +89,20 @@ Object.assign(
 	bufferMethods,
 	boxedMethods,
 	otherMethods,
+	errorMethods,
+	proxyMethods,
+	privateMethods,
+	customMethods,
+	externalMethods,
 	blockMethods,
 	splitMethods,
+	placeholderMethods,
+	assetMethods,
+	pathMethods,
 	traceMethods,
+	referenceMethods,
+	statsMethods,
+	reportMethods,
 	{serializeArguments, parseFunction, serializeRuntime}
 );
 
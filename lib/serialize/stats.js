@@ -0,0 +1,166 @@
+/* --------------------
+ * livepack module
+ * Stats file methods
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const {sep: pathSep} = require('path'),
+	{gzipSync, brotliCompressSync} = require('zlib');
+
+// Imports
+const {getPackageName} = require('./utils.js'),
+	{ENTRY_POINT} = require('./constants.js');
+
+// Exports
+
+module.exports = {
+	/**
+	 * Init tracking of sizes of function definitions in output.
+	 * `generateJs()` measures each function definition as it's printed.
+	 * @returns {undefined}
+	 */
+	initFunctionSizes() {
+		const fnSizes = new Map(); // Keyed by function definition node
+		for (const [filename, {functions}] of Object.entries(this.files)) {
+			for (const fnDef of functions.values()) {
+				fnSizes.set(fnDef.node, {fnDef, filename, output: undefined, size: 0});
+			}
+		}
+		this.fnSizes = fnSizes;
+	},
+
+	/**
+	 * Get location of function definition.
+	 * @param {Object} fnDef - Function definition object
+	 * @param {string} filename - Path of file function is defined in
+	 * @returns {Object} - Object of form `{filename, line, package}`
+	 */
+	getFunctionLocation(fnDef, filename) {
+		return {
+			filename,
+			line: fnDef.node.loc?.start.line ?? null,
+			package: getPackageNameFromPath(filename)
+		};
+	},
+
+	/**
+	 * Get stats.
+	 * Stats object has properties:
+	 *   - `files`: Array of all files output, with sizes. JS files also include import graph
+	 *     between chunks, and names of entry points which load each chunk.
+	 *   - `functions`: Array of all function definitions in output, with source location,
+	 *     file they are output in, and size in bytes.
+	 *   - `values`: Array of all functions and objects in output, with shortest chain of references
+	 *     from an entry point to each (see `findReferenceChains()`).
+	 *     Only present if stats file is being output.
+	 *
+	 * @param {Array<Object>} files - Array of file objects
+	 * @param {Array<Object>} outputs - Array of output objects
+	 * @returns {Object} - Stats object
+	 */
+	getStats(files, outputs) {
+		const chunks = getChunks(outputs);
+
+		return {
+			files: files.map((file) => {
+				const {content} = file;
+				return {
+					type: file.type,
+					name: file.name,
+					filename: file.filename,
+					size: {
+						raw: Buffer.byteLength(content),
+						gzip: gzipSync(content).length,
+						brotli: brotliCompressSync(content).length
+					},
+					...chunks.get(file.filename)
+				};
+			}),
+			functions: this.getFunctionStats(),
+			values: this.valueStats
+		};
+	},
+
+	/**
+	 * Create stats file.
+	 * @param {Object} stats - Stats object
+	 * @returns {Object} - File object for stats file
+	 */
+	outputStatsFile(stats) {
+		return {
+			type: 'stats',
+			name: null,
+			filename: this.options.stats,
+			content: JSON.stringify(stats)
+		};
+	},
+
+	/**
+	 * Get stats for all function definitions in output.
+	 * Multiple instances of the same function share a definition, so are only included once.
+	 * @returns {Array<Object>} - Array of function stats objects
+	 */
+	getFunctionStats() {
+		const fnStats = [];
+		for (const {fnDef, filename, output, size} of this.fnSizes.values()) {
+			// Skip functions not printed directly (e.g. in a block containing `eval()`)
+			if (!output) continue;
+
+			fnStats.push({
+				name: fnDef.scopes.values().next().value.val.name || null,
+				...this.getFunctionLocation(fnDef, filename),
+				output: output.filename,
+				size
+			});
+		}
+		return fnStats;
+	}
+};
+
+/**
+ * Get import graph between chunks, and which entry points load each chunk
+ * (directly, or indirectly via other chunks, including dynamic imports).
+ * @param {Array<Object>} outputs - Array of output objects
+ * @returns {Map} - Map of filenames to objects of form `{imports, dynamicImports, entryPoints}`
+ */
+function getChunks(outputs) {
+	const chunks = new Map(); // Keyed by output
+	for (const output of outputs) {
+		const imports = [],
+			dynamicImports = [];
+		for (const [dependencyOutput, {importRecords, importFnRecords}] of output.dependencies) {
+			if (Object.keys(importRecords).length > 0) imports.push(dependencyOutput.filename);
+			if (importFnRecords.length > 0) dynamicImports.push(dependencyOutput.filename);
+		}
+		chunks.set(output, {imports, dynamicImports, entryPoints: []});
+	}
+
+	for (const output of outputs) {
+		if (output.type !== ENTRY_POINT) continue;
+
+		const loaded = new Set([output]);
+		for (const loadedOutput of loaded) {
+			chunks.get(loadedOutput).entryPoints.push(output.name);
+			for (const dependencyOutput of loadedOutput.dependencies.keys()) {
+				loaded.add(dependencyOutput);
+			}
+		}
+	}
+
+	return new Map([...chunks].map(([output, chunk]) => [output.filename, chunk]));
+}
+
+/**
+ * Get package name from file path, if file is in `node_modules`.
+ * e.g. '/app/node_modules/lodash/merge.js' -> 'lodash'
+ * @param {string} path - File path
+ * @returns {string|null} - Package name (or `null` if not in a package)
+ */
+function getPackageNameFromPath(path) {
+	const parts = path.split(pathSep),
+		index = parts.lastIndexOf('node_modules');
+	if (index === -1 || index >= parts.length - 2) return null;
+	return getPackageName(parts.slice(index + 1).join('/'));
+}
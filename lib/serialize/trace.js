@@ -22,5 +22,25 @@ module.exports = {
 
 	getTraceStack() {
 		return `  ${this.traceStack.join('\n  ')}`;
+	},
+
+	// Get trace path of current value e.g. `<index root>.x[0]`.
+	// Returns `undefined` if current value is used internally by serializer, and so has no trace.
+	getTracePath() {
+		const {traceStack} = this;
+		if (traceStack[traceStack.length - 1] === undefined) return undefined;
+		return traceStack.join('');
+	},
+
+	// Get trace path of the value in user code which led to current value being serialized
+	// e.g. `<index root>.x` when serializing `fs` module because `x` is `fs.readFileSync`.
+	// Returns `undefined` if current value is only used internally by serializer.
+	getUserTracePath() {
+		const {traceStack} = this;
+		const endIndex = traceStack.findIndex(
+			(trace, index) => trace === undefined || (index > 0 && trace.startsWith('<'))
+		);
+		if (endIndex === 0) return undefined;
+		return traceStack.slice(0, endIndex === -1 ? undefined : endIndex).join('');
 	}
 };
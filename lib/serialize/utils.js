@@ -6,7 +6,9 @@
 'use strict';
 
 // Modules
-const t = require('@babel/types');
+const {isNativeError, isPromise} = require('util').types,
+	typeOf = require('native-type-of'),
+	t = require('@babel/types');
 
 // Imports
 const assertBug = require('../shared/assertBug.js');
@@ -14,20 +16,44 @@ const assertBug = require('../shared/assertBug.js');
 // Exports
 
 module.exports = {
+	getType,
 	isJsIdentifier,
 	isNumberKey,
 	isIntegerKey,
 	toJsIdentifier,
 	createKeyNode,
 	recordIsCircular,
+	addPendingDependency,
+	dependsOnRecord,
 	replaceRecordNode,
 	getNodeWithinWrapperParent,
 	setAddFrom,
 	firstMapValue,
 	deleteItem,
-	deleteFirst
+	deleteFirst,
+	getPackageName
 };
 
+/**
+ * Get type of value.
+ * Wrapper around `typeOf()` which identifies all Errors as 'Error'.
+ * `typeOf()` identifies Errors by their `name` property, which can be altered,
+ * and will report an object which merely has an Error in its prototype chain
+ * (e.g. prototype of a class extending `Error`) as an Error. Such objects are reported as 'Object'.
+ *
+ * Promises are identified without `typeOf()`, as it calls `.then()` on the Promise,
+ * which creates a new Promise which would be an unhandled rejection if the Promise is rejected.
+ *
+ * @param {Object} val - Value
+ * @returns {string} - Type
+ */
+function getType(val) {
+	if (isPromise(val)) return 'Promise';
+	if (isNativeError(val)) return 'Error';
+	const type = typeOf(val);
+	return type.endsWith('Error') ? 'Object' : type;
+}
+
 /**
  * Determine if string is valid JS identifier.
  * @param {string} name - Input string
@@ -94,11 +120,44 @@ function createKeyNode(key) {
 
 /**
  * Determine if a record is a circular reference.
+ * A record is also circular if its node depends on a value which is still being serialized
+ * (see `addPendingDependency()`).
  * @param {Object} record - Record
  * @returns {boolean} - `true` if record is circular
  */
 function recordIsCircular(record) {
-	return record.node === undefined;
+	return record.node === undefined || !!record.pendingDependencies?.some(recordIsCircular);
+}
+
+/**
+ * Record that a record's node depends on a value which is still being serialized.
+ * e.g. instance of a class with private members, which is a static property of the class,
+ * has to be created by calling the class, so it can't be defined before the class is.
+ * Record is treated as circular until dependency is complete, so any references to it
+ * from within the dependency are set later in assignments.
+ * @param {Object} record - Record
+ * @param {Object} dependencyRecord - Record for value which is still being serialized
+ * @returns {undefined}
+ */
+function addPendingDependency(record, dependencyRecord) {
+	if (record.pendingDependencies) {
+		record.pendingDependencies.push(dependencyRecord);
+	} else {
+		record.pendingDependencies = [dependencyRecord];
+	}
+}
+
+/**
+ * Determine if a record is, or cannot be defined before, another record.
+ * Used to detect references which can't be resolved with `addPendingDependency()`,
+ * as neither record can be defined first.
+ * @param {Object} depRecord - Record which may depend on `record`
+ * @param {Object} record - Record
+ * @returns {boolean} - `true` if `depRecord` is `record` or has a pending dependency on it
+ */
+function dependsOnRecord(depRecord, record) {
+	return depRecord === record
+		|| !!depRecord.pendingDependencies?.some(pendingRecord => dependsOnRecord(pendingRecord, record));
 }
 
 /**
@@ -186,3 +245,14 @@ function deleteIndex(arr, index) {
 	assertBug(index >= 0, 'Could not find matching array entry to delete');
 	return arr.splice(index, 1)[0];
 }
+
+/**
+ * Get package name from `require()` specifier.
+ * e.g. 'lodash/upperFirst' -> 'lodash', '@babel/core/lib/index.js' -> '@babel/core'
+ * @param {string} specifier - Specifier
+ * @returns {string} - Package name
+ */
+function getPackageName(specifier) {
+	const parts = specifier.split('/');
+	return parts[0][0] === '@' ? `${parts[0]}/${parts[1]}` : parts[0];
+}
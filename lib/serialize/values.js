@@ -6,34 +6,42 @@
 'use strict';
 
 // Modules
-const typeOf = require('native-type-of'),
-	{isFunction, isSymbol} = require('is-it-type'),
+const {isFunction, isSymbol} = require('is-it-type'),
 	upperFirst = require('lodash/upperFirst'),
 	t = require('@babel/types');
 
 // Imports
 const {serializePrimitive} = require('./primitives.js'),
 	{createRecord, createDependency} = require('./records.js'),
-	{isPrimitive} = require('../shared/functions.js'),
+	{isPrimitive, isBuiltInModule} = require('../shared/functions.js'),
 	{URLContextSymbol} = require('../shared/globals.js'),
 	{
 		GLOBAL, MODULE, VALUE, GETTER, SETTER, PROTO, COMMON_JS_MODULE, EVAL_PLACEHOLDER
 	} = require('../shared/constants.js'),
-	{createKeyNode, isNumberKey} = require('./utils.js'),
-	{globals} = require('../shared/internal.js'),
+	{getType, createKeyNode, isNumberKey} = require('./utils.js'),
+	{globals, getProxyDetails, runtimePlaceholders, assets} = require('../shared/internal.js'),
 	assertBug = require('../shared/assertBug.js');
 
 // Exports
 
 const exampleURLSearchParams = new URLSearchParams(''),
-	typedArrayRegex = /^(?:Ui|I)nt(?:\d+)Array$/;
+	typedArrayRegex = /^(?:(?:Ui|I)nt\d+|Uint8Clamped|Float\d+|Big(?:Ui|I)nt64)Array$/;
 
 module.exports = {
 	serializeValue(val, name, trace) {
 		return this.withTrace(() => this.serializeValueInner(val, name), trace);
 	},
 
-	serializeValueInner(val, name) {
+	serializeValueInner(val, name, replacerApplied) {
+		// Apply `replacer` option.
+		// Not applied to values used internally by serializer (e.g. `Object.assign`), which have no trace.
+		// Skipped if caller has applied it already.
+		const {replacer} = this.options;
+		if (replacer && !replacerApplied) {
+			const tracePath = this.getTracePath();
+			if (tracePath !== undefined) val = replacer(val, tracePath);
+		}
+
 		if (isPrimitive(val)) {
 			return {
 				varNode: serializePrimitive(val),
@@ -51,10 +59,19 @@ module.exports = {
 		const globalProps = globals.get(val);
 		if (globalProps) return this.serializeGlobal(val, globalProps);
 
+		// Handle values exported by external packages
+		const externalProps = this.externals.get(val);
+		if (externalProps) return this.serializeGlobal(val, externalProps);
+
 		// Create record and serialize value
 		record = createRecord(name, val);
 		records.set(val, record);
-		const node = this.serializeThing(val, record);
+
+		// Proxies are serialized before any other check, to avoid triggering their traps
+		const proxyDetails = getProxyDetails(val);
+		const node = proxyDetails
+			? this.serializeProxy(val, proxyDetails, record)
+			: this.serializeThing(val, record);
 		if (node === EVAL_PLACEHOLDER) return this.evalRecord;
 		record.node = node;
 		return record;
@@ -62,6 +79,15 @@ module.exports = {
 
 	serializeThing(val, record) {
 		if (isSymbol(val)) return this.serializeSymbol(val, record);
+
+		// Placeholders created with `runtime()`
+		const runtimeFn = runtimePlaceholders.get(val);
+		if (runtimeFn) return this.serializeRuntimePlaceholder(runtimeFn, record);
+
+		// Asset URLs created with `asset()`
+		const assetPath = assets.get(val);
+		if (assetPath) return this.serializeAsset(assetPath, record);
+
 		if (isFunction(val)) return this.serializeFunction(val, record);
 
 		// Check if is a prototype + define as `fn.prototype` if so
@@ -84,7 +110,11 @@ module.exports = {
 		// Serialize
 		assertBug(typeof val === 'object', 'Unexpected value type');
 
-		const type = typeOf(val);
+		// Use custom serialization method if object has one
+		const customSerializeMethod = this.getCustomSerializeMethod(val);
+		if (customSerializeMethod) return this.serializeCustom(val, customSerializeMethod, record);
+
+		const type = getType(val);
 		if (type === 'Object') {
 			// `URL` and `URLSearchParams` are implemented in Javascript in Node internals
 			// and so cannot be detected with a type check
@@ -99,9 +129,12 @@ module.exports = {
 		if (type === 'Map') return this.serializeMap(val, record);
 		if (type === 'WeakSet') return this.serializeWeakSet(val, record);
 		if (type === 'WeakMap') return this.serializeWeakMap(val, record);
+		if (type === 'Error') return this.serializeError(val, record);
+		if (type === 'Promise') return this.serializePromise(val, record);
 		if (type === 'WeakRef') return this.serializeWeakRef(val, record);
 		if (type === 'FinalizationRegistry') return this.serializeFinalizationRegistry(val, record);
 		if (typedArrayRegex.test(type)) return this.serializeBuffer(val, type, record);
+		if (type === 'DataView') return this.serializeDataView(val, record);
 		if (type === 'ArrayBuffer') return this.serializeArrayBuffer(val, record);
 		if (type === 'SharedArrayBuffer') return this.serializeSharedArrayBuffer(val, record);
 		if (type === 'String') return this.serializeBoxedString(val, record);
@@ -158,7 +191,15 @@ module.exports = {
 			node = t.identifier(key);
 			this.globalVarNames.push(key);
 		} else if (type === MODULE) {
-			// Built-in module e.g. `require('path')`
+			// Built-in module e.g. `require('path')`, or external e.g. `require('lodash')`
+			if (this.options.target === 'browser' && isBuiltInModule(key)) {
+				const tracePath = this.getUserTracePath();
+				throw new Error(
+					`Cannot serialize NodeJS built-in module '${key}' for browser target${
+						tracePath === undefined ? '' : ` (referenced at ${tracePath})`
+					}`
+				);
+			}
 			node = this.createImportOrRequireNode(t.stringLiteral(key), varNode);
 		} else if (type === COMMON_JS_MODULE) {
 			node = this.serializeCommonJsModuleObject(val, record);
@@ -218,6 +259,19 @@ module.exports = {
 		return this.serializeObject({exports: val.exports}, record);
 	},
 
+	/**
+	 * Serialize NodeJS built-in module, for use internally by serializer.
+	 * Built-in modules are only catalogued as globals once loaded by user code,
+	 * so may not be found in `globals` map.
+	 * @param {Object} module - Module exports
+	 * @param {string} name - Module name e.g. 'path'
+	 * @returns {Object} - Record
+	 */
+	serializeBuiltInModule(module, name) {
+		return this.records.get(module)
+			|| this.serializeGlobal(module, {type: MODULE, parent: null, key: name});
+	},
+
 	createImportOrRequireNode(filePathStrNode, varNode) {
 		if (this.options.format === 'esm') {
 			return t.importDeclaration([t.importDefaultSpecifier(varNode)], filePathStrNode);
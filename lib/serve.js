@@ -0,0 +1,205 @@
+/* --------------------
+ * livepack module
+ * CLI dev server
+ * ------------------*/
+
+/* eslint-disable no-console */
+
+'use strict';
+
+// Modules
+const {createServer} = require('http'),
+	{extname} = require('path');
+
+// Imports
+const {watchInMemory, logSummary} = require('./watch.js');
+
+// Constants
+const EVENTS_PATH = '/__livepack/events',
+	CONTENT_TYPES = {
+		'.js': 'text/javascript; charset=utf-8',
+		'.mjs': 'text/javascript; charset=utf-8',
+		'.map': 'application/json; charset=utf-8',
+		'.json': 'application/json; charset=utf-8',
+		'.html': 'text/html; charset=utf-8',
+		'.css': 'text/css; charset=utf-8',
+		'.txt': 'text/plain; charset=utf-8',
+		'.svg': 'image/svg+xml',
+		'.png': 'image/png',
+		'.jpg': 'image/jpeg',
+		'.jpeg': 'image/jpeg',
+		'.gif': 'image/gif',
+		'.webp': 'image/webp',
+		'.ico': 'image/x-icon',
+		'.woff': 'font/woff',
+		'.woff2': 'font/woff2'
+	};
+
+// Exports
+
+module.exports = serve;
+
+/**
+ * Serve app on local HTTP server, rebuilding when files change.
+ *
+ * Output is built in memory (nothing is written to disc).
+ * Output files are served at their filenames e.g. `/index.js`.
+ * Entry points are also served as an HTML page which loads the entry point,
+ * at `/[name].html`. Entry point `index` (or first entry point if no `index`) is also served at `/`.
+ * HTML pages connect to server with Server-Sent Events and reload when a rebuild completes.
+ * An output file with same filename as an HTML page takes priority over it.
+ * If server errors (e.g. port is already in use), watching stops and process exits with error.
+ *
+ * @param {string} cliPath - Path to CLI script
+ * @param {Array<string>} args - CLI args for build
+ * @param {number} port - Port to serve on
+ * @param {string} host - Host to serve on
+ * @returns {undefined}
+ */
+function serve(cliPath, args, port, host) {
+	let files = null, // Keyed by URL path
+		filenames = [];
+	const clients = new Set(); // Server-Sent Events response objects
+
+	const server = createServer((req, res) => {
+		let path;
+		try {
+			path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+		} catch {
+			res.writeHead(400, {'Content-Type': 'text/plain; charset=utf-8'});
+			res.end('Bad request');
+			return;
+		}
+
+		// Server-Sent Events
+		if (path === EVENTS_PATH) {
+			res.writeHead(200, {
+				'Content-Type': 'text/event-stream',
+				'Cache-Control': 'no-cache',
+				Connection: 'keep-alive'
+			});
+			res.write('\n');
+			clients.add(res);
+			req.on('close', () => clients.delete(res));
+			return;
+		}
+
+		if (!files) {
+			res.writeHead(503, {'Content-Type': 'text/plain; charset=utf-8', 'Retry-After': '1'});
+			res.end('Build in progress');
+			return;
+		}
+
+		const file = files.get(path);
+		if (!file) {
+			res.writeHead(404, {'Content-Type': 'text/plain; charset=utf-8'});
+			res.end('Not found');
+			return;
+		}
+
+		res.writeHead(200, {
+			'Content-Type': CONTENT_TYPES[path === '/' ? '.html' : extname(path)] || 'application/octet-stream',
+			'Cache-Control': 'no-cache'
+		});
+		res.end(file);
+	});
+
+	const stopWatching = watchInMemory(cliPath, args, (outputFiles, duration) => {
+		const isRebuild = !!files,
+			outputFilenames = outputFiles.map(file => file.filename);
+		const changedFilenames = outputFiles.filter(
+			({filename, content}) => !isRebuild || !isSameContent(files.get(`/${filename}`), content)
+		).map(file => file.filename);
+		const removedFilenames = filenames.filter(filename => !outputFilenames.includes(filename));
+
+		files = createFilesMap(outputFiles);
+		filenames = outputFilenames;
+
+		logSummary({filenames, changedFilenames}, removedFilenames, duration);
+
+		// Trigger reload in browser
+		if (isRebuild) {
+			for (const client of clients) {
+				client.write('event: reload\ndata: \n\n');
+			}
+		}
+	});
+
+	// If server fails (e.g. port already in use), stop watching, so build child process is not orphaned
+	server.on('error', (err) => {
+		console.error(
+			err.code === 'EADDRINUSE'
+				? `Cannot serve on port ${port} as it is already in use. Use \`--port\` option to choose another port.`
+				: `Server error: ${err.message}`
+		);
+		stopWatching();
+		server.close();
+		for (const client of clients) {
+			client.end();
+		}
+		process.exitCode = 1;
+	});
+
+	server.listen(port, host, () => {
+		console.log(`Serving at http://${host.includes(':') ? `[${host}]` : host}:${port}`);
+	});
+}
+
+/**
+ * Create map of URL paths to file content, including HTML pages for entry points.
+ * @param {Array<Object>} outputFiles - Array of file objects
+ * @returns {Map<string, string|Buffer>} - Map of URL path to content
+ */
+function createFilesMap(outputFiles) {
+	const files = new Map();
+
+	// HTML pages for entry points
+	const entryFiles = outputFiles.filter(file => file.type === 'entry');
+	for (const {name, filename} of entryFiles) {
+		files.set(`/${name}.html`, createHtml(name, filename));
+	}
+	const indexFile = entryFiles.find(file => file.name === 'index') || entryFiles[0];
+	if (indexFile) files.set('/', createHtml(indexFile.name, indexFile.filename));
+
+	// Output files (take priority over HTML pages)
+	for (const {filename, content} of outputFiles) {
+		files.set(`/${filename}`, content);
+	}
+
+	return files;
+}
+
+/**
+ * Create HTML page for entry point.
+ * Page contains a `<div id="root">` for app to render into, loads the entry point,
+ * and listens for reload events from server.
+ * @param {string} name - Entry point name
+ * @param {string} filename - Entry point filename
+ * @returns {string} - HTML
+ */
+function createHtml(name, filename) {
+	return `<!DOCTYPE html>
+<html>
+	<head>
+		<meta charset="utf-8">
+		<title>${escapeHtml(name)}</title>
+	</head>
+	<body>
+		<div id="root"></div>
+		<script src="/${escapeHtml(filename)}" type="module"></script>
+		<script>
+			new EventSource('${EVENTS_PATH}').addEventListener('reload', () => location.reload());
+		</script>
+	</body>
+</html>
+`;
+}
+
+function escapeHtml(str) {
+	return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function isSameContent(content1, content2) {
+	if (content1 === undefined) return false;
+	return Buffer.from(content1).equals(Buffer.from(content2));
+}
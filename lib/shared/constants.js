@@ -16,6 +16,7 @@ module.exports = {
 	INTERNAL_VAR_NAMES_PREFIX: 'livepack',
 	TRACKER_VAR_NAME_BODY: 'tracker',
 	GET_SCOPE_ID_VAR_NAME_BODY: 'getScopeId',
+	INIT_VAR_NAME_BODY: 'init',
 	SCOPE_ID_VAR_NAME_BODY: 'scopeId',
 	TEMP_VAR_NAME_BODY: 'temp',
 	FN_INFO_VAR_NAME_BODY: 'getFnInfo',
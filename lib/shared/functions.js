@@ -6,7 +6,8 @@
 'use strict';
 
 // Modules
-const checkReservedWord = require('reserved-words').check,
+const {builtinModules} = require('module'),
+	checkReservedWord = require('reserved-words').check,
 	{VISITOR_KEYS, COMMENT_KEYS} = require('@babel/types'),
 	{isArray, isSymbol} = require('is-it-type');
 
@@ -21,7 +22,9 @@ module.exports = {
 	getProp,
 	getProps,
 	setProp,
-	traverseAll
+	traverseAll,
+	isBareSpecifier,
+	isBuiltInModule
 };
 
 /**
@@ -186,3 +189,21 @@ function traverseAll(ast, visit) {
 }
 
 const NUM_COMMENT_KEYS_MINUS_ONE = COMMENT_KEYS.length - 1;
+
+/**
+ * Determine if `require()` specifier is a bare specifier (i.e. not a relative or absolute path).
+ * @param {string} specifier - Specifier e.g. 'lodash', './foo.js'
+ * @returns {boolean} - `true` if is bare specifier
+ */
+function isBareSpecifier(specifier) {
+	return !/^(?:\.{1,2}(?:[/\\]|$)|[/\\]|[A-Za-z]:[/\\]|node:)/.test(specifier);
+}
+
+/**
+ * Determine if `require()` specifier is for a NodeJS built-in module.
+ * @param {string} specifier - Specifier e.g. 'fs', 'node:fs'
+ * @returns {boolean} - `true` if is built-in module
+ */
+function isBuiltInModule(specifier) {
+	return specifier.startsWith('node:') || builtinModules.includes(specifier);
+}
@@ -12,5 +12,15 @@ module.exports = {
 	functions: new WeakMap(), // Keyed by value
 	weakSets: undefined,
 	weakMaps: undefined,
-	splitPoints: new Map() // Keyed by value
+	getFinalizationRegistryDetails: undefined,
+	getPromiseState: undefined,
+	getProxyDetails: undefined,
+	catalogExternalModules: undefined,
+	privateClasses: new WeakMap(), // Keyed by class and by class prototype
+	privateClassMethods: new WeakMap(), // Keyed by method function
+	splitPoints: new Map(), // Keyed by value
+	runtimePlaceholders: new WeakMap(), // Keyed by placeholder object
+	runtimeGlobals: new Map(), // Keyed by global name
+	assets: new WeakMap(), // Keyed by asset URL object
+	packageModules: new Map() // Keyed by file path, values of form `{specifier, exports}`
 };
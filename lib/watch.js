@@ -0,0 +1,219 @@
+/* --------------------
+ * livepack module
+ * CLI watch mode
+ * ------------------*/
+
+/* eslint-disable no-console */
+
+'use strict';
+
+// Modules
+const {fork} = require('child_process'),
+	{watch: fsWatch} = require('fs'),
+	{unlink} = require('fs/promises'),
+	{join: pathJoin} = require('path');
+
+// Constants
+const DEBOUNCE_MS = 100;
+
+// Exports
+
+module.exports = {watch, watchInMemory, logSummary};
+
+/**
+ * Run CLI in watch mode, writing output to disc.
+ * Child process writes only output files whose content has changed.
+ * Output files from previous builds which are no longer output are deleted.
+ *
+ * @param {string} cliPath - Path to CLI script
+ * @param {Array<string>} args - CLI args
+ * @param {string} outPath - Path of output dir
+ * @returns {undefined}
+ */
+function watch(cliPath, args, outPath) {
+	let filenames = new Set();
+	runWatch(cliPath, args, async (output, duration) => {
+		// Delete output files from previous build which are no longer output
+		const removedFilenames = [...filenames].filter(filename => !output.filenames.includes(filename));
+		await Promise.all(
+			removedFilenames.map(filename => unlink(pathJoin(outPath, filename)).catch(noop))
+		);
+		filenames = new Set(output.filenames);
+
+		logSummary(output, removedFilenames, duration);
+	});
+}
+
+/**
+ * Run CLI in watch mode, with output kept in memory.
+ * `onBuild()` is called with array of file objects after each successful build.
+ *
+ * @param {string} cliPath - Path to CLI script
+ * @param {Array<string>} args - CLI args
+ * @param {Function} onBuild - Function to call with array of files and build duration
+ * @returns {Function} - Function to stop watching
+ */
+function watchInMemory(cliPath, args, onBuild) {
+	return runWatch(
+		cliPath,
+		[...args, '--in-memory'],
+		(output, duration) => onBuild(output.files, duration)
+	);
+}
+
+/**
+ * Run builds, and rebuild when any file loaded in the build changes.
+ *
+ * Each build runs in a fresh child process, so all files are re-evaluated from scratch.
+ * Instrumented code is reused from the register cache for any files which haven't changed.
+ * Child process reports back output and paths of all files loaded through register hook,
+ * which are then watched for changes. When any watched file changes, the build is run again.
+ *
+ * Build completes as soon as child process reports back, and child process is then killed,
+ * as code being built may have left timers or servers open which would prevent it exiting.
+ * If child process exits without reporting back (e.g. crashes), build fails and files from
+ * previous builds remain watched, so build is re-run when the problem is fixed.
+ *
+ * @param {string} cliPath - Path to CLI script
+ * @param {Array<string>} args - CLI args
+ * @param {Function} onBuild - Function to call with output object and build duration
+ *   after each successful build. Can be async.
+ * @returns {Function} - Function to stop watching
+ */
+function runWatch(cliPath, args, onBuild) {
+	// Keyed by file path. Value is `null` if watcher is closed and needs to be re-created.
+	const watchers = new Map();
+	let isBuilding = false,
+		isRebuildQueued = false,
+		isStopped = false,
+		debounceTimer = null,
+		child = null;
+
+	build();
+
+	return stop;
+
+	function build() {
+		isBuilding = true;
+		const startTime = Date.now();
+		let isDone = false;
+		const thisChild = fork(
+			cliPath,
+			[...args, '--no-watch', '--watch-child'],
+			{stdio: 'inherit', serialization: 'advanced'} // `advanced` to allow transferring Buffers
+		);
+		child = thisChild;
+		thisChild.on('message', (result) => {
+			thisChild.kill();
+			done(result);
+		});
+		thisChild.on('exit', () => done(undefined));
+
+		async function done(result) {
+			if (isDone) return;
+			isDone = true;
+			if (child === thisChild) child = null;
+			if (isStopped) return;
+
+			watchFiles(result ? result.loadedFiles : []);
+
+			const output = result?.output;
+			if (output) {
+				await onBuild(output, Date.now() - startTime);
+			} else {
+				console.log('Build failed. Waiting for changes...');
+			}
+
+			isBuilding = false;
+			if (isRebuildQueued) {
+				isRebuildQueued = false;
+				build();
+			}
+		}
+	}
+
+	function watchFiles(paths) {
+		for (const path of paths) {
+			if (!watchers.has(path)) watchers.set(path, null);
+		}
+
+		// Create watchers for new files, and re-create watchers closed due to file being deleted or replaced
+		for (const [path, watcher] of watchers) {
+			if (!watcher) watchFile(path);
+		}
+	}
+
+	function watchFile(path) {
+		let watcher;
+		try {
+			watcher = fsWatch(path, eventType => onFileEvent(path, eventType));
+		} catch {
+			// File does not exist. Watcher will be created after next build, if file exists by then.
+			watchers.set(path, null);
+			return;
+		}
+
+		// Watcher errors if file is deleted. Close watcher so it's re-created if file is re-created.
+		watcher.on('error', () => unwatchFile(path));
+		watchers.set(path, watcher);
+	}
+
+	function unwatchFile(path) {
+		watchers.get(path)?.close();
+		watchers.set(path, null);
+	}
+
+	function onFileEvent(path, eventType) {
+		if (isStopped) return;
+
+		// Editors often save by writing a temp file and renaming it over the original ("atomic save").
+		// Watcher would continue watching the replaced file, so re-create it to watch the new file.
+		if (eventType === 'rename') {
+			unwatchFile(path);
+			watchFile(path);
+		}
+
+		onChange();
+	}
+
+	function onChange() {
+		clearTimeout(debounceTimer);
+		debounceTimer = setTimeout(() => {
+			if (isBuilding) {
+				isRebuildQueued = true;
+			} else {
+				build();
+			}
+		}, DEBOUNCE_MS);
+	}
+
+	function stop() {
+		isStopped = true;
+		clearTimeout(debounceTimer);
+		for (const watcher of watchers.values()) {
+			watcher?.close();
+		}
+		watchers.clear();
+		if (child) child.kill();
+	}
+}
+
+/**
+ * Log summary of build.
+ * @param {Object} output - Output object
+ * @param {Array<string>} output.filenames - Filenames of all output files
+ * @param {Array<string>} output.changedFilenames - Filenames of output files which have changed
+ * @param {Array<string>} removedFilenames - Filenames of output files which were removed
+ * @param {number} duration - Build duration in milliseconds
+ * @returns {undefined}
+ */
+function logSummary({filenames, changedFilenames}, removedFilenames, duration) {
+	const numUnchanged = filenames.length - changedFilenames.length;
+	let summary = `Built in ${duration}ms: ${changedFilenames.length} changed, ${numUnchanged} unchanged`;
+	if (removedFilenames.length > 0) summary += `, ${removedFilenames.length} removed`;
+	console.log(summary);
+	for (const filename of changedFilenames) console.log(`  + ${filename}`);
+	for (const filename of removedFilenames) console.log(`  - ${filename}`);
+}
+
+function noop() {}
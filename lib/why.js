@@ -0,0 +1,96 @@
+/* --------------------
+ * livepack module
+ * CLI `why` command
+ * ------------------*/
+
+/* eslint-disable no-console */
+
+'use strict';
+
+// Modules
+const {readFileSync} = require('fs'),
+	{join: pathJoin, resolve: pathResolve, relative: pathRelative, normalize, sep: pathSep} = require('path'),
+	{isString} = require('is-it-type'),
+	assert = require('simple-invariant');
+
+// Imports
+const {DEFAULT_STATS_FILENAME} = require('./serialize/constants.js');
+
+// Exports
+
+module.exports = why;
+
+/**
+ * Print shortest chain of references from an entry point to values matching query,
+ * using stats file from a previous build.
+ *
+ * Query can be:
+ *   - Name of function or object e.g. `handler`
+ *   - File path and line number of function e.g. `src/db.js:12`
+ *   - Package name e.g. `lodash`
+ *
+ * @param {string} outPath - Path of output dir
+ * @param {boolean|string} [stats] - Stats file filename (or `true` / `undefined` for default)
+ * @param {string} query - Query
+ * @returns {undefined}
+ * @throws {Error} - If stats file does not exist
+ */
+function why(outPath, stats, query) {
+	const statsPath = pathJoin(outPath, isString(stats) ? stats : DEFAULT_STATS_FILENAME);
+
+	let json;
+	try {
+		json = readFileSync(statsPath, 'utf8');
+	} catch (err) {
+		if (err?.code !== 'ENOENT') throw err;
+		throw new Error(`Cannot find stats file '${statsPath}' - build with \`--stats\` option first`);
+	}
+
+	const {values} = JSON.parse(json);
+	assert(values, `Stats file '${statsPath}' does not contain values - rebuild with \`--stats\` option`);
+
+	const matches = values.filter(createMatcher(query));
+	if (matches.length === 0) {
+		console.log(`No functions or objects found matching '${query}'`);
+		process.exitCode = 1;
+		return;
+	}
+
+	for (const value of matches) {
+		console.log(`${describeValue(value)}\n  ${value.chain.join(' -> ')}`);
+	}
+}
+
+/**
+ * Create function to match values against query.
+ * @param {string} query - Query
+ * @returns {Function} - Matcher function
+ */
+function createMatcher(query) {
+	const fileLineMatch = query.match(/^(.+):(\d+)$/);
+	if (fileLineMatch) {
+		const path = pathResolve(fileLineMatch[1]),
+			pathEnd = `${pathSep}${normalize(fileLineMatch[1])}`,
+			line = +fileLineMatch[2];
+		return ({filename, line: valueLine}) => filename !== null && valueLine === line
+			&& (filename === path || filename.endsWith(pathEnd));
+	}
+
+	return ({name, package: packageName}) => name === query || packageName === query;
+}
+
+/**
+ * Describe value e.g. `handler (function at src/index.js:3)`, `merge (function in package lodash)`.
+ * @param {Object} value - Value object from stats file
+ * @returns {string} - Description
+ */
+function describeValue(value) {
+	const {type, name, filename, line, package: packageName} = value;
+	let description = `${name} (${type}`;
+	if (filename !== null) {
+		description += ` at ${pathRelative(process.cwd(), filename)}`;
+		if (line !== null) description += `:${line}`;
+	}
+	if (packageName !== null) description += ` in package ${packageName}`;
+	return `${description})`;
+}
@@ -0,0 +1,129 @@
+/* --------------------
+ * livepack module
+ * Tests for `asset()`
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const pathJoin = require('path').join,
+	{readFileSync} = require('fs'),
+	{serialize, serializeEntries, asset} = require('livepack');
+
+// Tests
+
+const ASSET_PATH = pathJoin(__dirname, 'fixtures/assets/greeting.txt'),
+	ASSET_CONTENT = readFileSync(ASSET_PATH);
+
+describe('asset', () => {
+	it('throws error if not passed a string', () => {
+		expect(() => asset(1)).toThrowWithMessage(
+			Error, '`path` argument to `asset` must be a non-empty string'
+		);
+	});
+
+	it('returns file URL which can be read from at build time', () => {
+		const url = asset(ASSET_PATH);
+		expect(url).toBeInstanceOf(URL);
+		expect(readFileSync(url, 'utf8')).toBe('Hello!\n');
+	});
+
+	describe('outputs asset file', () => {
+		it('commonJS format', () => {
+			const url = asset(ASSET_PATH);
+			const files = serialize({url}, {format: 'cjs', files: true});
+			expect(files).toEqual([
+				{
+					type: 'entry',
+					name: 'index',
+					filename: 'index.js',
+					content: 'module.exports={url:require("url").pathToFileURL(__dirname+"/greeting.VDIZCU4C.txt")}'
+				},
+				{
+					type: 'asset',
+					name: null,
+					filename: 'greeting.VDIZCU4C.txt',
+					content: ASSET_CONTENT
+				}
+			]);
+		});
+
+		it('esm format', () => {
+			const url = asset(ASSET_PATH);
+			const files = serialize({url}, {format: 'esm', files: true});
+			expect(files).toEqual([
+				{
+					type: 'entry',
+					name: 'index',
+					filename: 'index.js',
+					content: 'export default{url:new URL("./greeting.VDIZCU4C.txt",import.meta.url)}'
+				},
+				{
+					type: 'asset',
+					name: null,
+					filename: 'greeting.VDIZCU4C.txt',
+					content: ASSET_CONTENT
+				}
+			]);
+		});
+	});
+
+	it('outputs asset file once when referenced multiple times', () => {
+		const url1 = asset(ASSET_PATH),
+			url2 = asset(ASSET_PATH);
+		const files = serialize({url1, url2, url3: url1}, {format: 'cjs', files: true});
+		expect(files).toEqual([
+			{
+				type: 'entry',
+				name: 'index',
+				filename: 'index.js',
+				content: 'const a=require("url"),b=a.pathToFileURL(__dirname+"/greeting.VDIZCU4C.txt");module.exports={url1:b,url2:a.pathToFileURL(__dirname+"/greeting.VDIZCU4C.txt"),url3:b}'
+			},
+			{
+				type: 'asset',
+				name: null,
+				filename: 'greeting.VDIZCU4C.txt',
+				content: ASSET_CONTENT
+			}
+		]);
+	});
+
+	describe('uses path relative to output file', () => {
+		it('commonJS format', () => {
+			const url = asset(ASSET_PATH);
+			const files = serializeEntries({'sub/index': {url}}, {format: 'cjs'});
+			expect(files[0].content).toBe(
+				'module.exports={url:require("url").pathToFileURL(__dirname+"/../greeting.VDIZCU4C.txt")}'
+			);
+			expect(files[1].filename).toBe('greeting.VDIZCU4C.txt');
+		});
+
+		it('esm format', () => {
+			const url = asset(ASSET_PATH);
+			const files = serializeEntries({'sub/index': {url}}, {format: 'esm'});
+			expect(files[0].content).toBe(
+				'export default{url:new URL("../greeting.VDIZCU4C.txt",import.meta.url)}'
+			);
+			expect(files[1].filename).toBe('greeting.VDIZCU4C.txt');
+		});
+	});
+
+	it('url in output resolves to asset file', () => {
+		const url = asset(ASSET_PATH);
+		const [{content: js}] = serialize({url}, {format: 'cjs', files: true});
+		const mod = {exports: {}};
+		new Function('module', 'require', '__dirname', js)(mod, require, '/path/to/output'); // eslint-disable-line no-new-func
+		expect(mod.exports.url).toBeInstanceOf(URL);
+		expect(mod.exports.url.href).toBe('file:///path/to/output/greeting.VDIZCU4C.txt');
+	});
+
+	describe('throws error if serialized without `files` option', () => {
+		it.each(['js', 'cjs', 'esm'])('%s format', (format) => {
+			const url = asset(ASSET_PATH);
+			expect(() => serialize({url}, {format})).toThrowWithMessage(
+				Error,
+				'Cannot serialize URLs created by `asset()` without `files` option, as asset is output as a separate file'
+			);
+		});
+	});
+});
@@ -171,6 +171,51 @@ describe('Buffers', () => {
 					expect([...buf]).toEqual([0, 0, 0, 0]);
 				}
 			});
+
+			itSerializesEqual('Uint8ClampedArray', {
+				in: () => new Uint8ClampedArray([0, 0, 0, 0]),
+				out: 'new Uint8ClampedArray(4)',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(Uint8ClampedArray);
+					expect([...buf]).toEqual([0, 0, 0, 0]);
+				}
+			});
+
+			itSerializesEqual('Float32Array', {
+				in: () => new Float32Array([0, 0, 0, 0]),
+				out: 'new Float32Array(4)',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(Float32Array);
+					expect([...buf]).toEqual([0, 0, 0, 0]);
+				}
+			});
+
+			itSerializesEqual('Float64Array', {
+				in: () => new Float64Array([0, 0, 0, 0]),
+				out: 'new Float64Array(4)',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(Float64Array);
+					expect([...buf]).toEqual([0, 0, 0, 0]);
+				}
+			});
+
+			itSerializesEqual('BigInt64Array', {
+				in: () => new BigInt64Array([0n, 0n, 0n, 0n]),
+				out: 'new BigInt64Array(4)',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(BigInt64Array);
+					expect([...buf]).toEqual([0n, 0n, 0n, 0n]);
+				}
+			});
+
+			itSerializesEqual('BigUint64Array', {
+				in: () => new BigUint64Array([0n, 0n, 0n, 0n]),
+				out: 'new BigUint64Array(4)',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(BigUint64Array);
+					expect([...buf]).toEqual([0n, 0n, 0n, 0n]);
+				}
+			});
 		});
 
 		describe('standard', () => {
@@ -227,6 +272,89 @@ describe('Buffers', () => {
 					expect([...buf]).toEqual([100000, 0, -100000]);
 				}
 			});
+
+			itSerializesEqual('Uint8ClampedArray', {
+				in: () => new Uint8ClampedArray([100, 0, 255]),
+				out: 'new Uint8ClampedArray([100,,255])',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(Uint8ClampedArray);
+					expect([...buf]).toEqual([100, 0, 255]);
+				}
+			});
+
+			itSerializesEqual('Float32Array', {
+				in: () => new Float32Array([1.5, 0, -2.25]),
+				out: 'new Float32Array([1.5,0,-2.25])',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(Float32Array);
+					expect([...buf]).toEqual([1.5, 0, -2.25]);
+				}
+			});
+
+			itSerializesEqual('Float64Array', {
+				in: () => new Float64Array([0.1, 0, -1234.5678]),
+				out: 'new Float64Array([0.1,0,-1234.5678])',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(Float64Array);
+					expect([...buf]).toEqual([0.1, 0, -1234.5678]);
+				}
+			});
+
+			itSerializesEqual('BigInt64Array', {
+				in: () => new BigInt64Array([100n, 0n, -9223372036854775808n]),
+				out: 'new BigInt64Array([100n,0n,-9223372036854775808n])',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(BigInt64Array);
+					expect([...buf]).toEqual([100n, 0n, -9223372036854775808n]);
+				}
+			});
+
+			itSerializesEqual('BigUint64Array', {
+				in: () => new BigUint64Array([100n, 0n, 18446744073709551615n]),
+				out: 'new BigUint64Array([100n,0n,18446744073709551615n])',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(BigUint64Array);
+					expect([...buf]).toEqual([100n, 0n, 18446744073709551615n]);
+				}
+			});
+		});
+
+		describe('floats with special values', () => {
+			itSerializesEqual('Float32Array', {
+				in: () => new Float32Array([-0, NaN, Infinity, -Infinity]),
+				out: '(()=>{const a=Infinity;return new Float32Array([-0,NaN,a,-a])})()',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(Float32Array);
+					expect([...buf]).toEqual([-0, NaN, Infinity, -Infinity]);
+					expect(Object.is(buf[0], -0)).toBeTrue();
+				}
+			});
+
+			itSerializesEqual('Float64Array', {
+				in: () => new Float64Array([-0, NaN, Infinity, -Infinity]),
+				out: '(()=>{const a=Infinity;return new Float64Array([-0,NaN,a,-a])})()',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(Float64Array);
+					expect([...buf]).toEqual([-0, NaN, Infinity, -Infinity]);
+					expect(Object.is(buf[0], -0)).toBeTrue();
+				}
+			});
+
+			itSerializes('Float64Array with non-standard NaN', {
+				in() {
+					const buf = new Float64Array(2);
+					new Uint8Array(buf.buffer).set([0, 0, 0, 0, 0, 0, 240, 63, 1, 0, 0, 0, 0, 0, 248, 127]);
+					return buf;
+				},
+				out: 'new Float64Array(new Uint8Array([,,,,,,240,63,1,,,,,,248,127]).buffer)',
+				validate(buf) {
+					expect(buf).toBeInstanceOf(Float64Array);
+					expect(buf[0]).toBe(1);
+					expect(buf[1]).toBeNaN();
+					expect([...new Uint8Array(buf.buffer)])
+						.toEqual([0, 0, 0, 0, 0, 0, 240, 63, 1, 0, 0, 0, 0, 0, 248, 127]);
+				}
+			});
 		});
 
 		describe('in middle of ArrayBuffer', () => {
@@ -238,10 +366,12 @@ describe('Buffers', () => {
 					buf[1] = 200;
 					return buf;
 				},
-				out: 'new Uint8Array([100,200])',
+				out: '(()=>{const a=Uint8Array;return new a(new a([,,,,100,200,,,,,,,,,,,]).buffer,4,2)})()',
 				validate(buf) {
 					expect(buf).toBeInstanceOf(Uint8Array);
 					expect([...buf]).toEqual([100, 200]);
+					expect(buf.byteOffset).toBe(4);
+					expect(buf.buffer.byteLength).toBe(16);
 				}
 			});
 
@@ -253,10 +383,12 @@ describe('Buffers', () => {
 					buf[1] = -56;
 					return buf;
 				},
-				out: 'new Int8Array([100,-56])',
+				out: 'new Int8Array(new Uint8Array([,,,,100,200,,,,,,,,,,,]).buffer,4,2)',
 				validate(buf) {
 					expect(buf).toBeInstanceOf(Int8Array);
 					expect([...buf]).toEqual([100, -56]);
+					expect(buf.byteOffset).toBe(4);
+					expect(buf.buffer.byteLength).toBe(16);
 				}
 			});
 
@@ -268,10 +400,12 @@ describe('Buffers', () => {
 					buf[1] = 40000;
 					return buf;
 				},
-				out: 'new Uint16Array([1000,40000])',
+				out: 'new Uint16Array(new Uint8Array([,,,,232,3,64,156,,,,,,,,,]).buffer,4,2)',
 				validate(buf) {
 					expect(buf).toBeInstanceOf(Uint16Array);
 					expect([...buf]).toEqual([1000, 40000]);
+					expect(buf.byteOffset).toBe(4);
+					expect(buf.buffer.byteLength).toBe(16);
 				}
 			});
 
@@ -283,10 +417,12 @@ describe('Buffers', () => {
 					buf[1] = -1000;
 					return buf;
 				},
-				out: 'new Int16Array([1000,-1000])',
+				out: 'new Int16Array(new Uint8Array([,,,,232,3,24,252,,,,,,,,,]).buffer,4,2)',
 				validate(buf) {
 					expect(buf).toBeInstanceOf(Int16Array);
 					expect([...buf]).toEqual([1000, -1000]);
+					expect(buf.byteOffset).toBe(4);
+					expect(buf.buffer.byteLength).toBe(16);
 				}
 			});
 
@@ -298,10 +434,12 @@ describe('Buffers', () => {
 					buf[1] = 40000000;
 					return buf;
 				},
-				out: 'new Uint32Array([100000,40000000])',
+				out: 'new Uint32Array(new Uint8Array([,,,,160,134,1,,,90,98,2,,,,,]).buffer,4,2)',
 				validate(buf) {
 					expect(buf).toBeInstanceOf(Uint32Array);
 					expect([...buf]).toEqual([100000, 40000000]);
+					expect(buf.byteOffset).toBe(4);
+					expect(buf.buffer.byteLength).toBe(16);
 				}
 			});
 
@@ -313,10 +451,116 @@ describe('Buffers', () => {
 					buf[1] = -100000;
 					return buf;
 				},
-				out: 'new Int32Array([100000,-100000])',
+				out: 'new Int32Array(new Uint8Array([,,,,160,134,1,,96,121,254,255,,,,,]).buffer,4,2)',
 				validate(buf) {
 					expect(buf).toBeInstanceOf(Int32Array);
 					expect([...buf]).toEqual([100000, -100000]);
+					expect(buf.byteOffset).toBe(4);
+					expect(buf.buffer.byteLength).toBe(16);
+				}
+			});
+		});
+
+		describe('sharing buffer', () => {
+			itSerializes('with another TypedArray', {
+				in() {
+					const arr = new ArrayBuffer(8);
+					const buf1 = new Uint8Array(arr),
+						buf2 = new Uint16Array(arr, 2, 2);
+					buf1[0] = 100;
+					buf2[0] = 1000;
+					return {buf1, buf2};
+				},
+				out: `(()=>{
+					const a=Uint8Array,
+						b=new a([100,,232,3,,,,,]).buffer;
+					return{buf1:new a(b),buf2:new Uint16Array(b,2,2)}
+				})()`,
+				validate({buf1, buf2}) {
+					expect(buf1).toBeInstanceOf(Uint8Array);
+					expect(buf2).toBeInstanceOf(Uint16Array);
+					expect(buf2.buffer).toBe(buf1.buffer);
+					expect([...buf1]).toEqual([100, 0, 232, 3, 0, 0, 0, 0]);
+					expect([...buf2]).toEqual([1000, 0]);
+					buf2[1] = 2000;
+					expect([...buf1]).toEqual([100, 0, 232, 3, 208, 7, 0, 0]);
+				}
+			});
+
+			itSerializes('with ArrayBuffer', {
+				in() {
+					const buf = new Float32Array([1.5, 2.5]);
+					return {buf, arr: buf.buffer};
+				},
+				out: `(()=>{
+					const a=new Uint8Array([,,192,63,,,32,64]).buffer;
+					return{buf:new Float32Array(a),arr:a}
+				})()`,
+				validate({buf, arr}) {
+					expect(buf).toBeInstanceOf(Float32Array);
+					expect(buf.buffer).toBe(arr);
+					expect([...buf]).toEqual([1.5, 2.5]);
+				}
+			});
+
+			itSerializes('with DataView', {
+				in() {
+					const buf = new Uint16Array([1000, 2000]);
+					return {buf, view: new DataView(buf.buffer, 2)};
+				},
+				out: `(()=>{
+					const a=new Uint8Array([232,3,208,7]).buffer;
+					return{buf:new Uint16Array(a),view:new DataView(a,2)}
+				})()`,
+				validate({buf, view}) {
+					expect(buf).toBeInstanceOf(Uint16Array);
+					expect(view.buffer).toBe(buf.buffer);
+					expect(view.getUint16(0, true)).toBe(2000);
+					view.setUint16(0, 3000, true);
+					expect(buf[1]).toBe(3000);
+				}
+			});
+
+			itSerializes('SharedArrayBuffer', {
+				in() {
+					const arr = new SharedArrayBuffer(4);
+					const buf = new Uint8Array(arr);
+					buf[1] = 100;
+					return buf;
+				},
+				out: `(()=>{
+					const a=new SharedArrayBuffer(4),
+						b=Uint8Array;
+					new b(a).set([100],1);
+					return new b(a)
+				})()`,
+				validate(buf) {
+					expect(buf).toBeInstanceOf(Uint8Array);
+					expect(buf.buffer).toBeInstanceOf(SharedArrayBuffer);
+					expect([...buf]).toEqual([0, 100, 0, 0]);
+				}
+			});
+
+			itSerializes('with ArrayBuffer which references the TypedArray', {
+				in() {
+					const arr = new ArrayBuffer(8);
+					const buf = new Uint16Array(arr, 2, 2);
+					buf[0] = 1000;
+					arr.buf = buf;
+					return arr;
+				},
+				out: `(()=>{
+					const a=new Uint8Array([,,232,3,,,,,]).buffer;
+					a.buf=new Uint16Array(a,2,2);
+					return a
+				})()`,
+				validate(arr) {
+					expect(arr).toBeInstanceOf(ArrayBuffer);
+					const {buf} = arr;
+					expect(buf).toBeInstanceOf(Uint16Array);
+					expect(buf.buffer).toBe(arr);
+					expect(buf.byteOffset).toBe(2);
+					expect([...buf]).toEqual([1000, 0]);
 				}
 			});
 		});
@@ -455,6 +699,114 @@ describe('Buffers', () => {
 		});
 	});
 
+	describe('dataViews', () => {
+		itSerializes('covering whole buffer', {
+			in() {
+				const view = new DataView(new ArrayBuffer(8));
+				view.setUint16(2, 1000);
+				return view;
+			},
+			out: 'new DataView(new Uint8Array([,,3,232,,,,,]).buffer)',
+			validate(view) {
+				expect(view).toHavePrototype(DataView.prototype);
+				expect(view.byteOffset).toBe(0);
+				expect(view.byteLength).toBe(8);
+				expect(view.getUint16(2)).toBe(1000);
+			}
+		});
+
+		itSerializes('with offset', {
+			in: () => new DataView(new ArrayBuffer(8), 4),
+			out: 'new DataView(new ArrayBuffer(8),4)',
+			validate(view) {
+				expect(view.byteOffset).toBe(4);
+				expect(view.byteLength).toBe(4);
+				expect(view.buffer.byteLength).toBe(8);
+			}
+		});
+
+		itSerializes('with offset and length', {
+			in: () => new DataView(new ArrayBuffer(8), 2, 4),
+			out: 'new DataView(new ArrayBuffer(8),2,4)',
+			validate(view) {
+				expect(view.byteOffset).toBe(2);
+				expect(view.byteLength).toBe(4);
+				expect(view.buffer.byteLength).toBe(8);
+			}
+		});
+
+		itSerializes('with length', {
+			in: () => new DataView(new ArrayBuffer(8), 0, 4),
+			out: 'new DataView(new ArrayBuffer(8),0,4)',
+			validate(view) {
+				expect(view.byteOffset).toBe(0);
+				expect(view.byteLength).toBe(4);
+				expect(view.buffer.byteLength).toBe(8);
+			}
+		});
+
+		itSerializes('sharing buffer', {
+			in() {
+				const buf = new ArrayBuffer(8);
+				return {view1: new DataView(buf, 0, 4), view2: new DataView(buf, 4), buf};
+			},
+			out: `(()=>{
+				const a=new ArrayBuffer(8),
+					b=DataView;
+				return{view1:new b(a,0,4),view2:new b(a,4),buf:a}
+			})()`,
+			validate({view1, view2, buf}) {
+				expect(view1.buffer).toBe(buf);
+				expect(view2.buffer).toBe(buf);
+				view1.setUint8(3, 100);
+				expect(new Uint8Array(buf)[3]).toBe(100);
+			}
+		});
+
+		itSerializes('with SharedArrayBuffer', {
+			in: () => new DataView(new SharedArrayBuffer(8), 2),
+			out: 'new DataView(new SharedArrayBuffer(8),2)',
+			validate(view) {
+				expect(view.buffer).toBeInstanceOf(SharedArrayBuffer);
+				expect(view.byteOffset).toBe(2);
+				expect(view.byteLength).toBe(6);
+			}
+		});
+
+		itSerializes('with extra props', {
+			in() {
+				const view = new DataView(new ArrayBuffer(8));
+				view.x = 1;
+				return view;
+			},
+			out: 'Object.assign(new DataView(new ArrayBuffer(8)),{x:1})',
+			validate(view) {
+				expect(view).toHavePrototype(DataView.prototype);
+				expect(view.x).toBe(1);
+			}
+		});
+
+		itSerializes('with buffer which references the DataView', {
+			in() {
+				const buf = new ArrayBuffer(8);
+				buf.view = new DataView(buf, 4);
+				return buf;
+			},
+			out: `(()=>{
+				const a=new ArrayBuffer(8);
+				a.view=new DataView(a,4);
+				return a
+			})()`,
+			validate(buf) {
+				expect(buf).toBeInstanceOf(ArrayBuffer);
+				const {view} = buf;
+				expect(view).toBeInstanceOf(DataView);
+				expect(view.buffer).toBe(buf);
+				expect(view.byteOffset).toBe(4);
+			}
+		});
+	});
+
 	describe('sharedArrayBuffers', () => {
 		itSerializes('zero length', {
 			in: () => new SharedArrayBuffer(0),
@@ -5930,6 +5930,576 @@ describe('Classes', () => {
 				});
 			});
 		});
+
+		describe('prototype properties', () => {
+			itSerializes('referencing external vars and `this`', {
+				in() {
+					const ext = 1;
+					return class C {
+						x = ext;
+						y = this.x + 1;
+						z;
+					};
+				},
+				out: '(a=>class C{x=a;y=this.x+1;z})(1)',
+				validate(Klass) {
+					expect(Klass).toBeFunction();
+					const instance = new Klass();
+					expect(instance).toHaveOwnPropertyNames(['x', 'y', 'z']);
+					expect(instance.x).toBe(1);
+					expect(instance.y).toBe(2);
+					expect(instance.z).toBeUndefined();
+				}
+			});
+
+			itSerializes('instance', {
+				in() {
+					const ext = 1;
+					class C {
+						x = ext;
+						y = this.x + 1;
+					}
+					return new C();
+				},
+				out: `(()=>{
+					const a=Object;
+					return a.assign(a.create((a=>class C{x=a;y=this.x+1})(1).prototype),{x:1,y:2})
+				})()`,
+				validate(instance) {
+					expect(instance).toHaveOwnPropertyNames(['x', 'y']);
+					expect(instance.x).toBe(1);
+					expect(instance.y).toBe(2);
+					const Klass = instance.constructor;
+					expect(Klass).toBeFunction();
+					expect(new Klass()).toEqual(instance);
+				}
+			});
+
+			itSerializes('functions in properties capture `this` of their own instance', {
+				in() {
+					class C {
+						constructor(n) {
+							this.n = n;
+						}
+
+						getN = () => this.n;
+					}
+					return [new C(1).getN, new C(2).getN];
+				},
+				out: `(()=>{
+					const a=Object,
+						b=a.defineProperties,
+						c=a=>()=>a.n,
+						d=void 0,
+						e=a.create,
+						f=class C{constructor(a){this.n=a}getN=()=>this.n}.prototype,
+						g=a.assign,
+						h=g(e(f),{getN:d,n:1}),
+						i=b(c(h),{name:{value:"getN"}}),
+						j=g(e(f),{getN:d,n:2}),
+						k=b(c(j),{name:{value:"getN"}});
+					h.getN=i;
+					j.getN=k;
+					return[i,k]
+				})()`,
+				validate([getN1, getN2]) {
+					expect(getN1).toBeFunction();
+					expect(getN2).toBeFunction();
+					expect(getN1.name).toBe('getN');
+					expect(getN2.name).toBe('getN');
+					expect(getN1()).toBe(1);
+					expect(getN2()).toBe(2);
+				}
+			});
+
+			itSerializes('anonymous functions are named after property', {
+				in() {
+					class C {
+						getX = () => 1; // eslint-disable-line class-methods-use-this
+						getY = function() { return 2; }; // eslint-disable-line class-methods-use-this
+					}
+					const instance = new C();
+					expect(instance.getX.name).toBe('getX');
+					expect(instance.getY.name).toBe('getY');
+					return instance;
+				},
+				out: `(()=>{
+					const a=Object;
+					return a.assign(
+						a.create(class C{getX=()=>1;getY=function(){return 2}}.prototype),
+						{
+							getX:a.defineProperties(()=>1,{name:{value:"getX"}}),
+							getY:function getY(){return 2}
+						}
+					)
+				})()`,
+				validate(instance) {
+					expect(instance.getX.name).toBe('getX');
+					expect(instance.getY.name).toBe('getY');
+					const instance2 = new instance.constructor();
+					expect(instance2.getX.name).toBe('getX');
+					expect(instance2.getY.name).toBe('getY');
+				}
+			});
+		});
+
+		describe('static properties', () => {
+			itSerializes('referencing external vars and `this`', {
+				in() {
+					const ext = 1;
+					return class C {
+						static x = ext;
+						static getX = () => this.x;
+					};
+				},
+				out: `(()=>{
+					const a=Object,
+						b=(a=>[b=>a=b,()=>a.x])(),
+						c=a.assign(class C{},{x:1,getX:a.defineProperties(b[1],{name:{value:"getX"}})});
+					b[0](c);
+					return c
+				})()`,
+				validate(Klass) {
+					expect(Klass).toBeFunction();
+					expect(Klass).toHaveOwnPropertyNames(['length', 'name', 'prototype', 'x', 'getX']);
+					expect(Klass.x).toBe(1);
+					expect(Klass.getX.name).toBe('getX');
+					expect(Klass.getX()).toBe(1);
+				}
+			});
+		});
+	});
+
+	describe('private members', () => {
+		itSerializes('class with private field and method', {
+			in() {
+				class C {
+					#x = 1;
+					#double() { return this.#x * 2; }
+					getDouble() { return this.#double(); }
+				}
+				return C;
+			},
+			out: 'class C{#x=1;#double(){return this.#x*2}getDouble(){return this.#double()}}',
+			validate(Klass) {
+				expect(Klass).toBeFunction();
+				expect(Klass.name).toBe('C');
+				expect(Klass).toHaveOwnPropertyNames(['length', 'name', 'prototype']);
+				expect(Klass.prototype).toHaveOwnPropertyNames(['constructor', 'getDouble']);
+				expect(new Klass().getDouble()).toBe(2);
+			}
+		});
+
+		itSerializes('instance with private fields', {
+			in() {
+				const ext = 3;
+				class C {
+					#x;
+					constructor(x) { this.#x = x + ext; }
+					getX() { return this.#x; }
+				}
+				return new C(2);
+			},
+			out: `(()=>{
+				const a=(b=>class C{
+						#x;
+						constructor(a){
+							if(#livepack_restoring in new.target&&new.target.#livepack_restoring)return;
+							this.#x=a+b
+						}
+						getX(){return this.#x}
+						static#livepack_restoring;
+						static livepack_privates(o,v){
+							if(o===null){
+								this.#livepack_restoring=true;
+								try{o=new this}finally{this.#livepack_restoring=false}
+							}
+							if("x"in v)o.#x=v.x;
+							return o
+						}
+					})(3),
+					b=a.livepack_privates(null,{x:5});
+				delete a.livepack_privates;
+				return b
+			})()`,
+			validate(instance) {
+				expect(instance).toBeObject();
+				expect(instance).toHaveOwnPropertyNames([]);
+				expect(instance.getX()).toBe(5);
+				const Klass = instance.constructor;
+				expect(Klass).toHaveOwnPropertyNames(['length', 'name', 'prototype']);
+				expect(Object.getPrototypeOf(instance)).toBe(Klass.prototype);
+				expect(new Klass(10).getX()).toBe(13);
+			}
+		});
+
+		itSerializes('instance of class with super class with private fields', {
+			in() {
+				class S {
+					#x;
+					constructor(x) { this.#x = x; }
+					getX() { return this.#x; }
+				}
+				class C extends S {
+					#y = 0;
+					getY() { return this.#y; }
+					setY(y) { this.#y = y; }
+				}
+				const instance = new C(1);
+				instance.setY(2);
+				return instance;
+			},
+			out: `(()=>{
+				const a=class S{
+						#x;
+						constructor(a){
+							if(#livepack_restoring in new.target&&new.target.#livepack_restoring)return;
+							this.#x=a
+						}
+						getX(){return this.#x}
+						static#livepack_restoring;
+						static livepack_privates(o,v){
+							if(o===null){
+								this.#livepack_restoring=true;
+								try{o=new this}finally{this.#livepack_restoring=false}
+							}
+							if("x"in v)o.#x=v.x;
+							return o
+						}
+					},
+					b=Object.setPrototypeOf,
+					c=b(
+						class C extends null{
+							#y=0;
+							getY(){return this.#y}
+							setY(a){this.#y=a}
+							static livepack_privates(o,v){
+								if(!(#y in o)){
+									const p=Object.getPrototypeOf(this);
+									Object.setPrototypeOf(this,function(){return o});
+									try{new this}finally{Object.setPrototypeOf(this,p)}
+								}
+								if("y"in v)o.#y=v.y;
+								return o
+							}
+						},
+						a
+					),
+					d=c.prototype,
+					e=b(c.livepack_privates(a.livepack_privates(null,{x:1}),{y:2}),d);
+				delete a.livepack_privates;
+				b(d,a.prototype);
+				delete c.livepack_privates;
+				return e
+			})()`,
+			validate(instance) {
+				expect(instance).toBeObject();
+				expect(instance).toHaveOwnPropertyNames([]);
+				expect(instance.getX()).toBe(1);
+				expect(instance.getY()).toBe(2);
+				const Klass = instance.constructor;
+				expect(Object.getPrototypeOf(instance)).toBe(Klass.prototype);
+				const SuperKlass = Object.getPrototypeOf(Klass);
+				expect(Object.getPrototypeOf(Klass.prototype)).toBe(SuperKlass.prototype);
+				expect(Klass).toHaveOwnPropertyNames(['length', 'name', 'prototype']);
+				expect(SuperKlass).toHaveOwnPropertyNames(['length', 'name', 'prototype']);
+
+				const instance2 = new Klass(3);
+				expect(instance2.getX()).toBe(3);
+				expect(instance2.getY()).toBe(0);
+			}
+		});
+
+		itSerializes('class with static private field', {
+			in() {
+				class C {
+					static #count = 0;
+					static inc() { return ++C.#count; }
+				}
+				C.inc();
+				return C;
+			},
+			out: `(()=>{
+				const a=(a=>a=class C{
+					static#count;
+					static inc(){return++a.#count}
+					static livepack_privates(o,v){
+						if("count"in v)o.#count=v.count;
+						return o
+					}
+				})();
+				a.livepack_privates(a,{count:1});
+				delete a.livepack_privates;
+				return a
+			})()`,
+			validate(Klass) {
+				expect(Klass).toBeFunction();
+				expect(Klass).toHaveOwnPropertyNames(['length', 'name', 'prototype', 'inc']);
+				expect(Klass.inc()).toBe(2);
+			}
+		});
+
+		itSerializes('instance with private getter and setter', {
+			in() {
+				class C {
+					#x = 1;
+					get #doubled() { return this.#x * 2; }
+					set #doubled(v) { this.#x = v / 2; }
+					get() { return this.#doubled; }
+					set(v) { this.#doubled = v; }
+				}
+				const instance = new C();
+				instance.set(10);
+				return instance;
+			},
+			out: `(()=>{
+				const a=class C{
+						#x=1;
+						get#doubled(){return this.#x*2}
+						set#doubled(a){this.#x=a/2}
+						get(){return this.#doubled}
+						set(a){this.#doubled=a}
+						static livepack_privates(o,v){
+							if(o===null)o=new this;
+							if("x"in v)o.#x=v.x;
+							return o
+						}
+					},
+					b=a.livepack_privates(null,{x:5});
+				delete a.livepack_privates;
+				return b
+			})()`,
+			validate(instance) {
+				expect(instance.get()).toBe(10);
+				instance.set(4);
+				expect(instance.get()).toBe(4);
+			}
+		});
+
+		itSerializes('instance with circular private field', {
+			in() {
+				class C {
+					#self;
+					constructor() { this.#self = this; }
+					getSelf() { return this.#self; }
+				}
+				return new C();
+			},
+			out: `(()=>{
+				const a=class C{
+						#self;
+						constructor(){
+							if(#livepack_restoring in new.target&&new.target.#livepack_restoring)return;
+							this.#self=this
+						}
+						getSelf(){return this.#self}
+						static#livepack_restoring;
+						static livepack_privates(o,v){
+							if(o===null){
+								this.#livepack_restoring=true;
+								try{o=new this}finally{this.#livepack_restoring=false}
+							}
+							if("self"in v)o.#self=v.self;
+							return o
+						}
+					},
+					b=a.livepack_privates(null,{});
+				a.livepack_privates(b,{self:b});
+				delete a.livepack_privates;
+				return b
+			})()`,
+			validate(instance) {
+				expect(instance.getSelf()).toBe(instance);
+			}
+		});
+
+		itSerializes('class with static property which is instance of the class', {
+			in() {
+				class C {
+					#x = 1;
+					getX() { return this.#x; }
+					static inst = new C();
+				}
+				return C;
+			},
+			out: `(()=>{
+				const a=class C{
+					#x=1;
+					getX(){return this.#x}
+					static livepack_privates(o,v){
+						if(o===null)o=new this;
+						if("x"in v)o.#x=v.x;
+						return o
+					}
+				};
+				a.inst=a.livepack_privates(null,{x:1});
+				delete a.livepack_privates;
+				return a
+			})()`,
+			validate(Klass) {
+				expect(Klass).toBeFunction();
+				expect(Klass).toHaveOwnPropertyNames(['length', 'name', 'prototype', 'inst']);
+				const {inst} = Klass;
+				expect(inst).toBeInstanceOf(Klass);
+				expect(inst.getX()).toBe(1);
+			}
+		});
+
+		itSerializes('class with static property which is instance of subclass', {
+			in() {
+				class P {
+					#x = 1;
+					getX() { return this.#x; }
+				}
+				class C extends P {
+					#y = 2;
+					getY() { return this.#y; }
+					static inst = new C();
+				}
+				return C;
+			},
+			out: `(()=>{
+				const a=Object.setPrototypeOf,
+					b=class P{
+						#x=1;
+						getX(){return this.#x}
+						static livepack_privates(o,v){
+							if(o===null)o=new this;
+							if("x"in v)o.#x=v.x;
+							return o
+						}
+					},
+					c=a(
+						class C extends null{
+							#y=2;
+							getY(){return this.#y}
+							static livepack_privates(o,v){
+								if(!(#y in o)){
+									const p=Object.getPrototypeOf(this);
+									Object.setPrototypeOf(this,function(){return o});
+									try{new this}finally{Object.setPrototypeOf(this,p)}
+								}
+								if("y"in v)o.#y=v.y;
+								return o
+							}
+						},
+						b
+					),
+					d=c.prototype,
+					e=a(c.livepack_privates(b.livepack_privates(null,{x:1}),{y:2}),d);
+				delete b.livepack_privates;
+				c.inst=e;
+				a(d,b.prototype);
+				delete c.livepack_privates;
+				return c
+			})()`,
+			validate(Klass) {
+				expect(Klass).toBeFunction();
+				const {inst} = Klass;
+				expect(inst).toBeInstanceOf(Klass);
+				expect(inst.getX()).toBe(1);
+				expect(inst.getY()).toBe(2);
+			}
+		});
+
+		itSerializes('instances of multiple classes from same definition', {
+			in() {
+				const make = n => class {
+					#n = n;
+					get() { return this.#n; }
+				};
+				const K1 = make(1),
+					K2 = make(2);
+				return [new K1(), new K2()];
+			},
+			out: `(()=>{
+				const a=a=>class{
+						#n=a;
+						get(){return this.#n}
+						static livepack_privates(o,v){
+							if(o===null)o=new this;
+							if("n"in v)o.#n=v.n;
+							return o
+						}
+					},
+					b=a(1),
+					c=b.livepack_privates(null,{n:1}),
+					d=a(2),
+					e=d.livepack_privates(null,{n:2});
+				delete b.livepack_privates;
+				delete d.livepack_privates;
+				return[c,e]
+			})()`,
+			validate([instance1, instance2]) {
+				expect(instance1.get()).toBe(1);
+				expect(instance2.get()).toBe(2);
+				expect(instance1.constructor).not.toBe(instance2.constructor);
+			}
+		});
+
+		itSerializes('method of class with private members', {
+			in() {
+				class C {
+					#x = 1;
+					getX() { return this.#x; }
+				}
+				return C.prototype.getX;
+			},
+			out: 'class C{#x=1;getX(){return this.#x}}.prototype.getX',
+			validate(fn) {
+				expect(fn).toBeFunction();
+				expect(fn.name).toBe('getX');
+				expect(() => fn.call({})).toThrow(TypeError);
+			}
+		});
+
+		itSerializes('method of class with private members with additional properties', {
+			in() {
+				class C {
+					#x = 1;
+					getX() { return this.#x; }
+				}
+				C.prototype.getX.y = 2;
+				return C.prototype.getX;
+			},
+			out: 'Object.assign(class C{#x=1;getX(){return this.#x}}.prototype.getX,{y:2})',
+			validate(fn) {
+				expect(fn).toBeFunction();
+				expect(fn.name).toBe('getX');
+				expect(fn).toHaveOwnPropertyNames(['length', 'name', 'y']);
+				expect(fn.y).toBe(2);
+			}
+		});
+
+		itSerializes('method of class with private members referenced by static property of class', {
+			in() {
+				class C {
+					#x = 1;
+					getX() { return this.#x; }
+				}
+				C.getX = C.prototype.getX;
+				return C;
+			},
+			out: `(()=>{
+				const a=class C{#x=1;getX(){return this.#x}};
+				a.getX=a.prototype.getX;
+				return a
+			})()`,
+			validate(Klass) {
+				expect(Klass).toBeFunction();
+				expect(Klass.getX).toBe(Klass.prototype.getX);
+			}
+		});
+
+		it('function accessing private members outside class throws', () => {
+			class C {
+				#x = 1;
+				getGetter() { return () => this.#x; }
+			}
+			expect(() => serialize(new C().getGetter())).toThrowWithMessage(
+				Error, /^Cannot serialize function which accesses private class members outside of its class/
+			);
+		});
 	});
 
 	describe('instances', () => {
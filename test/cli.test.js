@@ -0,0 +1,347 @@
+/* --------------------
+ * livepack module
+ * Tests for CLI
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const {join: pathJoin} = require('path'),
+	{tmpdir} = require('os'),
+	{spawn} = require('child_process'),
+	{createServer, get: httpGet} = require('http'),
+	{mkdtemp, mkdir, writeFile, readFile, readdir, stat, rename, rm} = require('fs/promises');
+
+// Constants
+const CLI_PATH = pathJoin(__dirname, '../lib/cli.js'),
+	LIVEPACK_PATH = pathJoin(__dirname, '../index.js'),
+	TIMEOUT = 30000;
+
+// Tests
+
+describe('CLI', () => {
+	let dirPath;
+	beforeEach(async () => {
+		dirPath = await mkdtemp(pathJoin(tmpdir(), 'livepack-test-'));
+		await mkdir(pathJoin(dirPath, 'src'));
+		await writeFile(
+			pathJoin(dirPath, 'src/index.js'),
+			"'use strict';\n"
+			+ `const {splitAsync} = require(${JSON.stringify(LIVEPACK_PATH)});\n`
+			+ "module.exports = {getA: splitAsync(require('./a.js')), getB: splitAsync(require('./b.js'))};\n"
+		);
+		await writeFile(pathJoin(dirPath, 'src/a.js'), "'use strict';\nmodule.exports = {a: 1};\n");
+		await writeFile(pathJoin(dirPath, 'src/b.js'), "'use strict';\nmodule.exports = {b: 1};\n");
+	});
+
+	afterEach(async () => {
+		await rm(dirPath, {recursive: true, force: true});
+	});
+
+	describe('watch mode', () => {
+		it('rebuilds when a file changes, writing only changed files', async () => {
+			const child = spawnWatch(dirPath);
+			const stdout = captureOutput(child);
+
+			try {
+				// Initial build
+				await stdout.waitFor(/Built in \d+ms: 3 changed, 0 unchanged\n(?: {2}\+ .+\n){3}/);
+				const buildPath = pathJoin(dirPath, 'build'),
+					chunkA = await findFile(buildPath, 'a: 1'),
+					chunkB = await findFile(buildPath, 'b: 1'),
+					chunkAStats = await stat(pathJoin(buildPath, chunkA));
+
+				// Change `b.js` and wait for rebuild
+				await writeFile(pathJoin(dirPath, 'src/b.js'), "'use strict';\nmodule.exports = {b: 2};\n");
+				const summary = await stdout.waitFor(
+					/Built in \d+ms: 2 changed, 1 unchanged, 1 removed\n(?: {2}[+-] .+\n){3}/
+				);
+
+				// Only entry point and chunk for `b.js` are rewritten. Old chunk for `b.js` is removed.
+				const chunkB2 = await findFile(buildPath, 'b: 2');
+				expect(summary.split('\n').slice(1, -1)).toEqual(['  + index.js', `  + ${chunkB2}`, `  - ${chunkB}`]);
+				expect((await readdir(buildPath)).sort()).toEqual(['index.js', chunkA, chunkB2].sort());
+				expect((await stat(pathJoin(buildPath, chunkA))).mtimeMs).toBe(chunkAStats.mtimeMs);
+			} finally {
+				if (child.exitCode === null && child.signalCode === null) process.kill(child.pid);
+			}
+		}, TIMEOUT);
+
+		it('rebuilds when a file is replaced by renaming another file over it', async () => {
+			const child = spawnWatch(dirPath);
+			const stdout = captureOutput(child);
+
+			try {
+				await stdout.waitFor(/Built in \d+ms: 3 changed, 0 unchanged\n/);
+
+				// Replace `b.js` twice, to check file is still watched after first replacement
+				for (const num of [2, 3]) {
+					const tempPath = pathJoin(dirPath, 'src/b.js.tmp');
+					await writeFile(tempPath, `'use strict';\nmodule.exports = {b: ${num}};\n`);
+					await rename(tempPath, pathJoin(dirPath, 'src/b.js'));
+					await stdout.waitFor(/Built in \d+ms: 2 changed, 1 unchanged, 1 removed\n/);
+					expect(await findFile(pathJoin(dirPath, 'build'), `b: ${num}`)).toBeString();
+				}
+			} finally {
+				if (child.exitCode === null && child.signalCode === null) process.kill(child.pid);
+			}
+		}, TIMEOUT);
+
+		it('completes build when built code keeps process running', async () => {
+			await writeFile(
+				pathJoin(dirPath, 'src/a.js'),
+				"'use strict';\nsetInterval(() => {}, 60000);\nmodule.exports = {a: 1};\n"
+			);
+			const child = spawnWatch(dirPath);
+			const stdout = captureOutput(child);
+
+			try {
+				await stdout.waitFor(/Built in \d+ms: 3 changed, 0 unchanged\n/);
+
+				await writeFile(pathJoin(dirPath, 'src/b.js'), "'use strict';\nmodule.exports = {b: 2};\n");
+				await stdout.waitFor(/Built in \d+ms: 2 changed, 1 unchanged, 1 removed\n/);
+				expect(await findFile(pathJoin(dirPath, 'build'), 'b: 2')).toBeString();
+			} finally {
+				if (child.exitCode === null && child.signalCode === null) process.kill(child.pid);
+			}
+		}, TIMEOUT);
+
+		it('continues watching files after build process crashes', async () => {
+			const child = spawnWatch(dirPath);
+			const stdout = captureOutput(child);
+
+			try {
+				await stdout.waitFor(/Built in \d+ms: 3 changed, 0 unchanged\n/);
+
+				await writeFile(pathJoin(dirPath, 'src/b.js'), "'use strict';\nprocess.exit(1);\n");
+				await stdout.waitFor(/Build failed\. Waiting for changes\.\.\.\n/);
+
+				await writeFile(pathJoin(dirPath, 'src/b.js'), "'use strict';\nmodule.exports = {b: 2};\n");
+				await stdout.waitFor(/Built in \d+ms: 2 changed, 1 unchanged, 1 removed\n/);
+				expect(await findFile(pathJoin(dirPath, 'build'), 'b: 2')).toBeString();
+			} finally {
+				if (child.exitCode === null && child.signalCode === null) process.kill(child.pid);
+			}
+		}, TIMEOUT);
+	});
+
+	describe('serve', () => {
+		let port;
+		beforeEach(async () => {
+			port = await getFreePort();
+		});
+
+		it('serves HTML page, output files and source maps, and triggers reload on rebuild', async () => {
+			const child = spawn(
+				process.execPath,
+				[CLI_PATH, 'serve', 'src/index.js', '--format', 'esm', '--port', `${port}`, '-s', '--no-cache'],
+				{cwd: dirPath, timeout: TIMEOUT}
+			);
+			const stdout = captureOutput(child);
+
+			let events;
+			try {
+				// Server listens on `localhost` only
+				await stdout.waitFor(new RegExp(`Serving at http://localhost:${port}\n`));
+				await stdout.waitFor(/Built in \d+ms: 6 changed, 0 unchanged\n(?: {2}\+ .+\n){6}/);
+
+				// HTML page
+				let res = await request(port, '/');
+				expect(res.statusCode).toBe(200);
+				expect(res.headers['content-type']).toBe('text/html; charset=utf-8');
+				expect(res.body).toInclude('<script src="/index.js" type="module"></script>');
+				expect(res.body).toInclude("new EventSource('/__livepack/events')");
+				expect((await request(port, '/index.html')).body).toBe(res.body);
+
+				// Entry point
+				res = await request(port, '/index.js');
+				expect(res.statusCode).toBe(200);
+				expect(res.headers['content-type']).toBe('text/javascript; charset=utf-8');
+				expect(res.body).toInclude('//# sourceMappingURL=index.js.map');
+				const chunkFilename = res.body.match(/import\("\.\/(split\.[A-Z0-9]+\.js)"\)/)[1];
+
+				// Split chunk
+				res = await request(port, `/${chunkFilename}`);
+				expect(res.statusCode).toBe(200);
+				expect(res.body).toInclude('a: 1');
+
+				// Source map
+				res = await request(port, `/${chunkFilename}.map`);
+				expect(res.statusCode).toBe(200);
+				expect(res.headers['content-type']).toBe('application/json; charset=utf-8');
+				expect(JSON.parse(res.body).version).toBe(3);
+
+				// Not found
+				expect((await request(port, '/missing.js')).statusCode).toBe(404);
+
+				// Server-Sent Events reload after rebuild
+				events = await openEvents(port);
+				await writeFile(pathJoin(dirPath, 'src/a.js'), "'use strict';\nmodule.exports = {a: 2};\n");
+				await expect(events.waitForReload()).resolves.toBeUndefined();
+				await stdout.waitFor(/Built in \d+ms: /);
+
+				res = await request(port, '/index.js');
+				const chunkFilename2 = res.body.match(/import\("\.\/(split\.[A-Z0-9]+\.js)"\)/)[1];
+				expect(chunkFilename2).not.toBe(chunkFilename);
+				expect((await request(port, `/${chunkFilename2}`)).body).toInclude('a: 2');
+			} finally {
+				events?.close();
+				if (child.exitCode === null && child.signalCode === null) process.kill(child.pid);
+			}
+		}, TIMEOUT);
+
+		it('exits with error if port is in use', async () => {
+			const server = createServer();
+			await new Promise((resolve) => { server.listen(port, resolve); });
+
+			try {
+				const child = spawn(
+					process.execPath,
+					[CLI_PATH, 'serve', 'src/index.js', '--format', 'esm', '--port', `${port}`, '--no-cache'],
+					{cwd: dirPath, timeout: TIMEOUT}
+				);
+				let stderr = '';
+				child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+				// Exits by itself, having stopped build child process
+				const code = await new Promise((resolve) => { child.on('exit', resolve); });
+				expect(code).toBe(1);
+				expect(stderr).toBe(
+					`Cannot serve on port ${port} as it is already in use. Use \`--port\` option to choose another port.\n`
+				);
+			} finally {
+				await new Promise((resolve) => { server.close(resolve); });
+			}
+		}, TIMEOUT);
+	});
+});
+
+/**
+ * Spawn CLI in watch mode, building `src/index.js` into `build` dir.
+ * @param {string} dirPath - Path of dir to run in
+ * @returns {Object} - Child process
+ */
+function spawnWatch(dirPath) {
+	return spawn(
+		process.execPath,
+		[CLI_PATH, 'src/index.js', '-o', 'build', '--no-exec', '--no-cache', '--watch'],
+		{cwd: dirPath, timeout: TIMEOUT}
+	);
+}
+
+/**
+ * Capture stdout of child process.
+ * Returns object with `waitFor()` method which resolves when output since last match matches regexp.
+ * Rejects if child process exits before match.
+ * @param {Object} child - Child process
+ * @returns {Object} - Object with `waitFor()` method
+ */
+function captureOutput(child) {
+	let output = '',
+		stderr = '',
+		waiting = null;
+	const check = () => {
+		if (!waiting) return;
+		const match = output.match(waiting.regex);
+		if (match) {
+			output = output.slice(match.index + match[0].length);
+			const {resolve} = waiting;
+			waiting = null;
+			resolve(match[0]);
+		}
+	};
+
+	child.stdout.on('data', (chunk) => {
+		output += chunk;
+		check();
+	});
+	child.stderr.on('data', (chunk) => { stderr += chunk; });
+	child.on('exit', () => {
+		if (waiting) waiting.reject(new Error(`Process exited unexpectedly. stderr: ${stderr}`));
+	});
+
+	return {
+		waitFor(regex) {
+			return new Promise((resolve, reject) => {
+				waiting = {regex, resolve, reject};
+				check();
+			});
+		}
+	};
+}
+
+/**
+ * Find file in dir which contains string.
+ * @param {string} dirPath - Dir path
+ * @param {string} str - String to find
+ * @returns {string|undefined} - Filename
+ */
+async function findFile(dirPath, str) {
+	for (const filename of await readdir(dirPath)) {
+		if ((await readFile(pathJoin(dirPath, filename), 'utf8')).includes(str)) return filename;
+	}
+	return undefined;
+}
+
+/**
+ * Get a free port.
+ * @returns {Promise<number>} - Port number
+ */
+function getFreePort() {
+	return new Promise((resolve, reject) => {
+		const server = createServer();
+		server.on('error', reject);
+		server.listen(0, () => {
+			const {port} = server.address();
+			server.close(() => resolve(port));
+		});
+	});
+}
+
+/**
+ * Make HTTP GET request to local server.
+ * @param {number} port - Port
+ * @param {string} path - URL path
+ * @returns {Promise<Object>} - Object with props `statusCode`, `headers`, `body`
+ */
+function request(port, path) {
+	return new Promise((resolve, reject) => {
+		httpGet({host: 'localhost', port, path}, (res) => {
+			let body = '';
+			res.setEncoding('utf8');
+			res.on('data', (chunk) => { body += chunk; });
+			res.on('end', () => resolve({statusCode: res.statusCode, headers: res.headers, body}));
+			res.on('error', reject);
+		}).on('error', reject);
+	});
+}
+
+/**
+ * Connect to server's Server-Sent Events endpoint.
+ * @param {number} port - Port
+ * @returns {Promise<Object>} - Object with `waitForReload()` and `close()` methods
+ */
+function openEvents(port) {
+	return new Promise((resolve, reject) => {
+		const req = httpGet({host: 'localhost', port, path: '/__livepack/events'}, (res) => {
+			let data = '',
+				onReload = null;
+			res.setEncoding('utf8');
+			res.on('data', (chunk) => {
+				data += chunk;
+				if (onReload && data.includes('event: reload\n')) onReload();
+			});
+			resolve({
+				waitForReload() {
+					return new Promise((resolveReload) => {
+						onReload = () => resolveReload();
+					});
+				},
+				close() {
+					req.destroy();
+				}
+			});
+		});
+		req.on('error', reject);
+	});
+}
@@ -0,0 +1,285 @@
+/* --------------------
+ * livepack module
+ * Tests for custom serialization protocol
+ * ------------------*/
+
+'use strict';
+
+// Imports
+const {serialize} = require('livepack'),
+	{itSerializes} = require('./support/index.js');
+
+// Tests
+
+const SERIALIZE = Symbol.for('livepack.serialize');
+
+describe('Custom serialization method', () => {
+	describe('returning replacement', () => {
+		itSerializes('object', {
+			in() {
+				class Pool {
+					constructor(host) {
+						this.host = host;
+						this.connections = [{}, {}];
+					}
+
+					[SERIALIZE]() {
+						return {host: this.host};
+					}
+				}
+				return new Pool('localhost');
+			},
+			out: '{host:"localhost"}',
+			validateOutput(obj) {
+				expect(obj).toEqual({host: 'localhost'});
+			}
+		});
+
+		itSerializes('primitive', {
+			in() {
+				class Counter {
+					[SERIALIZE]() { // eslint-disable-line class-methods-use-this
+						return 123;
+					}
+				}
+				return {counter: new Counter()};
+			},
+			out: '{counter:123}',
+			validateOutput(obj) {
+				expect(obj).toEqual({counter: 123});
+			}
+		});
+
+		itSerializes('object referenced elsewhere', {
+			in() {
+				const replacement = {x: 1};
+				class Replaced {
+					[SERIALIZE]() { // eslint-disable-line class-methods-use-this
+						return replacement;
+					}
+				}
+				return {replaced: new Replaced(), replacement};
+			},
+			out: '(()=>{const a={x:1};return{replaced:a,replacement:a}})()',
+			validateOutput({replaced, replacement}) {
+				expect(replacement).toEqual({x: 1});
+				expect(replaced).toBe(replacement);
+			}
+		});
+
+		itSerializes('object which has custom serialization method', {
+			in() {
+				class Inner {
+					[SERIALIZE]() { // eslint-disable-line class-methods-use-this
+						return {inner: true};
+					}
+				}
+				class Outer {
+					[SERIALIZE]() { // eslint-disable-line class-methods-use-this
+						return new Inner();
+					}
+				}
+				return new Outer();
+			},
+			out: '{inner:true}',
+			validateOutput(obj) {
+				expect(obj).toEqual({inner: true});
+			}
+		});
+
+		itSerializes('object which references original object', {
+			in() {
+				class Replaced {
+					[SERIALIZE]() {
+						return {self: this};
+					}
+				}
+				return new Replaced();
+			},
+			out: '(()=>{const a={},b=a;a.self=b;return b})()',
+			validateOutput(obj) {
+				expect(obj).toBeObject();
+				expect(obj.self).toBe(obj);
+			}
+		});
+
+		itSerializes('replacement which references parent of original object', {
+			in() {
+				class Replaced {
+					constructor(parent) {
+						this.parent = parent;
+					}
+
+					[SERIALIZE]() {
+						return {parent: this.parent};
+					}
+				}
+				const parent = {};
+				parent.child = new Replaced(parent);
+				return parent;
+			},
+			out: '(()=>{const a={},b={child:a};a.parent=b;return b})()',
+			validateOutput(parent) {
+				expect(parent).toEqual({child: {parent}});
+				expect(parent.child.parent).toBe(parent);
+			}
+		});
+	});
+
+	describe('returning factory description', () => {
+		itSerializes('with args', {
+			in() {
+				function create(options, num) {
+					return {options, num};
+				}
+				class Pool {
+					constructor(options) {
+						this.options = options;
+					}
+
+					[SERIALIZE]() {
+						return {fn: create, args: [this.options, 2]};
+					}
+				}
+				return new Pool({host: 'localhost'});
+			},
+			out: 'function create(a,b){return{options:a,num:b}}({host:"localhost"},2)',
+			validateOutput(obj) {
+				expect(obj).toEqual({options: {host: 'localhost'}, num: 2});
+			}
+		});
+
+		itSerializes('without args', {
+			in() {
+				function create() {
+					return {created: true};
+				}
+				class Pool {
+					[SERIALIZE]() { // eslint-disable-line class-methods-use-this
+						return {fn: create};
+					}
+				}
+				return new Pool();
+			},
+			out: 'function create(){return{created:true}}()',
+			validateOutput(obj) {
+				expect(obj).toEqual({created: true});
+			}
+		});
+
+		itSerializes('with factory function shared between objects', {
+			in() {
+				function create(num) {
+					return {num};
+				}
+				class Pool {
+					constructor(num) {
+						this.num = num;
+					}
+
+					[SERIALIZE]() {
+						return {fn: create, args: [this.num]};
+					}
+				}
+				return [new Pool(1), new Pool(2)];
+			},
+			out: '(()=>{const a=function create(a){return{num:a}};return[a(1),a(2)]})()',
+			validateOutput(arr) {
+				expect(arr).toEqual([{num: 1}, {num: 2}]);
+			}
+		});
+
+		itSerializes('with args which reference parent of original object', {
+			in() {
+				function create(parent) {
+					return {parent};
+				}
+				class Child {
+					constructor(parent) {
+						this.parent = parent;
+					}
+
+					[SERIALIZE]() {
+						return {fn: create, args: [this.parent]};
+					}
+				}
+				const parent = {};
+				parent.child = new Child(parent);
+				return parent;
+			},
+			out: '(()=>{const a={};a.child=function create(a){return{parent:a}}(a);return a})()',
+			validateOutput(parent) {
+				expect(parent).toEqual({child: {parent}});
+				expect(parent.child.parent).toBe(parent);
+			}
+		});
+	});
+
+	itSerializes('instance referenced multiple times is serialized once', {
+		in() {
+			function create() {
+				return {created: true};
+			}
+			class Pool {
+				[SERIALIZE]() { // eslint-disable-line class-methods-use-this
+					return {fn: create};
+				}
+			}
+			const pool = new Pool();
+			return {pool1: pool, pool2: pool};
+		},
+		out: '(()=>{const a=function create(){return{created:true}}();return{pool1:a,pool2:a}})()',
+		validateOutput({pool1, pool2}) {
+			expect(pool1).toEqual({created: true});
+			expect(pool2).toBe(pool1);
+		}
+	});
+
+	itSerializes('is not used for class prototype', {
+		in() {
+			class Pool {
+				[SERIALIZE]() { // eslint-disable-line class-methods-use-this
+					return 1;
+				}
+			}
+			return Pool.prototype;
+		},
+		out: `(()=>{
+			const a=class Pool{}.prototype;
+			Object.defineProperties(a,{
+				[Symbol.for("livepack.serialize")]:{value:{"[livepack.serialize]"(){return 1}}["[livepack.serialize]"],writable:true,configurable:true}
+			});
+			return a
+		})()`,
+		validateOutput(proto) {
+			expect(proto).toBeObject();
+			expect(proto.constructor).toBeFunction();
+			expect(proto[SERIALIZE]()).toBe(1);
+		}
+	});
+
+	it('throws error if method returns the object', () => {
+		class Pool {
+			[SERIALIZE]() {
+				return this;
+			}
+		}
+		expect(() => serialize(new Pool())).toThrowWithMessage(
+			Error, 'Cannot serialize objects whose custom serialization replacement references the object'
+		);
+	});
+
+	it('throws error if factory args include the object', () => {
+		function create() {
+			return {};
+		}
+		class Pool {
+			[SERIALIZE]() {
+				return {fn: create, args: [this]};
+			}
+		}
+		expect(() => serialize(new Pool())).toThrowWithMessage(
+			Error, 'Cannot serialize objects whose custom serialization factory references the object'
+		);
+	});
+});
@@ -0,0 +1,367 @@
+/* --------------------
+ * livepack module
+ * Tests for Errors
+ * ------------------*/
+
+/* global AggregateError */
+
+'use strict';
+
+// Imports
+const {itSerializes} = require('./support/index.js');
+
+// Tests
+
+describe('Error', () => {
+	itSerializes('with message', {
+		in: () => new Error('foo'),
+		out: 'new Error("foo")',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err).toHavePrototype(Error.prototype);
+			expect(err.message).toBe('foo');
+			expect(err).toHaveOwnPropertyNames(['stack', 'message']);
+			expect(err).toHaveDescriptorModifiersFor('message', true, false, true);
+		}
+	});
+
+	itSerializes('without message', {
+		in: () => new Error(),
+		out: 'new Error',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err).toHavePrototype(Error.prototype);
+			expect(err.message).toBe('');
+			expect(err).toHaveOwnPropertyNames(['stack']);
+		}
+	});
+
+	itSerializes('with empty message', {
+		in: () => new Error(''),
+		out: 'new Error("")',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.message).toBe('');
+			expect(err).toHaveOwnPropertyNames(['stack', 'message']);
+		}
+	});
+});
+
+describe.each([
+	['TypeError', TypeError],
+	['RangeError', RangeError],
+	['SyntaxError', SyntaxError],
+	['ReferenceError', ReferenceError],
+	['EvalError', EvalError],
+	['URIError', URIError]
+])('%s', (name, ctor) => {
+	itSerializes('with message', {
+		in: () => new ctor('foo'), // eslint-disable-line new-cap
+		out: `new ${name}("foo")`,
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(ctor);
+			expect(err).toHavePrototype(ctor.prototype);
+			expect(err.name).toBe(name);
+			expect(err.message).toBe('foo');
+			expect(err).toHaveOwnPropertyNames(['stack', 'message']);
+		}
+	});
+});
+
+describe('Errors with cause', () => {
+	itSerializes('object', {
+		in: () => new Error('foo', {cause: {x: 1}}),
+		out: 'new Error("foo",{cause:{x:1}})',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.message).toBe('foo');
+			expect(err.cause).toEqual({x: 1});
+			expect(err).toHaveOwnPropertyNames(['stack', 'message', 'cause']);
+			expect(err).toHaveDescriptorModifiersFor('cause', true, false, true);
+		}
+	});
+
+	itSerializes('another Error', {
+		in: () => new Error('foo', {cause: new TypeError('bar')}),
+		out: 'new Error("foo",{cause:new TypeError("bar")})',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.message).toBe('foo');
+			expect(err.cause).toBeInstanceOf(TypeError);
+			expect(err.cause.message).toBe('bar');
+		}
+	});
+
+	itSerializes('without message', {
+		in: () => new Error(undefined, {cause: 1}),
+		out: 'new Error(void 0,{cause:1})',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.cause).toBe(1);
+			expect(err).toHaveOwnPropertyNames(['stack', 'cause']);
+		}
+	});
+
+	itSerializes('circular', {
+		in() {
+			const err = new Error('foo', {cause: 1});
+			err.cause = err;
+			return err;
+		},
+		out: '(()=>{const a=new Error("foo");Object.defineProperties(a,{cause:{value:a,writable:true,configurable:true}});return a})()',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.message).toBe('foo');
+			expect(err.cause).toBe(err);
+			expect(err).toHaveOwnPropertyNames(['stack', 'message', 'cause']);
+			expect(err).toHaveDescriptorModifiersFor('cause', true, false, true);
+		}
+	});
+});
+
+describe('AggregateError', () => {
+	itSerializes('with errors and message', {
+		in: () => new AggregateError([new Error('foo'), 1], 'bar'),
+		out: 'Object.assign(new AggregateError([],"bar"),{errors:[new Error("foo"),1]})',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(AggregateError);
+			expect(err).toHavePrototype(AggregateError.prototype);
+			expect(err.message).toBe('bar');
+			expect(err.errors).toBeArrayOfSize(2);
+			expect(err.errors[0]).toBeInstanceOf(Error);
+			expect(err.errors[0].message).toBe('foo');
+			expect(err.errors[1]).toBe(1);
+			expect(err).toHaveOwnPropertyNames(['stack', 'message', 'errors']);
+			expect(err).toHaveDescriptorModifiersFor('errors', true, false, true);
+		}
+	});
+
+	itSerializes('with errors array referenced elsewhere', {
+		in() {
+			const err = new AggregateError([], 'bar');
+			return {err, errors: err.errors};
+		},
+		out: '(()=>{const a=[];return{err:Object.assign(new AggregateError([],"bar"),{errors:a}),errors:a}})()',
+		errorStacks: false,
+		validate({err, errors}) {
+			expect(err).toBeInstanceOf(AggregateError);
+			expect(err.errors).toBe(errors);
+		}
+	});
+
+	itSerializes('with cause', {
+		in: () => new AggregateError([], 'bar', {cause: 1}),
+		out: 'Object.assign(new AggregateError([],"bar",{cause:1}),{errors:[]})',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(AggregateError);
+			expect(err.message).toBe('bar');
+			expect(err.cause).toBe(1);
+			expect(err.errors).toEqual([]);
+			expect(err).toHaveOwnPropertyNames(['stack', 'message', 'cause', 'errors']);
+		}
+	});
+});
+
+describe('Errors with altered properties', () => {
+	itSerializes('extra props', {
+		in() {
+			const err = new Error('foo');
+			err.code = 'ERR_FOO';
+			return err;
+		},
+		out: 'Object.assign(new Error("foo"),{code:"ERR_FOO"})',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.message).toBe('foo');
+			expect(err.code).toBe('ERR_FOO');
+			expect(err).toHaveOwnPropertyNames(['stack', 'message', 'code']);
+		}
+	});
+
+	itSerializes('message altered to non-string', {
+		in() {
+			const err = new Error('foo');
+			err.message = 123;
+			return err;
+		},
+		out: 'Object.defineProperties(new Error,{message:{value:123,writable:true,configurable:true}})',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.message).toBe(123);
+			expect(err).toHaveOwnPropertyNames(['stack', 'message']);
+			expect(err).toHaveDescriptorModifiersFor('message', true, false, true);
+		}
+	});
+
+	itSerializes('message deleted', {
+		in() {
+			const err = new Error('foo');
+			delete err.message;
+			return err;
+		},
+		out: 'new Error',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.message).toBe('');
+			expect(err).toHaveOwnPropertyNames(['stack']);
+		}
+	});
+
+	itSerializes('stack deleted', {
+		in() {
+			const err = new Error('foo');
+			delete err.stack;
+			return err;
+		},
+		out: '(()=>{const a=new Error("foo");delete a.stack;return a})()',
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.message).toBe('foo');
+			expect(err).toHaveOwnPropertyNames(['message']);
+		}
+	});
+});
+
+describe('Error subclasses', () => {
+	itSerializes('of Error', {
+		in() {
+			class NotFoundError extends Error {}
+			return new NotFoundError('foo');
+		},
+		out: `(()=>{
+			const a=Error,
+				b=Object.setPrototypeOf,
+				c=b(class NotFoundError extends null{},a).prototype;
+			b(c,a.prototype);
+			return b(new a("foo"),c)
+		})()`,
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.message).toBe('foo');
+			const proto = Object.getPrototypeOf(err);
+			expect(proto.constructor).toBeFunction();
+			expect(proto.constructor.name).toBe('NotFoundError');
+			expect(proto).toHavePrototype(Error.prototype);
+		}
+	});
+
+	itSerializes('of TypeError with name property', {
+		in() {
+			class NotFoundError extends TypeError {
+				constructor(message) {
+					super(message);
+					this.name = 'NotFoundError';
+				}
+			}
+			return new NotFoundError('foo');
+		},
+		out: `(()=>{
+			const a=TypeError,
+				b=Object,
+				c=b.setPrototypeOf,
+				d=c(
+					class NotFoundError extends null{
+						constructor(a){
+							super(a);
+							this.name="NotFoundError"
+						}
+					},
+					a
+				).prototype;
+			c(d,a.prototype);
+			return c(b.assign(new a("foo"),{name:"NotFoundError"}),d)
+		})()`,
+		errorStacks: false,
+		validate(err) {
+			expect(err).toBeInstanceOf(TypeError);
+			expect(err.message).toBe('foo');
+			expect(err.name).toBe('NotFoundError');
+			expect(err).toHaveOwnPropertyNames(['stack', 'message', 'name']);
+			const proto = Object.getPrototypeOf(err);
+			expect(proto.constructor.name).toBe('NotFoundError');
+			expect(proto).toHavePrototype(TypeError.prototype);
+		}
+	});
+});
+
+describe('Error stacks', () => {
+	itSerializes('default creates new stack', {
+		in: () => new Error('foo'),
+		out: 'new Error("foo")',
+		validate(err, {isOutput, input}) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.stack).toBeString();
+			if (isOutput) expect(err.stack).not.toBe(input.stack);
+		}
+	});
+
+	itSerializes('true retains stack', {
+		in: () => new Error('foo'),
+		errorStacks: true,
+		validate(err, {isOutput, input}) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.message).toBe('foo');
+			expect(err).toHaveOwnPropertyNames(['stack', 'message']);
+			expect(err).toHaveDescriptorModifiersFor('stack', true, false, true);
+			if (isOutput) expect(err.stack).toBe(input.stack);
+		}
+	});
+
+	itSerializes('false creates new stack', {
+		in: () => new Error('foo'),
+		out: 'new Error("foo")',
+		errorStacks: false,
+		validate(err, {isOutput, input}) {
+			expect(err).toBeInstanceOf(Error);
+			expect(err.stack).toBeString();
+			if (isOutput) expect(err.stack).not.toBe(input.stack);
+		}
+	});
+
+	describe('non-string stack is retained', () => {
+		itSerializes('with default descriptor', {
+			in() {
+				const err = new Error('foo');
+				err.stack = 123;
+				return err;
+			},
+			out: 'Object.assign(new Error("foo"),{stack:123})',
+			validate(err) {
+				expect(err).toBeInstanceOf(Error);
+				expect(err.stack).toBe(123);
+				expect(err).toHaveOwnPropertyNames(['stack', 'message']);
+				expect(err).toHaveDescriptorModifiersFor('stack', true, false, true);
+			}
+		});
+
+		itSerializes('with altered descriptor', {
+			in() {
+				const err = new Error('foo');
+				Object.defineProperty(err, 'stack', {value: {x: 1}, enumerable: true});
+				return err;
+			},
+			out: 'Object.defineProperties(new Error("foo"),{stack:{value:{x:1},enumerable:true}})',
+			validate(err) {
+				expect(err).toBeInstanceOf(Error);
+				expect(err.stack).toEqual({x: 1});
+				expect(err).toHaveOwnPropertyNames(['stack', 'message']);
+				expect(err).toHaveDescriptorModifiersFor('stack', true, true, true);
+			}
+		});
+	});
+});
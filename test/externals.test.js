@@ -0,0 +1,99 @@
+/* --------------------
+ * livepack module
+ * Tests for `externals` option
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const isItType = require('is-it-type'),
+	upperFirst = require('lodash/upperFirst'),
+	{serialize} = require('livepack');
+
+// Imports
+const {itSerializes} = require('./support/index.js');
+
+// Both files `require('dup-pkg')`, which resolves to a different copy of the package for each
+const dup1 = require('./fixtures/externals/index.js'),
+	dup2 = require('./fixtures/externals/nested/index.js');
+
+// Tests
+
+describe('Externals', () => {
+	describe('with array of package names', () => {
+		itSerializes('package exports object', {
+			in: () => isItType,
+			externals: ['is-it-type'],
+			outJs: 'require("is-it-type")',
+			outCjs: 'module.exports=require("is-it-type")',
+			outEsm: 'import a from"is-it-type";export default a',
+			format: ['js', 'cjs', 'esm'],
+			validateOutput(res) {
+				expect(res).toBe(isItType);
+			}
+		});
+
+		itSerializes('property of package exports', {
+			in: () => ({isString: isItType.isString, isNumber: isItType.isNumber}),
+			externals: ['is-it-type'],
+			out: '(()=>{const a=require("is-it-type");return{isString:a.isString,isNumber:a.isNumber}})()',
+			validateOutput(obj) {
+				expect(obj.isString).toBe(isItType.isString);
+				expect(obj.isNumber).toBe(isItType.isNumber);
+			}
+		});
+
+		itSerializes('package module required with subpath', {
+			in: () => upperFirst,
+			externals: ['lodash'],
+			out: 'require("lodash/upperFirst")',
+			validateOutput(fn) {
+				expect(fn).toBe(upperFirst);
+			}
+		});
+
+		itSerializes('value in scope of function', {
+			in() {
+				const {isString} = isItType;
+				return x => isString(x);
+			},
+			externals: ['is-it-type'],
+			out: '(b=>a=>b(a))(require("is-it-type").isString)',
+			validateOutput(fn) {
+				expect(fn('abc')).toBeTrue();
+				expect(fn(1)).toBeFalse();
+			}
+		});
+	});
+
+	itSerializes('with function', {
+		in: () => isItType.isString,
+		externals: name => name === 'is-it-type',
+		out: 'require("is-it-type").isString',
+		validateOutput(fn) {
+			expect(fn).toBe(isItType.isString);
+		}
+	});
+
+	it('externalizes modules of different copies of same package', () => {
+		expect(dup1).toEqual({version: 1});
+		expect(dup2).toEqual({version: 2});
+		expect(serialize({dup1, dup2}, {externals: ['dup-pkg']}))
+			.toBe('{dup1:require("dup-pkg"),dup2:require("dup-pkg")}');
+	});
+
+	it('does not externalize packages not specified', () => {
+		const js = serialize(isItType.isString, {externals: ['lodash']});
+		expect(js).not.toMatch(/require/);
+		expect(js).toMatch(/^\(/);
+	});
+
+	it('throws error if invalid', () => {
+		expect(
+			() => serialize(1, {externals: 'is-it-type'})
+		).toThrow(new Error('options.externals must be an array of strings or a function if provided'));
+		expect(
+			() => serialize(1, {externals: [1]})
+		).toThrow(new Error('options.externals must be an array of strings or a function if provided'));
+	});
+});
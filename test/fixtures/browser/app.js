@@ -0,0 +1,17 @@
+'use strict';
+
+/* eslint-disable import/no-unresolved */
+const exportsCondition = require('exports-cond'),
+	exportsSubpath = require('exports-cond/sub'),
+	browserMain = require('browser-main'),
+	browserMap = require('browser-map');
+
+let exportsNull;
+try {
+	require('exports-null'); // eslint-disable-line global-require
+} catch (err) {
+	exportsNull = err.code;
+}
+/* eslint-enable import/no-unresolved */
+
+module.exports = {exportsCondition, exportsSubpath, browserMain, browserMap, exportsNull};
@@ -0,0 +1,6 @@
+'use strict';
+
+require('../../../register.js')({target: 'browser', cache: false});
+const {serialize} = require('../../../index.js');
+
+console.log(serialize(require('./app.js'), {target: 'browser'})); // eslint-disable-line no-console
@@ -0,0 +1,5 @@
+export let count = 0; // eslint-disable-line import/no-mutable-exports
+
+export function increment() {
+	count++;
+}
@@ -0,0 +1,10 @@
+import {serialize} from 'livepack';
+import {count, increment} from './counter.mjs';
+
+const offset = await Promise.resolve(10);
+const getCount = () => count + offset;
+
+increment();
+increment();
+
+console.log(serialize({getCount, increment})); // eslint-disable-line no-console
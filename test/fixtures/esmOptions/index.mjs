@@ -0,0 +1,13 @@
+import register from 'livepack/register'; // eslint-disable-line import/no-unresolved
+
+// `esm`, `jsx` and `ts` options cannot be used with ESM loader
+const messages = ['esm', 'jsx', 'ts'].map((optionName) => {
+	try {
+		register({[optionName]: true});
+		return null;
+	} catch (err) {
+		return err.message;
+	}
+});
+
+console.log(JSON.stringify(messages)); // eslint-disable-line no-console
@@ -0,0 +1,12 @@
+import {fileURLToPath} from 'url';
+import {serialize} from 'livepack';
+
+const url = import.meta.url; // eslint-disable-line prefer-destructuring
+function getUrl() {
+	return url;
+}
+
+const outputDir = fileURLToPath(new URL('../../../build', import.meta.url));
+for (const format of ['esm', 'cjs']) {
+	console.log(serialize(getUrl, {format, paths: 'relative', outputDir})); // eslint-disable-line no-console
+}
@@ -0,0 +1,23 @@
+/* global document */
+
+'use strict';
+
+const documentTypeNoFunctions = require('./noFunctions.js');
+
+const isBrowser = () => typeof document !== 'undefined';
+
+module.exports = {
+	getTitle: () => document.title,
+	getTitleError() {
+		try {
+			return document.title;
+		} catch (err) {
+			return err;
+		}
+	},
+	isBrowser,
+	documentType: typeof document,
+	isBrowserAtBuildTime: isBrowser(),
+	fetchType: typeof fetch,
+	documentTypeNoFunctions
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+require('../../../register.js')({runtimeGlobals: ['document', 'fetch'], cache: false});
+const {serialize} = require('../../../index.js');
+
+const {
+	getTitle, getTitleError, isBrowser, documentType, isBrowserAtBuildTime, fetchType,
+	documentTypeNoFunctions
+} = require('./app.js');
+
+/* eslint-disable no-console */
+console.log(serialize(getTitle));
+console.log(getTitleError().message);
+console.log(serialize(isBrowser));
+console.log(documentType);
+console.log(isBrowserAtBuildTime);
+console.log(fetchType);
+console.log(documentTypeNoFunctions);
+/* eslint-enable no-console */
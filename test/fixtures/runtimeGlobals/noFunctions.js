@@ -0,0 +1,5 @@
+/* global document */
+
+'use strict';
+
+module.exports = typeof document;
@@ -0,0 +1,12 @@
+import type {Unused} from './types';
+import {Color, Shapes} from './colors';
+
+interface Point {
+	x: number;
+	y: number;
+}
+
+const offset: number = 10;
+
+export const getColor = (point: Point): Color => (point.x > offset ? Color.Green : Color.Red);
+export const perimeter = (size: number) => Shapes.perimeter(size) as number;
@@ -0,0 +1,11 @@
+export enum Color {
+	Red,
+	Green = 'green'
+}
+
+export namespace Shapes {
+	export const sides: number = 4;
+	export function perimeter(size: number): number {
+		return size * sides;
+	}
+}
@@ -0,0 +1,6 @@
+'use strict';
+
+require('../../../register.js')({ts: true, cache: false});
+const {serialize} = require('../../../index.js');
+
+console.log(serialize(require('./app.ts'))); // eslint-disable-line no-console
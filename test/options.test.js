@@ -6,7 +6,11 @@
 /* eslint-disable strict */
 
 // Modules
-const {serialize} = require('livepack');
+const pathJoin = require('path').join,
+	{gzipSync, brotliCompressSync} = require('zlib'),
+	isItType = require('is-it-type'),
+	upperFirst = require('lodash/upperFirst'),
+	{serialize, serializeEntries} = require('livepack');
 
 // Tests
 
@@ -27,6 +31,96 @@ describe('Options', () => {
 		it('esm', () => {
 			expect(serialize(1, {format: 'esm'})).toBe('export default 1');
 		});
+
+		describe('iife', () => {
+			it('assigns primitive to global var', () => {
+				expect(serialize(1, {format: 'iife', globalName: 'foo'})).toBe('var foo=1');
+			});
+
+			it('assigns object to global var', () => {
+				expect(serialize({x: 1}, {format: 'iife', globalName: 'foo'})).toBe('var foo={x:1}');
+			});
+
+			it('wraps multiple statements in IIFE', () => {
+				const obj = {x: 1};
+				expect(serialize({y: obj, z: obj}, {format: 'iife', globalName: 'foo'}))
+					.toBe('var foo=(()=>{const a={x:1};return{y:a,z:a}})()');
+			});
+
+			it('wraps in IIFE with exec option', () => {
+				const fn = (0, function() {
+					const x = 'foo';
+					console.log(x); // eslint-disable-line no-console
+				});
+				expect(serialize(fn, {format: 'iife', exec: true}))
+					.toBe('(()=>{const a="foo";console.log(a)})()');
+			});
+
+			it('throws error if no globalName option', () => {
+				expect(() => serialize(1, {format: 'iife'}))
+					.toThrow(new Error("options.globalName must be provided if options.format is 'iife'"));
+			});
+
+			it('throws error if globalName option with exec option', () => {
+				expect(() => serialize(1, {format: 'iife', globalName: 'foo', exec: true}))
+					.toThrow(new Error('options.globalName cannot be provided if options.exec is true'));
+			});
+
+			it('throws error if code splitting required', () => {
+				const obj = {x: 1};
+				expect(() => serializeEntries({one: {obj}, two: {obj}}, {format: 'iife', globalName: 'foo'}))
+					.toThrow(new Error("Cannot split output into multiple files in 'iife' format"));
+			});
+		});
+
+		describe('umd', () => {
+			it('outputs UMD wrapper', () => {
+				expect(serialize({x: 1}, {format: 'umd', globalName: 'foo'})).toBe(
+					'(function(root,factory){'
+					+ 'if(typeof define==="function"&&define.amd)define([],factory);'
+					+ 'else if(typeof module==="object"&&module.exports)module.exports=factory();'
+					+ 'else root.foo=factory()'
+					+ '})(typeof self!=="undefined"?self:this,()=>({x:1}))'
+				);
+			});
+
+			it('outputs multiple statements in factory function', () => {
+				const obj = {x: 1};
+				expect(serialize({y: obj, z: obj}, {format: 'umd', globalName: 'foo'}))
+					.toEndWith(',()=>{const a={x:1};return{y:a,z:a}})');
+			});
+
+			it('output can be loaded as CommonJS module', () => {
+				const obj = {x: 1};
+				const js = serialize({y: obj, z: obj}, {format: 'umd', globalName: 'foo'});
+				const module = {exports: {}};
+				new Function('module', js)(module); // eslint-disable-line no-new-func
+				expect(module.exports).toEqual({y: {x: 1}, z: {x: 1}});
+				expect(module.exports.y).toBe(module.exports.z);
+			});
+
+			it('throws error if no globalName option', () => {
+				expect(() => serialize(1, {format: 'umd'}))
+					.toThrow(new Error("options.globalName must be provided if options.format is 'umd'"));
+			});
+
+			it('throws error if exec option', () => {
+				expect(() => serialize(1, {format: 'umd', globalName: 'foo', exec: true}))
+					.toThrow(new Error("options.exec cannot be true if options.format is 'umd'"));
+			});
+		});
+
+		describe('globalName', () => {
+			it('throws error if not valid identifier', () => {
+				expect(() => serialize(1, {format: 'iife', globalName: 'foo-bar'}))
+					.toThrow(new Error('options.globalName must be a valid JS identifier if provided'));
+			});
+
+			it('throws error if format is not iife or umd', () => {
+				expect(() => serialize(1, {format: 'cjs', globalName: 'foo'}))
+					.toThrow(new Error("options.globalName can only be provided if options.format is 'iife' or 'umd'"));
+			});
+		});
 	});
 
 	describe('ext', () => {
@@ -391,7 +485,8 @@ describe('Options', () => {
 		});
 
 		it('true', () => {
-			expect(serialize({x: 1}, {stats: true, files: true})).toEqual([
+			const files = serialize({x: 1}, {stats: true, files: true});
+			expect(files).toEqual([
 				{
 					type: 'entry',
 					name: 'index',
@@ -402,9 +497,34 @@ describe('Options', () => {
 					type: 'stats',
 					name: null,
 					filename: 'livepack-stats.json',
-					content: '{"files":[{"type":"entry","name":"index","filename":"index.js"}]}'
+					content: expect.any(String)
 				}
 			]);
+
+			expect(JSON.parse(files[1].content)).toEqual({
+				files: [{
+					type: 'entry',
+					name: 'index',
+					filename: 'index.js',
+					size: {
+						raw: 5,
+						gzip: gzipSync('{x:1}').length,
+						brotli: brotliCompressSync('{x:1}').length
+					},
+					imports: [],
+					dynamicImports: [],
+					entryPoints: ['index']
+				}],
+				functions: [],
+				values: [{
+					type: 'object',
+					name: 'index',
+					filename: null,
+					line: null,
+					package: null,
+					chain: ['index root']
+				}]
+			});
 		});
 
 		it('string', () => {
@@ -419,10 +539,341 @@ describe('Options', () => {
 					type: 'stats',
 					name: null,
 					filename: 'stats.json',
-					content: '{"files":[{"type":"entry","name":"index","filename":"index.js"}]}'
+					content: expect.any(String)
 				}
 			]);
 		});
+
+		describe('files', () => {
+			it('records sizes of all files', () => {
+				const files = serializeEntries(
+					{index: {x: 'abc'.repeat(100)}},
+					{stats: true, sourceMaps: true}
+				);
+				const statsFiles = JSON.parse(files[2].content).files;
+				expect(statsFiles).toHaveLength(2);
+				statsFiles.forEach((file, index) => {
+					const {content} = files[index];
+					expect(file.filename).toBe(files[index].filename);
+					expect(file.size).toEqual({
+						raw: Buffer.byteLength(content),
+						gzip: gzipSync(content).length,
+						brotli: brotliCompressSync(content).length
+					});
+				});
+				expect(statsFiles[0].size.gzip).toBeLessThan(statsFiles[0].size.raw);
+			});
+
+			it('records imports between chunks and entry points which load each chunk', () => {
+				const shared = {shared: true};
+				const files = serializeEntries(
+					{one: {shared}, two: {shared}, three: {x: 3}},
+					{format: 'esm', stats: true}
+				);
+				const commonFilename = files[3].filename;
+				expect(commonFilename).toMatch(/^common\.[A-Z0-9]{8}\.js$/);
+				expect(JSON.parse(files[4].content).files.map(
+					({filename, imports, dynamicImports, entryPoints}) => (
+						{filename, imports, dynamicImports, entryPoints}
+					)
+				)).toEqual([
+					{filename: 'one.js', imports: [commonFilename], dynamicImports: [], entryPoints: ['one']},
+					{filename: 'two.js', imports: [commonFilename], dynamicImports: [], entryPoints: ['two']},
+					{filename: 'three.js', imports: [], dynamicImports: [], entryPoints: ['three']},
+					{filename: commonFilename, imports: [], dynamicImports: [], entryPoints: ['one', 'two']}
+				]);
+			});
+		});
+
+		describe('functions', () => {
+			function getFunctions(files) {
+				return JSON.parse(files.find(file => file.type === 'stats').content).functions;
+			}
+
+			it('records source location, output file and size of each function', () => {
+				const addLine = getLineNumber() + 1;
+				function add(x, y) { return x + y; }
+				const double = x => x * 2;
+				const doubleLine = getLineNumber() - 1;
+				const files = serializeEntries({one: {add}, two: {double}}, {stats: true});
+				expect(getFunctions(files)).toEqual([
+					{
+						name: 'add',
+						filename: __filename,
+						line: addLine,
+						package: null,
+						output: 'one.js',
+						size: 'function add(a,b){return a+b}'.length
+					},
+					{
+						name: 'double',
+						filename: __filename,
+						line: doubleLine,
+						package: null,
+						output: 'two.js',
+						size: 'a=>a*2'.length
+					}
+				]);
+			});
+
+			it('records function definitions used multiple times once', () => {
+				const fns = [1, 2].map(n => () => n);
+				const files = serialize(fns, {stats: true, files: true});
+				expect(files[0].content).toBe('(()=>{const a=a=>()=>a;return[a(1),a(2)]})()');
+				expect(getFunctions(files)).toEqual([{
+					name: null,
+					filename: __filename,
+					line: expect.any(Number),
+					package: null,
+					output: 'index.js',
+					size: '()=>a'.length
+				}]);
+			});
+
+			it('records package of functions from packages', () => {
+				const functions = getFunctions(serialize(upperFirst, {stats: true, files: true}));
+				expect(functions.every(fn => fn.package === 'lodash')).toBeTrue();
+				const filename = require.resolve('lodash/_createCaseFirst.js');
+				expect(functions.find(fn => fn.filename === filename)).toEqual({
+					name: null,
+					filename,
+					line: expect.any(Number),
+					package: 'lodash',
+					output: 'index.js',
+					size: expect.any(Number)
+				});
+			});
+		});
+
+		describe('values', () => {
+			function getValues(files) {
+				return JSON.parse(files.find(file => file.type === 'stats').content).values;
+			}
+
+			it('records shortest chain of references to each function and object', () => {
+				const db = {q: [1]};
+				const handlerLine = getLineNumber() + 1;
+				function handler() { return db; }
+				const values = getValues(serialize({handler, other: {db}}, {stats: true, files: true}));
+				expect(values).toEqual([
+					{
+						type: 'object',
+						name: 'index',
+						filename: null,
+						line: null,
+						package: null,
+						chain: ['index root']
+					},
+					{
+						type: 'function',
+						name: 'handler',
+						filename: __filename,
+						line: handlerLine,
+						package: null,
+						chain: ['index root', 'handler']
+					},
+					{
+						type: 'object',
+						name: 'db',
+						filename: null,
+						line: null,
+						package: null,
+						chain: ['index root', 'handler', '[closure] db']
+					},
+					{
+						type: 'object',
+						name: 'q',
+						filename: null,
+						line: null,
+						package: null,
+						chain: ['index root', 'handler', '[closure] db', 'q']
+					},
+					{
+						type: 'object',
+						name: 'other',
+						filename: null,
+						line: null,
+						package: null,
+						chain: ['index root', 'other']
+					}
+				]);
+			});
+
+			it('records shortest chain from any entry point', () => {
+				const shared = {};
+				const values = getValues(serializeEntries(
+					{one: {x: {y: {shared}}}, two: {shared}},
+					{stats: true}
+				));
+				expect(values.find(value => value.name === 'shared').chain).toEqual(['two root', 'shared']);
+			});
+
+			it('records package of functions from packages', () => {
+				const values = getValues(serialize({upperFirst}, {stats: true, files: true}));
+				expect(values.find(value => value.name === 'upperFirst')).toEqual({
+					type: 'function',
+					name: 'upperFirst',
+					filename: require.resolve('lodash/_createCaseFirst.js'),
+					line: expect.any(Number),
+					package: 'lodash',
+					chain: ['index root', 'upperFirst']
+				});
+			});
+
+			it('records externals', () => {
+				const values = getValues(serialize(
+					{isString: isItType.isString},
+					{stats: true, files: true, externals: ['is-it-type']}
+				));
+				expect(values.find(value => value.name === 'is-it-type.isString')).toEqual({
+					type: 'external',
+					name: 'is-it-type.isString',
+					filename: null,
+					line: null,
+					package: 'is-it-type',
+					chain: ['index root', 'is-it-type.isString']
+				});
+			});
+
+			it('not recorded if stats disabled', () => {
+				expect(serialize({x: {}}, {files: true})).toHaveLength(1);
+			});
+		});
+	});
+
+	describe('report', () => {
+		function getReportData(files) {
+			const {content} = files.find(file => file.type === 'report');
+			return JSON.parse(content.match(/\}\)\((\{.*\})\);<\/script>/)[1]);
+		}
+
+		it('default', () => {
+			expect(serialize({x: 1}, {files: true})).toEqual([{
+				type: 'entry',
+				name: 'index',
+				filename: 'index.js',
+				content: '{x:1}'
+			}]);
+		});
+
+		it('true', () => {
+			expect(serialize({x: 1}, {report: true, files: true})).toEqual([
+				{
+					type: 'entry',
+					name: 'index',
+					filename: 'index.js',
+					content: '{x:1}'
+				},
+				{
+					type: 'report',
+					name: null,
+					filename: 'report.html',
+					content: expect.stringMatching(/^<!DOCTYPE html>/)
+				}
+			]);
+		});
+
+		it('string', () => {
+			expect(serialize({x: 1}, {report: 'size.html', files: true})).toEqual([
+				{
+					type: 'entry',
+					name: 'index',
+					filename: 'index.js',
+					content: '{x:1}'
+				},
+				{
+					type: 'report',
+					name: null,
+					filename: 'size.html',
+					content: expect.stringMatching(/^<!DOCTYPE html>/)
+				}
+			]);
+		});
+
+		it('with stats', () => {
+			const files = serialize({x: 1}, {stats: true, report: true, files: true});
+			expect(files.map(file => file.type)).toEqual(['entry', 'stats', 'report']);
+			expect(JSON.parse(files[1].content).files).toHaveLength(1);
+		});
+
+		it('invalid', () => {
+			expect(
+				() => serialize({x: 1}, {report: 1, files: true})
+			).toThrow(new Error('options.report must be a boolean or string if provided'));
+		});
+
+		it('is self-contained', () => {
+			const {content} = serialize({x: 1}, {report: true, files: true})[1];
+			expect(content).not.toMatch(/(?:src|href)=/);
+			expect(content).not.toMatch(/https?:\/\//);
+		});
+
+		it('escapes data embedded in HTML', () => {
+			const fn = {'</script>': () => 1}['</script>'];
+			const {content} = serialize(fn, {report: true, files: true})[1];
+			expect(content.match(/<\/script>/g)).toHaveLength(1);
+			expect(getReportData([{type: 'report', content}]).root.children[0].children[0].children[0].children[0].name)
+				.toBe('</script>');
+		});
+
+		it('breaks down size by file, package, source file and function', () => {
+			function add(x, y) { return x + y; }
+			const files = serializeEntries({one: {add, upperFirst}, two: {x: 1}}, {report: true});
+			const {root} = getReportData(files);
+			expect(root.name).toBe('All files');
+			expect(root.size).toBe(Buffer.byteLength(files[0].content) + Buffer.byteLength(files[1].content));
+
+			const [oneNode, twoNode] = root.children;
+			expect(oneNode).toMatchObject({name: 'one.js', size: Buffer.byteLength(files[0].content)});
+			expect(twoNode).toEqual({
+				name: 'two.js',
+				title: 'two.js (entry)',
+				size: 5,
+				gzipSize: expect.any(Number),
+				brotliSize: expect.any(Number),
+				children: [{name: '(other)', title: '(other) in two.js', size: 5}]
+			});
+
+			expect(oneNode.children.map(node => node.name)).toEqual(['(app)', 'lodash', '(other)']);
+			const [appNode, lodashNode, otherNode] = oneNode.children;
+			expect(appNode.size + lodashNode.size + otherNode.size).toBe(oneNode.size);
+
+			expect(appNode.children).toEqual([{
+				name: 'test/options.test.js',
+				title: __filename,
+				size: 'function add(a,b){return a+b}'.length,
+				children: [{
+					name: 'add',
+					title: expect.stringMatching(/^add \(test\/options\.test\.js:\d+\)$/),
+					size: 'function add(a,b){return a+b}'.length
+				}]
+			}]);
+
+			expect(lodashNode.children.map(node => node.name)).toContain('_createCaseFirst.js');
+			for (const fileNode of lodashNode.children) {
+				expect(fileNode.size).toBe(fileNode.children.reduce((total, node) => total + node.size, 0));
+			}
+			expect(lodashNode.size).toBe(lodashNode.children.reduce((total, node) => total + node.size, 0));
+		});
+
+		it('records code shared between entry points', () => {
+			function add(x, y) { return x + y; }
+			const shared = {add};
+			const files = serializeEntries(
+				{one: {shared}, two: {shared}, three: {x: 3}},
+				{format: 'cjs', report: true}
+			);
+			expect(getReportData(files).shared).toEqual([{
+				filename: files[3].filename,
+				entryPoints: ['one', 'two'],
+				size: Buffer.byteLength(files[3].content),
+				functions: [{
+					name: 'add',
+					filename: 'test/options.test.js',
+					size: 'function add(a,b){return a+b}'.length
+				}]
+			}]);
+		});
 	});
 
 	describe('strictEnv', () => {
@@ -521,4 +972,345 @@ describe('Options', () => {
 			});
 		});
 	});
+
+	describe('replacer', () => {
+		it('throws error if not a function', () => {
+			expect(
+				() => serialize({x: 1}, {replacer: {}})
+			).toThrow(new Error('options.replacer must be a function if provided'));
+		});
+
+		it('replaces values', () => {
+			const logger = {log() {}};
+			expect(serialize(
+				{logger, x: 1, y: 'abc'},
+				{replacer: val => (val === logger ? null : val === 1 ? 2 : val)}
+			)).toBe('{logger:null,x:2,y:"abc"}');
+		});
+
+		it('replaces values with objects', () => {
+			const logger = {log() {}};
+			expect(serialize(
+				{logger},
+				{replacer: val => (val === logger ? {noop: true} : val)}
+			)).toBe('{logger:{noop:true}}');
+		});
+
+		it('replaces nested values in replacement', () => {
+			const secret = {secret: true};
+			expect(serialize(
+				{x: 1},
+				{replacer: val => (val === 1 ? {secret} : val === secret ? 'redacted' : val)}
+			)).toBe('{x:{secret:"redacted"}}');
+		});
+
+		it('replaces values in function scopes', () => {
+			const logger = {log() {}};
+			function getLogger() {
+				return logger;
+			}
+			expect(serialize(
+				getLogger,
+				{replacer: val => (val === logger ? null : val)}
+			)).toBe('(a=>function getLogger(){return a})(null)');
+		});
+
+		it('receives trace path of each value', () => {
+			const traces = [];
+			serialize({x: {y: [1]}}, {
+				replacer(val, trace) {
+					traces.push(trace);
+					return val;
+				}
+			});
+			expect(traces).toEqual([
+				'<index root>',
+				'<index root>.x',
+				'<index root>.x.y',
+				'<index root>.x.y[0]'
+			]);
+		});
+
+		it('propagates error thrown by replacer', () => {
+			const forbidden = {};
+			expect(() => serialize({forbidden}, {
+				replacer(val, trace) {
+					if (val === forbidden) throw new Error(`Forbidden value at ${trace}`);
+					return val;
+				}
+			})).toThrow(new Error('Forbidden value at <index root>.forbidden'));
+		});
+	});
+
+	describe('paths', () => {
+		const outputDir = pathJoin(__dirname, '../build');
+
+		it('throws error if invalid', () => {
+			expect(
+				() => serialize({x: 1}, {paths: 'foo'})
+			).toThrow(new Error("options.paths must be 'absolute' or 'relative' if provided"));
+		});
+
+		it('throws error if relative and format is js', () => {
+			expect(
+				() => serialize({x: 1}, {paths: 'relative', outputDir})
+			).toThrow(new Error("options.paths cannot be 'relative' if options.format is 'js'"));
+		});
+
+		it('throws error if relative and no `outputDir` option', () => {
+			expect(
+				() => serialize({x: 1}, {format: 'cjs', paths: 'relative'})
+			).toThrow(new Error("options.outputDir must be provided if options.paths is 'relative'"));
+		});
+
+		describe('absolute', () => {
+			it('outputs `__filename` and `__dirname` as absolute paths', () => {
+				const filename = __filename,
+					dirname = __dirname;
+				function getPaths() {
+					return {filename, dirname};
+				}
+				expect(serialize(getPaths, {format: 'cjs', outputDir})).toBe(
+					'module.exports=((a,b)=>function getPaths(){return{filename:a,dirname:b}})'
+					+ `(${JSON.stringify(__filename)},${JSON.stringify(__dirname)})`
+				);
+			});
+		});
+
+		describe('relative', () => {
+			it('outputs `__filename` and `__dirname` relative to output file in CommonJS format', () => {
+				const filename = __filename,
+					dirname = __dirname;
+				function getPaths() {
+					return {filename, dirname};
+				}
+				expect(serialize(getPaths, {format: 'cjs', paths: 'relative', outputDir})).toBe(
+					'const a=require("path");'
+					+ 'module.exports=((a,b)=>function getPaths(){return{filename:a,dirname:b}})'
+					+ '(a.join(__dirname,"../test/options.test.js"),a.join(__dirname,"../test"))'
+				);
+			});
+
+			it('outputs `__filename` and `__dirname` relative to output file in ESM format', () => {
+				const filename = __filename,
+					dirname = __dirname;
+				function getPaths() {
+					'use strict';
+
+					return {filename, dirname};
+				}
+				expect(serialize(getPaths, {format: 'esm', paths: 'relative', outputDir})).toBe(
+					'import a from"path";import b from"url";'
+					+ 'export default((a,b)=>function getPaths(){return{filename:a,dirname:b}})('
+					+ 'a.join(a.dirname(b.fileURLToPath(import.meta.url)),"../test/options.test.js"),'
+					+ 'a.join(a.dirname(b.fileURLToPath(import.meta.url)),"../test"))'
+				);
+			});
+
+			it('outputs paths relative to each output file', () => {
+				const dir = __dirname;
+				function getDir() {
+					return dir;
+				}
+				const files = serializeEntries(
+					{index: {getDir}, 'sub/other': {getDir, x: 1}},
+					{format: 'cjs', paths: 'relative', outputDir}
+				);
+				expect(files.map(file => file.content)).toEqual([
+					'module.exports={getDir:require("./common.CX6JG3TY.js")}',
+					'module.exports={getDir:require("../common.CX6JG3TY.js"),x:1}',
+					'module.exports=(a=>function getDir(){return a})(require("path").join(__dirname,"../test"))'
+				]);
+			});
+
+			it('evaluates to same path when output is run from output location', () => {
+				const filename = __filename;
+				function getFilename() {
+					return filename;
+				}
+				const js = serialize(getFilename, {format: 'cjs', paths: 'relative', outputDir});
+				const mod = {exports: {}};
+				new Function('module', 'require', '__dirname', js)(mod, require, outputDir); // eslint-disable-line no-new-func
+				expect(mod.exports()).toBe(__filename);
+			});
+
+			it('does not alter strings which are not values of `__filename` or `__dirname` vars', () => {
+				const path = pathJoin(__dirname, 'foo.js');
+				function getPath() {
+					return path;
+				}
+				expect(serialize(getPath, {format: 'cjs', paths: 'relative', outputDir}))
+					.toBe(`module.exports=(a=>function getPath(){return a})(${JSON.stringify(path)})`);
+			});
+
+			it('does not alter strings equal to path which are not values of `__dirname` vars', () => {
+				const dirname = __dirname,
+					label = `${__dirname}`;
+				function getPaths() {
+					return {dirname, label};
+				}
+				expect(serialize(
+					{getPaths, label, cwd: __dirname},
+					{format: 'cjs', paths: 'relative', outputDir}
+				)).toBe(
+					'module.exports={getPaths:((a,b)=>function getPaths(){return{dirname:a,label:b}})'
+					+ `(require("path").join(__dirname,"../test"),${JSON.stringify(__dirname)}),`
+					+ `label:${JSON.stringify(__dirname)},cwd:${JSON.stringify(__dirname)}}`
+				);
+			});
+
+			it('does not alter vars which have been reassigned', () => {
+				let dirname = __dirname; // eslint-disable-line prefer-const
+				function getDir() {
+					return dirname;
+				}
+				expect(serialize(getDir, {format: 'cjs', paths: 'relative', outputDir}))
+					.toBe(`module.exports=(a=>function getDir(){return a})(${JSON.stringify(__dirname)})`);
+			});
+
+			it('does not alter vars initialized with shadowed `__dirname`', () => {
+				const __dirname = '/foo';
+				const dirname = __dirname;
+				function getDir() {
+					return dirname;
+				}
+				expect(serialize(getDir, {format: 'cjs', paths: 'relative', outputDir}))
+					.toBe('module.exports=(a=>function getDir(){return a})("/foo")');
+			});
+		});
+	});
+
+	describe('target', () => {
+		it('throws error if invalid', () => {
+			expect(
+				() => serialize({x: 1}, {target: 'foo'})
+			).toThrow(new Error("options.target must be 'node' or 'browser' if provided"));
+		});
+
+		it('throws error if browser and paths is relative', () => {
+			expect(
+				() => serialize({x: 1}, {
+					format: 'cjs', paths: 'relative', outputDir: pathJoin(__dirname, '../build'), target: 'browser'
+				})
+			).toThrow(new Error("options.paths cannot be 'relative' if options.target is 'browser'"));
+		});
+
+		it('outputs NodeJS built-in modules if node', () => {
+			expect(serialize({gzip: gzipSync}, {format: 'cjs', target: 'node'}))
+				.toBe('module.exports={gzip:require("zlib").gzipSync}');
+		});
+
+		describe('if browser', () => {
+			it('outputs values other than NodeJS built-in modules', () => {
+				expect(serialize({x: 1, y: Object.assign}, {target: 'browser'})).toBe('{x:1,y:Object.assign}');
+			});
+
+			it('throws error on NodeJS built-in module', () => {
+				expect(
+					() => serialize({zlib: require('zlib')}, {target: 'browser'}) // eslint-disable-line global-require
+				).toThrow(new Error(
+					"Cannot serialize NodeJS built-in module 'zlib' for browser target (referenced at <index root>.zlib)"
+				));
+			});
+
+			it('throws error on property of NodeJS built-in module', () => {
+				expect(
+					() => serialize({x: {gzip: gzipSync}}, {target: 'browser'})
+				).toThrow(new Error(
+					"Cannot serialize NodeJS built-in module 'zlib' for browser target (referenced at <index root>.x.gzip)"
+				));
+			});
+
+			it('outputs externals', () => {
+				expect(serialize(
+					isItType.isString, {externals: ['is-it-type'], target: 'browser', format: 'esm'}
+				)).toBe('import a from"is-it-type";export default a.isString');
+			});
+		});
+	});
+
+	describe('namedExports', () => {
+		it('throws error if format is not esm', () => {
+			expect(() => serialize({x: 1}, {format: 'cjs', namedExports: true}))
+				.toThrow(new Error("options.namedExports can only be true if options.format is 'esm'"));
+		});
+
+		it('throws error if exec option', () => {
+			expect(() => serialize(() => {}, {format: 'esm', exec: true, namedExports: true}))
+				.toThrow(new Error('options.namedExports cannot be true if options.exec is true'));
+		});
+
+		describe('outputs properties of entry point as named exports', () => {
+			it('plain object', () => {
+				expect(serialize({x: {y: 1}, z: 2}, {format: 'esm', namedExports: true}))
+					.toBe('export const x={y:1},z=2');
+			});
+
+			it('null-prototype object', () => {
+				const obj = Object.assign(Object.create(null), {x: {y: 1}, z: 2});
+				expect(serialize(obj, {format: 'esm', namedExports: true})).toBe('export const x={y:1},z=2');
+			});
+
+			it('values which are referenced more than once', () => {
+				const obj = {a: 1};
+				expect(serialize({x: obj, y: {obj}}, {format: 'esm', namedExports: true}))
+					.toBe('const a={a:1};export const y={obj:a};export{a as x}');
+			});
+
+			it('with export names which are not valid var names', () => {
+				expect(serialize({default: {a: 1}, class: {b: 2}}, {format: 'esm', namedExports: true}))
+					.toBe('const a={a:1},b={b:2};export{a as default,b as class}');
+			});
+
+			it('without mangling', () => {
+				const obj = {a: 1};
+				expect(serialize(
+					{obj, y: {obj}, default: {b: 2}},
+					{format: 'esm', namedExports: true, minify: false}
+				)).toBe([
+					'const obj = {',
+					'  a: 1',
+					'};',
+					'const default$0 = {',
+					'  b: 2',
+					'};',
+					'export const y = {',
+					'  obj',
+					'};',
+					'export { obj, default$0 as default };',
+					''
+				].join('\n'));
+			});
+		});
+
+		describe('outputs entry point as default export if', () => {
+			it('not a plain object', () => {
+				expect(serialize([1, 2], {format: 'esm', namedExports: true})).toBe('export default[1,2]');
+			});
+
+			it('has key which is not a valid export name', () => {
+				expect(serialize({'a-b': 1}, {format: 'esm', namedExports: true}))
+					.toBe('export default{"a-b":1}');
+			});
+		});
+
+		it('common chunks use named exports', () => {
+			const x = {x: 1},
+				y = {y: 2};
+			const files = serializeEntries({one: [x, y], two: [x, y, 3]}, {format: 'esm', namedExports: true});
+			expect(files).toHaveLength(3);
+			const commonFilename = files[2].filename;
+			expect(files[0].content).toBe(`import{a,b}from"./${commonFilename}";export default[a,b]`);
+			expect(files[1].content).toBe(`import{a,b}from"./${commonFilename}";export default[a,b,3]`);
+			expect(files[2].content).toBe('export const a={x:1},b={y:2}');
+		});
+	});
 });
+
+/**
+ * Get line number of call to this function.
+ * @returns {number} - Line number
+ */
+function getLineNumber() {
+	return +new Error().stack.split('\n')[2].match(/:(\d+):\d+\)?$/)[1];
+}
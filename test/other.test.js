@@ -3,10 +3,13 @@
  * Tests for other built-ins
  * ------------------*/
 
+/* global WeakRef, FinalizationRegistry */
+
 'use strict';
 
 // Modules
-const parseNodeVersion = require('parse-node-version');
+const parseNodeVersion = require('parse-node-version'),
+	{serialize} = require('livepack');
 
 // Imports
 const {itSerializes, itSerializesEqual} = require('./support/index.js');
@@ -149,6 +152,472 @@ describe('Dates', () => {
 	});
 });
 
+describe('Promises', () => {
+	describe('resolved', () => {
+		const promise = Promise.resolve({x: 1});
+		itSerializes('with value', {
+			in: () => promise,
+			out: 'Promise.resolve({x:1})',
+			async validate(p) {
+				expect(p).toBeInstanceOf(Promise);
+				await expect(p).resolves.toEqual({x: 1});
+			}
+		});
+
+		const undefinedPromise = Promise.resolve();
+		itSerializes('with `undefined`', {
+			in: () => undefinedPromise,
+			out: 'Promise.resolve()',
+			async validate(p) {
+				expect(p).toBeInstanceOf(Promise);
+				await expect(p).resolves.toBeUndefined();
+			}
+		});
+
+		const thenablePromise = new Promise((resolve) => {
+			resolve({then(resolveInner) { resolveInner(123); }});
+		});
+		itSerializes('with thenable', {
+			in: () => thenablePromise,
+			out: 'Promise.resolve(123)',
+			async validate(p) {
+				expect(p).toBeInstanceOf(Promise);
+				await expect(p).resolves.toBe(123);
+			}
+		});
+
+		const chainedPromise = Promise.resolve(1).then(x => x + 1);
+		itSerializes('created with `.then()`', {
+			in: () => chainedPromise,
+			out: 'Promise.resolve(2)',
+			async validate(p) {
+				expect(p).toBeInstanceOf(Promise);
+				await expect(p).resolves.toBe(2);
+			}
+		});
+
+		const wrappedAsyncFnPromise = Promise.resolve((async () => 123)());
+		itSerializes('from async function wrapped in `Promise.resolve()`', {
+			in: () => wrappedAsyncFnPromise,
+			out: 'Promise.resolve(123)',
+			async validate(p) {
+				expect(p).toBeInstanceOf(Promise);
+				await expect(p).resolves.toBe(123);
+			}
+		});
+
+		const sharedValue = {y: 2},
+			sharedPromise = Promise.resolve(sharedValue);
+		itSerializes('with value referenced elsewhere', {
+			in: () => ({promise: sharedPromise, value: sharedValue}),
+			out: '(()=>{const a={y:2};return{promise:Promise.resolve(a),value:a}})()',
+			async validate({promise: p, value}) {
+				expect(p).toBeInstanceOf(Promise);
+				expect(value).toEqual({y: 2});
+				expect(await p).toBe(value);
+			}
+		});
+
+		const circularValue = {},
+			circularPromise = Promise.resolve(circularValue);
+		circularValue.promise = circularPromise;
+		itSerializes('with value referencing the Promise', {
+			in: () => circularPromise,
+			out: '(()=>{const a={},b=Promise.resolve(a);a.promise=b;return b})()',
+			async validate(p) {
+				expect(p).toBeInstanceOf(Promise);
+				const value = await p;
+				expect(value).toHaveOwnPropertyNames(['promise']);
+				expect(value.promise).toBe(p);
+			}
+		});
+
+		itSerializes('with value referencing the Promise, where value is serialized first', {
+			in: () => circularValue,
+			out: '(()=>{const a={};a.promise=Promise.resolve(a);return a})()',
+			async validate(value) {
+				expect(value).toHaveOwnPropertyNames(['promise']);
+				const p = value.promise;
+				expect(p).toBeInstanceOf(Promise);
+				expect(await p).toBe(value);
+			}
+		});
+	});
+
+	describe('rejected', () => {
+		const promise = Promise.reject(123); // eslint-disable-line prefer-promise-reject-errors
+		promise.catch(() => {});
+		itSerializes('with reason', {
+			in: () => promise,
+			out: 'Promise.reject(123)',
+			async validate(p) {
+				expect(p).toBeInstanceOf(Promise);
+				await expect(p).rejects.toBe(123);
+			}
+		});
+
+		const thenablePromise = new Promise((resolve) => {
+			resolve({then(resolveInner, rejectInner) { rejectInner(123); }});
+		});
+		thenablePromise.catch(() => {});
+		itSerializes('by thenable', {
+			in: () => thenablePromise,
+			out: 'Promise.reject(123)',
+			async validate(p) {
+				expect(p).toBeInstanceOf(Promise);
+				await expect(p).rejects.toBe(123);
+			}
+		});
+	});
+
+	const promiseWithProps = Promise.resolve(1);
+	promiseWithProps.x = 2;
+	itSerializes('with extra props', {
+		in: () => promiseWithProps,
+		out: 'Object.assign(Promise.resolve(1),{x:2})',
+		async validate(p) {
+			expect(p).toBeInstanceOf(Promise);
+			expect(p.x).toBe(2);
+			await expect(p).resolves.toBe(1);
+		}
+	});
+
+	class P extends Promise {}
+	const subclassPromise = P.resolve(1);
+	itSerializes('Promise subclass', {
+		in: () => subclassPromise,
+		out: `(()=>{
+			const a=Promise,
+				b=Object.setPrototypeOf,
+				c=b(class P extends null{},a).prototype;
+			b(c,a.prototype);
+			return b(a.resolve(1),c)
+		})()`,
+		async validate(p) {
+			expect(p).toBeInstanceOf(Promise);
+			const proto = Object.getPrototypeOf(p);
+			expect(proto.constructor).toBeFunction();
+			expect(proto.constructor.name).toBe('P');
+			expect(proto).toHavePrototype(Promise.prototype);
+			await expect(p).resolves.toBe(1);
+		}
+	});
+
+	describe('settled in same tick as serialization', () => {
+		itSerializes('resolved with `Promise.resolve()`', {
+			in: () => Promise.resolve(1),
+			out: 'Promise.resolve(1)',
+			async validate(p) {
+				expect(p).toBeInstanceOf(Promise);
+				await expect(p).resolves.toBe(1);
+			}
+		});
+
+		itSerializes('resolved in executor', {
+			in: () => new Promise((resolve) => { resolve({x: 1}); }),
+			out: 'Promise.resolve({x:1})',
+			async validate(p) {
+				expect(p).toBeInstanceOf(Promise);
+				await expect(p).resolves.toEqual({x: 1});
+			}
+		});
+
+		itSerializes('rejected by executor throwing', {
+			in() {
+				const promise = new Promise(() => { throw 123; }); // eslint-disable-line no-throw-literal
+				promise.catch(() => {});
+				return promise;
+			},
+			out: 'Promise.reject(123)',
+			async validate(p) {
+				expect(p).toBeInstanceOf(Promise);
+				await expect(p).rejects.toBe(123);
+			}
+		});
+	});
+
+	it('throws error if pending', () => {
+		expect(() => serialize(new Promise(() => {}))).toThrowWithMessage(
+			Error, 'Cannot serialize pending Promises'
+		);
+	});
+
+	it('throws error if resolved with pending Promise', () => {
+		const promise = new Promise((resolve) => { resolve(new Promise(() => {})); });
+		expect(() => serialize(promise)).toThrowWithMessage(Error, 'Cannot serialize pending Promises');
+	});
+
+	it('throws error if resolved with thenable which has not settled yet', () => {
+		const promise = new Promise((resolve) => { resolve(Promise.resolve(1)); });
+		expect(() => serialize(promise)).toThrowWithMessage(Error, 'Cannot serialize pending Promises');
+	});
+
+	it('throws error if created by async function', async () => {
+		const promise = (async () => 123)();
+		await promise;
+		expect(() => serialize(promise)).toThrowWithMessage(
+			Error,
+			'Cannot serialize Promises created by async functions or NodeJS internals. '
+			+ 'Wrap in `Promise.resolve()` to make them serializable once settled.'
+		);
+	});
+
+	it('does not alter unhandled rejections', async () => {
+		const rejections = [];
+		const onRejection = (reason, promise) => rejections.push([reason, promise]);
+		process.on('unhandledRejection', onRejection);
+		try {
+			const promise = Promise.reject(123); // eslint-disable-line prefer-promise-reject-errors
+			serialize(promise);
+			await new Promise((resolve) => { setTimeout(resolve, 0); });
+			expect(rejections).toHaveLength(1);
+			expect(rejections[0][0]).toBe(123);
+			expect(rejections[0][1]).toBe(promise);
+
+			// Rejected via thenable
+			rejections.length = 0;
+			// eslint-disable-next-line prefer-promise-reject-errors
+			const promise2 = Promise.resolve(Promise.reject(456));
+			await new Promise((resolve) => { setTimeout(resolve, 0); });
+			serialize(promise2);
+			expect(rejections).toHaveLength(1);
+			expect(rejections[0][0]).toBe(456);
+			expect(rejections[0][1]).toBe(promise2);
+		} finally {
+			process.off('unhandledRejection', onRejection);
+		}
+	});
+});
+
+describe('WeakRefs', () => {
+	itSerializes('with target', {
+		in: () => new WeakRef({x: 1}),
+		out: 'new WeakRef({x:1})',
+		validate(ref) {
+			expect(ref).toBeInstanceOf(WeakRef);
+			expect(ref.deref()).toEqual({x: 1});
+		}
+	});
+
+	itSerializes('with target referenced elsewhere', {
+		in() {
+			const target = {x: 1};
+			return {ref: new WeakRef(target), target};
+		},
+		out: '(()=>{const a={x:1};return{ref:new WeakRef(a),target:a}})()',
+		validate({ref, target}) {
+			expect(ref).toBeInstanceOf(WeakRef);
+			expect(target).toEqual({x: 1});
+			expect(ref.deref()).toBe(target);
+		}
+	});
+
+	itSerializes('with extra props', {
+		in() {
+			const ref = new WeakRef({x: 1});
+			ref.y = 2;
+			return ref;
+		},
+		out: 'Object.assign(new WeakRef({x:1}),{y:2})',
+		validate(ref) {
+			expect(ref).toBeInstanceOf(WeakRef);
+			expect(ref.deref()).toEqual({x: 1});
+			expect(ref.y).toBe(2);
+		}
+	});
+
+	itSerializes('with target referencing WeakRef', {
+		in() {
+			const target = {};
+			target.ref = new WeakRef(target);
+			return target.ref;
+		},
+		out: '(()=>{const a={},b=new WeakRef(a);a.ref=b;return b})()',
+		validate(ref) {
+			expect(ref).toBeInstanceOf(WeakRef);
+			expect(ref.deref().ref).toBe(ref);
+		}
+	});
+
+	itSerializes('with target referencing WeakRef, where target is serialized first', {
+		in() {
+			const target = {};
+			target.ref = new WeakRef(target);
+			return target;
+		},
+		out: '(()=>{const a={};a.ref=new WeakRef(a);return a})()',
+		validate(target) {
+			expect(target.ref).toBeInstanceOf(WeakRef);
+			expect(target.ref.deref()).toBe(target);
+		}
+	});
+});
+
+describe('FinalizationRegistrys', () => {
+	describe('calling `FinalizationRegistry()` throws error when', () => {
+		it('called with non-function', () => {
+			expect(() => new FinalizationRegistry({})).toThrowWithMessage(
+				TypeError, 'FinalizationRegistry: cleanup must be callable'
+			);
+		});
+	});
+
+	describe('calling `.register()` throws error when', () => {
+		it('target is same as held value', () => {
+			const registry = new FinalizationRegistry(() => {}),
+				target = {};
+			expect(() => registry.register(target, target)).toThrowWithMessage(
+				TypeError, 'FinalizationRegistry.prototype.register: target and holdings must not be same'
+			);
+		});
+
+		it('target is not an object', () => {
+			const registry = new FinalizationRegistry(() => {});
+			expect(() => registry.register(1, {})).toThrowWithMessage(
+				TypeError, 'FinalizationRegistry.prototype.register: invalid target'
+			);
+		});
+	});
+
+	itSerializes('with no entries', {
+		in: () => new FinalizationRegistry(() => {}),
+		out: 'new FinalizationRegistry(()=>{})',
+		validate(registry) {
+			expect(registry).toBeInstanceOf(FinalizationRegistry);
+			expect(registry.unregister({})).toBeFalse();
+		}
+	});
+
+	itSerializes('with entries', {
+		in() {
+			const target1 = {x: 1},
+				target2 = {y: 2},
+				token = {z: 3},
+				registry = new FinalizationRegistry(() => {});
+			registry.register(target1, 'a');
+			registry.register(target2, 'b', token);
+			return {registry, target1, target2, token};
+		},
+		out: `(()=>{
+			const a=new FinalizationRegistry(()=>{}),
+				b={x:1},
+				c={y:2},
+				d={z:3};
+			a.register(b,"a");
+			a.register(c,"b",d);
+			return{registry:a,target1:b,target2:c,token:d}
+		})()`,
+		validate({registry, target1, target2, token}) {
+			expect(registry).toBeInstanceOf(FinalizationRegistry);
+			expect(target1).toEqual({x: 1});
+			expect(target2).toEqual({y: 2});
+			expect(registry.unregister(token)).toBeTrue();
+			expect(registry.unregister(token)).toBeFalse();
+		}
+	});
+
+	itSerializes('with target same as token', {
+		in() {
+			const target = {x: 1},
+				registry = new FinalizationRegistry(() => {});
+			registry.register(target, 'a', target);
+			return {registry, target};
+		},
+		out: `(()=>{
+			const a=new FinalizationRegistry(()=>{}),
+				b={x:1};
+			a.register(b,"a",b);
+			return{registry:a,target:b}
+		})()`,
+		validate({registry, target}) {
+			expect(registry).toBeInstanceOf(FinalizationRegistry);
+			expect(registry.unregister(target)).toBeTrue();
+		}
+	});
+
+	itSerializes('with target referencing registry', {
+		in() {
+			const registry = new FinalizationRegistry(() => {}),
+				target = {registry};
+			registry.register(target, 'a');
+			return target;
+		},
+		out: `(()=>{
+			const a=new FinalizationRegistry(()=>{}),
+				b={registry:a};
+			a.register(b,"a");
+			return b
+		})()`,
+		validate(target) {
+			expect(target.registry).toBeInstanceOf(FinalizationRegistry);
+		}
+	});
+
+	itSerializes('without unregistered entries', {
+		in() {
+			const target = {x: 1},
+				token = {},
+				registry = new FinalizationRegistry(() => {});
+			registry.register(target, 'a', token);
+			registry.unregister(token);
+			return {registry, target};
+		},
+		out: '{registry:new FinalizationRegistry(()=>{}),target:{x:1}}',
+		validate({registry, target}) {
+			expect(registry).toBeInstanceOf(FinalizationRegistry);
+			expect(target).toEqual({x: 1});
+		}
+	});
+
+	itSerializes('with cleanup callback referencing external vars', {
+		in() {
+			const log = [];
+			return {registry: new FinalizationRegistry(heldValue => log.push(heldValue)), log};
+		},
+		out: `(()=>{
+			const a=[];
+			return{registry:new FinalizationRegistry((b=>a=>b.push(a))(a)),log:a}
+		})()`,
+		validate({registry}) {
+			expect(registry).toBeInstanceOf(FinalizationRegistry);
+		}
+	});
+
+	itSerializes('with cleanup callback referencing registry', {
+		in() {
+			const registry = new FinalizationRegistry(() => registry);
+			return registry;
+		},
+		out: `(()=>{
+			const a=(a=>[b=>a=b,()=>a])(),
+				b=new FinalizationRegistry(a[1]);
+			a[0](b);
+			return b
+		})()`,
+		validate(registry) {
+			expect(registry).toBeInstanceOf(FinalizationRegistry);
+		}
+	});
+
+	itSerializes('with cleanup callback referencing registry, where callback is serialized first', {
+		in() {
+			const registry = new FinalizationRegistry(cleanup);
+			function cleanup() { return registry; }
+			return cleanup;
+		},
+		out: `(()=>{
+			const a=(a=>[b=>a=b,function cleanup(){return a}])(),
+				b=a[1];
+			a[0](new FinalizationRegistry(b));
+			return b
+		})()`,
+		validate(cleanup) {
+			expect(cleanup).toBeFunction();
+			expect(cleanup()).toBeInstanceOf(FinalizationRegistry);
+		}
+	});
+});
+
 describe('URLs', () => {
 	itSerializesEqual('URL', {
 		in: () => new URL('http://foo.com/path/to/file.html?a=1&b=2'),
@@ -0,0 +1,247 @@
+/* --------------------
+ * livepack module
+ * Tests for Proxies
+ * ------------------*/
+
+'use strict';
+
+// Imports
+const {itSerializes} = require('./support/index.js');
+
+// Tests
+
+describe('Proxies', () => {
+	itSerializes('with object target', {
+		in: () => new Proxy({x: 1}, {
+			get(obj, key) {
+				return obj[key] * 2;
+			}
+		}),
+		out: 'new Proxy({x:1},{get(a,b){return a[b]*2}})',
+		validate(proxy) {
+			expect(proxy).toBeObject();
+			expect(proxy.x).toBe(2);
+		}
+	});
+
+	itSerializes('with function target', {
+		in: () => new Proxy(() => 1, {
+			apply() {
+				return 2;
+			}
+		}),
+		out: 'new Proxy(()=>1,{apply(){return 2}})',
+		validate(proxy) {
+			expect(proxy).toBeFunction();
+			expect(proxy()).toBe(2);
+		}
+	});
+
+	itSerializes('with target referenced elsewhere', {
+		in() {
+			const target = {x: 1};
+			return {proxy: new Proxy(target, {}), target};
+		},
+		out: '(()=>{const a={x:1};return{proxy:new Proxy(a,{}),target:a}})()',
+		validate({proxy, target}) {
+			expect(proxy).not.toBe(target);
+			expect(proxy.x).toBe(1);
+			target.x = 2;
+			expect(proxy.x).toBe(2);
+		}
+	});
+
+	itSerializes('with handler referenced elsewhere', {
+		in() {
+			const handler = {};
+			return {proxy: new Proxy({}, handler), handler};
+		},
+		out: '(()=>{const a={};return{proxy:new Proxy({},a),handler:a}})()',
+		validate({proxy, handler}) {
+			expect(proxy.x).toBeUndefined();
+			handler.get = () => 1;
+			expect(proxy.x).toBe(1);
+		}
+	});
+
+	itSerializes('referenced by its own target', {
+		in() {
+			const target = {};
+			target.proxy = new Proxy(target, {});
+			return target.proxy;
+		},
+		out: '(()=>{const a={},b=new Proxy(a,{});a.proxy=b;return b})()',
+		validate(proxy) {
+			expect(proxy.proxy).toBe(proxy);
+		}
+	});
+
+	itSerializes('of a Proxy', {
+		in: () => new Proxy(new Proxy({x: 1}, {}), {}),
+		out: '(()=>{const a=Proxy;return new a(new a({x:1},{}),{})})()',
+		validate(proxy) {
+			expect(proxy.x).toBe(1);
+		}
+	});
+
+	itSerializes('reached via its own target', {
+		in() {
+			const target = {};
+			target.proxy = new Proxy(target, {});
+			return target;
+		},
+		out: '(()=>{const a={};a.proxy=new Proxy(a,{});return a})()',
+		validate(target) {
+			expect(target.proxy).not.toBe(target);
+			expect(target.proxy.proxy).toBe(target.proxy);
+			target.x = 1;
+			expect(target.proxy.x).toBe(1);
+		}
+	});
+
+	itSerializes('reached via its own handler', {
+		in() {
+			const handler = {};
+			handler.proxy = new Proxy({}, handler);
+			return handler;
+		},
+		out: '(()=>{const a={};a.proxy=new Proxy({},a);return a})()',
+		validate(handler) {
+			expect(handler.proxy.x).toBeUndefined();
+			handler.get = () => 1;
+			expect(handler.proxy.x).toBe(1);
+		}
+	});
+
+	describe('revocable', () => {
+		itSerializes('unrevoked', {
+			in: () => Proxy.revocable({x: 1}, {}).proxy,
+			out: 'Proxy.revocable({x:1},{}).proxy',
+			validate(proxy) {
+				expect(proxy.x).toBe(1);
+			}
+		});
+
+		itSerializes('unrevoked with revoke function', {
+			in: () => Proxy.revocable({x: 1}, {}),
+			out: '(()=>{const a=Proxy.revocable({x:1},{});return{proxy:a.proxy,revoke:a.revoke}})()',
+			validate({proxy, revoke}) {
+				expect(proxy.x).toBe(1);
+				expect(revoke).toBeFunction();
+				revoke();
+				expect(() => proxy.x).toThrowWithMessage(
+					TypeError, "Cannot perform 'get' on a proxy that has been revoked"
+				);
+			}
+		});
+
+		itSerializes('revoke function alone', {
+			in: () => Proxy.revocable({}, {}).revoke,
+			out: 'Proxy.revocable({},{}).revoke',
+			validate(revoke) {
+				expect(revoke).toBeFunction();
+				expect(revoke()).toBeUndefined();
+			}
+		});
+
+		itSerializes('revoke function with additional properties', {
+			in() {
+				const {revoke} = Proxy.revocable({}, {});
+				revoke.x = 1;
+				return revoke;
+			},
+			out: 'Object.assign(Proxy.revocable({},{}).revoke,{x:1})',
+			validate(revoke) {
+				expect(revoke).toBeFunction();
+				expect(revoke.x).toBe(1);
+				expect(revoke.name).toBe('');
+				expect(revoke).toHaveLength(0);
+				expect(revoke()).toBeUndefined();
+			}
+		});
+
+		itSerializes('reached via its own target', {
+			in() {
+				const target = {};
+				target.proxy = Proxy.revocable(target, {}).proxy;
+				return target;
+			},
+			out: '(()=>{const a={};a.proxy=Proxy.revocable(a,{}).proxy;return a})()',
+			validate(target) {
+				expect(target.proxy.proxy).toBe(target.proxy);
+				target.x = 1;
+				expect(target.proxy.x).toBe(1);
+			}
+		});
+
+		itSerializes('with target which references revoke function', {
+			in() {
+				const target = {};
+				const {proxy, revoke} = Proxy.revocable(target, {});
+				target.revoke = revoke;
+				return proxy;
+			},
+			out: '(()=>{const a={},b=Proxy.revocable(a,{});a.revoke=b.revoke;return b.proxy})()',
+			validate(proxy) {
+				expect(proxy.revoke).toBeFunction();
+				proxy.revoke();
+				expect(() => proxy.x).toThrowWithMessage(
+					TypeError, "Cannot perform 'get' on a proxy that has been revoked"
+				);
+			}
+		});
+
+		itSerializes('revoked with object target', {
+			in() {
+				const {proxy, revoke} = Proxy.revocable({x: 1}, {});
+				revoke();
+				return proxy;
+			},
+			out: '(a=>{const b=Proxy.revocable(a?()=>{}:{},{});b.revoke();return b})().proxy',
+			validate(proxy) {
+				expect(typeof proxy).toBe('object');
+				expect(() => proxy.x).toThrowWithMessage(
+					TypeError, "Cannot perform 'get' on a proxy that has been revoked"
+				);
+			}
+		});
+
+		itSerializes('revoked with function target', {
+			in() {
+				const {proxy, revoke} = Proxy.revocable(() => {}, {});
+				revoke();
+				return proxy;
+			},
+			out: '(a=>{const b=Proxy.revocable(a?()=>{}:{},{});b.revoke();return b})(true).proxy',
+			validate(proxy) {
+				expect(typeof proxy).toBe('function');
+				expect(() => proxy()).toThrowWithMessage(
+					TypeError, "Cannot perform 'apply' on a proxy that has been revoked"
+				);
+			}
+		});
+	});
+
+	describe('`Proxy` global', () => {
+		it('behaves like native', () => {
+			expect(Proxy).toBeFunction();
+			expect(Proxy.name).toBe('Proxy');
+			expect(Proxy).toHaveLength(2);
+			expect(Proxy).not.toHaveOwnProperty('prototype');
+			expect(() => Proxy({}, {})).toThrowWithMessage(TypeError, "Constructor Proxy requires 'new'");
+			expect(Proxy.revocable).toBeFunction();
+			expect(Proxy.revocable.name).toBe('revocable');
+			expect(Proxy.revocable).toHaveLength(2);
+			expect(Proxy.revocable).not.toHaveOwnProperty('prototype');
+		});
+
+		itSerializes('serializes as global', {
+			in: () => ({Proxy, revocable: Proxy.revocable}),
+			out: '(()=>{const a=Proxy;return{Proxy:a,revocable:a.revocable}})()',
+			validate({Proxy: P, revocable}) {
+				expect(P).toBe(Proxy);
+				expect(revocable).toBe(Proxy.revocable);
+			}
+		});
+	});
+});
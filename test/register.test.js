@@ -7,10 +7,14 @@
 
 // Modules
 const Module = require('module'),
-	pathSep = require('path').sep;
+	{join: pathJoin, sep: pathSep} = require('path'),
+	{readFileSync} = require('fs'),
+	findCacheDir = require('find-cache-dir');
 
 // Imports
-const {serializeInNewProcess} = require('./support/index.js');
+const {instrumentCode} = require('../lib/instrument/index.js'),
+	{serializeInNewProcess, runFixtureInNewProcess} = require('./support/index.js'),
+	{version: livepackVersion} = require('../package.json');
 
 // Tests
 
@@ -98,6 +102,90 @@ describe('register', () => {
 			.toEqual(['exports', 'foo', 'module']);
 		expect(map.sourcesContent).toEqual(['module.exports = function foo() {};']);
 	});
+
+	it('instruments TypeScript files with `ts` option', async () => {
+		const stdout = await runFixtureInNewProcess('ts/index.js');
+
+		const {getColor, perimeter} = (0, eval)(stdout); // eslint-disable-line no-eval
+		expect(getColor({x: 20, y: 0})).toBe('green');
+		expect(getColor({x: 0, y: 0})).toBe(0);
+		expect(perimeter(3)).toBe(12);
+		expect(getColor.name).toBe('getColor');
+	});
+
+	it('resolves modules for browser with `target` option', async () => {
+		const stdout = await runFixtureInNewProcess('browser/index.js');
+		expect(stdout).toBe(
+			'{exportsCondition:"browser",exportsSubpath:"sub-require",browserMain:"browser",browserMap:{impl:"browser",fs:{}},'
+			+ 'exportsNull:"ERR_PACKAGE_PATH_NOT_EXPORTED"}'
+		);
+	});
+
+	it('throws error on accessing runtime globals at build time with `runtimeGlobals` option, but not with `typeof`', async () => {
+		const stdout = await runFixtureInNewProcess('runtimeGlobals/index.js');
+		expect(stdout.split('\n')).toEqual([
+			// References within functions are left as they are
+			'Object.defineProperties(()=>{"use strict";return document.title},{name:{value:"getTitle"}})',
+			// Accessing at build time throws
+			"Cannot access runtime global 'document' at build time. It's only available when output code runs.",
+			// `typeof` within functions is left as it is
+			'Object.defineProperties(()=>{"use strict";return typeof document!=="undefined"},{name:{value:"isBrowser"}})',
+			// `typeof` at build time does not throw
+			'undefined',
+			'false',
+			// Globals which exist in NodeJS are not altered
+			'function',
+			// `typeof` at build time does not throw in file containing no functions
+			'undefined'
+		]);
+	});
+
+	it('does not alter `typeof` if no runtime globals declared', () => {
+		const {code} = instrumentCode(
+			'module.exports = typeof window;',
+			{filename: pathJoin(__dirname, 'index.js'), sourceType: 'commonjs', sourceMaps: false}
+		);
+		expect(code).not.toMatch('typeofGlobal');
+		expect(code).not.toMatch('livepack_getFnInfo');
+		expect(code).toMatch(/;module\.exports = typeof window;$/);
+	});
+
+	describe('esm loader', () => {
+		it('instruments native ES modules', async () => {
+			// Fixture uses top-level `await`, which is only possible if not transformed to CommonJS
+			const stdout = await runFixtureInNewProcess('esm/index.mjs', ['--import', 'livepack/register']);
+			expect(stdout).toBe(
+				'(()=>{"use strict";return{getCount:Object.defineProperties(((a,b)=>()=>a+b)(2,10),{name:{value:"getCount"}}),increment:(a=>function increment(){a++})(2)}})()'
+			);
+		});
+
+		it('outputs `import.meta.url` relative to output file with `paths` option', async () => {
+			const stdout = await runFixtureInNewProcess('esmPaths/index.mjs', ['--import', 'livepack/register']);
+			expect(stdout.split('\n')).toEqual([
+				'export default(a=>function getUrl(){return a})'
+				+ '(new URL("../test/fixtures/esmPaths/index.mjs",import.meta.url).href)',
+				'"use strict";module.exports=(a=>function getUrl(){return a})'
+				+ '(require("url").pathToFileURL(require("path").join(__dirname,"../test/fixtures/esmPaths/index.mjs")).href)'
+			]);
+		});
+
+		it('uses instrumentation cache', async () => {
+			await runFixtureInNewProcess('esm/index.mjs', ['--import', 'livepack/register']);
+
+			const cachePath = pathJoin(findCacheDir({name: 'livepack'}), `register-${livepackVersion}.json`);
+			const cache = JSON.parse(readFileSync(cachePath, 'utf8'));
+			const filename = pathJoin(__dirname, 'fixtures/esm/counter.mjs');
+			const keys = Object.keys(cache).filter(key => JSON.parse(key).filename === filename);
+			expect(keys.map(key => JSON.parse(key).nativeEsm)).toContain(true);
+		});
+
+		it('throws if `esm`, `jsx` or `ts` options used', async () => {
+			const stdout = await runFixtureInNewProcess('esmOptions/index.mjs', ['--import', 'livepack/register']);
+			expect(JSON.parse(stdout)).toEqual(
+				new Array(3).fill('`esm`, `jsx` and `ts` options are not supported with ESM loader')
+			);
+		});
+	});
 });
 
 function resolveFrom(specifier, fromPath) {
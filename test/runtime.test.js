@@ -0,0 +1,103 @@
+/* --------------------
+ * livepack module
+ * Tests for `runtime()`
+ * ------------------*/
+
+'use strict';
+
+// Modules
+const {runtime} = require('livepack');
+
+// Imports
+const {itSerializes} = require('./support/index.js');
+
+// Tests
+
+describe('runtime', () => {
+	it('throws error if not passed a function', () => {
+		expect(() => runtime(1)).toThrowWithMessage(
+			Error, '`fn` argument to `runtime` must be a function'
+		);
+	});
+
+	itSerializes('outputs call to function', {
+		in() {
+			return runtime(() => 123);
+		},
+		out: '(()=>123)()',
+		validateOutput(num) {
+			expect(num).toBe(123);
+		}
+	});
+
+	itSerializes('evaluates function once when referenced multiple times', {
+		in() {
+			const placeholder = runtime(() => ({}));
+			return {x: placeholder, y: placeholder};
+		},
+		out: '(()=>{const a=(()=>({}))();return{x:a,y:a}})()',
+		validateOutput(obj) {
+			expect(obj.x).toEqual({});
+			expect(obj.y).toBe(obj.x);
+		}
+	});
+
+	itSerializes('evaluates function at runtime when referenced in function scope', {
+		in() {
+			const startTime = runtime(() => Date.now());
+			return () => startTime;
+		},
+		out: '(a=>()=>a)((()=>Date.now())())',
+		validateOutput(fn) {
+			const before = Date.now();
+			expect(fn()).toBeNumber();
+			expect(fn()).toBeLessThanOrEqual(before);
+		}
+	});
+
+	itSerializes('with function referencing external vars', {
+		in() {
+			const name = 'PORT';
+			return runtime(() => process.env[name]);
+		},
+		out: '(a=>()=>process.env[a])("PORT")()',
+		validateOutput(port) {
+			expect(port).toBe(process.env.PORT);
+		}
+	});
+
+	itSerializes('with function which references placeholder and is serialized first', {
+		in() {
+			const fn = () => placeholder, // eslint-disable-line no-use-before-define
+				placeholder = runtime(fn);
+			return fn;
+		},
+		out: `(()=>{
+			const a=(a=>[b=>a=b,()=>a])(),
+				b=Object.defineProperties(a[1],{name:{value:"fn"}});
+			a[0](b());
+			return b
+		})()`,
+		validateOutput(fn) {
+			expect(fn).toBeFunction();
+			expect(fn()).toBeUndefined();
+		}
+	});
+
+	itSerializes('with function which has placeholder as property', {
+		in() {
+			const fn = () => 123;
+			fn.placeholder = runtime(fn);
+			return fn;
+		},
+		out: `(()=>{
+			const a=Object.defineProperties(()=>123,{name:{value:"fn"}});
+			a.placeholder=a();
+			return a
+		})()`,
+		validateOutput(fn) {
+			expect(fn()).toBe(123);
+			expect(fn.placeholder).toBe(123);
+		}
+	});
+});
@@ -3736,6 +3736,32 @@ describe('Code splitting', () => {
 				}
 			]);
 		});
+
+		it('stats records dynamic imports', () => {
+			const files = serializeEntries(
+				{index: {load: splitAsync({x: 1}, 'page')}},
+				{format: 'esm', stats: true}
+			);
+			const splitFilename = files[1].filename;
+			expect(splitFilename).toMatch(/^page\.[A-Z0-9]{8}\.js$/);
+			const statsFiles = JSON.parse(files[2].content).files;
+			expect(statsFiles[0]).toMatchObject({
+				filename: 'index.js', imports: [], dynamicImports: [splitFilename], entryPoints: ['index']
+			});
+			expect(statsFiles[1]).toMatchObject({
+				filename: splitFilename, imports: [], dynamicImports: [], entryPoints: ['index']
+			});
+		});
+
+		it('stats records split point values as referenced by import function', () => {
+			const files = serializeEntries(
+				{index: {load: splitAsync({x: {}}, 'page')}},
+				{format: 'esm', stats: true}
+			);
+			const {values} = JSON.parse(files.find(file => file.type === 'stats').content);
+			expect(values.find(value => value.name === 'x').chain)
+				.toEqual(['index root', 'load', 'page split point root', 'x']);
+		});
 	});
 
 	describe('source maps use correct relative paths', () => {
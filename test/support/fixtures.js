@@ -7,7 +7,8 @@
 
 // Modules
 const pathJoin = require('path').join,
-	{spawn} = require('child_process'),
+	{spawn, execFile} = require('child_process'),
+	{promisify} = require('util'),
 	{isString} = require('is-it-type');
 
 // Imports
@@ -19,11 +20,13 @@ const {getFixtures, setFixtures, clearFixtures, FIXTURES_DIR_PATH} = require('./
 
 // Constants
 const SPAWNED_PATH = pathJoin(__dirname, 'spawned.js'),
+	ROOT_DIR_PATH = pathJoin(__dirname, '../..'),
+	TEST_FIXTURES_DIR_PATH = pathJoin(__dirname, '../fixtures'),
 	DEFAULT_FILENAME = 'index.js';
 
 // Exports
 
-module.exports = {withFixtures, serializeInNewProcess};
+module.exports = {withFixtures, serializeInNewProcess, runFixtureInNewProcess};
 
 let fixtureNum = 0;
 
@@ -181,6 +184,24 @@ async function serializeInNewProcess(files) {
 	return js.trim();
 }
 
+/**
+ * Run fixture file from `test/fixtures` dir in child process.
+ * Child process is run with root of repo as working directory.
+ * @param {string} path - Path of fixture file relative to `test/fixtures` e.g. 'ts/index.js'
+ * @param {Array<string>} [nodeArgs] - NodeJS CLI args e.g. `['--import', 'livepack/register']`
+ * @returns {string} - Output to stdout (trimmed)
+ * @throws {Error} - If anything output to stderr
+ */
+async function runFixtureInNewProcess(path, nodeArgs = []) {
+	const {stdout, stderr} = await promisify(execFile)(
+		process.execPath,
+		[...nodeArgs, pathJoin(TEST_FIXTURES_DIR_PATH, path)],
+		{cwd: ROOT_DIR_PATH}
+	);
+	if (stderr !== '') throw new Error(`Unexpected stderr output: ${stderr}`);
+	return stdout.trim();
+}
+
 /**
  * Conform `files` to an object mapping filename to file content
  * @param {Object|string} files - Object mapping filenames to file content, or single file content string
@@ -22,7 +22,7 @@ const mapValues = require('lodash/mapValues'),
 	assert = require('simple-invariant');
 
 // Imports
-const {withFixtures, serializeInNewProcess} = require('./fixtures.js'),
+const {withFixtures, serializeInNewProcess, runFixtureInNewProcess} = require('./fixtures.js'),
 	internalSplitPoints = require('../../lib/shared/internal.js').splitPoints;
 
 useGlobalModuleCache();
@@ -39,6 +39,7 @@ module.exports = { // eslint-disable-line jest/no-export
 	stripSourceMapComment,
 	withFixtures,
 	serializeInNewProcess,
+	runFixtureInNewProcess,
 	tryCatch
 };
 
@@ -141,6 +142,8 @@ function createRunExpectationFn(callFn) {
  * @param {string} [options.entryChunkName] - If defined, calls `serialize()` with that option
  * @param {string} [options.splitChunkName] - If defined, calls `serialize()` with that option
  * @param {string} [options.commonChunkName] - If defined, calls `serialize()` with that option
+ * @param {boolean} [options.errorStacks] - If defined, calls `serialize()` with that option
+ * @param {Array<string>|Function} [options.externals] - If defined, calls `serialize()` with that option
  * @param {Object} [defaultOptions] - Default options object (injected by `wrapTestFunction()`)
  * @param {Function} describe - Describe function (injected by `wrapTestFunction()`)
  * @param {Function} runExpectation - Function to run expectation
@@ -267,7 +270,9 @@ function itSerializes(name, options, defaultOptions, describe, runExpectation) {
 	);
 
 	const otherOptions = {};
-	for (const optName of ['strictEnv', 'entryChunkName', 'splitChunkName', 'commonChunkName']) {
+	for (const optName of [
+		'strictEnv', 'entryChunkName', 'splitChunkName', 'commonChunkName', 'errorStacks', 'externals'
+	]) {
 		const value = options[optName];
 		if (value != null) otherOptions[optName] = value;
 	}
@@ -279,7 +284,8 @@ function itSerializes(name, options, defaultOptions, describe, runExpectation) {
 			'format', 'equal', 'entries', 'preserveLineBreaks', 'preserveComments',
 			'minify', 'mangle',
 			'strictEnv',
-			'entryChunkName', 'splitChunkName', 'commonChunkName'
+			'entryChunkName', 'splitChunkName', 'commonChunkName',
+			'errorStacks', 'externals'
 		].includes(key)
 	);
 	assert(!unknownKey, `Unexpected option '${unknownKey}'`);